@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+/**
+ * federated-rl - train, evaluate, inspect and diff models from the command line
+ * (see components/cli.js)
+ */
+
+import { runCli } from '../components/cli.js';
+
+process.exitCode = await runCli(process.argv.slice(2));
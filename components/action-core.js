@@ -0,0 +1,223 @@
+/**
+ * ACTION-CORE.JS - Action Space Descriptors
+ *
+ * Declarative action spaces, validated once when an app is created:
+ * - discrete:        { type: 'discrete', n, labels? }         → action is an index
+ * - multi-discrete:  { type: 'multi-discrete', nvec, labels? } → action is a tuple of indices
+ * - box:             { type: 'box', low, high }                → action is a number[] in [low, high]
+ *
+ * A plain label array (the legacy `environment.actions`) is a discrete space.
+ * Discrete agents see multi-discrete spaces as one flat index over the
+ * product (mixed radix, first factor most significant); toEnvironmentAction()
+ * turns an agent's action into what environment.step() receives.
+ *
+ * @module action-core
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// DESCRIPTORS
+// ============================================================================
+
+export const ACTION_SPACE_TYPES = ['discrete', 'multi-discrete', 'box'];
+
+const isPositiveInteger = (n) => Number.isInteger(n) && n > 0;
+
+/**
+ * Normalize and validate an action space
+ *
+ * @example
+ * createActionSpace(['LEFT', 'RIGHT'])                         // { type: 'discrete', n: 2, labels: [...] }
+ * createActionSpace({ type: 'multi-discrete', nvec: [4, 3] })  // n = 12 flat actions
+ * createActionSpace({ type: 'box', low: [-1], high: [1] })     // one continuous force
+ *
+ * @param {string[]|Object} spec - Label array or { type, ... } descriptor
+ * @returns {Object} Normalized space: { type, n, labels } | { type, nvec, n, labels } | { type, low, high, shape }
+ * @pure
+ */
+export const createActionSpace = (spec) => {
+    if (Array.isArray(spec)) {
+        if (spec.length === 0) {
+            throw new Error('Action list must not be empty');
+        }
+        return { type: 'discrete', n: spec.length, labels: [...spec] };
+    }
+
+    if (!spec || typeof spec !== 'object') {
+        throw new Error('Action space must be a label array or a { type, ... } descriptor');
+    }
+
+    const { type, labels = null } = spec;
+
+    if (type === 'discrete') {
+        const n = spec.n ?? labels?.length;
+        if (!isPositiveInteger(n)) {
+            throw new Error(`Discrete action space needs a positive integer n, got ${n}`);
+        }
+        if (labels && labels.length !== n) {
+            throw new Error(`Discrete action space has ${n} actions but ${labels.length} labels`);
+        }
+        return { type, n, labels: labels ? [...labels] : Array.from({ length: n }, (_, i) => String(i)) };
+    }
+
+    if (type === 'multi-discrete') {
+        const nvec = spec.nvec ?? labels?.map(l => l.length);
+        if (!Array.isArray(nvec) || nvec.length === 0 || !nvec.every(isPositiveInteger)) {
+            throw new Error('Multi-discrete action space needs nvec: positive integers, one per factor');
+        }
+        if (labels && (labels.length !== nvec.length || labels.some((l, i) => l.length !== nvec[i]))) {
+            throw new Error('Multi-discrete labels must have one list of nvec[i] labels per factor');
+        }
+        return {
+            type,
+            nvec: [...nvec],
+            n: nvec.reduce((a, b) => a * b, 1),
+            labels: labels
+                ? labels.map(l => [...l])
+                : nvec.map(k => Array.from({ length: k }, (_, i) => String(i)))
+        };
+    }
+
+    if (type === 'box') {
+        const toArray = (v) => (typeof v === 'number' ? [v] : v);
+        const low = toArray(spec.low);
+        const high = toArray(spec.high);
+        if (!Array.isArray(low) || !Array.isArray(high) || low.length === 0 || low.length !== high.length) {
+            throw new Error('Box action space needs low and high bounds of equal length');
+        }
+        low.forEach((l, i) => {
+            if (!Number.isFinite(l) || !Number.isFinite(high[i]) || l >= high[i]) {
+                throw new Error(`Box action space dimension ${i} needs finite low < high, got [${l}, ${high[i]}]`);
+            }
+        });
+        return { type, low: [...low], high: [...high], shape: low.length };
+    }
+
+    throw new Error(`Unknown action space type: ${type} (expected one of ${ACTION_SPACE_TYPES.join(', ')})`);
+};
+
+/**
+ * Whether a space has finitely many actions (discrete agents can use it)
+ *
+ * @param {Object} space - Normalized action space
+ * @returns {boolean} True for discrete and multi-discrete
+ * @pure
+ */
+export const isDiscreteSpace = (space) => space.type !== 'box';
+
+// ============================================================================
+// ACTION CONVERSION
+// ============================================================================
+
+/**
+ * Flat index of a multi-discrete tuple
+ *
+ * @param {number[]} tuple - Sub-action per factor
+ * @param {number[]} nvec - Factor sizes
+ * @returns {number} Index in [0, Π nvec)
+ * @pure
+ */
+export const encodeMultiDiscrete = (tuple, nvec) =>
+    tuple.reduce((index, value, i) => index * nvec[i] + value, 0);
+
+/**
+ * Tuple of a flat multi-discrete index
+ *
+ * @param {number} index - Index in [0, Π nvec)
+ * @param {number[]} nvec - Factor sizes
+ * @returns {number[]} Sub-action per factor
+ * @pure
+ */
+export const decodeMultiDiscrete = (index, nvec) => {
+    const tuple = Array(nvec.length);
+    let rest = index;
+    for (let i = nvec.length - 1; i >= 0; i--) {
+        tuple[i] = rest % nvec[i];
+        rest = Math.floor(rest / nvec[i]);
+    }
+    return tuple;
+};
+
+/**
+ * Clamp a continuous action into the box bounds
+ *
+ * @param {Object} space - Box action space
+ * @param {number|number[]} action - Action (a number is accepted for 1-D boxes)
+ * @returns {number[]} Clipped action
+ * @pure
+ */
+export const clipAction = (space, action) => {
+    const values = typeof action === 'number' ? [action] : action;
+    return space.low.map((low, i) => Math.min(space.high[i], Math.max(low, values[i])));
+};
+
+/**
+ * Convert an agent's action into what environment.step() receives:
+ * the index (discrete), the decoded tuple (multi-discrete, from a flat
+ * index) or the clipped vector (box)
+ *
+ * @param {Object} space - Normalized action space
+ * @param {number|number[]} action - Agent action
+ * @returns {number|number[]} Environment action
+ * @pure
+ */
+export const toEnvironmentAction = (space, action) => {
+    if (space.type === 'multi-discrete') {
+        return Array.isArray(action) ? [...action] : decodeMultiDiscrete(action, space.nvec);
+    }
+    if (space.type === 'box') {
+        return clipAction(space, action);
+    }
+    return action;
+};
+
+/**
+ * Whether an environment action belongs to the space
+ *
+ * @param {Object} space - Normalized action space
+ * @param {number|number[]} action - Environment action
+ * @returns {boolean} Membership
+ * @pure
+ */
+export const containsAction = (space, action) => {
+    if (space.type === 'discrete') {
+        return Number.isInteger(action) && action >= 0 && action < space.n;
+    }
+    if (!Array.isArray(action)) return false;
+    if (space.type === 'multi-discrete') {
+        return action.length === space.nvec.length &&
+            action.every((a, i) => Number.isInteger(a) && a >= 0 && a < space.nvec[i]);
+    }
+    return action.length === space.shape &&
+        action.every((a, i) => a >= space.low[i] && a <= space.high[i]);
+};
+
+/**
+ * Sample a uniformly random environment action
+ *
+ * @param {Object} space - Normalized action space
+ * @param {Function} random - Random function (default: Math.random)
+ * @returns {number|number[]} Environment action
+ */
+export const sampleAction = (space, random = Math.random) => {
+    if (space.type === 'discrete') {
+        return Math.floor(random() * space.n);
+    }
+    if (space.type === 'multi-discrete') {
+        return space.nvec.map(k => Math.floor(random() * k));
+    }
+    return space.low.map((low, i) => low + (space.high[i] - low) * random());
+};
+
+// Export default object
+export default {
+    ACTION_SPACE_TYPES,
+    createActionSpace,
+    isDiscreteSpace,
+    encodeMultiDiscrete,
+    decodeMultiDiscrete,
+    clipAction,
+    toEnvironmentAction,
+    containsAction,
+    sampleAction
+};
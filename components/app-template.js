@@ -8,8 +8,10 @@
  * @version 1.0.0
  */
 
-import { createTabularAgent } from './rl-core.js';
-import { createFederatedManager, serializeModel, deserializeModel, computeModelDelta } from './federated-core.js';
+import { createRandomStreams } from './random-core.js';
+import { createFederatedManager, aggregateWorldModels, deserializeModel } from './federated-core.js';
+import { createTrainingContext, createTrainingClient, stepClient, federateClients } from './headless-runner.js';
+import { createWorkerBackend } from './worker-backend.js';
 import { createDashboardLayout, createClientGrid, createControlBar, createInput, createMetricsPanel, updateMetric, injectDefaultStyles } from './ui-builder.js';
 import { MODES, createModeSwitcher, updateVisibility } from './mode-switcher.js';
 import { createInferenceAgent, runEvaluation, createInferenceUI, createResultsPanel, updateResults } from './inference-mode.js';
@@ -29,14 +31,22 @@ import { createTrainingDashboard } from './training-monitor.js';
  *   name: 'Mountain Car',
  *   numClients: 8,
  *   environment: {
- *     actions: ['LEFT', 'STAY', 'RIGHT'],
+ *     actions: ['LEFT', 'STAY', 'RIGHT'],  // or actionSpace: { type: 'box', low: [-1], high: [1] }
  *     getState: (clientState) => `${clientState.x},${clientState.y}`,
- *     step: (state, action) => ({ state, reward, done }),
- *     reset: () => ({ state }),
+ *     // or stateSpace: { dimensions: [{ name: 'x', bins: 10, range: [0, 1] }, ...] }
+ *     step: (state, action, random) => ({ state, reward, done }),
+ *     reset: (clientId, oldState, random) => ({ state }),
  *   },
+ *   seed: 42  // optional: reproducible run (use `random`, not Math.random, in the environment)
  *   render: (ctx, state) => { ... }
  * });
  * ```
+ *
+ * For hundreds of clients, train them in Web Workers instead of the main
+ * thread (the module default-exports this same config, see examples/environments/):
+ * ```js
+ * execution: { backend: 'workers', module: new URL('./environments/mountain-car.js', import.meta.url) }
+ * ```
  * 
  * @param {Object} config - App configuration
  * @returns {Object} App interface
@@ -54,20 +64,32 @@ export const createFederatedApp = (config) => {
         canvasHeight = 220,
         renderInterval = 50,  // Render every N steps (higher = faster, less smooth)
         
-        // RL parameters
-        alpha = 0.1,
-        gamma = 0.95,
-        epsilon = 0.2,
-        epsilonDecay = 0.995,
-        minEpsilon = 0.001,
+        // RL parameters (agentType, alpha, gamma, epsilon, ...: see createTrainingContext)
+        inferencePolicy = 'greedy', // Policy-gradient agents in inference: 'greedy' | 'stochastic'
+        seed = null,               // Master seed for per-client random streams (null: Math.random)
         
         // Federation parameters
         autoFederate = false,
         federationInterval = 100,
         federationStrategy = 'episodes',
-        
-        // Environment (required)
-        environment,
+        shareWorldModels = false,  // Federate Dyna world models alongside Q-tables
+        federationAggregator = 'fedavg', // 'fedavg' | 'fedprox' | 'visit-weighted' | 'median' | 'trimmed-mean' | 'krum' | ... (see AGGREGATORS in federated-core.js)
+        proximalMu = 0.01,         // FedProx: pull of local updates towards the last global model
+        federationPrior = 0,       // Visit-weighted: value of entries no client updated
+        federationPriorWeight = 0, // Visit-weighted: pseudo-count shrinking rare entries towards the prior
+        trimFraction = 0.1,        // Trimmed mean: fraction of clients dropped at each end per entry
+        byzantineClients = 1,      // Krum / Multi-Krum: tolerated malicious clients f
+        clipNorm = 10,             // Norm clipping: max L2 norm of a client's update
+        serverOptimizer = 'none',  // 'none' | 'fedavgm' | 'fedadam' | 'fedyogi' (see SERVER_OPTIMIZERS in federated-core.js)
+        serverLearningRate = null, // Server learning rate η on the averaged update (default: 1 for fedavgm, 0.1 for fedadam / fedyogi)
+        serverBeta1 = 0.9,         // Server momentum β₁
+        serverBeta2 = 0.99,        // FedAdam / FedYogi second-moment decay β₂
+        serverTau = 1e-3,          // FedAdam / FedYogi adaptivity τ
+        clientSampling = 'all',    // 'all' | 'uniform' | 'stratified' | 'power-of-choice' | 'round-robin'
+        participationFraction = 1, // Fraction of clients federated per round (the rest keep their models)
+        samplingCandidates = null, // Power-of-choice: candidates drawn per round (default: 2k)
+        clientStrata = null,       // Stratified: (client, index) => stratum label
+        clientLoss = null,         // Power-of-choice: (client) => loss (default: negative reward per episode)
         
         // Rendering (optional)
         render = null,
@@ -80,16 +102,16 @@ export const createFederatedApp = (config) => {
         trainingDashboardOptions = {},
         
         // Metrics/KPIs configuration (optional)
-        metrics = null
+        metrics = null,
+
+        // Execution backend (optional): { backend: 'workers', module, numWorkers, mirrorInterval }
+        // Clients then train off the main thread and are mirrored back every mirrorInterval ticks
+        execution = null
     } = config;
 
-    // Validate required fields
-    if (!environment) {
-        throw new Error('environment configuration required');
-    }
-    if (!environment.actions || !environment.getState || !environment.step || !environment.reset) {
-        throw new Error('environment must define: actions, getState, step, reset');
-    }
+    // Environment, state/action spaces and agent options, shared with the headless runner
+    const context = createTrainingContext(config);
+    const { environment, actionSpace, stateSpace, getState, createFrozenAgent } = context;
 
     // Inject default styles
     injectDefaultStyles();
@@ -213,7 +235,7 @@ export const createFederatedApp = (config) => {
         historySize: 300,
         qTableShape: {
             rows: heatmapLimit,
-            cols: environment.actions.length
+            cols: actionSpace.n ?? actionSpace.shape
         }
     };
 
@@ -238,17 +260,20 @@ export const createFederatedApp = (config) => {
             if (currentMode === MODES.TRAINING) {
                 // Load to all training clients
                 clients.forEach(c => c.agent.setModel(model));
+                if (metadata?.worldModel) {
+                    clients.forEach(c => c.agent.setWorldModel?.(metadata.worldModel));
+                }
+                backend?.pushModels();
                 alert(`✅ Model loaded from ${source}\n${metadata.totalStates || 0} states`);
                 console.log('📂 Model loaded:', metadata);
             } else {
                 // Load for inference
                 if (trainingClients.length === 0) {
                     trainingClients = [{
-                        agent: createTabularAgent({
+                        agent: createFrozenAgent({
                             alpha: 0,
                             gamma: 0,
-                            epsilon: 0,
-                            numActions: environment.actions.length
+                            epsilon: 0
                         })
                     }];
                 }
@@ -267,6 +292,7 @@ export const createFederatedApp = (config) => {
     // Initialize state
     let clients = [];
     let trainingClients = []; // Backup of training clients
+    let backend = null;       // Worker backend when execution.backend === 'workers'
     let isRunning = false;
     let animationId = null;
     let lastCheckpointTime = null;
@@ -281,9 +307,42 @@ export const createFederatedApp = (config) => {
     const fedManager = createFederatedManager({
         federationInterval,
         autoFederate: autoFedCheckbox.checked,
-        strategy: federationStrategy
+        strategy: federationStrategy,
+        shareWorldModels,
+        aggregator: federationAggregator,
+        mu: proximalMu,
+        prior: federationPrior,
+        priorWeight: federationPriorWeight,
+        trimFraction,
+        byzantineClients,
+        clipNorm,
+        serverOptimizer,
+        serverLearningRate,
+        serverBeta1,
+        serverBeta2,
+        serverTau,
+        clientSampling,
+        participationFraction,
+        samplingCandidates,
+        clientStrata,
+        clientLoss,
+        seed
     });
 
+    // Dyna agents' pooled world model, saved alongside the Q-table
+    const worldModelMetadata = () => {
+        if (!clients.length || typeof clients[0].agent.getWorldModel !== 'function') return {};
+        return {
+            worldModel: aggregateWorldModels(
+                clients.map(c => c.agent.getWorldModel()),
+                fedManager.getWorldModel()
+            )
+        };
+    };
+
+    // Random streams (re-derived on every (re)initialization so runs replay from the start)
+    let randomStreams = createRandomStreams(seed);
+
     // Initialize clients
     const initClients = (count) => {
         // Stop existing clients
@@ -292,6 +351,18 @@ export const createFederatedApp = (config) => {
             cancelAnimationFrame(animationId);
         }
 
+        randomStreams = createRandomStreams(seed);
+        backend?.terminate();
+        backend = execution?.backend === 'workers' ? createWorkerBackend({
+            module: execution.module,
+            numClients: count,
+            seed,
+            options: config,
+            numWorkers: execution.numWorkers,
+            mirrorInterval: execution.mirrorInterval,
+            environment
+        }) : null;
+
         // Clear client grid
         layout.clients.innerHTML = '';
 
@@ -305,32 +376,11 @@ export const createFederatedApp = (config) => {
 
         // Initialize clients
         clients = clientElements.map((el, i) => {
-            const agent = createTabularAgent({
-                alpha,
-                gamma,
-                epsilon,
-                epsilonDecay,
-                minEpsilon,
-                numActions: environment.actions.length
-            });
-
-            const state = environment.reset(i);
-            
-            const client = {
-                id: i,
-                agent,
+            const client = Object.assign(backend ? backend.clients[i] : createTrainingClient(context, i, randomStreams), {
                 element: el,
                 canvas: el.canvas,
-                ctx: el.canvas.getContext('2d'),
-                state,
-                metrics: {
-                    episodeCount: 0,
-                    totalReward: 0,
-                    stepCount: 0
-                },
-                getAgent: () => agent,
-                getMetrics: () => client.metrics
-            };
+                ctx: el.canvas.getContext('2d')
+            });
 
             // Call init hook if provided
             if (onClientInit) {
@@ -349,7 +399,7 @@ export const createFederatedApp = (config) => {
     // Update global metrics display
     const updateGlobalMetrics = () => {
         const avgStates = clients.reduce((sum, c) => 
-            sum + Object.keys(c.agent.getModel()).length, 0) / clients.length;
+            sum + (c.modelSize ?? Object.keys(c.agent.getModel()).length), 0) / clients.length;
         const avgEpisodes = clients.reduce((sum, c) => 
             sum + c.metrics.episodeCount, 0) / clients.length;
         const avgEpsilon = clients.reduce((sum, c) => 
@@ -363,8 +413,8 @@ export const createFederatedApp = (config) => {
 
     // Update client display
     const updateClientDisplay = (client) => {
-        const model = client.agent.getModel();
-        const statesLearned = Object.keys(model).length;
+        // Worker mirrors report the size of their model without copying it
+        const statesLearned = client.modelSize ?? Object.keys(client.agent.getModel()).length;
         
         client.element.metrics.innerHTML = `
             <div>States: ${statesLearned} | Episodes: ${client.metrics.episodeCount}</div>
@@ -372,70 +422,35 @@ export const createFederatedApp = (config) => {
         `;
     };
 
-    // Simulation step for one client (supports async step functions)
-    const stepClient = async (client) => {
-        const stateKey = environment.getState(client.state);
-        const action = client.agent.chooseAction(stateKey);
-        
-        // Store action for rendering
-        client.lastAction = action;
-        
-        // Support both sync and async step functions
-        const stepResult = environment.step(client.state, action);
-        const { state: nextState, reward, done } = stepResult instanceof Promise ? await stepResult : stepResult;
-        
-        const nextStateKey = environment.getState(nextState);
-        client.agent.learn(stateKey, action, reward, nextStateKey);
-        
-        client.state = nextState;
-        client.metrics.totalReward += reward;
-        client.metrics.stepCount++;
-        
-        if (done) {
-            client.metrics.episodeCount++;
-            client.agent.decayEpsilon();
-            
-            // Save episode result before reset
-            const completedEpisode = {
-                bounces: client.state.bounces || 0,
-                catches: client.state.catches || 0,
-                misses: client.state.misses || 0,
-                steps: client.state.steps || 0
-            };
-            completedEpisode.success = typeof completedEpisode.catches === 'number'
-                ? completedEpisode.catches > 0
-                : completedEpisode.bounces > 0;
-            
-            // Pass old state to reset so cumulative stats can be preserved
-            const oldState = client.state;
-            client.state = environment.reset(client.id, oldState);
-            
-            if (onEpisodeEnd) {
-                onEpisodeEnd(client, completedEpisode);
-            }
+    // Episode hooks and dashboard update for a completed episode
+    const reportEpisode = (client, completedEpisode) => {
+        if (onEpisodeEnd) {
+            onEpisodeEnd(client, completedEpisode);
+        }
 
-            if (dashboard) {
-                const totalEpisodes = client.metrics.episodeCount || 1;
-                const success = completedEpisode && completedEpisode.success ? 1 : 0;
-                const qTableValues = Object.values(client.agent.getModel()).flat();
-                const qSum = qTableValues.reduce((sum, val) => sum + val, 0);
-                const qAvg = qTableValues.length ? qSum / qTableValues.length : 0;
-
-                dashboard.update({
-                    episode: client.metrics.episodeCount,
-                    reward: client.metrics.totalReward,
-                    successCount: success,
-                    episodeCount: totalEpisodes,
-                    qValueAvg: qAvg,
-                    qValueMin: qTableValues.length ? Math.min(...qTableValues) : 0,
-                    qValueMax: qTableValues.length ? Math.max(...qTableValues) : 0,
-                    fps: 0,
-                    qMatrixUpdate: null
-                });
-            }
+        if (dashboard) {
+            const totalEpisodes = client.metrics.episodeCount || 1;
+            const success = completedEpisode && completedEpisode.success ? 1 : 0;
+            const qTableValues = Object.values(client.agent.getModel()).flat();
+            const qSum = qTableValues.reduce((sum, val) => sum + val, 0);
+            const qAvg = qTableValues.length ? qSum / qTableValues.length : 0;
+
+            dashboard.update({
+                episode: client.metrics.episodeCount,
+                reward: client.metrics.totalReward,
+                successCount: success,
+                episodeCount: totalEpisodes,
+                qValueAvg: qAvg,
+                qValueMin: qTableValues.length ? Math.min(...qTableValues) : 0,
+                qValueMax: qTableValues.length ? Math.max(...qTableValues) : 0,
+                fps: 0,
+                qMatrixUpdate: null
+            });
         }
-        
-        // Render if provided (throttled by renderInterval)
+    };
+
+    // Render (throttled by renderInterval) and refresh a client's card
+    const refreshClient = (client) => {
         if (render && frameCount % _renderInterval === 0) {
             render(client.ctx, client.state, client);
         }
@@ -443,6 +458,17 @@ export const createFederatedApp = (config) => {
         updateClientDisplay(client);
     };
 
+    // Simulation step for one client (supports async step functions)
+    const stepTrainingClient = async (client) => {
+        const completedEpisode = await stepClient(client, context);
+        
+        if (completedEpisode) {
+            reportEpisode(client, completedEpisode);
+        }
+        
+        refreshClient(client);
+    };
+
     // Frame counter for render throttling
     let frameCount = 0;
 
@@ -452,12 +478,20 @@ export const createFederatedApp = (config) => {
 
         frameCount++;
 
-        // Step all clients IN PARALLEL for maximum performance
-        await Promise.all(clients.map(client => stepClient(client)));
+        if (backend) {
+            // One batch in the workers, then render the mirrored state
+            const completed = await backend.step();
+            if (!isRunning) return;
+            completed.forEach(({ client, episode }) => reportEpisode(client, episode));
+            clients.forEach(refreshClient);
+        } else {
+            // Step all clients IN PARALLEL for maximum performance
+            await Promise.all(clients.map(client => stepTrainingClient(client)));
+        }
 
         // Check auto-federation
         if (fedManager.shouldFederate(clients)) {
-            performFederation();
+            await performFederation();
         }
 
         // Update global metrics
@@ -468,25 +502,29 @@ export const createFederatedApp = (config) => {
         animationId = requestAnimationFrame(animate);
     };
 
-    // Perform federation with delta tracking
-    const performFederation = () => {
-        // Capture old model before federation
-        const oldModel = clients[0]?.agent?.getModel() || {};
-        
-        // Perform federation
-        const clientModelsBefore = clients.map(c => c.agent.getModel());
+    // Federate without feedback (checkpoints, mode switch); worker models are pulled first and pushed after
+    const federateSilently = async () => {
+        await backend?.pullModels();
         const globalModel = fedManager.federate(clients);
-        
-        // Compute model delta (convergence detection)
-        const delta = computeModelDelta(oldModel, globalModel);
+        await backend?.pushModels();
+        return globalModel;
+    };
+
+    // Perform federation with delta tracking
+    const performFederation = async () => {
+        const { globalModel, round, delta, clientModelsBefore, participants } = backend
+            ? await backend.federate(fedManager)
+            : federateClients(fedManager, clients);
         
         // Display feedback
-        const round = fedManager.getRound();
         let message = `🔄 Federation Round ${round}\n`;
         message += `States: ${delta.totalStates}\n`;
         message += `Changed: ${delta.statesChanged} (${Math.round(delta.statesChanged/delta.totalStates*100)}%)\n`;
         message += `Avg Δ: ${delta.avgDelta.toFixed(4)}\n`;
         message += `Max Δ: ${delta.maxDelta.toFixed(4)}\n`;
+        if (participants.length < clients.length) {
+            message += `Clients: ${participants.join(', ')} (${participants.length}/${clients.length})\n`;
+        }
         
         if (delta.converged) {
             message += `\n✅ Models converged! (Δ < 0.01)`;
@@ -504,7 +542,8 @@ export const createFederatedApp = (config) => {
                 avgDelta: delta.avgDelta,
                 delta: { ...delta, round },
                 perClientModels: clientModelsBefore,
-                globalModel
+                globalModel,
+                participation: fedManager.getParticipationHistory()
             });
         }
 
@@ -563,7 +602,9 @@ export const createFederatedApp = (config) => {
         // Create frozen agent
         const frozenAgent = createInferenceAgent(
             modelData.model,
-            environment.actions.length
+            actionSpace.n,
+            createFrozenAgent,
+            { policy: inferencePolicy }
         );
 
         console.log(`🎯 Starting inference: ${numEpisodes} episodes with frozen weights (ε=0, α=0)`);
@@ -578,11 +619,14 @@ export const createFederatedApp = (config) => {
             const results = await runEvaluation({
                 agent: frozenAgent,
                 environment,
-                getState: environment.getState,
+                getState,
                 numEpisodes,
                 ...(metrics && { metricsConfig: metrics }),
                 renderFn: render,
                 ctx: clients[0].ctx,
+                // Fresh per evaluation (as the CLI's eval): every run replays the same episodes
+                random: createRandomStreams(seed).stream('evaluation'),
+                actionSpace,
                 onEpisodeComplete: (episodeResult, current, total) => {
                     if (evaluationCancelled) return;
                     
@@ -689,7 +733,7 @@ export const createFederatedApp = (config) => {
         }
     };
 
-    const switchToInferenceMode = () => {
+    const switchToInferenceMode = async () => {
         console.log('🎯 Switching to INFERENCE mode...');
         
         // Stop training
@@ -700,10 +744,11 @@ export const createFederatedApp = (config) => {
 
         // Save current training state
         if (clients.length > 0) {
-            const globalModel = fedManager.federate(clients);
+            const globalModel = await federateSilently();
             persistence.save(globalModel, {
                 numClients: clients.length,
-                federationRound: fedManager.getRound()
+                federationRound: fedManager.getRound(),
+                ...worldModelMetadata()
             });
             trainingClients = [...clients];
             console.log('✅ Training state saved');
@@ -764,7 +809,7 @@ export const createFederatedApp = (config) => {
             id: 0,
             canvas: singleCanvas,
             ctx: singleCanvas.getContext('2d'),
-            state: environment.reset(0)
+            state: environment.reset(0, undefined, createRandomStreams(seed).stream('evaluation'))
         }];
         console.log('Single client configured');
 
@@ -791,8 +836,8 @@ export const createFederatedApp = (config) => {
                 container: layout.clients
             });
 
-            clients = trainingClients.map((oldClient, i) => ({
-                ...oldClient,
+            // Reattach in place: worker mirrors are updated through these same objects
+            clients = trainingClients.map((oldClient, i) => Object.assign(oldClient, {
                 element: clientElements[i],
                 canvas: clientElements[i].canvas,
                 ctx: clientElements[i].canvas.getContext('2d')
@@ -846,12 +891,13 @@ export const createFederatedApp = (config) => {
         buttons['btn-start'].textContent = '▶ Start';
     };
 
-    buttons['btn-save'].onclick = () => {
-        const globalModel = fedManager.federate(clients);
+    buttons['btn-save'].onclick = async () => {
+        const globalModel = await federateSilently();
         const saved = persistence.save(globalModel, {
             numClients: clients.length,
             federationRound: fedManager.getRound(),
-            avgEpisodes: clients.reduce((sum, c) => sum + c.getMetrics().episodeCount, 0) / clients.length
+            avgEpisodes: clients.reduce((sum, c) => sum + c.getMetrics().episodeCount, 0) / clients.length,
+            ...worldModelMetadata()
         });
         
         if (saved) {
@@ -877,12 +923,13 @@ export const createFederatedApp = (config) => {
         }
     };
 
-    buttons['btn-export'].onclick = () => {
-        const globalModel = fedManager.federate(clients);
+    buttons['btn-export'].onclick = async () => {
+        const globalModel = await federateSilently();
         const success = persistence.export(globalModel, {
             numClients: clients.length,
             federationRound: fedManager.getRound(),
-            avgEpisodes: clients.reduce((sum, c) => sum + c.getMetrics().episodeCount, 0) / clients.length
+            avgEpisodes: clients.reduce((sum, c) => sum + c.getMetrics().episodeCount, 0) / clients.length,
+            ...worldModelMetadata()
         });
         
         if (success) {
@@ -939,6 +986,9 @@ export const createFederatedApp = (config) => {
         getRenderInterval: () => _renderInterval,
         getClients: () => clients,
         getFedManager: () => fedManager,
+        getBackend: () => backend,
+        getSeed: () => seed,
+        getStateSpace: () => stateSpace,
         isRunning: () => isRunning,
         clients // Expose clients directly for live-controls
     };
@@ -0,0 +1,450 @@
+/**
+ * CLI.JS - federated-rl Command Line (Node only)
+ *
+ * Train, evaluate, inspect and compare models without a browser:
+ *
+ *   federated-rl train <env-module> [--clients 8] [--rounds 10] [--seed 42] [--output model.json]
+ *   federated-rl eval <model.json> <env-module> [--episodes 50] [--policy greedy]
+ *   federated-rl inspect <model.json>
+ *   federated-rl diff <a.json> <b.json>
+ *
+ * An environment module exports a createFederatedApp config as its default
+ * export (or as `config`); a module exporting only `environment` works too.
+ * Model files are serializeModel() JSON, the same format the browser's
+ * Export button writes. Every command accepts --json for machine-readable
+ * output.
+ *
+ * @module cli
+ * @version 1.0.0
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve, basename } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createHeadlessRunner, createTrainingContext } from './headless-runner.js';
+import { serializeModel, deserializeModel, computeModelDelta } from './federated-core.js';
+import { createInferenceAgent, runEvaluation } from './inference-mode.js';
+import { createRandomStreams } from './random-core.js';
+
+// ============================================================================
+// ARGUMENTS AND FILES
+// ============================================================================
+
+const BOOLEAN_FLAGS = ['json', 'help'];
+
+export const USAGE = `Usage: federated-rl <command> [options]
+
+Commands:
+  train <env-module>               Train clients headlessly and save the global model
+      --clients N                  Number of clients (default: module's numClients, else 4)
+      --rounds N                   Federation rounds (auto-federates; default when no budget is given: 10)
+      --episodes N                 Episodes per client
+      --steps N                    Steps per client
+      --interval N                 Episodes between federations (default: module's federationInterval, else 100)
+      --seed N                     Master seed (default: module's seed)
+      --workers N                  Train in N worker threads (default: in-process)
+      --output PATH                Model file (default: model.json)
+  eval <model.json> <env-module>   Evaluate a saved model with runEvaluation
+      --episodes N                 Test episodes (default: 50)
+      --policy greedy|stochastic   Inference policy (default: greedy)
+      --agent TYPE                 Agent type (default: model metadata, else the module's)
+      --seed N                     Evaluation seed
+  inspect <model.json>             States, action space and metadata of a model file
+      --top N                      States listed by best value (default: 5)
+  diff <a.json> <b.json>           How far model b moved from model a (computeModelDelta)
+      --top N                      Most-changed states listed (default: 5)
+
+Every command accepts --json.`;
+
+/**
+ * Split argv into command, positionals and --options
+ *
+ * @example
+ * parseCliArgs(['train', 'env.js', '--clients', '8', '--json'])
+ * // { command: 'train', positionals: ['env.js'], options: { clients: '8', json: true } }
+ *
+ * @param {string[]} argv - Arguments after the executable
+ * @returns {Object} { command, positionals, options }
+ * @pure
+ */
+export const parseCliArgs = (argv) => {
+    const positionals = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+        const [key, inline] = arg.slice(2).split(/=(.*)/s);
+        if (inline !== undefined) {
+            options[key] = inline;
+        } else if (BOOLEAN_FLAGS.includes(key)) {
+            options[key] = true;
+        } else if (i + 1 < argv.length) {
+            options[key] = argv[++i];
+        } else {
+            throw new Error(`Option --${key} needs a value`);
+        }
+    }
+    const [command = null, ...rest] = positionals;
+    return { command, positionals: rest, options };
+};
+
+/**
+ * Parse a numeric option
+ * @private
+ */
+const numberOption = (options, key, fallback) => {
+    if (options[key] === undefined) return fallback;
+    const value = Number(options[key]);
+    if (!Number.isFinite(value)) {
+        throw new Error(`Option --${key} must be a number, got ${options[key]}`);
+    }
+    return value;
+};
+
+/**
+ * Import an environment module and normalize it to a createFederatedApp config
+ *
+ * @param {string} path - Module path (relative to the working directory)
+ * @returns {Promise<Object>} App config with an `environment`
+ */
+export const loadEnvironmentModule = async (path) => {
+    const module = await import(pathToFileURL(resolve(path)).href);
+    const exported = module.default ?? module.config ?? module;
+    const config = exported.environment ? exported : { environment: exported.step ? exported : null };
+    if (!config.environment) {
+        throw new Error(`${path} must export a createFederatedApp config (default or \`config\`) or an \`environment\``);
+    }
+    return config;
+};
+
+/**
+ * Read a serializeModel() file
+ *
+ * @param {string} path - Model file
+ * @returns {Promise<Object>} { version, timestamp, model, metadata }
+ */
+export const readModelFile = async (path) => {
+    const data = deserializeModel(await readFile(path, 'utf8'));
+    if (!data) {
+        throw new Error(`${path} is not a model file (expected serializeModel JSON with version and model)`);
+    }
+    return data;
+};
+
+// ============================================================================
+// MODEL SUMMARIES
+// ============================================================================
+
+/**
+ * Value statistics and best states of a model
+ *
+ * @param {Object} model - Model keyed by state (arrays of numbers)
+ * @param {number} top - Number of states to list by best value
+ * @returns {Object} { entries, values, min, max, mean, topStates: [{ state, best, action }] }
+ * @pure
+ */
+export const summarizeModel = (model, top = 5) => {
+    const rows = Object.entries(model).filter(([, values]) => Array.isArray(values) && values.length > 0);
+    const all = rows.flatMap(([, values]) => values);
+    const best = rows
+        .map(([state, values]) => {
+            const action = values.reduce((argmax, v, i) => (v > values[argmax] ? i : argmax), 0);
+            return { state, best: values[action], action };
+        })
+        .sort((a, b) => b.best - a.best);
+    // reduce, not Math.min(...all): network models have too many values to spread
+    return {
+        entries: Object.keys(model).length,
+        values: all.length,
+        min: all.length ? all.reduce((a, b) => Math.min(a, b)) : 0,
+        max: all.length ? all.reduce((a, b) => Math.max(a, b)) : 0,
+        mean: all.length ? all.reduce((a, b) => a + b, 0) / all.length : 0,
+        topStates: best.slice(0, top)
+    };
+};
+
+/**
+ * Per-state change between two models, largest first
+ * @private
+ */
+const changedStates = (a, b, top) => [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .map(state => {
+        const before = a[state] || [];
+        const after = b[state] || [];
+        const length = Math.max(before.length, after.length);
+        let change = 0;
+        for (let i = 0; i < length; i++) {
+            change += Math.abs((after[i] || 0) - (before[i] || 0));
+        }
+        return { state, change };
+    })
+    .sort((x, y) => y.change - x.change)
+    .slice(0, top);
+
+/**
+ * Short description of a metadata value (world models etc. can be large)
+ * @private
+ */
+const describeValue = (value) => {
+    if (value && typeof value === 'object') {
+        return Array.isArray(value) ? `[${value.length} items]` : `{${Object.keys(value).length} keys}`;
+    }
+    return String(value);
+};
+
+/**
+ * Short description of a model's action space: a normalized descriptor
+ * (recorded by train) or a bare action count (older files)
+ * @private
+ */
+const describeActionSpace = (space) => {
+    if (!space || typeof space !== 'object') return String(space ?? 'unknown');
+    if (space.type === 'multi-discrete') return `${space.nvec.join('×')} (multi-discrete)`;
+    if (space.type === 'box') return `box of ${space.shape}`;
+    return String(space.n);
+};
+
+const format = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(4));
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Train headlessly and write the global model
+ * @private
+ */
+const trainCommand = async ([envPath], options, print) => {
+    if (!envPath) throw new Error('train needs an <env-module>');
+    const moduleConfig = await loadEnvironmentModule(envPath);
+
+    const rounds = numberOption(options, 'rounds', undefined);
+    const episodes = numberOption(options, 'episodes', undefined);
+    const steps = numberOption(options, 'steps', undefined);
+    const budget = rounds === undefined && episodes === undefined && steps === undefined
+        ? { rounds: 10 }
+        : { rounds, episodes, steps };
+    const output = options.output ?? 'model.json';
+
+    const config = {
+        ...moduleConfig,
+        numClients: numberOption(options, 'clients', moduleConfig.numClients ?? 4),
+        seed: numberOption(options, 'seed', moduleConfig.seed ?? null),
+        federationInterval: numberOption(options, 'interval', moduleConfig.federationInterval ?? 100),
+        autoFederate: budget.rounds !== undefined || moduleConfig.autoFederate,
+        ...(options.workers !== undefined && {
+            execution: {
+                backend: 'workers',
+                module: pathToFileURL(resolve(envPath)).href,
+                numWorkers: numberOption(options, 'workers')
+            }
+        }),
+        onFederation: (globalModel, round, delta) => {
+            moduleConfig.onFederation?.(globalModel, round, delta);
+            if (!options.json) {
+                print(`round ${round}: ${delta.statesChanged}/${delta.totalStates} states changed, avg Δ ${delta.avgDelta.toFixed(4)}`);
+            }
+        }
+    };
+
+    const runner = createHeadlessRunner(config);
+    let result;
+    try {
+        result = await runner.run(budget);
+    } finally {
+        runner.close();
+    }
+    const { globalModel, worldModel, metrics } = result;
+
+    // The environment's action space, not the first entry's length (a weight vector for linear / DQN models)
+    const { agentType, actionSpace } = runner.getContext();
+    const metadata = {
+        environment: basename(envPath),
+        agentType: typeof agentType === 'string' ? agentType : 'custom',
+        actionSpace,
+        numClients: config.numClients,
+        seed: config.seed,
+        federationRound: metrics.round,
+        avgEpisodes: metrics.totalEpisodes / config.numClients,
+        avgEpisodeReward: metrics.avgEpisodeReward,
+        ...(worldModel && { worldModel })
+    };
+    await writeFile(output, serializeModel(globalModel, metadata));
+
+    const summary = {
+        output,
+        rounds: metrics.round,
+        totalSteps: metrics.totalSteps,
+        totalEpisodes: metrics.totalEpisodes,
+        avgEpisodeReward: metrics.avgEpisodeReward,
+        successRate: metrics.successRate,
+        stepsPerSecond: metrics.stepsPerSecond,
+        states: Object.keys(globalModel).length
+    };
+    if (options.json) {
+        print(JSON.stringify(summary, null, 2));
+    } else {
+        print(`Trained ${config.numClients} clients: ${summary.totalEpisodes} episodes, ${summary.totalSteps} steps ` +
+            `(${summary.stepsPerSecond} steps/s), ${summary.rounds} rounds`);
+        print(`Avg episode reward ${summary.avgEpisodeReward.toFixed(2)}, success ${(summary.successRate * 100).toFixed(1)}%`);
+        print(`Saved ${summary.states} states to ${output}`);
+    }
+};
+
+/**
+ * Evaluate a model file on an environment module
+ * @private
+ */
+const evalCommand = async ([modelPath, envPath], options, print) => {
+    if (!modelPath || !envPath) throw new Error('eval needs <model.json> <env-module>');
+    const { model, metadata = {} } = await readModelFile(modelPath);
+    const moduleConfig = await loadEnvironmentModule(envPath);
+
+    const agentType = options.agent ?? (metadata.agentType !== 'custom' ? metadata.agentType : undefined) ?? moduleConfig.agentType;
+    const context = createTrainingContext({ ...moduleConfig, agentType });
+    const agent = createInferenceAgent(model, context.actionSpace.n, context.createFrozenAgent, {
+        policy: options.policy ?? 'greedy'
+    });
+
+    const seed = numberOption(options, 'seed', moduleConfig.seed ?? null);
+    const results = await runEvaluation({
+        agent,
+        environment: context.environment,
+        getState: context.getState,
+        numEpisodes: numberOption(options, 'episodes', 50),
+        ...(moduleConfig.metrics && { metricsConfig: moduleConfig.metrics }),
+        random: createRandomStreams(seed).stream('evaluation'),
+        actionSpace: context.actionSpace
+    });
+
+    const summary = {
+        episodes: results.episodes.length,
+        avgReward: results.avgReward,
+        stdReward: results.stdReward,
+        successRate: results.successRate,
+        consistency: results.consistency,
+        avgSteps: results.episodes.reduce((sum, ep) => sum + ep.steps, 0) / results.episodes.length
+    };
+    if (options.json) {
+        print(JSON.stringify(summary, null, 2));
+    } else {
+        print(`Evaluated ${modelPath} on ${basename(envPath)} over ${summary.episodes} episodes`);
+        print(`Reward ${summary.avgReward.toFixed(2)} ± ${summary.stdReward.toFixed(2)}, ` +
+            `success ${(summary.successRate * 100).toFixed(1)}%, avg steps ${summary.avgSteps.toFixed(1)}`);
+    }
+};
+
+/**
+ * Describe a model file
+ * @private
+ */
+const inspectCommand = async ([modelPath], options, print) => {
+    if (!modelPath) throw new Error('inspect needs <model.json>');
+    const { version, timestamp, model, metadata = {} } = await readModelFile(modelPath);
+    const summary = summarizeModel(model, numberOption(options, 'top', 5));
+    const { worldModel, ...rest } = metadata;
+
+    if (options.json) {
+        print(JSON.stringify({
+            version,
+            timestamp,
+            ...summary,
+            metadata: { ...rest, ...(worldModel && { worldModel: describeValue(worldModel) }) }
+        }, null, 2));
+        return;
+    }
+    print(`${modelPath} (format ${version}, saved ${timestamp ?? 'unknown'})`);
+    print(`States: ${summary.entries}, action space: ${describeActionSpace(metadata.actionSpace)}, values: ${summary.values}`);
+    print(`Value range: [${format(summary.min)}, ${format(summary.max)}], mean ${format(summary.mean)}`);
+    print('Metadata:');
+    Object.entries(metadata).forEach(([key, value]) => {
+        print(`  ${key}: ${key === 'actionSpace' ? describeActionSpace(value) : describeValue(value)}`);
+    });
+    if (summary.topStates.length) {
+        print('Best entries:');
+        summary.topStates.forEach(({ state, best, action }) => print(`  ${state}: ${format(best)} (argmax ${action})`));
+    }
+};
+
+/**
+ * Compare two model files
+ * @private
+ */
+const diffCommand = async ([pathA, pathB], options, print) => {
+    if (!pathA || !pathB) throw new Error('diff needs <a.json> <b.json>');
+    const [a, b] = await Promise.all([readModelFile(pathA), readModelFile(pathB)]);
+    const delta = computeModelDelta(a.model, b.model);
+    const onlyA = Object.keys(a.model).filter(state => !(state in b.model)).length;
+    const onlyB = Object.keys(b.model).filter(state => !(state in a.model)).length;
+    const largest = changedStates(a.model, b.model, numberOption(options, 'top', 5)).filter(s => s.change > 0);
+
+    if (options.json) {
+        print(JSON.stringify({ ...delta, onlyInA: onlyA, onlyInB: onlyB, largestChanges: largest }, null, 2));
+        return;
+    }
+    print(`${pathA} → ${pathB}`);
+    print(`States: ${delta.totalStates} (${onlyA} only in A, ${onlyB} only in B), changed: ${delta.statesChanged}`);
+    print(`Avg Δ ${delta.avgDelta.toFixed(4)}, max Δ ${delta.maxDelta.toFixed(4)}, relative ${delta.relativeDelta.toFixed(4)}` +
+        (delta.converged ? ' (converged)' : ''));
+    if (largest.length) {
+        print('Largest changes:');
+        largest.forEach(({ state, change }) => print(`  ${state}: ${format(change)}`));
+    }
+};
+
+export const COMMANDS = {
+    train: trainCommand,
+    eval: evalCommand,
+    inspect: inspectCommand,
+    diff: diffCommand
+};
+
+/**
+ * Run the CLI
+ *
+ * @param {string[]} argv - Arguments after the executable (process.argv.slice(2))
+ * @param {Object} io - { stdout, stderr } writable streams (default: process streams)
+ * @returns {Promise<number>} Exit code: 0 success, 1 failure, 2 usage error
+ */
+export const runCli = async (argv, io = { stdout: process.stdout, stderr: process.stderr }) => {
+    const print = (line) => io.stdout.write(`${line}\n`);
+    let parsed;
+    try {
+        parsed = parseCliArgs(argv);
+    } catch (error) {
+        io.stderr.write(`${error.message}\n${USAGE}\n`);
+        return 2;
+    }
+
+    const { command, positionals, options } = parsed;
+    if (!command || options.help) {
+        print(USAGE);
+        return command || options.help ? 0 : 2;
+    }
+    if (!COMMANDS[command]) {
+        io.stderr.write(`Unknown command: ${command}\n${USAGE}\n`);
+        return 2;
+    }
+
+    try {
+        await COMMANDS[command](positionals, options, print);
+        return 0;
+    } catch (error) {
+        io.stderr.write(`federated-rl ${command}: ${error.message}\n`);
+        return 1;
+    }
+};
+
+// Export default object
+export default {
+    USAGE,
+    COMMANDS,
+    parseCliArgs,
+    loadEnvironmentModule,
+    readModelFile,
+    summarizeModel,
+    runCli
+};
@@ -0,0 +1,121 @@
+/**
+ * CLIENT-WORKER.JS - Training Clients Inside a Worker
+ *
+ * Worker side of worker-backend.js, for Web Workers and worker_threads
+ * alike. Imports the environment module, builds its shard of clients with
+ * the headless runner's helpers (same random streams as on the main thread)
+ * and answers requests one at a time:
+ *
+ *   init        { module, options, clientIds, seed } → { capabilities, clients } (shared parts, plus 'proximal')
+ *   step        { ticks, episodeLimits? }            → { clients, episodes }
+ *   getModels   {}                                   → [{ model, critic?, visitCounts?, worldModel? }] per client
+ *   setModels   { models: { [clientId]: parts } }    → null (parts.proximal: FedProx anchor)
+ *   call        { clientIds?, method, args }         → null
+ *
+ * @module client-worker
+ * @version 1.0.0
+ */
+
+import { createTrainingContext, createTrainingClient, stepClient } from './headless-runner.js';
+import { createRandomStreams } from './random-core.js';
+import { SHARED_AGENT_STATE } from './worker-backend.js';
+
+// Web Worker global scope, or the worker_threads parent port in Node
+const port = typeof WorkerGlobalScope !== 'undefined'
+    ? null
+    : (await import('node:worker_threads')).parentPort;
+const post = (message) => (port ? port.postMessage(message) : self.postMessage(message));
+const listen = (handler) => (port
+    ? port.on('message', handler)
+    : self.addEventListener('message', (event) => handler(event.data)));
+
+let context = null;
+let clients = [];
+
+/**
+ * Client state sent back to the main thread after every batch
+ */
+const mirror = () => clients.map(c => ({
+    id: c.id,
+    state: c.state,
+    lastAction: c.lastAction,
+    metrics: { ...c.metrics },
+    epsilon: c.agent.getEpsilon(),
+    modelSize: Object.keys(c.agent.getModel()).length
+}));
+
+const handlers = {
+    init: async ({ module, options, clientIds, seed }) => {
+        const imported = await import(module);
+        const moduleConfig = imported.default ?? imported.config ?? imported;
+        context = createTrainingContext({
+            ...(moduleConfig.environment ? moduleConfig : { environment: moduleConfig }),
+            ...options
+        });
+        const randomStreams = createRandomStreams(seed);
+        clients = clientIds.map(id => createTrainingClient(context, id, randomStreams));
+
+        const agent = clients[0]?.agent ?? {};
+        const capabilities = Object.keys(SHARED_AGENT_STATE)
+            .filter(part => typeof agent[SHARED_AGENT_STATE[part][0]] === 'function')
+            .concat(typeof agent.setProximalTerm === 'function' ? ['proximal'] : []);
+        return { capabilities, clients: mirror() };
+    },
+
+    step: async ({ ticks, episodeLimits = null }) => {
+        const episodes = [];
+        for (let t = 0; t < ticks; t++) {
+            for (const client of clients) {
+                if (episodeLimits && client.metrics.episodeCount >= episodeLimits[client.id]) continue;
+                const completedEpisode = await stepClient(client, context);
+                if (completedEpisode) {
+                    episodes.push({ clientId: client.id, episode: completedEpisode });
+                }
+            }
+        }
+        return { clients: mirror(), episodes };
+    },
+
+    getModels: () => clients.map(c => Object.fromEntries(
+        Object.entries(SHARED_AGENT_STATE)
+            .filter(([, [getter]]) => typeof c.agent[getter] === 'function')
+            .map(([part, [getter]]) => [part, c.agent[getter]()])
+    )),
+
+    setModels: ({ models }) => {
+        clients.forEach(c => {
+            const parts = models[c.id];
+            if (!parts) return;
+            Object.entries(parts).forEach(([part, value]) => {
+                if (part === 'proximal') {
+                    c.agent.setProximalTerm?.(value.globalModel, value.mu);
+                    return;
+                }
+                const setter = SHARED_AGENT_STATE[part]?.[1];
+                if (setter && typeof c.agent[setter] === 'function') c.agent[setter](value);
+            });
+        });
+        return null;
+    },
+
+    call: ({ clientIds = null, method, args = [] }) => {
+        clients
+            .filter(c => !clientIds || clientIds.includes(c.id))
+            .forEach(c => c.agent[method]?.(...args));
+        return null;
+    }
+};
+
+// One request at a time, so a federation never interleaves with a step batch
+let queue = Promise.resolve();
+
+listen(({ id, type, payload }) => {
+    queue = queue.then(async () => {
+        try {
+            if (!handlers[type]) throw new Error(`Unknown worker request: ${type}`);
+            post({ id, result: await handlers[type](payload ?? {}) });
+        } catch (error) {
+            post({ id, error: error.message });
+        }
+    });
+});
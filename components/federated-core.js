@@ -2,12 +2,15 @@
  * FEDERATED-CORE.JS - Federated Learning Algorithms
  * 
  * Reusable federated learning components for multi-client systems.
- * Implements FedAvg and related algorithms.
+ * Implements FedAvg, FedProx, Byzantine-robust aggregation, server optimizers
+ * (FedAvgM, FedAdam, FedYogi), client sampling and related algorithms.
  * 
  * @module federated-core
  * @version 1.0.0
  */
 
+import { createRandomStreams } from './random-core.js';
+
 // ============================================================================
 // FEDERATED AVERAGING (FedAvg)
 // ============================================================================
@@ -17,8 +20,10 @@
  * Formula: θ_global = Σ(n_k / n) · θ_k
  * 
  * Aggregates models from multiple clients. Includes ALL states from ALL clients.
+ * Works on any model of named number arrays: Q-tables ({ state: Q(s,·) })
+ * and weight-vector models ({ weights: w }) alike.
  * 
- * @param {Object[]} models - Array of Q-tables from clients
+ * @param {Object[]} models - Array of Q-tables (or weight-vector models) from clients
  * @param {number[]} weights - Optional weights for each client (default: uniform)
  * @returns {Object} Aggregated global model
  * @pure
@@ -40,11 +45,11 @@ export const federatedAverage = (models, weights = null) => {
         
         // Initialize global model
         const avgModel = {};
-        const numActions = models[0][Object.keys(models[0])[0]]?.length || 2;
         
-        // Average each state across all models
+        // Average each entry element-wise (Q-table rows, weight vectors, ...)
         allStates.forEach(state => {
-            avgModel[state] = Array(numActions).fill(0).map((_, actionIdx) => {
+            const length = Math.max(...models.map(model => model[state]?.length || 0));
+            avgModel[state] = Array(length).fill(0).map((_, actionIdx) => {
                 const weightedSum = models.reduce((sum, model, clientIdx) => {
                     const qValue = model[state]?.[actionIdx] || 0;
                     return sum + qValue * uniformWeights[clientIdx];
@@ -150,6 +155,604 @@ export const federatedAverageWeighted = (models, sampleCounts) => {
     return federatedAverage(models, weights);
 };
 
+/**
+ * Visit-weighted Federated Averaging, per entry
+ * Formula: Q(s,a) = (c·Q_0 + Σ_k N_k(s,a)·Q_k(s,a)) / (c + Σ_k N_k(s,a))
+ * 
+ * Weights every Q(s,a) (or weight) by how often each client updated it, so a
+ * client that never visited a state doesn't drag its value towards zero.
+ * Entries no client updated fall back to the prior Q_0; a prior weight c > 0
+ * also shrinks rarely visited entries towards it.
+ * 
+ * @param {Object[]} models - Models from clients
+ * @param {Object[]} countTables - Per-entry update counts, same shape as the models
+ *   (agent.getVisitCounts())
+ * @param {Object} options - Prior
+ * @param {number|Function} options.prior - Q_0, or (key, index) => Q_0 (default: 0)
+ * @param {number} options.priorWeight - Pseudo-count c of the prior (default: 0)
+ * @returns {Object} Aggregated model
+ * @pure
+ */
+export const federatedAverageByVisits = (models, countTables, options = {}) => {
+    const { prior = 0, priorWeight = 0 } = options;
+    if (!models || models.length === 0) {
+        throw new Error('No models to aggregate');
+    }
+    if (countTables.length !== models.length) {
+        throw new Error(`Need one count table per model, got ${countTables.length} for ${models.length}`);
+    }
+    const priorValue = typeof prior === 'function' ? prior : () => prior;
+
+    const allStates = new Set();
+    models.forEach(model => Object.keys(model).forEach(state => allStates.add(state)));
+
+    const result = {};
+    allStates.forEach(state => {
+        const length = models.reduce((max, model) => Math.max(max, model[state]?.length || 0), 0);
+        result[state] = Array.from({ length }, (_, i) => {
+            const q0 = priorValue(state, i);
+            let weightedSum = priorWeight * q0;
+            let totalWeight = priorWeight;
+            models.forEach((model, k) => {
+                const count = countTables[k][state]?.[i] || 0;
+                if (count > 0 && model[state]?.[i] !== undefined) {
+                    weightedSum += count * model[state][i];
+                    totalWeight += count;
+                }
+            });
+            return totalWeight > 0 ? weightedSum / totalWeight : q0;
+        });
+    });
+
+    return result;
+};
+
+/**
+ * Visits a client made since it last received the global counts
+ * Formula: n_k = max(0, N_k - N_base)
+ * @private
+ */
+const localVisits = (counts, baseline) => {
+    const result = {};
+    Object.entries(counts).forEach(([key, values]) => {
+        const base = baseline[key] || [];
+        result[key] = values.map((n, i) => Math.max(0, n - (base[i] || 0)));
+    });
+    return result;
+};
+
+/**
+ * Aggregate per state-action visit counts across clients
+ * Formula: N_global = N_base + Σ_k max(0, N_k - B_k)
+ * 
+ * Each client's counts include the global counts it last received (B_k), so
+ * only the visits made since then are added. Repeated rounds therefore never
+ * double count experience. Under partial participation clients last synced in
+ * different rounds; pass their own baselines in `clientBaselines`.
+ * 
+ * @param {Object[]} countTables - Visit counts from clients ({ state: number[] })
+ * @param {Object} baseline - Global counts from the previous round (default: none)
+ * @param {Object[]} clientBaselines - Counts each client last received (default: `baseline` for all)
+ * @returns {Object} Aggregated visit counts
+ * @pure
+ */
+export const aggregateVisitCounts = (countTables, baseline = {}, clientBaselines = null) => {
+    const allStates = new Set(Object.keys(baseline));
+    countTables.forEach(counts => {
+        Object.keys(counts).forEach(state => allStates.add(state));
+    });
+
+    const result = {};
+    allStates.forEach(state => {
+        const base = baseline[state] || [];
+        const numActions = Math.max(base.length, ...countTables.map(c => c[state]?.length || 0));
+        result[state] = Array(numActions).fill(0).map((_, a) => {
+            const baseCount = base[a] || 0;
+            return countTables.reduce((sum, counts, k) => {
+                const clientBase = clientBaselines ? (clientBaselines[k]?.[state]?.[a] || 0) : baseCount;
+                return sum + Math.max(0, (counts[state]?.[a] || 0) - clientBase);
+            }, baseCount);
+        });
+    });
+
+    return result;
+};
+
+/**
+ * Aggregate tabular world models (Dyna agents) across clients
+ * Formula: per (s,a) and s', n_global = n_base + Σ_k max(0, n_k - b_k),
+ *          rewardSum likewise for clients that added visits
+ * 
+ * Same baseline scheme as aggregateVisitCounts: each client's model includes
+ * the global model it last received, so only new experience is added and
+ * repeated rounds never double count. The result pools every client's transitions.
+ * 
+ * @param {Object[]} worldModels - Models from clients
+ *   ({ [state]: { [action]: { count, rewardSum, next: { [nextState]: count } } } })
+ * @param {Object} baseline - Global model from the previous round (default: none)
+ * @param {Object[]} clientBaselines - Models each client last received (default: `baseline` for all)
+ * @returns {Object} Aggregated world model
+ * @pure
+ */
+export const aggregateWorldModels = (worldModels, baseline = {}, clientBaselines = null) => {
+    const result = {};
+    const emptyEntry = { count: 0, rewardSum: 0, next: {} };
+
+    const allStates = new Set(Object.keys(baseline));
+    worldModels.forEach(model => Object.keys(model).forEach(state => allStates.add(state)));
+
+    allStates.forEach(state => {
+        const allActions = new Set(Object.keys(baseline[state] || {}));
+        worldModels.forEach(model => Object.keys(model[state] || {}).forEach(a => allActions.add(a)));
+
+        result[state] = {};
+        allActions.forEach(action => {
+            const base = baseline[state]?.[action] || emptyEntry;
+            const entry = { count: base.count, rewardSum: base.rewardSum, next: { ...base.next } };
+
+            worldModels.forEach((model, k) => {
+                const local = model[state]?.[action];
+                const clientBase = clientBaselines
+                    ? (clientBaselines[k]?.[state]?.[action] || emptyEntry)
+                    : base;
+                if (!local || local.count <= clientBase.count) return;
+                entry.count += local.count - clientBase.count;
+                entry.rewardSum += local.rewardSum - clientBase.rewardSum;
+                Object.entries(local.next).forEach(([nextState, n]) => {
+                    const added = Math.max(0, n - (clientBase.next[nextState] || 0));
+                    if (added > 0) entry.next[nextState] = (entry.next[nextState] || 0) + added;
+                });
+            });
+
+            result[state][action] = entry;
+        });
+    });
+
+    return result;
+};
+
+// ============================================================================
+// ROBUST AGGREGATION
+// ============================================================================
+
+/**
+ * Entry keys and lengths over all models (missing entries count as 0, as in federatedAverage)
+ * @private
+ */
+const entryShapes = (models) => {
+    const shapes = new Map();
+    models.forEach(model => Object.entries(model).forEach(([key, values]) => {
+        shapes.set(key, Math.max(shapes.get(key) || 0, values.length));
+    }));
+    return shapes;
+};
+
+/**
+ * Combine every entry's per-client values with `reduce` (values[k] from client k)
+ * @private
+ */
+const combineEntries = (models, reduce) => {
+    const result = {};
+    entryShapes(models).forEach((length, key) => {
+        result[key] = Array.from({ length }, (_, i) => reduce(models.map(model => model[key]?.[i] || 0)));
+    });
+    return result;
+};
+
+/**
+ * Squared L2 distance between two models
+ * @private
+ */
+const squaredDistance = (a, b) => {
+    let sum = 0;
+    entryShapes([a, b]).forEach((length, key) => {
+        for (let i = 0; i < length; i++) {
+            const d = (a[key]?.[i] || 0) - (b[key]?.[i] || 0);
+            sum += d * d;
+        }
+    });
+    return sum;
+};
+
+/**
+ * Coordinate-wise median
+ * Formula: θ_global[j] = median_k θ_k[j]
+ * 
+ * Tolerates up to half of the clients sending arbitrary values: each entry
+ * stays between honest clients' values.
+ * 
+ * @param {Object[]} models - Models from clients
+ * @returns {Object} Aggregated model
+ * @pure
+ */
+export const coordinateMedian = (models) => {
+    if (!models || models.length === 0) {
+        throw new Error('No models to aggregate');
+    }
+    return combineEntries(models, (values) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    });
+};
+
+/**
+ * Coordinate-wise β-trimmed mean
+ * Formula: θ_global[j] = mean of θ_k[j] without the ⌊β·n⌋ smallest and largest
+ * 
+ * Tolerates up to ⌊β·n⌋ malicious clients while averaging the rest.
+ * 
+ * @param {Object[]} models - Models from clients
+ * @param {number} beta - Fraction trimmed at each end, in [0, 0.5) (default: 0.1)
+ * @returns {Object} Aggregated model
+ * @pure
+ */
+export const trimmedMean = (models, beta = 0.1) => {
+    if (!models || models.length === 0) {
+        throw new Error('No models to aggregate');
+    }
+    if (!(beta >= 0 && beta < 0.5)) {
+        throw new Error(`Trim fraction must be in [0, 0.5), got ${beta}`);
+    }
+    const trim = Math.floor(beta * models.length);
+    return combineEntries(models, (values) => {
+        const kept = [...values].sort((a, b) => a - b).slice(trim, values.length - trim);
+        return kept.reduce((a, b) => a + b, 0) / kept.length;
+    });
+};
+
+/**
+ * Krum / Multi-Krum
+ * Formula: score(k) = Σ ||θ_k - θ_j||² over the n - f - 2 nearest other clients;
+ *          Krum returns the lowest-scoring model, Multi-Krum averages the m lowest
+ * 
+ * Outliers sit far from everyone else and score high, so up to f malicious
+ * clients are never selected as long as n > 2f + 2 (with fewer clients at
+ * least one neighbour is still used). Costs O(n²) model distances.
+ * 
+ * @param {Object[]} models - Models from clients
+ * @param {Object} options
+ * @param {number} options.f - Assumed number of malicious clients (default: 1)
+ * @param {number} options.m - Models averaged (default: 1, i.e. Krum)
+ * @returns {Object} Aggregated model
+ * @pure
+ */
+export const krum = (models, options = {}) => {
+    const { f = 1, m = 1 } = options;
+    if (!models || models.length === 0) {
+        throw new Error('No models to aggregate');
+    }
+    if (!Number.isInteger(f) || f < 0) {
+        throw new Error(`f must be a non-negative integer, got ${f}`);
+    }
+    const n = models.length;
+    if (n === 1) return federatedAverage(models);
+
+    const distances = models.map(() => Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            distances[i][j] = distances[j][i] = squaredDistance(models[i], models[j]);
+        }
+    }
+
+    const neighbours = Math.max(1, n - f - 2);
+    const scores = distances.map((row, i) => row
+        .filter((_, j) => j !== i)
+        .sort((a, b) => a - b)
+        .slice(0, neighbours)
+        .reduce((a, b) => a + b, 0));
+
+    const selected = scores
+        .map((score, i) => ({ score, i }))
+        .sort((a, b) => a.score - b.score || a.i - b.i)
+        .slice(0, Math.max(1, Math.min(m, n)))
+        .map(({ i }) => models[i]);
+    return federatedAverage(selected);
+};
+
+/**
+ * Clip each client's update to an L2 norm bound
+ * Formula: θ_k' = θ_ref + (θ_k - θ_ref) · min(1, C / ||θ_k - θ_ref||)
+ * 
+ * Bounds how far any single client can move the global model in a round;
+ * average the result (or pass it to another aggregator). Entries the
+ * reference doesn't hold (all of them against an empty first-round
+ * reference), or holds at another length, are measured from 0, so injected
+ * states count towards the norm like any other update.
+ * 
+ * @param {Object[]} models - Models from clients
+ * @param {Object} reference - Model the updates are measured from (e.g. last global model)
+ * @param {number} maxNorm - Norm bound C
+ * @returns {Object[]} Clipped models
+ * @pure
+ */
+export const clipUpdates = (models, reference, maxNorm) => {
+    if (!(maxNorm > 0)) {
+        throw new Error(`maxNorm must be positive, got ${maxNorm}`);
+    }
+    return models.map(model => {
+        // [key, client values (missing: 0), reference values (missing or resized: 0)]
+        const entries = [...new Set([...Object.keys(model), ...Object.keys(reference)])].map(key => {
+            const length = (model[key] || reference[key]).length;
+            const base = reference[key]?.length === length ? reference[key] : new Array(length).fill(0);
+            return [key, model[key] || new Array(length).fill(0), base];
+        });
+
+        let squaredNorm = 0;
+        entries.forEach(([, values, base]) => values.forEach((v, i) => {
+            squaredNorm += (v - base[i]) ** 2;
+        }));
+        const norm = Math.sqrt(squaredNorm);
+        const scale = norm > maxNorm ? maxNorm / norm : 1;
+
+        const clipped = {};
+        entries.forEach(([key, values, base]) => {
+            clipped[key] = values.map((v, i) => base[i] + (v - base[i]) * scale);
+        });
+        return clipped;
+    });
+};
+
+// ============================================================================
+// SERVER OPTIMIZERS
+// ============================================================================
+
+/**
+ * Server optimizers applied to the aggregated model
+ *
+ * - none: the aggregate becomes the global model
+ * - fedavgm: server momentum, v ← β₁·v + Δ, θ ← θ + η·v
+ * - fedadam: m ← β₁·m + (1-β₁)·Δ, v ← β₂·v + (1-β₂)·Δ², θ ← θ + η·m / (√v + τ)
+ * - fedyogi: as fedadam with v ← v - (1-β₂)·Δ²·sign(v - Δ²)
+ *
+ * Δ = aggregate - θ is the round's pseudo-gradient (Reddi et al., 2021).
+ */
+export const SERVER_OPTIMIZERS = ['none', 'fedavgm', 'fedadam', 'fedyogi'];
+
+/**
+ * Default server learning rate η per optimizer, used while none is set.
+ * FedAdam / FedYogi step by roughly η per entry whatever the update's size
+ * (m / √v ≈ ±1), so they need a far smaller η than FedAvgM.
+ * @private
+ */
+const DEFAULT_SERVER_LEARNING_RATES = { none: 1, fedavgm: 1, fedadam: 0.1, fedyogi: 0.1 };
+
+/**
+ * Check server optimizer settings
+ * @private
+ */
+const validateServerOptimizer = ({ type, learningRate, beta1, beta2, tau }) => {
+    if (!SERVER_OPTIMIZERS.includes(type)) {
+        throw new Error(`Unknown server optimizer: ${type} (expected one of ${SERVER_OPTIMIZERS.join(', ')})`);
+    }
+    if (learningRate != null && !(learningRate > 0)) {
+        throw new Error(`Server learning rate must be positive, got ${learningRate}`);
+    }
+    if (!(beta1 >= 0 && beta1 < 1) || !(beta2 >= 0 && beta2 < 1)) {
+        throw new Error(`Server betas must be in [0, 1), got ${beta1}, ${beta2}`);
+    }
+    if (!(tau > 0)) {
+        throw new Error(`Server tau must be positive, got ${tau}`);
+    }
+};
+
+/**
+ * Create a server optimizer holding the global model between rounds
+ *
+ * The first round (and any entry the server hasn't seen yet, or whose length
+ * changed) adopts the aggregate as is; later rounds move the held model
+ * along the pseudo-gradient. Entries missing from an aggregate keep their
+ * value.
+ *
+ * @example
+ * const optimizer = createServerOptimizer({ type: 'fedadam', learningRate: 0.1 });
+ * const globalModel = optimizer.step(federatedAverage(models));
+ *
+ * @param {Object} config
+ * @param {string} config.type - One of SERVER_OPTIMIZERS (default: 'none')
+ * @param {number} config.learningRate - Server learning rate η (default: 1 for fedavgm, 0.1 for fedadam / fedyogi)
+ * @param {number} config.beta1 - Momentum β₁ (default: 0.9)
+ * @param {number} config.beta2 - Second-moment decay β₂ (default: 0.99)
+ * @param {number} config.tau - Adaptivity τ, keeps √v + τ away from 0 (default: 1e-3)
+ * @returns {Object} Server optimizer
+ */
+export const createServerOptimizer = (config = {}) => {
+    const params = {
+        type: 'none',
+        learningRate: null,
+        beta1: 0.9,
+        beta2: 0.99,
+        tau: 1e-3,
+        ...config
+    };
+    validateServerOptimizer(params);
+
+    let model = {};
+    let firstMoment = {};
+    let secondMoment = {};
+
+    // An unset η follows the type, so switching to fedadam doesn't keep fedavgm's
+    const rate = () => params.learningRate ?? DEFAULT_SERVER_LEARNING_RATES[params.type];
+
+    return {
+        /**
+         * Apply one round's aggregate
+         * @param {Object} aggregate - Aggregated client models
+         * @returns {Object} New global model
+         */
+        step: (aggregate) => {
+            if (params.type === 'none') return aggregate;
+
+            const { type, beta1, beta2, tau } = params;
+            const learningRate = rate();
+            const next = { ...model };
+            Object.entries(aggregate).forEach(([key, target]) => {
+                const current = model[key];
+                if (!current || current.length !== target.length) {
+                    next[key] = [...target];
+                    firstMoment[key] = target.map(() => 0);
+                    secondMoment[key] = target.map(() => 0);
+                    return;
+                }
+
+                const m = firstMoment[key];
+                const v = secondMoment[key];
+                next[key] = current.map((theta, i) => {
+                    const delta = target[i] - theta;
+                    if (type === 'fedavgm') {
+                        m[i] = beta1 * m[i] + delta;
+                        return theta + learningRate * m[i];
+                    }
+                    m[i] = beta1 * m[i] + (1 - beta1) * delta;
+                    const squared = delta * delta;
+                    v[i] = type === 'fedyogi'
+                        ? v[i] - (1 - beta2) * squared * Math.sign(v[i] - squared)
+                        : beta2 * v[i] + (1 - beta2) * squared;
+                    return theta + learningRate * m[i] / (Math.sqrt(v[i]) + tau);
+                });
+            });
+            model = next;
+            return JSON.parse(JSON.stringify(model));
+        },
+
+        /**
+         * Change settings between rounds (switching type restarts the moments)
+         * @param {Object} changes - Any of type, learningRate (null: the type's default), beta1, beta2, tau
+         */
+        setParams: (changes) => {
+            const updated = { ...params, ...changes };
+            validateServerOptimizer(updated);
+            if (updated.type !== params.type) {
+                firstMoment = {};
+                secondMoment = {};
+                model = {};
+            }
+            Object.assign(params, updated);
+        },
+
+        /**
+         * Get current settings
+         * @returns {Object} { type, learningRate, beta1, beta2, tau } with the η in effect
+         */
+        getParams: () => ({ ...params, learningRate: rate() }),
+
+        /**
+         * Forget the held model and moments
+         */
+        reset: () => {
+            model = {};
+            firstMoment = {};
+            secondMoment = {};
+        }
+    };
+};
+
+// ============================================================================
+// CLIENT SAMPLING
+// ============================================================================
+
+/**
+ * Per-round client selection strategies
+ *
+ * - all: every client participates
+ * - uniform: a random fraction of the clients
+ * - stratified: a random fraction of each stratum (e.g. environment variant)
+ * - power-of-choice: the highest-loss clients among random candidates (Cho et al., 2020)
+ * - round-robin: consecutive blocks of clients in turn
+ */
+export const CLIENT_SAMPLERS = ['all', 'uniform', 'stratified', 'power-of-choice', 'round-robin'];
+
+/**
+ * Draw k of the given indices without replacement (partial Fisher-Yates)
+ * @private
+ */
+const sampleIndices = (indices, k, random) => {
+    const pool = [...indices];
+    for (let i = 0; i < k; i++) {
+        const j = i + Math.floor(random() * (pool.length - i));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, k);
+};
+
+/**
+ * Select the clients that take part in a round
+ *
+ * Every strategy but 'all' picks max(1, round(fraction · n)) clients
+ * (stratified: per stratum).
+ *
+ * @example
+ * selectClients(10, { strategy: 'round-robin', fraction: 0.3, round: 1 }); // [3, 4, 5]
+ *
+ * @param {number} numClients - Number of clients n
+ * @param {Object} options
+ * @param {string} options.strategy - One of CLIENT_SAMPLERS (default: 'all')
+ * @param {number} options.fraction - Participating fraction, in (0, 1] (default: 1)
+ * @param {number} options.round - Round index, for round-robin (default: 0)
+ * @param {Function} options.random - Random function (default: Math.random)
+ * @param {Array} options.strata - Stratified: stratum label per client (default: one stratum)
+ * @param {number[]} options.losses - Power-of-choice: loss per client
+ * @param {number} options.candidates - Power-of-choice: candidates drawn d (default: 2k, at most n)
+ * @returns {number[]} Selected client indices, ascending
+ */
+export const selectClients = (numClients, options = {}) => {
+    const {
+        strategy = 'all',
+        fraction = 1,
+        round = 0,
+        random = Math.random,
+        strata = null,
+        losses = null,
+        candidates = null
+    } = options;
+
+    if (!CLIENT_SAMPLERS.includes(strategy)) {
+        throw new Error(`Unknown client sampler: ${strategy} (expected one of ${CLIENT_SAMPLERS.join(', ')})`);
+    }
+    if (!(fraction > 0 && fraction <= 1)) {
+        throw new Error(`Participation fraction must be in (0, 1], got ${fraction}`);
+    }
+
+    const all = Array.from({ length: numClients }, (_, i) => i);
+    const sampleSize = (n) => Math.min(n, Math.max(1, Math.round(fraction * n)));
+    const k = sampleSize(numClients);
+    let selected;
+
+    switch (strategy) {
+        case 'uniform':
+            selected = sampleIndices(all, k, random);
+            break;
+        case 'stratified': {
+            const groups = new Map();
+            all.forEach(i => {
+                const label = strata ? strata[i] : 0;
+                if (!groups.has(label)) groups.set(label, []);
+                groups.get(label).push(i);
+            });
+            selected = [...groups.values()].flatMap(group => sampleIndices(group, sampleSize(group.length), random));
+            break;
+        }
+        case 'power-of-choice': {
+            if (!losses || losses.length !== numClients) {
+                throw new Error('Power-of-choice sampling needs a loss per client');
+            }
+            const d = Math.min(numClients, Math.max(k, candidates ?? 2 * k));
+            selected = sampleIndices(all, d, random)
+                .sort((a, b) => losses[b] - losses[a] || a - b)
+                .slice(0, k);
+            break;
+        }
+        case 'round-robin': {
+            const start = (round * k) % Math.max(1, numClients);
+            selected = Array.from({ length: k }, (_, i) => (start + i) % numClients);
+            break;
+        }
+        default:
+            selected = all;
+    }
+    return selected.sort((a, b) => a - b);
+};
+
 // ============================================================================
 // MODEL SERIALIZATION
 // ============================================================================
@@ -247,6 +850,24 @@ export const shouldFederateByPerformance = (recentRewards, windowSize = 10, thre
 // FEDERATED SYSTEM MANAGER
 // ============================================================================
 
+/**
+ * Aggregation algorithms of createFederatedManager
+ * - fedavg:  clients train freely between rounds
+ * - fedprox: same averaging, but clients get the proximal term
+ *   (μ/2)·||θ - θ_global||² through agent.setProximalTerm(globalModel, μ),
+ *   which keeps heterogeneous clients from drifting apart
+ * - visit-weighted: federatedAverageByVisits on the visits each client made since the
+ *   last round (getVisitCounts() minus the global counts it received;
+ *   FedAvg for agents that don't count visits)
+ * - median, trimmed-mean, krum, multi-krum: Byzantine-robust aggregation
+ * - norm-clipping: FedAvg of updates clipped to clipNorm around the last global model
+ *   (entries it doesn't hold yet, e.g. everything in the first round, around 0)
+ */
+export const AGGREGATORS = [
+    'fedavg', 'fedprox', 'visit-weighted',
+    'median', 'trimmed-mean', 'krum', 'multi-krum', 'norm-clipping'
+];
+
 /**
  * Create a federated system manager
  * 
@@ -254,19 +875,166 @@ export const shouldFederateByPerformance = (recentRewards, windowSize = 10, thre
  * @param {number} config.federationInterval - Episodes between federations
  * @param {boolean} config.autoFederate - Enable auto-federation
  * @param {string} config.strategy - Federation strategy ('episodes'|'performance')
+ * @param {boolean} config.shareWorldModels - Also aggregate Dyna world models (default: false)
+ * @param {string} config.aggregator - One of AGGREGATORS (default: 'fedavg')
+ * @param {number} config.mu - FedProx proximal coefficient μ (default: 0.01)
+ * @param {number|Function} config.prior - Visit-weighted: value of unvisited entries (default: 0)
+ * @param {number} config.priorWeight - Visit-weighted: pseudo-count of the prior (default: 0)
+ * @param {number} config.trimFraction - Trimmed mean: fraction β cut at each end (default: 0.1)
+ * @param {number} config.byzantineClients - Krum: assumed malicious clients f (default: 1)
+ * @param {number} config.krumSelect - Multi-Krum: models averaged m (default: n - f)
+ * @param {number} config.clipNorm - Norm clipping: bound on each client's update (default: 10)
+ * @param {string} config.serverOptimizer - One of SERVER_OPTIMIZERS, applied to the aggregate (default: 'none')
+ * @param {number} config.serverLearningRate - Server learning rate η (default: 1 for fedavgm, 0.1 for fedadam / fedyogi)
+ * @param {number} config.serverBeta1 - Server momentum β₁ (default: 0.9)
+ * @param {number} config.serverBeta2 - FedAdam / FedYogi second-moment decay β₂ (default: 0.99)
+ * @param {number} config.serverTau - FedAdam / FedYogi adaptivity τ (default: 1e-3)
+ * @param {string} config.clientSampling - One of CLIENT_SAMPLERS (default: 'all')
+ * @param {number} config.participationFraction - Fraction of clients per round (default: 1)
+ * @param {number} config.samplingCandidates - Power-of-choice: candidates per round (default: 2k)
+ * @param {Function} config.clientStrata - Stratified: (client, index) => stratum label (default: one stratum)
+ * @param {Function} config.clientLoss - Power-of-choice: (client) => loss
+ *   (default: negative reward per episode, so struggling clients are preferred)
+ * @param {number|string} config.seed - Seed for client sampling (default: null, Math.random)
  * @returns {Object} Federated system manager
  */
 export const createFederatedManager = (config = {}) => {
     const {
         federationInterval = 100,
         autoFederate = false,
-        strategy = 'episodes'
+        strategy = 'episodes',
+        shareWorldModels = false,
+        aggregator = 'fedavg',
+        mu = 0.01,
+        prior = 0,
+        priorWeight = 0,
+        trimFraction = 0.1,
+        byzantineClients = 1,
+        krumSelect = null,
+        clipNorm = 10,
+        serverOptimizer = 'none',
+        serverLearningRate = null,
+        serverBeta1 = 0.9,
+        serverBeta2 = 0.99,
+        serverTau = 1e-3,
+        clientSampling = 'all',
+        participationFraction = 1,
+        samplingCandidates = null,
+        clientStrata = null,
+        clientLoss = null,
+        seed = null
     } = config;
 
+    if (!AGGREGATORS.includes(aggregator)) {
+        throw new Error(`Unknown aggregator: ${aggregator} (expected one of ${AGGREGATORS.join(', ')})`);
+    }
+    if (!(mu >= 0)) {
+        throw new Error(`mu must be non-negative, got ${mu}`);
+    }
+    if (!(priorWeight >= 0)) {
+        throw new Error(`priorWeight must be non-negative, got ${priorWeight}`);
+    }
+    if (!(trimFraction >= 0 && trimFraction < 0.5)) {
+        throw new Error(`trimFraction must be in [0, 0.5), got ${trimFraction}`);
+    }
+    if (!Number.isInteger(byzantineClients) || byzantineClients < 0) {
+        throw new Error(`byzantineClients must be a non-negative integer, got ${byzantineClients}`);
+    }
+    if (!CLIENT_SAMPLERS.includes(clientSampling)) {
+        throw new Error(`Unknown client sampler: ${clientSampling} (expected one of ${CLIENT_SAMPLERS.join(', ')})`);
+    }
+    if (!(participationFraction > 0 && participationFraction <= 1)) {
+        throw new Error(`participationFraction must be in (0, 1], got ${participationFraction}`);
+    }
+    if (krumSelect !== null && !(Number.isInteger(krumSelect) && krumSelect >= 1)) {
+        throw new Error(`krumSelect must be a positive integer, got ${krumSelect}`);
+    }
+    if (!(clipNorm > 0)) {
+        throw new Error(`clipNorm must be positive, got ${clipNorm}`);
+    }
+
+    const optimizerConfig = {
+        type: serverOptimizer,
+        learningRate: serverLearningRate,
+        beta1: serverBeta1,
+        beta2: serverBeta2,
+        tau: serverTau
+    };
+    const optimizer = createServerOptimizer(optimizerConfig);
+    // Policy-gradient critics move separately from the model they're federated with
+    const criticOptimizer = createServerOptimizer(optimizerConfig);
+
+    let samplingRandom = createRandomStreams(seed).stream('sampling');
+    let participationHistory = [];
+
     let federationRound = 0;
     let lastFederationEpisode = 0;
     let autoEnabled = autoFederate;
     let rewardHistory = [];
+    let globalVisits = {};
+    let globalWorldModel = {};
+    let lastGlobalModel = {};
+    let lastGlobalCritic = {};
+    let warnedNoCounts = false;
+    let warnedNoProximal = false;
+    // Visit counts and world model last pushed to each client (by id): under partial
+    // participation clients come back with baselines from different rounds
+    let clientVisits = new Map();
+    let clientWorldModels = new Map();
+
+    const clientKey = (client, allClients) => client.id ?? allClients.indexOf(client);
+
+    // This round's participants (unselected clients are left untouched)
+    const sampleClients = (clients) => {
+        if (clientSampling === 'all') return clients;
+        const defaultLoss = (c) => -c.getMetrics().totalReward / Math.max(1, c.getMetrics().episodeCount);
+        const indices = selectClients(clients.length, {
+            strategy: clientSampling,
+            fraction: participationFraction,
+            round: federationRound,
+            random: samplingRandom,
+            strata: clientSampling === 'stratified' && clientStrata ? clients.map(clientStrata) : null,
+            losses: clientSampling === 'power-of-choice' ? clients.map(clientLoss ?? defaultLoss) : null,
+            candidates: samplingCandidates
+        });
+        return indices.map(i => clients[i]);
+    };
+
+    // Robust aggregation of client models or critics; `reference` is the last global one
+    const combine = (models, reference) => {
+        switch (aggregator) {
+            case 'median':
+                return coordinateMedian(models);
+            case 'trimmed-mean':
+                return trimmedMean(models, trimFraction);
+            case 'krum':
+                return krum(models, { f: byzantineClients });
+            case 'multi-krum':
+                return krum(models, { f: byzantineClients, m: krumSelect ?? models.length - byzantineClients });
+            case 'norm-clipping':
+                return federatedAverage(clipUpdates(models, reference, clipNorm));
+            default:
+                return federatedAverage(models);
+        }
+    };
+
+    // Global model from the clients' models (before any shared state is overwritten)
+    const aggregate = (clients, keys) => {
+        const models = clients.map(c => c.getAgent().getModel());
+        if (aggregator !== 'visit-weighted') return combine(models, lastGlobalModel);
+
+        if (clients.every(c => typeof c.getAgent().getVisitCounts === 'function')) {
+            // Weight by the updates since the client's last sync, not the global counts it received
+            const counts = clients.map((c, k) =>
+                localVisits(c.getAgent().getVisitCounts(), clientVisits.get(keys[k]) || {}));
+            return federatedAverageByVisits(models, counts, { prior, priorWeight });
+        }
+        if (!warnedNoCounts) {
+            warnedNoCounts = true;
+            console.warn('⚠️ Visit-weighted aggregation needs agents with getVisitCounts(); using FedAvg');
+        }
+        return federatedAverage(models);
+    };
 
     return {
         /**
@@ -293,19 +1061,69 @@ export const createFederatedManager = (config = {}) => {
         },
 
         /**
-         * Perform federation
-         * @param {Object[]} clients - Array of clients with getAgent() method
+         * Perform federation with this round's sampled clients
+         * @param {Object[]} allClients - Array of clients with getAgent() method
          * @returns {Object} Global model
          */
-        federate: (clients) => {
-            const models = clients.map(c => c.getAgent().getModel());
-            const globalModel = federatedAverage(models);
+        federate: (allClients) => {
+            const clients = sampleClients(allClients);
+            const keys = clients.map(c => clientKey(c, allClients));
+            const globalModel = optimizer.step(aggregate(clients, keys));
+            lastGlobalModel = globalModel;
             
             clients.forEach(c => c.getAgent().setModel(globalModel));
+
+            // FedProx: local training is anchored to this round's global model
+            if (aggregator === 'fedprox') {
+                if (!warnedNoProximal && clients.some(c => typeof c.getAgent().setProximalTerm !== 'function')) {
+                    warnedNoProximal = true;
+                    console.warn('⚠️ FedProx needs agents with setProximalTerm(); the others train as under FedAvg');
+                }
+                clients.forEach(c => c.getAgent().setProximalTerm?.(globalModel, mu));
+            }
+
+            // Policy-gradient agents federate their preferences as the model; the critics go
+            // through the same robust aggregator and server optimizer (visit counts cover the
+            // model only, so visit-weighted averages critics with FedAvg)
+            if (clients.every(c => typeof c.getAgent().getCritic === 'function')) {
+                const globalCritic = criticOptimizer.step(
+                    combine(clients.map(c => c.getAgent().getCritic()), lastGlobalCritic));
+                lastGlobalCritic = globalCritic;
+                clients.forEach(c => c.getAgent().setCritic(globalCritic));
+            }
+
+            // Share exploration counts too when agents track them
+            if (clients.every(c => typeof c.getAgent().getVisitCounts === 'function')) {
+                globalVisits = aggregateVisitCounts(
+                    clients.map(c => c.getAgent().getVisitCounts()),
+                    globalVisits,
+                    keys.map(key => clientVisits.get(key) || {})
+                );
+                clients.forEach(c => c.getAgent().setVisitCounts(globalVisits));
+                keys.forEach(key => clientVisits.set(key, globalVisits));
+            }
+
+            if (shareWorldModels && clients.every(c => typeof c.getAgent().getWorldModel === 'function')) {
+                globalWorldModel = aggregateWorldModels(
+                    clients.map(c => c.getAgent().getWorldModel()),
+                    globalWorldModel,
+                    keys.map(key => clientWorldModels.get(key) || {})
+                );
+                clients.forEach(c => c.getAgent().setWorldModel(globalWorldModel));
+                keys.forEach(key => clientWorldModels.set(key, globalWorldModel));
+            }
             
             federationRound++;
-            lastFederationEpisode = clients.reduce((sum, c) => 
-                sum + c.getMetrics().episodeCount, 0) / clients.length;
+            lastFederationEpisode = allClients.reduce((sum, c) => 
+                sum + c.getMetrics().episodeCount, 0) / allClients.length;
+
+            participationHistory.push({
+                round: federationRound,
+                clients: keys
+            });
+            if (participationHistory.length > 1000) {
+                participationHistory.shift();
+            }
 
             return globalModel;
         },
@@ -324,6 +1142,49 @@ export const createFederatedManager = (config = {}) => {
          */
         getRound: () => federationRound,
 
+        /**
+         * Get aggregation settings
+         * @returns {Object} Aggregator name and its parameters
+         */
+        getAggregator: () => ({
+            aggregator, mu, prior, priorWeight, trimFraction, byzantineClients, krumSelect, clipNorm
+        }),
+
+        /**
+         * Get server optimizer settings
+         * @returns {Object} { type, learningRate, beta1, beta2, tau } with the η in effect
+         */
+        getServerOptimizer: () => optimizer.getParams(),
+
+        /**
+         * Tune the server optimizer between rounds (e.g. from live controls)
+         * @param {Object} changes - Any of type, learningRate, beta1, beta2, tau
+         */
+        setServerOptimizer: (changes) => {
+            optimizer.setParams(changes);
+            criticOptimizer.setParams(changes);
+        },
+
+        /**
+         * Get which clients took part in each round (last 1000 rounds)
+         * @returns {Object[]} [{ round, clients: [client ids] }]
+         */
+        getParticipationHistory: () => participationHistory.map(({ round, clients }) => ({
+            round, clients: [...clients]
+        })),
+
+        /**
+         * Get global visit counts from the last federation
+         * @returns {Object} Visit counts keyed by state
+         */
+        getVisitCounts: () => JSON.parse(JSON.stringify(globalVisits)),
+
+        /**
+         * Get global world model from the last federation (empty unless shareWorldModels)
+         * @returns {Object} World model keyed by state
+         */
+        getWorldModel: () => JSON.parse(JSON.stringify(globalWorldModel)),
+
         /**
          * Reset federation state
          */
@@ -331,6 +1192,16 @@ export const createFederatedManager = (config = {}) => {
             federationRound = 0;
             lastFederationEpisode = 0;
             rewardHistory = [];
+            globalVisits = {};
+            globalWorldModel = {};
+            lastGlobalModel = {};
+            lastGlobalCritic = {};
+            optimizer.reset();
+            criticOptimizer.reset();
+            samplingRandom = createRandomStreams(seed).stream('sampling');
+            participationHistory = [];
+            clientVisits = new Map();
+            clientWorldModels = new Map();
         },
 
         /**
@@ -350,10 +1221,22 @@ export const createFederatedManager = (config = {}) => {
 export default {
     federatedAverage,
     federatedAverageWeighted,
+    federatedAverageByVisits,
+    coordinateMedian,
+    trimmedMean,
+    krum,
+    clipUpdates,
+    createServerOptimizer,
+    selectClients,
+    aggregateVisitCounts,
+    aggregateWorldModels,
     computeModelDelta,
     serializeModel,
     deserializeModel,
     shouldFederateByEpisodes,
     shouldFederateByPerformance,
+    AGGREGATORS,
+    SERVER_OPTIMIZERS,
+    CLIENT_SAMPLERS,
     createFederatedManager
 };
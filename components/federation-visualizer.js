@@ -4,7 +4,7 @@
  * Provides pure delta analytics + rendering hooks for training dashboard.
  */
 
-import { createLineChart, createBarChart, createMetricsPanel } from './visualization-core.js';
+import { createLineChart, createBarChart, createHeatmap, createMetricsPanel } from './visualization-core.js';
 
 /**
  * Compute per-client deltas (pure).
@@ -36,6 +36,25 @@ export const computeClientDeltas = (globalModel, clientModels) => {
     });
 };
 
+/**
+ * Participation matrix over the last rounds (pure).
+ * Remark (ASCII): cell[k][r] = 1 if client k took part in round r, else 0
+ * @param {Object[]} history - [{ round, clients: [client ids] }] from getParticipationHistory()
+ * @param {number} numClients
+ * @param {number} maxRounds - Most recent rounds shown (default: 20)
+ * @returns {{ matrix: number[][], rowLabels: string[], colLabels: string[] }}
+ */
+export const computeParticipationMatrix = (history, numClients, maxRounds = 20) => {
+    const recent = history.slice(-maxRounds);
+    return {
+        matrix: Array.from({ length: numClients }, (_, k) => (
+            recent.map(({ clients }) => (clients.includes(k) ? 1 : 0))
+        )),
+        rowLabels: Array.from({ length: numClients }, (_, k) => `C${k}`),
+        colLabels: recent.map(({ round }) => `R${round}`)
+    };
+};
+
 /**
  * Create federation panel.
  */
@@ -58,6 +77,9 @@ export const createFederationPanel = (container) => {
         <div>
             <div id="federation-metrics"></div>
         </div>
+        <div style="grid-column:1/-1;">
+            <canvas id="client-participation" style="width:100%; height:160px;"></canvas>
+        </div>
     `;
 
     container.appendChild(layout);
@@ -72,28 +94,40 @@ export const createFederationPanel = (container) => {
     const metricsPanel = createMetricsPanel(layout.querySelector('#federation-metrics'), {
         statesChanged: { label: 'States Changed', format: (v) => v },
         relativeDelta: { label: 'Δ_rel', format: (v) => v.toFixed(4) },
-        converged: { label: 'Converged', format: (v) => v ? '✅' : '—' }
+        converged: { label: 'Converged', format: (v) => v ? '✅' : '—' },
+        participants: { label: 'Participants', format: (v) => v }
+    });
+    // Green from the midpoint up: a matrix of only 1s (full participation) normalizes to 0.5
+    const participationHeatmap = createHeatmap(layout.querySelector('#client-participation'), {
+        scale: ['#1f2937', '#22c55e', '#22c55e']
     });
 
     const deltaHistory = [];
 
     return {
         update: (event) => {
-            const { round, delta, perClientDeltas = [] } = event;
+            const { round, delta, perClientDeltas = [], participation = [] } = event;
             deltaHistory.push(delta.avgDelta ?? 0);
             roundChart.update(deltaHistory);
             clientDeltaChart.update(perClientDeltas, perClientDeltas.map((_, i) => `C${i}`));
+            const lastRound = participation[participation.length - 1];
             metricsPanel.update({
                 statesChanged: delta.statesChanged,
                 relativeDelta: delta.relativeDelta,
-                converged: delta.converged
+                converged: delta.converged,
+                participants: lastRound ? `${lastRound.clients.length}/${perClientDeltas.length}` : '—'
             });
+            if (participation.length) {
+                const { matrix, rowLabels, colLabels } = computeParticipationMatrix(participation, perClientDeltas.length);
+                participationHeatmap.update(matrix, rowLabels, colLabels);
+            }
         }
     };
 };
 
 export default {
     computeClientDeltas,
+    computeParticipationMatrix,
     createFederationPanel
 };
 
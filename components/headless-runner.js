@@ -0,0 +1,635 @@
+/**
+ * HEADLESS-RUNNER.JS - DOM-free Federated Training
+ *
+ * Trains createFederatedApp environments without a browser: the same
+ * `environment` definition and RL/federation options, N clients stepped in
+ * lockstep as fast as the event loop allows, the same onClientInit /
+ * onEpisodeEnd / onFederation hooks, and the metrics and global model at the end.
+ *
+ * createFederatedApp builds and steps its clients with the helpers below
+ * (createTrainingContext, createTrainingClient, stepClient, federateClients),
+ * so with the same config and seed a headless run replays a browser run.
+ * With `execution: { backend: 'workers', module }` the clients train in
+ * worker threads instead (see worker-backend.js).
+ *
+ * @module headless-runner
+ * @version 1.0.0
+ */
+
+import { createAgent, createStateSpace, AGENT_TYPES, CONTINUOUS_AGENT_TYPES } from './rl-core.js';
+import { createActionSpace, toEnvironmentAction } from './action-core.js';
+import { createRandomStreams } from './random-core.js';
+import { createFederatedManager, federatedAverage, aggregateWorldModels, computeModelDelta } from './federated-core.js';
+import { createWorkerBackend } from './worker-backend.js';
+
+// ============================================================================
+// TRAINING CONTEXT (shared with createFederatedApp)
+// ============================================================================
+
+/**
+ * Validate an app config's environment and resolve everything clients need
+ *
+ * Holds the RL parameter defaults of createFederatedApp; the state and action
+ * spaces are validated once here, so keys and actions can't drift between
+ * training and evaluation.
+ *
+ * @param {Object} config - createFederatedApp-style config (environment, agentType, RL parameters)
+ * @returns {Object} { environment, agentType, agentOptions, actionSpace, stateSpace, getState, createClientAgent, createFrozenAgent }
+ */
+export const createTrainingContext = (config) => {
+    const {
+        agentType = 'q-learning',  // Key of AGENT_TYPES or a factory (config) => agent
+        alpha = 0.1,
+        gamma = 0.95,
+        epsilon = 0.2,
+        epsilonDecay = 0.995,
+        minEpsilon = 0.001,
+        lambda = 0.9,              // Trace decay for 'q-lambda' / 'sarsa-lambda'
+        traceType = 'replacing',   // 'replacing' | 'accumulating'
+        nStep = 1,                 // n-step returns for 'q-learning' / 'sarsa' / 'expected-sarsa'
+        firstVisit = true,         // 'monte-carlo': first-visit (true) or every-visit returns
+        offPolicy = false,         // 'monte-carlo': weighted importance sampling towards the greedy policy
+        criticAlpha = null,        // Critic step size for 'reinforce' / 'actor-critic' (null: alpha)
+        exploration = 'epsilon-greedy', // Key of EXPLORATION_STRATEGIES ('softmax', 'ucb', 'count-bonus')
+        temperature = 1.0,         // Softmax temperature
+        temperatureDecay = 1.0,    // Per-episode temperature decay
+        minTemperature = 0.01,
+        ucbC = Math.SQRT2,         // UCB1 exploration coefficient
+        bonusBeta = 0.1,           // Count-based bonus scale
+        ranges = null,             // [min, max] per state dimension ('linear-q' / 'linear-sarsa' / 'adaptive-q')
+        tilesPerDim = 8,           // Tiles per dimension in each tiling
+        numTilings = 8,            // Number of offset tilings
+        splitVariance = 1,         // 'adaptive-q': TD-error variance that splits a cell (null: off)
+        splitVisits = 200,         // 'adaptive-q': updates that split a cell (null: off)
+        minSplitVisits = 30,       // 'adaptive-q': updates before a variance split
+        maxDepth = 12,             // 'adaptive-q': maximum kd-tree depth
+        stateSize = null,          // DQN input size (default: ranges.length)
+        hiddenLayers = [64, 64],   // DQN hidden layer sizes
+        learningRate = 0.001,      // DQN Adam step size
+        batchSize = 32,            // Replay minibatch (DQN, and tabular agents with replay)
+        replayCapacity = 10000,
+        replay = false,            // Experience replay for 'q-learning' / 'expected-sarsa' / 'double-q'
+        prioritizedReplay = false, // Sample replay by TD error (priorityAlpha / priorityBeta below)
+        priorityAlpha = 0.6,
+        priorityBeta = 0.4,
+        minReplaySize = 500,
+        targetUpdateInterval = 500, // Gradient updates between target network syncs
+        planningSteps = 10,        // Simulated updates per real step ('dyna-q' / 'dyna-q-plus')
+        kappa = null,              // Dyna-Q+ staleness bonus (null: agent default)
+        environment
+    } = config;
+
+    // Validate required fields
+    if (!environment) {
+        throw new Error('environment configuration required');
+    }
+    if (!(environment.actions || environment.actionSpace) || !(environment.getState || environment.stateSpace) ||
+        !environment.step || !environment.reset) {
+        throw new Error('environment must define: actions (or actionSpace), getState (or stateSpace), step, reset');
+    }
+    if (environment.getState && environment.stateSpace) {
+        throw new Error('environment must define either getState or stateSpace, not both');
+    }
+
+    // One state encoder for training and evaluation, so keys can't drift between modes
+    const stateSpace = environment.stateSpace ? createStateSpace(environment.stateSpace) : null;
+    const getState = stateSpace ? stateSpace.encode : environment.getState;
+
+    // Validated once here: discrete agents see multi-discrete spaces as one
+    // flat index; box spaces need a continuous agent
+    const actionSpace = createActionSpace(environment.actionSpace ?? environment.actions);
+    if (typeof agentType === 'string' && AGENT_TYPES[agentType]) {
+        const continuousAgent = CONTINUOUS_AGENT_TYPES.includes(agentType);
+        if (actionSpace.type === 'box' && !continuousAgent) {
+            throw new Error(`Agent type ${agentType} needs a discrete action space; use one of ${CONTINUOUS_AGENT_TYPES.join(', ')} for box actions`);
+        }
+        if (actionSpace.type !== 'box' && continuousAgent) {
+            throw new Error(`Agent type ${agentType} needs a box action space, got ${actionSpace.type}`);
+        }
+    }
+
+    // Agent configuration shared by training clients and frozen inference agents
+    const agentOptions = {
+        alpha,
+        gamma,
+        epsilon,
+        epsilonDecay,
+        minEpsilon,
+        lambda,
+        traceType,
+        nStep,
+        firstVisit,
+        offPolicy,
+        criticAlpha,
+        exploration,
+        temperature,
+        temperatureDecay,
+        minTemperature,
+        ucbC,
+        bonusBeta,
+        ranges,
+        tilesPerDim,
+        numTilings,
+        splitVariance,
+        splitVisits,
+        minSplitVisits,
+        maxDepth,
+        stateSize,
+        hiddenLayers,
+        learningRate,
+        batchSize,
+        replayCapacity,
+        replay,
+        prioritizedReplay,
+        priorityAlpha,
+        priorityBeta,
+        minReplaySize,
+        targetUpdateInterval,
+        planningSteps,
+        kappa,
+        actionSpace,
+        numActions: actionSpace.n
+    };
+
+    return {
+        environment,
+        agentType,
+        agentOptions,
+        actionSpace,
+        stateSpace,
+        getState,
+        createClientAgent: (random) => createAgent(agentType, { ...agentOptions, random }),
+        createFrozenAgent: (frozenConfig) => createAgent(agentType, { ...agentOptions, ...frozenConfig })
+    };
+};
+
+/**
+ * Create a training client: an agent and an environment instance with
+ * their own random streams ('agent' / 'environment', i)
+ *
+ * @param {Object} context - Training context
+ * @param {number} id - Client index
+ * @param {Object} randomStreams - Streams from createRandomStreams(seed)
+ * @returns {Object} Client { id, agent, random, state, metrics, getAgent, getMetrics }
+ */
+export const createTrainingClient = (context, id, randomStreams) => {
+    const agent = context.createClientAgent(randomStreams.stream('agent', id));
+    const random = randomStreams.stream('environment', id);
+
+    const client = {
+        id,
+        agent,
+        random,
+        state: context.environment.reset(id, undefined, random),
+        metrics: {
+            episodeCount: 0,
+            totalReward: 0,
+            stepCount: 0
+        },
+        getAgent: () => agent,
+        getMetrics: () => client.metrics
+    };
+    return client;
+};
+
+/**
+ * Episode summary handed to onEpisodeEnd (counters the environment keeps in its state)
+ * @private
+ */
+const summarizeEpisode = (state) => {
+    const episode = {
+        bounces: state.bounces || 0,
+        catches: state.catches || 0,
+        misses: state.misses || 0,
+        steps: state.steps || 0,
+        finalState: state
+    };
+    episode.success = typeof episode.catches === 'number'
+        ? episode.catches > 0
+        : episode.bounces > 0;
+    return episode;
+};
+
+/**
+ * Step one client: act, learn, and reset the environment when the episode ends
+ * (supports async step functions)
+ *
+ * @param {Object} client - Training client
+ * @param {Object} context - Training context
+ * @returns {Promise<Object|null>} Completed episode summary when `done`, else null
+ */
+export const stepClient = async (client, context) => {
+    const { environment, getState, actionSpace } = context;
+    const stateKey = getState(client.state);
+    const action = client.agent.chooseAction(stateKey);
+
+    // Store action for rendering, as the environment receives it
+    // (decoded multi-discrete tuple, clipped box vector)
+    client.lastAction = toEnvironmentAction(actionSpace, action);
+
+    // Support both sync and async step functions
+    const stepResult = environment.step(client.state, client.lastAction, client.random);
+    const { state: nextState, reward, done } = stepResult instanceof Promise ? await stepResult : stepResult;
+
+    const nextStateKey = getState(nextState);
+    client.agent.learn(stateKey, action, reward, nextStateKey);
+
+    client.state = nextState;
+    client.metrics.totalReward += reward;
+    client.metrics.stepCount++;
+
+    if (!done) return null;
+
+    client.metrics.episodeCount++;
+    client.agent.decayEpsilon();
+    // Flush per-episode agent state (n-step returns, eligibility traces, committed
+    // actions) and let Monte Carlo agents learn from the finished episode
+    client.agent.endEpisode?.();
+
+    // Save episode result before reset
+    const completedEpisode = summarizeEpisode(client.state);
+
+    // Pass old state to reset so cumulative stats can be preserved
+    const oldState = client.state;
+    client.state = environment.reset(client.id, oldState, client.random);
+
+    return completedEpisode;
+};
+
+/**
+ * Federate clients and measure how far the global model moved
+ *
+ * @param {Object} fedManager - Federated manager
+ * @param {Object[]} clients - Training clients
+ * @returns {Object} { globalModel, round, delta, clientModelsBefore, participants (client ids) }
+ */
+export const federateClients = (fedManager, clients) => {
+    // Capture old model before federation
+    const oldModel = clients[0]?.agent?.getModel() || {};
+
+    const clientModelsBefore = clients.map(c => c.agent.getModel());
+    const globalModel = fedManager.federate(clients);
+
+    // Compute model delta (convergence detection)
+    const delta = computeModelDelta(oldModel, globalModel);
+
+    const participants = fedManager.getParticipationHistory().at(-1)?.clients ?? [];
+    return { globalModel, round: fedManager.getRound(), delta, clientModelsBefore, participants };
+};
+
+// ============================================================================
+// HEADLESS RUNNER
+// ============================================================================
+
+/**
+ * Create a headless federated trainer
+ *
+ * Takes the createFederatedApp config (UI, render and dashboard options are
+ * ignored) and steps all clients once per tick, federating whenever the
+ * manager's strategy triggers.
+ *
+ * @example
+ * const runner = createHeadlessRunner({ environment, numClients: 16, seed: 42,
+ *     autoFederate: true, federationInterval: 50 });
+ * const { globalModel, metrics } = await runner.run({ episodes: 500 });
+ *
+ * @param {Object} config - createFederatedApp config
+ * @param {number} config.numClients - Number of clients (default: 4)
+ * @param {number} config.seed - Master seed (null: Math.random)
+ * @param {boolean} config.autoFederate - Federate on the strategy's trigger (default: false)
+ * @param {number} config.federationInterval - Episodes between federations (default: 100)
+ * @param {string} config.federationStrategy - 'episodes' | 'performance' (default: 'episodes')
+ * @param {boolean} config.shareWorldModels - Federate Dyna world models (default: false)
+ * @param {string} config.federationAggregator - One of AGGREGATORS in federated-core.js (default: 'fedavg')
+ * @param {number} config.proximalMu - FedProx proximal coefficient μ (default: 0.01)
+ * @param {number|Function} config.federationPrior - Visit-weighted: value of unvisited entries (default: 0)
+ * @param {number} config.federationPriorWeight - Visit-weighted: pseudo-count of the prior (default: 0)
+ * @param {number} config.trimFraction - Trimmed mean: fraction trimmed at each end (default: 0.1)
+ * @param {number} config.byzantineClients - Krum / Multi-Krum: tolerated malicious clients (default: 1)
+ * @param {number} config.clipNorm - Norm clipping: max L2 norm of a client update (default: 10)
+ * @param {string} config.serverOptimizer - 'none' | 'fedavgm' | 'fedadam' | 'fedyogi' (default: 'none')
+ * @param {number} config.serverLearningRate - Server learning rate η (default: 1 for fedavgm, 0.1 for fedadam / fedyogi)
+ * @param {number} config.serverBeta1 - Server momentum β₁ (default: 0.9)
+ * @param {number} config.serverBeta2 - FedAdam / FedYogi β₂ (default: 0.99)
+ * @param {number} config.serverTau - FedAdam / FedYogi τ (default: 1e-3)
+ * @param {string} config.clientSampling - 'all' | 'uniform' | 'stratified' | 'power-of-choice' | 'round-robin' (default: 'all')
+ * @param {number} config.participationFraction - Fraction of clients federated per round (default: 1)
+ * @param {number} config.samplingCandidates - Power-of-choice: candidates per round (default: 2k)
+ * @param {Function} config.clientStrata - Stratified: (client, index) => stratum label
+ * @param {Function} config.clientLoss - Power-of-choice: (client) => loss (default: negative reward per episode)
+ * @param {Object} config.metrics - Metrics config; its isSuccessful(finalState, { totalReward, steps })
+ *   decides episode success (default: the onEpisodeEnd summary's `success`)
+ * @param {number} config.historySize - Completed episodes kept in metrics.episodes (default: 10000)
+ * @param {Function} config.onClientInit - (client) => void
+ * @param {Function} config.onEpisodeEnd - (client, completedEpisode) => void
+ * @param {Function} config.onFederation - (globalModel, round, delta) => void
+ * @param {Object} config.execution - { backend: 'workers', module, numWorkers, mirrorInterval } trains
+ *   the clients in worker threads built from the environment module (default: null, in-process).
+ *   Clients are then mirrors refreshed every mirrorInterval ticks, which is also when
+ *   auto-federation is checked; call close() when done.
+ * @returns {Object} Runner interface
+ */
+export const createHeadlessRunner = (config) => {
+    const {
+        numClients = 4,
+        seed = null,
+        autoFederate = false,
+        federationInterval = 100,
+        federationStrategy = 'episodes',
+        shareWorldModels = false,
+        federationAggregator = 'fedavg',
+        proximalMu = 0.01,
+        federationPrior = 0,
+        federationPriorWeight = 0,
+        trimFraction = 0.1,
+        byzantineClients = 1,
+        clipNorm = 10,
+        serverOptimizer = 'none',
+        serverLearningRate = null,
+        serverBeta1 = 0.9,
+        serverBeta2 = 0.99,
+        serverTau = 1e-3,
+        clientSampling = 'all',
+        participationFraction = 1,
+        samplingCandidates = null,
+        clientStrata = null,
+        clientLoss = null,
+        metrics = null,
+        historySize = 10000,
+        onClientInit = null,
+        onEpisodeEnd = null,
+        onFederation = null,
+        execution = null
+    } = config;
+
+    if (!Number.isInteger(numClients) || numClients < 1) {
+        throw new Error(`numClients must be a positive integer, got ${numClients}`);
+    }
+
+    const context = createTrainingContext(config);
+    const fedManager = createFederatedManager({
+        federationInterval,
+        autoFederate,
+        strategy: federationStrategy,
+        shareWorldModels,
+        aggregator: federationAggregator,
+        mu: proximalMu,
+        prior: federationPrior,
+        priorWeight: federationPriorWeight,
+        trimFraction,
+        byzantineClients,
+        clipNorm,
+        serverOptimizer,
+        serverLearningRate,
+        serverBeta1,
+        serverBeta2,
+        serverTau,
+        clientSampling,
+        participationFraction,
+        samplingCandidates,
+        clientStrata,
+        clientLoss,
+        seed
+    });
+
+    let backend = null;
+    let clients = [];
+    let episodes = [];
+    let globalModel = {};
+    // Reward and step count at the start of each client's current episode
+    let episodeStart = [];
+
+    const initClients = () => {
+        if (execution?.backend === 'workers') {
+            backend?.terminate();
+            backend = createWorkerBackend({
+                module: execution.module,
+                numClients,
+                seed,
+                options: config,
+                numWorkers: execution.numWorkers,
+                mirrorInterval: execution.mirrorInterval,
+                environment: context.environment
+            });
+            clients = backend.clients;
+            clients.forEach(client => onClientInit?.(client));
+        } else {
+            const randomStreams = createRandomStreams(seed);
+            clients = Array.from({ length: numClients }, (_, i) => {
+                const client = createTrainingClient(context, i, randomStreams);
+                if (onClientInit) {
+                    onClientInit(client);
+                }
+                return client;
+            });
+        }
+        episodes = [];
+        globalModel = {};
+        episodeStart = clients.map(() => ({ reward: 0, steps: 0 }));
+    };
+
+    const federate = async () => {
+        const result = backend ? await backend.federate(fedManager) : federateClients(fedManager, clients);
+        globalModel = result.globalModel;
+        if (onFederation) {
+            onFederation(result.globalModel, result.round, result.delta);
+        }
+        return result;
+    };
+
+    const recordEpisode = (client, completedEpisode) => {
+        const start = episodeStart[client.id];
+        const reward = client.metrics.totalReward - start.reward;
+        const steps = client.metrics.stepCount - start.steps;
+        episodes.push({
+            clientId: client.id,
+            episode: client.metrics.episodeCount,
+            reward,
+            steps,
+            success: metrics?.isSuccessful
+                ? Boolean(metrics.isSuccessful(completedEpisode.finalState, { totalReward: reward, steps }))
+                : completedEpisode.success
+        });
+        if (episodes.length > historySize) {
+            episodes.shift();
+        }
+        episodeStart[client.id] = { reward: client.metrics.totalReward, steps: client.metrics.stepCount };
+    };
+
+    // Dyna agents' pooled world model, returned alongside the global model
+    const worldModel = () => (typeof clients[0].agent.getWorldModel === 'function'
+        ? aggregateWorldModels(clients.map(c => c.agent.getWorldModel()), fedManager.getWorldModel())
+        : null);
+
+    const collectMetrics = (elapsedMs, steps) => {
+        const totalSteps = clients.reduce((sum, c) => sum + c.metrics.stepCount, 0);
+        const totalEpisodes = clients.reduce((sum, c) => sum + c.metrics.episodeCount, 0);
+        const rewards = episodes.map(e => e.reward);
+        return {
+            round: fedManager.getRound(),
+            totalSteps,
+            totalEpisodes,
+            avgEpisodeReward: rewards.length ? rewards.reduce((a, b) => a + b, 0) / rewards.length : 0,
+            successRate: episodes.length ? episodes.filter(e => e.success).length / episodes.length : 0,
+            elapsedMs,
+            stepsPerSecond: elapsedMs > 0 ? Math.round(steps / (elapsedMs / 1000)) : 0,
+            clients: clients.map(c => ({ id: c.id, epsilon: c.agent.getEpsilon(), ...c.metrics })),
+            episodes: [...episodes]
+        };
+    };
+
+    initClients();
+
+    return {
+        /**
+         * Train until a budget runs out (budgets count from this call)
+         * @param {Object} budget - At least one of steps / episodes / rounds
+         * @param {number} budget.steps - Steps per client
+         * @param {number} budget.episodes - Episodes per client; finished clients wait for the others
+         * @param {number} budget.rounds - Federation rounds
+         * @param {boolean} budget.finalFederation - Federate once more at the end (default: true;
+         *   skipped when the rounds budget is already spent)
+         * @returns {Promise<Object>} { globalModel, worldModel, metrics }
+         */
+        run: async (budget = {}) => {
+            const {
+                steps = Infinity,
+                episodes: episodeBudget = Infinity,
+                rounds = Infinity,
+                finalFederation = true
+            } = budget;
+            if (![steps, episodeBudget, rounds].some(Number.isFinite)) {
+                throw new Error('Headless run needs a finite steps, episodes or rounds budget');
+            }
+
+            const startTime = Date.now();
+            const startRound = fedManager.getRound();
+            const startEpisodes = clients.map(c => c.metrics.episodeCount);
+            let ticks = 0;
+            let stepsTaken = 0;
+
+            const active = (client) => client.metrics.episodeCount - startEpisodes[client.id] < episodeBudget;
+
+            const onCompleted = (client, completedEpisode) => {
+                recordEpisode(client, completedEpisode);
+                if (onEpisodeEnd) {
+                    onEpisodeEnd(client, completedEpisode);
+                }
+            };
+
+            while (ticks < steps && fedManager.getRound() - startRound < rounds && clients.some(active)) {
+                if (backend) {
+                    // One batch of up to mirrorInterval ticks in every worker
+                    const batch = Math.min(backend.mirrorInterval, steps - ticks);
+                    const stepsBefore = clients.reduce((sum, c) => sum + c.metrics.stepCount, 0);
+                    const episodeLimits = Number.isFinite(episodeBudget)
+                        ? Object.fromEntries(clients.map(c => [c.id, startEpisodes[c.id] + episodeBudget]))
+                        : null;
+                    const completed = await backend.step({ ticks: batch, episodeLimits });
+                    completed.forEach(({ client, episode }) => onCompleted(client, episode));
+                    stepsTaken += clients.reduce((sum, c) => sum + c.metrics.stepCount, 0) - stepsBefore;
+                    ticks += batch;
+                } else {
+                    for (const client of clients) {
+                        if (!active(client)) continue;
+                        const completedEpisode = await stepClient(client, context);
+                        stepsTaken++;
+                        if (completedEpisode) {
+                            onCompleted(client, completedEpisode);
+                        }
+                    }
+                    ticks++;
+                }
+
+                // Check auto-federation
+                if (fedManager.shouldFederate(clients)) {
+                    await federate();
+                }
+            }
+
+            if (finalFederation && fedManager.getRound() - startRound < rounds) {
+                await federate();
+            } else if (backend) {
+                await backend.pullModels();
+            }
+
+            return {
+                // Without a final round, report the clients' average without pushing it to them
+                globalModel: finalFederation ? globalModel : federatedAverage(clients.map(c => c.agent.getModel())),
+                worldModel: worldModel(),
+                metrics: collectMetrics(Date.now() - startTime, stepsTaken)
+            };
+        },
+
+        /**
+         * Federate now (fires onFederation)
+         * @returns {Promise<Object>} Global model
+         */
+        federate: async () => (await federate()).globalModel,
+
+        /**
+         * Live training clients
+         * @returns {Object[]} Clients
+         */
+        getClients: () => clients,
+
+        /**
+         * Federated manager
+         * @returns {Object} Manager
+         */
+        getFedManager: () => fedManager,
+
+        /**
+         * Global model from the last federation
+         * @returns {Object} Model
+         */
+        getGlobalModel: () => globalModel,
+
+        /**
+         * Training context (validated spaces, agent options, frozen-agent factory)
+         * @returns {Object} Context
+         */
+        getContext: () => context,
+
+        /**
+         * Recreate clients from the seed and forget federation state
+         */
+        reset: () => {
+            fedManager.reset();
+            initClients();
+        },
+
+        /**
+         * Stop the worker threads (no-op for in-process execution)
+         */
+        close: () => {
+            backend?.terminate();
+        }
+    };
+};
+
+/**
+ * Train a createFederatedApp config headlessly in one call
+ *
+ * @param {Object} config - createFederatedApp config
+ * @param {Object} budget - { steps?, episodes?, rounds?, finalFederation? }
+ * @returns {Promise<Object>} { globalModel, worldModel, metrics }
+ */
+export const runHeadless = async (config, budget) => {
+    const runner = createHeadlessRunner(config);
+    try {
+        return await runner.run(budget);
+    } finally {
+        runner.close();
+    }
+};
+
+// Export default object
+export default {
+    createTrainingContext,
+    createTrainingClient,
+    stepClient,
+    federateClients,
+    createHeadlessRunner,
+    runHeadless
+};
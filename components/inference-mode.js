@@ -12,6 +12,7 @@
 import { createEpisodeTracker, DEFAULT_CONFIGS } from './metrics-core.js';
 
 import { createTabularAgent } from './rl-core.js';
+import { toEnvironmentAction } from './action-core.js';
 
 // ============================================================================
 // INFERENCE CONFIGURATION
@@ -33,12 +34,22 @@ export const INFERENCE_CONFIG = {
  * Create inference agent with frozen weights
  * ε = 0 (greedy only), α = 0 (no Q-updates)
  * 
- * @param {Object} model - Pre-trained Q-table
- * @param {number} numActions - Action space size
+ * Policy-gradient agents act greedily (argmax preference, or the mean of a
+ * Gaussian policy) by default, or sample from their learned policy with
+ * `policy: 'stochastic'`.
+ * 
+ * @param {Object} model - Pre-trained Q-table (or any model the factory's agent accepts)
+ * @param {number} numActions - Action space size (unused by box-action agents)
+ * @param {Function} createBaseAgent - Agent factory (default: createTabularAgent; pass the
+ *   training agent's factory for non-tabular models such as linear weight vectors)
+ * @param {Object} options
+ * @param {string} options.policy - 'greedy' (default) or 'stochastic' (policy-gradient agents only)
  * @returns {Object} Frozen agent interface
  */
-export const createInferenceAgent = (model, numActions) => {
-    const agent = createTabularAgent({
+export const createInferenceAgent = (model, numActions, createBaseAgent = createTabularAgent, options = {}) => {
+    const { policy = 'greedy' } = options;
+
+    const agent = createBaseAgent({
         numActions,
         alpha: 0.0,      // No learning
         gamma: 0.0,      // Irrelevant for inference
@@ -50,6 +61,14 @@ export const createInferenceAgent = (model, numActions) => {
     // Load pre-trained model
     agent.setModel(model);
 
+    // Policy-gradient agents sample from π outside inference mode, so freeze them explicitly
+    if (typeof agent.setInferencePolicy === 'function') {
+        agent.setInferencePolicy(policy);
+        agent.setInferenceMode(true);
+    } else if (policy !== 'greedy') {
+        throw new Error('Stochastic inference needs a policy-gradient agent');
+    }
+
     // Override update to prevent any learning
     const originalUpdate = agent.update;
     agent.update = () => {
@@ -74,26 +93,37 @@ export const createInferenceAgent = (model, numActions) => {
  * @param {Object} config
  * @param {Object} config.agent - Frozen inference agent
  * @param {Object} config.environment - Environment definition
- * @param {Function} config.getState - State function
+ * @param {Function} config.getState - State function (default: stateSpace.encode)
+ * @param {Object} config.stateSpace - State space from createStateSpace, shared with training
  * @param {number} config.numEpisodes - Number of test episodes
  * @param {Object} config.metricsConfig - KPI/metrics configuration
  * @param {Function} config.onEpisodeComplete - Callback after each episode
  * @param {Function} config.onAllComplete - Callback after all episodes
+ * @param {Function} config.random - Random function passed to environment reset/step (default: Math.random)
+ * @param {Object} config.actionSpace - Normalized action space (createActionSpace); agent actions are
+ *   converted with toEnvironmentAction before environment.step (default: null, passed through)
  * @returns {Promise<Object>} Evaluation results
  */
 export const runEvaluation = async (config) => {
     const {
         agent,
         environment,
-        getState,
+        stateSpace = null,
+        getState = stateSpace?.encode,
         numEpisodes = INFERENCE_CONFIG.defaultTestEpisodes,
         metricsConfig = DEFAULT_CONFIGS.rewardBased,
         onEpisodeComplete = null,
         onAllComplete = null,
         renderFn = null,
-        ctx = null
+        ctx = null,
+        random = Math.random,
+        actionSpace = null
     } = config;
 
+    if (typeof getState !== 'function') {
+        throw new Error('runEvaluation needs getState or stateSpace');
+    }
+
     const results = {
         episodes: [],
         totalReward: 0,
@@ -114,7 +144,9 @@ export const runEvaluation = async (config) => {
             episodeNum: ep,
             metricsConfig,
             renderFn,
-            ctx
+            ctx,
+            random,
+            actionSpace
         });
 
         results.episodes.push(episodeResult);
@@ -158,6 +190,14 @@ export const runEvaluation = async (config) => {
     return results;
 };
 
+/**
+ * Wait for the next frame (a macrotask outside the browser, e.g. the CLI)
+ * @private
+ */
+const nextFrame = () => new Promise(resolve => (typeof requestAnimationFrame === 'function'
+    ? requestAnimationFrame(resolve)
+    : setTimeout(resolve, 0)));
+
 /**
  * Run single evaluation episode
  * @private
@@ -170,14 +210,16 @@ const runSingleEpisode = async (config) => {
         episodeNum,
         metricsConfig,
         renderFn,
-        ctx
+        ctx,
+        random,
+        actionSpace
     } = config;
 
     // Create metrics tracker
     const tracker = createEpisodeTracker(metricsConfig);
     let episodeData = tracker.init();
 
-    let state = environment.reset(0); // clientId = 0 for inference
+    let state = environment.reset(0, undefined, random); // clientId = 0 for inference
     let done = false;
     
     // Mock client object for consistent render interface
@@ -190,9 +232,11 @@ const runSingleEpisode = async (config) => {
 
     while (!done && episodeData.steps < INFERENCE_CONFIG.maxStepsPerEpisode) {
         const stateKey = getState(state);
-        const action = agent.chooseAction(stateKey);
+        const action = actionSpace
+            ? toEnvironmentAction(actionSpace, agent.chooseAction(stateKey))
+            : agent.chooseAction(stateKey);
 
-        const stepResult = environment.step(state, action);
+        const stepResult = environment.step(state, action, random);
         const reward = stepResult.reward;
         state = stepResult.state;
         done = stepResult.done;
@@ -211,10 +255,13 @@ const runSingleEpisode = async (config) => {
 
         // Allow browser to render
         if (episodeData.steps % 10 === 0) {
-            await new Promise(resolve => requestAnimationFrame(resolve));
+            await nextFrame();
         }
     }
 
+    // Clear per-episode agent state (frozen agents don't learn from it)
+    agent.endEpisode?.();
+
     // Finalize episode (computes KPIs and success)
     episodeData = tracker.finalize(episodeData, state);
     episodeData.episodeNum = episodeNum;
@@ -9,6 +9,9 @@
  *   createLiveControls(app, config);
  */
 
+import { EXPLORATION_STRATEGIES } from './rl-core.js';
+import { SERVER_OPTIMIZERS } from './federated-core.js';
+
 /**
  * Create live parameter control panel
  * @param {Object} app - The federated app instance
@@ -94,6 +97,17 @@ function injectStyles() {
             margin: 4px 0;
         }
         
+        .lc-group select {
+            width: 100%;
+            background: #1e293b;
+            border: 1px solid #475569;
+            color: #fff;
+            padding: 4px 8px;
+            border-radius: 4px;
+            font-family: monospace;
+            font-size: 11px;
+        }
+        
         .lc-group input[type="number"] {
             width: 80px;
             background: #1e293b;
@@ -196,6 +210,8 @@ function createPanel(config) {
     // Group parameters by category
     const categories = {
         'Training': ['maxSteps', 'alpha', 'gamma', 'epsilon', 'epsilonDecay', 'minEpsilon'],
+        'Exploration': ['exploration', 'temperature', 'temperatureDecay', 'ucbC', 'bonusBeta'],
+        'Federation': ['serverOptimizer', 'serverLearningRate', 'serverBeta1', 'serverBeta2', 'serverTau'],
         'Physics': ['strengthMed', 'strengthHigh', 'friction', 'maxVelocity'],
         'Rewards': ['flagReward', 'timeReward', 'energyReward', 'proximityReward'],
         'Performance': ['renderInterval']
@@ -211,6 +227,18 @@ function createPanel(config) {
             const meta = getParamMetadata(param);
             if (!meta) continue;
             
+            if (meta.options) {
+                html += `
+                <div class="lc-group">
+                    <label>${meta.label}: <span class="lc-value" id="lc-val-${param}">${config[param]}</span></label>
+                    <select id="lc-${param}">
+                        ${meta.options.map(opt => `<option value="${opt}"${opt === config[param] ? ' selected' : ''}>${opt}</option>`).join('')}
+                    </select>
+                </div>
+            `;
+                continue;
+            }
+            
             html += `
                 <div class="lc-group">
                     <label>${meta.label}: <span class="lc-value" id="lc-val-${param}">${config[param]}</span></label>
@@ -251,6 +279,21 @@ function getParamMetadata(param) {
         epsilonDecay: { label: 'Epsilon Decay', min: 0.90, max: 0.999, step: 0.001 },
         minEpsilon: { label: 'Min Epsilon', min: 0.001, max: 0.1, step: 0.001 },
         
+        // Exploration
+        exploration: { label: 'Exploration Strategy', options: Object.keys(EXPLORATION_STRATEGIES) },
+        temperature: { label: 'Softmax Temperature (τ)', min: 0.01, max: 5, step: 0.01 },
+        temperatureDecay: { label: 'Temperature Decay', min: 0.9, max: 1.0, step: 0.001 },
+        ucbC: { label: 'UCB Coefficient (c)', min: 0, max: 5, step: 0.1 },
+        bonusBeta: { label: 'Count Bonus (β)', min: 0, max: 2, step: 0.01 },
+        
+        // Federation (server optimizer)
+        serverOptimizer: { label: 'Server Optimizer', options: SERVER_OPTIMIZERS },
+        // η: FedAvgM works around 1, FedAdam / FedYogi around 0.01-0.1 (their default is 0.1)
+        serverLearningRate: { label: 'Server Learning Rate (η)', min: 0.001, max: 2, step: 0.001 },
+        serverBeta1: { label: 'Server Momentum (β₁)', min: 0, max: 0.99, step: 0.01 },
+        serverBeta2: { label: 'Server β₂', min: 0.9, max: 0.999, step: 0.001 },
+        serverTau: { label: 'Server Adaptivity (τ)', min: 0.0001, max: 0.1, step: 0.0001 },
+        
         // Physics
         strengthMed: { label: 'Magnet Strength (MED)', min: 10000, max: 150000, step: 5000 },
         strengthHigh: { label: 'Magnet Strength (HIGH)', min: 20000, max: 300000, step: 10000 },
@@ -288,6 +331,45 @@ function wireControls(app, config, fab) {
         document.getElementById(`lc-${key}`)
     );
     
+    // Push exploration settings to every agent that supports strategy switching
+    const applyExploration = () => {
+        if (!app.clients || !('exploration' in config)) return;
+        const params = {};
+        ['temperature', 'ucbC', 'bonusBeta'].forEach(key => {
+            if (key in config) params[key] = config[key];
+        });
+        try {
+            app.clients.forEach(client => {
+                client.agent?.setExploration?.(config.exploration, params);
+            });
+        } catch (e) {
+            // e.g. count-based strategies on function-approximation agents
+            console.warn(`⚠️ ${e.message}`);
+        }
+    };
+    
+    // Retune the federated manager's server optimizer; takes effect next round
+    const serverParams = {
+        serverOptimizer: 'type',
+        serverLearningRate: 'learningRate',
+        serverBeta1: 'beta1',
+        serverBeta2: 'beta2',
+        serverTau: 'tau'
+    };
+    const applyServerOptimizer = () => {
+        const fedManager = app.getFedManager?.();
+        if (!fedManager?.setServerOptimizer) return;
+        const changes = {};
+        Object.entries(serverParams).forEach(([key, name]) => {
+            if (key in config) changes[name] = config[key];
+        });
+        try {
+            fedManager.setServerOptimizer(changes);
+        } catch (e) {
+            console.warn(`⚠️ ${e.message}`);
+        }
+    };
+    
     // Wire range inputs
     paramNames.forEach(param => {
         const input = document.getElementById(`lc-${param}`);
@@ -295,6 +377,23 @@ function wireControls(app, config, fab) {
         
         if (!input || !display) return;
         
+        // Strategy selector switches all agents immediately
+        if (input.tagName === 'SELECT') {
+            input.addEventListener('change', (e) => {
+                config[param] = e.target.value;
+                display.textContent = e.target.value;
+                if (param === 'exploration') {
+                    applyExploration();
+                    console.log(`🧭 Exploration switched to ${e.target.value}`);
+                }
+                if (param === 'serverOptimizer') {
+                    applyServerOptimizer();
+                    console.log(`🌐 Server optimizer switched to ${e.target.value}`);
+                }
+            });
+            return;
+        }
+        
         input.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             config[param] = value;
@@ -304,6 +403,11 @@ function wireControls(app, config, fab) {
             if (param === 'renderInterval' && app.setRenderInterval) {
                 app.setRenderInterval(value);
             }
+            
+            // Server optimizer settings apply from the next federation round
+            if (param in serverParams) {
+                applyServerOptimizer();
+            }
         });
     });
     
@@ -320,6 +424,8 @@ function wireControls(app, config, fab) {
                     // We don't do this automatically to avoid disrupting training
                 }
             });
+            applyExploration();
+            applyServerOptimizer();
             
             console.log('✅ Parameters applied to all agents');
             console.log('  Current config:', config);
@@ -0,0 +1,353 @@
+/**
+ * NN-CORE.JS - Minimal Neural Networks
+ *
+ * Dependency-free multilayer perceptron with backpropagation and the Adam
+ * optimizer, small enough for CPU-only training in the browser and in Node.
+ *
+ * Parameters are named flat arrays:
+ *
+ *   { 'layer0.weights': number[], 'layer0.bias': number[], 'layer1.weights': ... }
+ *
+ * (weights are row-major, outputs × inputs), so a network serializes as JSON
+ * and federatedAverage can average it element-wise like a Q-table.
+ *
+ * @module nn-core
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// ACTIVATIONS AND LOSSES
+// ============================================================================
+
+/**
+ * Activation functions with derivatives expressed in terms of the output
+ * y = f(z), which is what the forward pass caches.
+ */
+export const ACTIVATIONS = {
+    linear: {
+        fn: (z) => z,
+        derivative: () => 1
+    },
+    relu: {
+        fn: (z) => (z > 0 ? z : 0),
+        derivative: (y) => (y > 0 ? 1 : 0)
+    },
+    tanh: {
+        fn: (z) => Math.tanh(z),
+        derivative: (y) => 1 - y * y
+    }
+};
+
+const resolveActivation = (name) => {
+    const activation = ACTIVATIONS[name];
+    if (!activation) {
+        throw new Error(`Unknown activation: ${name} (expected one of ${Object.keys(ACTIVATIONS).join(', ')})`);
+    }
+    return activation;
+};
+
+/**
+ * Huber loss
+ * Formula: L(δ) = δ²/2 for |δ| ≤ κ, κ·(|δ| - κ/2) otherwise
+ *
+ * Quadratic near zero, linear for large errors, so outlier TD errors cannot
+ * blow up the gradients.
+ *
+ * @param {number} error - Prediction minus target
+ * @param {number} delta - Threshold κ (default: 1)
+ * @returns {number} Loss
+ * @pure
+ */
+export const huberLoss = (error, delta = 1) => {
+    const abs = Math.abs(error);
+    return abs <= delta ? 0.5 * error * error : delta * (abs - 0.5 * delta);
+};
+
+/**
+ * Gradient of the Huber loss with respect to the prediction
+ * Formula: dL/dδ = clamp(δ, -κ, κ)
+ *
+ * @param {number} error - Prediction minus target
+ * @param {number} delta - Threshold κ (default: 1)
+ * @returns {number} Gradient
+ * @pure
+ */
+export const huberGradient = (error, delta = 1) => Math.max(-delta, Math.min(delta, error));
+
+// ============================================================================
+// MULTILAYER PERCEPTRON
+// ============================================================================
+
+/**
+ * Create a fully connected network
+ *
+ * Hidden layers use `activation`, the output layer `outputActivation`.
+ * Weights use He (ReLU) or Xavier (tanh/linear) uniform initialization.
+ *
+ * @example
+ * const net = createMLP({ layers: [2, 32, 32, 4], activation: 'relu' });
+ * const q = net.forward([0.1, -0.3]);
+ * net.backward([0.1, -0.3], [0, 0.5, 0, 0]); // accumulate dL/dy
+ * adam.step(net.getParameterRefs(), net.getGradients(), 1);
+ *
+ * @param {Object} config
+ * @param {number[]} config.layers - Layer sizes, input first (e.g. [4, 64, 64, 2])
+ * @param {string} config.activation - Hidden activation: 'relu' (default), 'tanh', 'linear'
+ * @param {string} config.outputActivation - Output activation (default: 'linear')
+ * @param {Function} config.random - Random function for initialization (default: Math.random)
+ * @returns {Object} Network interface
+ */
+export const createMLP = (config) => {
+    const {
+        layers,
+        activation = 'relu',
+        outputActivation = 'linear',
+        random = Math.random
+    } = config;
+
+    if (!Array.isArray(layers) || layers.length < 2 || layers.some(n => !Number.isInteger(n) || n < 1)) {
+        throw new Error('MLP needs layers: [inputSize, ...hiddenSizes, outputSize] of positive integers');
+    }
+
+    const hidden = resolveActivation(activation);
+    const output = resolveActivation(outputActivation);
+    const numLayers = layers.length - 1;
+    const activationAt = (l) => (l === numLayers - 1 ? output : hidden);
+
+    // Parameters and gradient accumulators, keyed 'layer{l}.weights' / 'layer{l}.bias'
+    const params = {};
+    const grads = {};
+
+    const initialize = () => {
+        for (let l = 0; l < numLayers; l++) {
+            const fanIn = layers[l];
+            const fanOut = layers[l + 1];
+            const limit = activation === 'relu' && l < numLayers - 1
+                ? Math.sqrt(6 / fanIn)
+                : Math.sqrt(6 / (fanIn + fanOut));
+            params[`layer${l}.weights`] = Array.from({ length: fanOut * fanIn }, () => (random() * 2 - 1) * limit);
+            params[`layer${l}.bias`] = Array(fanOut).fill(0);
+            grads[`layer${l}.weights`] = Array(fanOut * fanIn).fill(0);
+            grads[`layer${l}.bias`] = Array(fanOut).fill(0);
+        }
+    };
+
+    initialize();
+
+    /**
+     * Forward pass keeping every layer's output (input included)
+     * @param {number[]} input - Input vector
+     * @returns {number[][]} Activations per layer
+     */
+    const forwardAll = (input) => {
+        if (input.length !== layers[0]) {
+            throw new Error(`Expected input of size ${layers[0]}, got ${input.length}`);
+        }
+        const outputs = [input];
+        for (let l = 0; l < numLayers; l++) {
+            const prev = outputs[l];
+            const weights = params[`layer${l}.weights`];
+            const bias = params[`layer${l}.bias`];
+            const { fn } = activationAt(l);
+            const fanIn = layers[l];
+            const next = new Array(layers[l + 1]);
+            for (let o = 0; o < next.length; o++) {
+                let z = bias[o];
+                const row = o * fanIn;
+                for (let i = 0; i < fanIn; i++) {
+                    z += weights[row + i] * prev[i];
+                }
+                next[o] = fn(z);
+            }
+            outputs.push(next);
+        }
+        return outputs;
+    };
+
+    return {
+        /**
+         * Compute network output
+         * @param {number[]} input - Input vector
+         * @returns {number[]} Output vector
+         */
+        forward: (input) => forwardAll(input)[numLayers],
+
+        /**
+         * Backpropagate dL/d(output) for one input and add the parameter
+         * gradients to the accumulators
+         * @param {number[]} input - Input vector
+         * @param {number[]} outputGradient - Gradient of the loss w.r.t. the output
+         * @returns {number[]} Output of the forward pass
+         */
+        backward: (input, outputGradient) => {
+            const outputs = forwardAll(input);
+            let delta = outputs[numLayers].map((y, o) =>
+                outputGradient[o] * activationAt(numLayers - 1).derivative(y));
+
+            for (let l = numLayers - 1; l >= 0; l--) {
+                const prev = outputs[l];
+                const fanIn = layers[l];
+                const weights = params[`layer${l}.weights`];
+                const gradWeights = grads[`layer${l}.weights`];
+                const gradBias = grads[`layer${l}.bias`];
+                const prevDelta = l > 0 ? Array(fanIn).fill(0) : null;
+
+                for (let o = 0; o < delta.length; o++) {
+                    const d = delta[o];
+                    if (d === 0) continue;
+                    const row = o * fanIn;
+                    gradBias[o] += d;
+                    for (let i = 0; i < fanIn; i++) {
+                        gradWeights[row + i] += d * prev[i];
+                        if (prevDelta) prevDelta[i] += d * weights[row + i];
+                    }
+                }
+
+                if (prevDelta) {
+                    const { derivative } = activationAt(l - 1);
+                    delta = prevDelta.map((g, i) => g * derivative(prev[i]));
+                }
+            }
+
+            return outputs[numLayers];
+        },
+
+        /**
+         * Live parameter arrays (mutated in place by optimizers)
+         * @returns {Object} Parameters keyed by name
+         */
+        getParameterRefs: () => params,
+
+        /**
+         * Live gradient accumulators
+         * @returns {Object} Gradients keyed by name
+         */
+        getGradients: () => grads,
+
+        /**
+         * Zero the gradient accumulators
+         */
+        zeroGradients: () => {
+            Object.values(grads).forEach(g => g.fill(0));
+        },
+
+        /**
+         * Copy of all parameters as flat arrays
+         * @returns {Object} Parameters keyed by name
+         */
+        getParameters: () => Object.fromEntries(
+            Object.entries(params).map(([name, values]) => [name, [...values]])
+        ),
+
+        /**
+         * Load parameters (shapes must match)
+         * @param {Object} values - Parameters keyed by name
+         */
+        setParameters: (values) => {
+            Object.keys(params).forEach(name => {
+                const source = values?.[name];
+                if (!Array.isArray(source) || source.length !== params[name].length) {
+                    throw new Error(`Parameter ${name} needs ${params[name].length} values`);
+                }
+                params[name] = [...source];
+            });
+        },
+
+        /**
+         * Re-initialize parameters and zero gradients
+         */
+        reset: () => {
+            initialize();
+        },
+
+        /**
+         * Layer sizes
+         * @returns {number[]} Sizes, input first
+         */
+        getLayers: () => [...layers]
+    };
+};
+
+// ============================================================================
+// OPTIMIZERS
+// ============================================================================
+
+/**
+ * Create an Adam optimizer
+ * Formula: m ← β₁m + (1-β₁)g,  v ← β₂v + (1-β₂)g²
+ *          θ ← θ - η · m̂ / (√v̂ + ε)   with bias-corrected m̂, v̂
+ *
+ * @param {Object} config
+ * @param {number} config.learningRate - Step size η (default: 0.001)
+ * @param {number} config.beta1 - First-moment decay (default: 0.9)
+ * @param {number} config.beta2 - Second-moment decay (default: 0.999)
+ * @param {number} config.epsilon - Numerical stabilizer (default: 1e-8)
+ * @returns {Object} Optimizer interface
+ */
+export const createAdam = (config = {}) => {
+    const {
+        learningRate = 0.001,
+        beta1 = 0.9,
+        beta2 = 0.999,
+        epsilon = 1e-8
+    } = config;
+
+    let m = {};
+    let v = {};
+    let t = 0;
+
+    return {
+        /**
+         * Update parameters in place
+         * @param {Object} params - Parameter arrays keyed by name
+         * @param {Object} grads - Gradient arrays keyed by name (same shapes)
+         * @param {number} scale - Gradient divisor, e.g. the batch size (default: 1)
+         */
+        step: (params, grads, scale = 1) => {
+            t++;
+            const correction1 = 1 - Math.pow(beta1, t);
+            const correction2 = 1 - Math.pow(beta2, t);
+
+            Object.keys(params).forEach(name => {
+                const theta = params[name];
+                const g = grads[name];
+                if (!m[name]) {
+                    m[name] = Array(theta.length).fill(0);
+                    v[name] = Array(theta.length).fill(0);
+                }
+                const mt = m[name];
+                const vt = v[name];
+                for (let i = 0; i < theta.length; i++) {
+                    const gi = g[i] / scale;
+                    mt[i] = beta1 * mt[i] + (1 - beta1) * gi;
+                    vt[i] = beta2 * vt[i] + (1 - beta2) * gi * gi;
+                    theta[i] -= learningRate * (mt[i] / correction1) / (Math.sqrt(vt[i] / correction2) + epsilon);
+                }
+            });
+        },
+
+        /**
+         * Number of steps taken
+         * @returns {number} Step count
+         */
+        getStep: () => t,
+
+        /**
+         * Forget moment estimates
+         */
+        reset: () => {
+            m = {};
+            v = {};
+            t = 0;
+        }
+    };
+};
+
+// Export default object
+export default {
+    ACTIVATIONS,
+    huberLoss,
+    huberGradient,
+    createMLP,
+    createAdam
+};
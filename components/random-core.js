@@ -0,0 +1,156 @@
+/**
+ * RANDOM-CORE.JS - Seedable Random Number Streams
+ *
+ * Deterministic PRNGs for reproducible training runs. Every random source
+ * (agent exploration, environment resets, evaluation) draws from its own
+ * named stream derived from one master seed, so a run can be replayed
+ * bit-for-bit and adding a client never shifts another client's numbers.
+ *
+ * Streams are plain `() => number` functions in [0, 1), drop-in compatible
+ * with Math.random and with the `random` argument of rl-core.js.
+ *
+ * @module random-core
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// GENERATORS
+// ============================================================================
+
+/**
+ * Hash seed parts into a 32-bit unsigned integer (FNV-1a)
+ *
+ * @example
+ * hashSeed(42, 'agent', 3) // seed for client 3's agent stream
+ *
+ * @param {...(number|string)} parts - Seed components
+ * @returns {number} 32-bit unsigned seed
+ * @pure
+ */
+export const hashSeed = (...parts) => {
+    const text = parts.map(String).join(':');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Mulberry32 generator
+ * Fast 32-bit PRNG with a full 2^32 period; plenty for RL experiments.
+ *
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Random function returning floats in [0, 1)
+ */
+export const mulberry32 = (seed) => {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Create a random function from a seed
+ * Without a seed, falls back to Math.random (non-reproducible).
+ *
+ * @param {number|string|null} seed - Seed (default: null)
+ * @returns {Function} Random function returning floats in [0, 1)
+ */
+export const createRandom = (seed = null) => {
+    if (seed === null || seed === undefined) {
+        return Math.random;
+    }
+    return mulberry32(hashSeed(seed));
+};
+
+// ============================================================================
+// STREAMS
+// ============================================================================
+
+/**
+ * Create named random streams derived from one master seed
+ *
+ * Each (name, index) pair gets an independent generator seeded with
+ * hashSeed(seed, name, index). Asking for the same pair twice returns the
+ * same stream, so callers can share it without coordinating.
+ *
+ * @example
+ * const streams = createRandomStreams(42);
+ * const agentRandom = streams.stream('agent', clientId);
+ * const envRandom = streams.stream('environment', clientId);
+ *
+ * @param {number|string|null} seed - Master seed (null: every stream is Math.random)
+ * @returns {Object} Stream registry
+ */
+export const createRandomStreams = (seed = null) => {
+    const streams = new Map();
+
+    return {
+        /**
+         * Get (or create) a named stream
+         * @param {string} name - Stream name (e.g. 'agent', 'environment')
+         * @param {number} index - Stream index, usually the client id (default: 0)
+         * @returns {Function} Random function
+         */
+        stream: (name, index = 0) => {
+            const key = `${name}:${index}`;
+            if (!streams.has(key)) {
+                streams.set(key, seed === null || seed === undefined
+                    ? Math.random
+                    : mulberry32(hashSeed(seed, name, index)));
+            }
+            return streams.get(key);
+        },
+
+        /**
+         * Get master seed
+         * @returns {number|string|null} Seed
+         */
+        getSeed: () => seed,
+
+        /**
+         * Whether streams are reproducible
+         * @returns {boolean} True when a seed was given
+         */
+        isSeeded: () => seed !== null && seed !== undefined
+    };
+};
+
+// ============================================================================
+// SAMPLING HELPERS
+// ============================================================================
+
+/**
+ * Random integer in [0, n)
+ *
+ * @param {number} n - Upper bound (exclusive)
+ * @param {Function} random - Random function (default: Math.random)
+ * @returns {number} Integer
+ */
+export const randomInt = (n, random = Math.random) => Math.floor(random() * n);
+
+/**
+ * Random float in [min, max)
+ *
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @param {Function} random - Random function (default: Math.random)
+ * @returns {number} Float
+ */
+export const randomUniform = (min, max, random = Math.random) => min + (max - min) * random();
+
+// Export default object
+export default {
+    hashSeed,
+    mulberry32,
+    createRandom,
+    createRandomStreams,
+    randomInt,
+    randomUniform
+};
@@ -0,0 +1,234 @@
+/**
+ * REPLAY-CORE.JS - Experience Replay
+ *
+ * Replay buffers that let agents reuse each transition many times between
+ * environment steps:
+ * - uniform: every stored transition is equally likely
+ * - prioritized (Schaul et al., 2016): P(i) ∝ p_i^α with p_i = |δ_i| + ε,
+ *   sampled in O(log n) through a sum tree, with importance-sampling weights
+ *   w_i = (N · P(i))^-β / max_j w_j to correct the bias
+ *
+ * Transitions are opaque objects; agents decide what to store.
+ *
+ * @module replay-core
+ * @version 1.0.0
+ */
+
+import { createSchedule } from './schedule-core.js';
+
+// ============================================================================
+// SUM TREE
+// ============================================================================
+
+/**
+ * Create a sum tree over `capacity` leaf priorities
+ *
+ * Each internal node holds the sum of its children, so the total is O(1),
+ * and updates and prefix-sum lookups are O(log n).
+ *
+ * @param {number} capacity - Number of leaves
+ * @returns {Object} Sum tree interface
+ */
+export const createSumTree = (capacity) => {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+        throw new Error(`Sum tree capacity must be a positive integer, got ${capacity}`);
+    }
+
+    // Leaves live at [size, 2·size); node i has children 2i and 2i+1
+    let size = 1;
+    while (size < capacity) size *= 2;
+    const nodes = new Float64Array(2 * size);
+
+    return {
+        /**
+         * Set the priority of a leaf
+         * @param {number} index - Leaf index
+         * @param {number} priority - Non-negative priority
+         */
+        update: (index, priority) => {
+            let node = index + size;
+            nodes[node] = priority;
+            node >>= 1;
+            while (node >= 1) {
+                nodes[node] = nodes[2 * node] + nodes[2 * node + 1];
+                node >>= 1;
+            }
+        },
+
+        /**
+         * Get the priority of a leaf
+         * @param {number} index - Leaf index
+         * @returns {number} Priority
+         */
+        get: (index) => nodes[index + size],
+
+        /**
+         * Sum of all priorities
+         * @returns {number} Total
+         */
+        total: () => nodes[1],
+
+        /**
+         * Find the leaf whose cumulative priority range contains `value`
+         * @param {number} value - Value in [0, total)
+         * @returns {number} Leaf index
+         */
+        find: (value) => {
+            let node = 1;
+            let remaining = value;
+            while (node < size) {
+                const left = 2 * node;
+                if (remaining < nodes[left] || nodes[left + 1] === 0) {
+                    node = left;
+                } else {
+                    remaining -= nodes[left];
+                    node = left + 1;
+                }
+            }
+            return Math.min(node - size, capacity - 1);
+        },
+
+        /**
+         * Zero every priority
+         */
+        clear: () => {
+            nodes.fill(0);
+        }
+    };
+};
+
+// ============================================================================
+// REPLAY BUFFER
+// ============================================================================
+
+/**
+ * Create an experience replay buffer
+ *
+ * @example
+ * const buffer = createReplayBuffer({ capacity: 10000, prioritized: true });
+ * buffer.add({ state, action, reward, nextState });
+ * const { transitions, indices, weights } = buffer.sample(32);
+ * buffer.updatePriorities(indices, tdErrors);
+ *
+ * @param {Object} config
+ * @param {number} config.capacity - Maximum transitions; the oldest are overwritten (default: 10000)
+ * @param {boolean} config.prioritized - Sample by TD error (default: false)
+ * @param {number} config.alpha - Priority exponent α; 0 = uniform (default: 0.6)
+ * @param {number|Object} config.beta - IS exponent β, or a schedule over sample() calls
+ *   (e.g. { type: 'linear', start: 0.4, end: 1, duration: 100000, unit: 'step' }; default: 0.4)
+ * @param {number} config.epsilon - Priority floor ε added to |δ| (default: 1e-6)
+ * @param {Function} config.random - Random function (default: Math.random)
+ * @returns {Object} Replay buffer interface
+ */
+export const createReplayBuffer = (config = {}) => {
+    const {
+        capacity = 10000,
+        prioritized = false,
+        alpha = 0.6,
+        beta = 0.4,
+        epsilon = 1e-6,
+        random = Math.random
+    } = config;
+
+    const tree = prioritized ? createSumTree(capacity) : null;
+    const betaSchedule = createSchedule(beta);
+
+    let items = [];
+    let next = 0;
+    let samples = 0;
+    let maxPriority = 1;
+
+    return {
+        /**
+         * Store a transition (new transitions get the highest priority seen so far)
+         * @param {Object} transition - Transition to store
+         * @returns {number} Slot index
+         */
+        add: (transition) => {
+            const index = next;
+            items[index] = transition;
+            next = (next + 1) % capacity;
+            if (tree) tree.update(index, maxPriority);
+            return index;
+        },
+
+        /**
+         * Draw a minibatch (with replacement)
+         * @param {number} batchSize - Number of transitions
+         * @returns {Object} { transitions, indices, weights } (weights are all 1 when uniform)
+         */
+        sample: (batchSize) => {
+            if (items.length === 0) {
+                throw new Error('Cannot sample from an empty replay buffer');
+            }
+
+            if (!tree) {
+                const indices = Array.from({ length: batchSize }, () => Math.floor(random() * items.length));
+                return {
+                    transitions: indices.map(i => items[i]),
+                    indices,
+                    weights: Array(batchSize).fill(1)
+                };
+            }
+
+            // Stratified: one draw per equal slice of the total priority
+            const total = tree.total();
+            const segment = total / batchSize;
+            const indices = Array.from({ length: batchSize }, (_, b) =>
+                tree.find((b + random()) * segment));
+
+            const b = betaSchedule.value(samples++);
+            const raw = indices.map(i => Math.pow(items.length * tree.get(i) / total, -b));
+            const maxWeight = Math.max(...raw);
+
+            return {
+                transitions: indices.map(i => items[i]),
+                indices,
+                weights: raw.map(w => w / maxWeight)
+            };
+        },
+
+        /**
+         * Set priorities from fresh TD errors (no-op for uniform buffers)
+         * @param {number[]} indices - Slot indices returned by sample()
+         * @param {number[]} tdErrors - TD errors δ for those transitions
+         */
+        updatePriorities: (indices, tdErrors) => {
+            if (!tree) return;
+            indices.forEach((index, k) => {
+                const priority = Math.pow(Math.abs(tdErrors[k]) + epsilon, alpha);
+                maxPriority = Math.max(maxPriority, priority);
+                tree.update(index, priority);
+            });
+        },
+
+        /**
+         * Number of stored transitions
+         * @returns {number} Size
+         */
+        size: () => items.length,
+
+        /**
+         * Whether sampling is prioritized
+         * @returns {boolean} Prioritized
+         */
+        isPrioritized: () => prioritized,
+
+        /**
+         * Remove all transitions
+         */
+        clear: () => {
+            items = [];
+            next = 0;
+            samples = 0;
+            maxPriority = 1;
+            if (tree) tree.clear();
+        }
+    };
+};
+
+// Export default object
+export default {
+    createSumTree,
+    createReplayBuffer
+};
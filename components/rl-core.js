@@ -1,13 +1,18 @@
 /**
  * RL-CORE.JS - Pure Reinforcement Learning Algorithms
  * 
- * Reusable RL functions with no dependencies.
+ * Reusable RL functions with no external dependencies.
  * All functions are pure (no side effects) and testable.
  * 
  * @module rl-core
  * @version 1.0.0
  */
 
+import { createSchedule } from './schedule-core.js';
+import { createMLP, createAdam, huberLoss, huberGradient } from './nn-core.js';
+import { createReplayBuffer } from './replay-core.js';
+import { createActionSpace, decodeMultiDiscrete } from './action-core.js';
+
 // ============================================================================
 // Q-LEARNING ALGORITHMS
 // ============================================================================
@@ -74,6 +79,31 @@ export const tdError = (reward, currentQ, maxNextQ, gamma) => {
     return reward + gamma * maxNextQ - currentQ;
 };
 
+/**
+ * Index of the largest value (first one on ties)
+ * @private
+ */
+const argmax = (values) => values.reduce((maxIdx, val, idx, arr) =>
+    val > arr[maxIdx] ? idx : maxIdx, 0);
+
+/**
+ * Softmax Action Probabilities
+ * Formula: P(a) = exp(Q(s,a)/τ) / Σ_b exp(Q(s,b)/τ)
+ * 
+ * Shifted by max Q before exponentiating to avoid overflow.
+ * 
+ * @param {number[]} qValues - Q-values for all actions
+ * @param {number} temperature - Temperature parameter (τ)
+ * @returns {number[]} Action probabilities
+ * @pure
+ */
+export const softmaxProbabilities = (qValues, temperature = 1.0) => {
+    const maxQ = Math.max(...qValues);
+    const exp = qValues.map(q => Math.exp((q - maxQ) / temperature));
+    const sumExp = exp.reduce((a, b) => a + b, 0);
+    return exp.map(e => e / sumExp);
+};
+
 /**
  * Softmax Action Selection
  * Formula: P(a) = exp(Q(s,a)/τ) / Σ_b exp(Q(s,b)/τ)
@@ -86,9 +116,7 @@ export const tdError = (reward, currentQ, maxNextQ, gamma) => {
  */
 export const softmaxSelect = (qValues, temperature = 1.0, random = Math.random) => {
     try {
-        const exp = qValues.map(q => Math.exp(q / temperature));
-        const sumExp = exp.reduce((a, b) => a + b, 0);
-        const probs = exp.map(e => e / sumExp);
+        const probs = softmaxProbabilities(qValues, temperature);
         
         const r = random();
         let cumSum = 0;
@@ -103,43 +131,389 @@ export const softmaxSelect = (qValues, temperature = 1.0, random = Math.random)
     }
 };
 
+/**
+ * UCB1 Action Selection
+ * Formula: π(s) = argmax_a [Q(s,a) + c·√(ln N(s) / N(s,a))]
+ * 
+ * Untried actions (N(s,a) = 0) are selected first, in index order.
+ * 
+ * @param {number[]} qValues - Q-values for all actions
+ * @param {number[]} counts - Visit counts N(s,a) for all actions
+ * @param {number} c - Exploration coefficient (default: √2)
+ * @returns {number} Selected action index
+ * @pure
+ */
+export const ucbSelect = (qValues, counts, c = Math.SQRT2) => {
+    const untried = counts.findIndex(n => !n);
+    if (untried !== -1) return untried;
+
+    const total = counts.reduce((a, b) => a + b, 0);
+    const scores = qValues.map((q, a) => q + c * Math.sqrt(Math.log(total) / counts[a]));
+    return argmax(scores);
+};
+
+/**
+ * Count-based Exploration Bonus
+ * Formula: r⁺ = β / √N(s,a)
+ * 
+ * @param {number} count - Visit count N(s,a) (including the current visit)
+ * @param {number} beta - Bonus scale (β)
+ * @returns {number} Intrinsic reward
+ * @pure
+ */
+export const countBonus = (count, beta = 0.1) => beta / Math.sqrt(Math.max(1, count));
+
 // ============================================================================
-// TABULAR Q-LEARNING AGENT
+// EXPLORATION STRATEGIES
 // ============================================================================
 
 /**
- * Create a tabular Q-learning agent
+ * ε-greedy action probabilities (ties broken towards the first max)
+ * @private
+ */
+const epsilonGreedyProbabilities = (qValues, epsilon) => {
+    const best = argmax(qValues);
+    return qValues.map((_, a) => epsilon / qValues.length + (a === best ? 1 - epsilon : 0));
+};
+
+/**
+ * Exploration strategies by name
  * 
- * @param {Object} config - Agent configuration
- * @param {number} config.alpha - Learning rate
- * @param {number} config.gamma - Discount factor
- * @param {number} config.epsilon - Initial exploration rate
- * @param {number} config.epsilonDecay - Decay rate for epsilon
- * @param {number} config.minEpsilon - Minimum epsilon value
- * @param {number} config.numActions - Number of actions
- * @returns {Object} Agent interface
+ * Each strategy has:
+ * - select(qValues, ctx) → action index
+ * - probabilities(qValues, ctx) → π(·|s), used by Expected SARSA
+ * - intrinsicReward(count, ctx) → bonus added to the reward (optional)
+ * 
+ * ctx = { epsilon, temperature, counts, ucbC, bonusBeta, random }
  */
-export const createTabularAgent = (config) => {
+export const EXPLORATION_STRATEGIES = {
+    'epsilon-greedy': {
+        select: (qValues, ctx) => selectAction(qValues, ctx.epsilon, ctx.random),
+        probabilities: (qValues, ctx) => epsilonGreedyProbabilities(qValues, ctx.epsilon)
+    },
+    'softmax': {
+        select: (qValues, ctx) => softmaxSelect(qValues, ctx.temperature, ctx.random),
+        probabilities: (qValues, ctx) => softmaxProbabilities(qValues, ctx.temperature)
+    },
+    'ucb': {
+        select: (qValues, ctx) => ucbSelect(qValues, ctx.counts, ctx.ucbC),
+        probabilities: (qValues, ctx) => {
+            const best = ucbSelect(qValues, ctx.counts, ctx.ucbC);
+            return qValues.map((_, a) => a === best ? 1 : 0);
+        }
+    },
+    'count-bonus': {
+        select: (qValues, ctx) => selectAction(qValues, ctx.epsilon, ctx.random),
+        probabilities: (qValues, ctx) => epsilonGreedyProbabilities(qValues, ctx.epsilon),
+        intrinsicReward: (count, ctx) => countBonus(count, ctx.bonusBeta)
+    }
+};
+
+/**
+ * Look up an exploration strategy by name or pass a custom one through
+ * @private
+ */
+const resolveExploration = (exploration) => {
+    const strategy = typeof exploration === 'object' ? exploration : EXPLORATION_STRATEGIES[exploration];
+    if (!strategy || typeof strategy.select !== 'function') {
+        throw new Error(`Unknown exploration strategy: ${exploration} (expected one of ${Object.keys(EXPLORATION_STRATEGIES).join(', ')})`);
+    }
+    return strategy;
+};
+
+// ============================================================================
+// TABULAR AGENTS
+// ============================================================================
+
+/**
+ * Hyperparameter annealing shared by all agents
+ * 
+ * Owns the α / ε schedules (see schedule-core.js), the legacy multiplicative
+ * decay for a numeric ε, softmax temperature decay and the episode/step
+ * counters the schedules read.
+ * 
+ * @param {Object} config - Agent configuration (alpha, epsilon, epsilonDecay,
+ *   minEpsilon, temperature, temperatureDecay, minTemperature)
+ * @returns {Object} { counters, values, alphaUnit, alpha, step, episode, reset }
+ * @private
+ */
+const createAnnealing = (config) => {
     const {
         alpha = 0.1,
-        gamma = 0.95,
         epsilon: initEpsilon = 0.2,
         epsilonDecay = 0.995,
         minEpsilon = 0.001,
-        numActions = 2
+        temperature: initTemperature = 1.0,
+        temperatureDecay = 1.0,
+        minTemperature = 0.01
     } = config;
 
-    let qTable = {};
-    let epsilon = initEpsilon;
-    let isInferenceMode = false;
+    // A numeric epsilon keeps the legacy per-episode multiplicative decay
+    const alphaSchedule = createSchedule(alpha);
+    const epsilonSchedule = typeof initEpsilon === 'number' ? null : createSchedule(initEpsilon);
+    if (epsilonSchedule?.unit === 'visit') {
+        throw new Error('Visit-based schedules are only supported for alpha');
+    }
+
+    const counters = { episodes: 0, steps: 0 };
+    const scheduleValue = (schedule) =>
+        schedule.value(schedule.unit === 'step' ? counters.steps : counters.episodes);
+    const startEpsilon = () => epsilonSchedule ? scheduleValue(epsilonSchedule) : initEpsilon;
 
-    const initState = (state) => {
-        if (!qTable[state]) {
-            qTable[state] = Array(numActions).fill(0);
+    // Live exploration parameters (read by exploration strategies)
+    const values = {
+        epsilon: startEpsilon(),
+        temperature: initTemperature
+    };
+
+    return {
+        counters,
+        values,
+        alphaUnit: alphaSchedule.unit,
+
+        /**
+         * Current learning rate
+         * @param {number} visits - N(s,a), used by visit-based schedules
+         */
+        alpha: (visits = 0) => alphaSchedule.unit === 'visit'
+            ? alphaSchedule.value(visits)
+            : scheduleValue(alphaSchedule),
+
+        /** Count a training step */
+        step: () => {
+            counters.steps++;
+            if (epsilonSchedule?.unit === 'step') {
+                values.epsilon = scheduleValue(epsilonSchedule);
+            }
+        },
+
+        /** Count a finished episode and decay ε and temperature */
+        episode: () => {
+            counters.episodes++;
+            values.epsilon = epsilonSchedule
+                ? scheduleValue(epsilonSchedule)
+                : Math.max(minEpsilon, values.epsilon * epsilonDecay);
+            values.temperature = Math.max(minTemperature, values.temperature * temperatureDecay);
+        },
+
+        reset: () => {
+            counters.episodes = 0;
+            counters.steps = 0;
+            values.epsilon = startEpsilon();
+            values.temperature = initTemperature;
         }
     };
+};
+
+/**
+ * Build a replay buffer from flat agent options
+ * @param {Object} config - { replayCapacity, prioritizedReplay, priorityAlpha, priorityBeta, priorityEpsilon, random }
+ * @returns {Object} Replay buffer (see replay-core.js)
+ * @private
+ */
+const createReplayFromConfig = (config) => createReplayBuffer({
+    capacity: config.replayCapacity ?? 10000,
+    prioritized: config.prioritizedReplay ?? false,
+    alpha: config.priorityAlpha ?? 0.6,
+    beta: config.priorityBeta ?? 0.4,
+    epsilon: config.priorityEpsilon ?? 1e-6,
+    random: config.random ?? Math.random
+});
+
+/**
+ * n-step return buffer
+ * Formula: G = r_t + γ·r_{t+1} + ... + γ^{n-1}·r_{t+n-1} + γ^n·V(s_{t+n})
+ * 
+ * Holds the last n transitions; once full, the oldest one is updated towards
+ * its n-step return. flush() updates what is left with truncated returns (no
+ * bootstrap), which is what happens when an episode terminates. With n = 1 it
+ * reduces to the one-step TD target.
+ * 
+ * @param {number} n - Number of steps before bootstrapping
+ * @param {number} gamma - Discount factor
+ * @param {Function} apply - (state, action, target) => void
+ * @returns {Object} { push, flush, clear }
+ * @private
+ */
+const createNStepBuffer = (n, gamma, apply) => {
+    let buffer = [];
+
+    const updateOldest = (tailValue) => {
+        const ret = buffer.reduce((sum, t, i) => sum + Math.pow(gamma, i) * t.reward, 0);
+        const { state, action } = buffer.shift();
+        apply(state, action, ret + Math.pow(gamma, buffer.length + 1) * tailValue);
+    };
+
+    const flush = () => {
+        while (buffer.length > 0) updateOldest(0);
+    };
 
     return {
+        push: (state, action, reward, nextState, bootstrapValue) => {
+            // A transition that doesn't continue the buffered trajectory means
+            // the episode ended without endEpisode() being called
+            if (buffer.length > 0 && buffer[buffer.length - 1].nextState !== state) {
+                flush();
+            }
+            buffer.push({ state, action, reward, nextState });
+            if (buffer.length >= n) updateOldest(bootstrapValue);
+        },
+        flush,
+        clear: () => {
+            buffer = [];
+        }
+    };
+};
+
+/**
+ * Shared state and bookkeeping for tabular agents
+ * Owns the Q-table, epsilon and inference flag; each agent supplies its own
+ * update rule on top of it.
+ * 
+ * @param {Object} config - Agent configuration (see createTabularAgent)
+ * @returns {Object} Base agent with store and common methods
+ * @private
+ */
+const createTabularBase = (config) => {
+    const {
+        gamma = 0.95,
+        numActions = 2,
+        nStep = 1,
+        exploration = 'epsilon-greedy',
+        ucbC = Math.SQRT2,
+        bonusBeta = 0.1,
+        replay = false,
+        batchSize = 32,
+        random = Math.random
+    } = config;
+
+    if (!Number.isInteger(nStep) || nStep < 1) {
+        throw new Error(`nStep must be a positive integer, got ${nStep}`);
+    }
+
+    const annealing = createAnnealing(config);
+    const replayBuffer = replay ? createReplayFromConfig(config) : null;
+
+    const store = {
+        qTable: {},
+        visits: {},
+        exploration: resolveExploration(exploration),
+        explorationName: exploration,
+        explorationParams: { ucbC, bonusBeta },
+        isInferenceMode: false,
+        proximal: null  // FedProx anchor: { model, mu }
+    };
+
+    const initState = (state) => {
+        if (!store.qTable[state]) {
+            store.qTable[state] = Array(numActions).fill(0);
+        }
+    };
+
+    const visitCounts = (state) => store.visits[state] || Array(numActions).fill(0);
+
+    const explorationContext = (state) => ({
+        ...annealing.values,
+        counts: visitCounts(state),
+        ...store.explorationParams,
+        random
+    });
+
+    /**
+     * Pick an action with the active exploration strategy (greedy in inference mode)
+     * @param {string} state - State identifier
+     * @param {number[]} values - Action values to act on (default: Q(s,·))
+     */
+    const pickAction = (state, values = store.qTable[state]) => {
+        if (store.isInferenceMode) return selectAction(values, 0, random);
+        return store.exploration.select(values, explorationContext(state));
+    };
+
+    /**
+     * Action probabilities of the active exploration policy
+     * @param {string} state - State identifier
+     */
+    const policyProbabilities = (state) =>
+        store.exploration.probabilities(store.qTable[state], explorationContext(state));
+
+    /**
+     * Learning rate for (s,a) under the alpha schedule
+     * @param {string} state - State identifier
+     * @param {number} action - Action index
+     */
+    const alphaFor = (state, action) => annealing.alpha(visitCounts(state)[action]);
+
+    /**
+     * FedProx proximal step: Q(s,a) ← Q(s,a) - α·μ·(Q(s,a) - Q_global(s,a))
+     * (entries the last global model doesn't have are left alone)
+     * @param {Object} table - Q-table to pull (default: store.qTable; Double Q also pulls Q_B)
+     */
+    const proximalPull = (state, slot, table = store.qTable) => {
+        const anchor = store.proximal.model[state]?.[slot];
+        if (anchor === undefined || !table[state]) return;
+        const rate = Math.min(1, alphaFor(state, slot) * store.proximal.mu);
+        table[state][slot] -= rate * (table[state][slot] - anchor);
+    };
+
+    /**
+     * Count a training step and a visit to (s,a), add the strategy's
+     * intrinsic reward, if any, and pull Q(s,a) towards the FedProx anchor
+     * @param {number|number[]} action - Action index (factored agents: one Q slot per factor,
+     *   whose bonuses are averaged)
+     * @returns {number} Reward to learn from
+     */
+    const observe = (state, action, reward) => {
+        annealing.step();
+
+        const counts = visitCounts(state);
+        const slots = Array.isArray(action) ? action : [action];
+        slots.forEach(slot => {
+            counts[slot]++;
+        });
+        store.visits[state] = counts;
+        if (store.proximal) {
+            slots.forEach(slot => proximalPull(state, slot));
+        }
+        const { intrinsicReward } = store.exploration;
+        if (!intrinsicReward) return reward;
+        const context = explorationContext(state);
+        return reward + slots.reduce((sum, slot) => sum + intrinsicReward(counts[slot], context), 0) / slots.length;
+    };
+
+    const returns = createNStepBuffer(nStep, gamma, (state, action, target) => {
+        initState(state);
+        store.qTable[state][action] = updateQValue(store.qTable[state][action], target, 0, alphaFor(state, action), gamma);
+    });
+
+    /**
+     * Feed one transition through the n-step buffer
+     * @param {number} bootstrapValue - Value estimate of nextState (max, Q(s',a'), E[Q], ...)
+     */
+    const tdLearn = (state, action, reward, nextState, bootstrapValue) => {
+        returns.push(state, action, reward, nextState, bootstrapValue);
+    };
+
+    /**
+     * Store a one-step transition and replay a minibatch through `update`
+     * (no-op unless config.replay is set)
+     * @param {Object} transition - { state, action, reward, nextState } (reward already shaped)
+     * @param {Function} update - (transition, weight) => TD error; applies one weighted update
+     */
+    const replayLearn = (transition, update) => {
+        if (!replayBuffer) return;
+        replayBuffer.add(transition);
+        if (replayBuffer.size() < batchSize) return;
+
+        const { transitions, indices, weights } = replayBuffer.sample(batchSize);
+        const errors = transitions.map((t, i) => {
+            initState(t.state);
+            initState(t.nextState);
+            return update(t, weights[i]);
+        });
+        replayBuffer.updatePriorities(indices, errors);
+    };
+
+    const methods = {
         /**
          * Choose action for given state
          * @param {string} state - State identifier
@@ -147,35 +521,16 @@ export const createTabularAgent = (config) => {
          */
         chooseAction: (state) => {
             initState(state);
-            const effectiveEpsilon = isInferenceMode ? 0 : epsilon;
-            return selectAction(qTable[state], effectiveEpsilon);
-        },
-
-        /**
-         * Update Q-value based on experience
-         * @param {string} state - Current state
-         * @param {number} action - Taken action
-         * @param {number} reward - Received reward
-         * @param {string} nextState - Next state
-         */
-        learn: (state, action, reward, nextState) => {
-            if (isInferenceMode) return;
-            
-            initState(state);
-            initState(nextState);
-            
-            const currentQ = qTable[state][action];
-            const maxNextQ = Math.max(...qTable[nextState]);
-            
-            qTable[state][action] = updateQValue(currentQ, reward, maxNextQ, alpha, gamma);
+            return pickAction(state);
         },
 
         /**
-         * Decay epsilon (reduce exploration)
+         * Advance the episode counter and decay epsilon and softmax
+         * temperature (reduce exploration). Call once per finished episode.
          */
         decayEpsilon: () => {
-            if (!isInferenceMode) {
-                epsilon = Math.max(minEpsilon, epsilon * epsilonDecay);
+            if (!store.isInferenceMode) {
+                annealing.episode();
             }
         },
 
@@ -186,87 +541,2934 @@ export const createTabularAgent = (config) => {
          */
         getQValues: (state) => {
             initState(state);
-            return [...qTable[state]];
+            return [...store.qTable[state]];
         },
 
         /**
          * Get full Q-table
          * @returns {Object} Q-table
          */
-        getModel: () => JSON.parse(JSON.stringify(qTable)),
+        getModel: () => JSON.parse(JSON.stringify(store.qTable)),
 
         /**
          * Set Q-table from model
          * @param {Object} model - Q-table to load
          */
         setModel: (model) => {
-            qTable = JSON.parse(JSON.stringify(model));
+            store.qTable = JSON.parse(JSON.stringify(model));
         },
 
         /**
          * Get current epsilon
          * @returns {number} Epsilon value
          */
-        getEpsilon: () => epsilon,
+        getEpsilon: () => annealing.values.epsilon,
+
+        /**
+         * Get current learning rate
+         * @param {string} state - State identifier (needed for visit-based alpha)
+         * @param {number} action - Action index (needed for visit-based alpha)
+         * @returns {number} Alpha value
+         */
+        getAlpha: (state, action = 0) => alphaFor(state, action),
+
+        /**
+         * Get schedule counters
+         * @returns {Object} { episodes, steps }
+         */
+        getCounters: () => ({ ...annealing.counters }),
+
+        /**
+         * Get current softmax temperature
+         * @returns {number} Temperature value
+         */
+        getTemperature: () => annealing.values.temperature,
+
+        /**
+         * Switch exploration strategy (safe to call mid-training)
+         * @param {string|Object} name - Key of EXPLORATION_STRATEGIES or a custom strategy
+         * @param {Object} params - Optional { temperature, ucbC, bonusBeta } overrides
+         */
+        setExploration: (name, params = {}) => {
+            store.exploration = resolveExploration(name);
+            store.explorationName = name;
+            const { temperature: nextTemperature, ...rest } = params;
+            if (nextTemperature !== undefined) annealing.values.temperature = nextTemperature;
+            store.explorationParams = { ...store.explorationParams, ...rest };
+        },
+
+        /**
+         * Get active exploration strategy and its parameters
+         * @returns {Object} { name, temperature, ucbC, bonusBeta }
+         */
+        getExploration: () => ({
+            name: store.explorationName,
+            temperature: annealing.values.temperature,
+            ...store.explorationParams
+        }),
+
+        /**
+         * Get per state-action visit counts N(s,a)
+         * @returns {Object} Counts keyed by state, same shape as the Q-table
+         */
+        getVisitCounts: () => JSON.parse(JSON.stringify(store.visits)),
+
+        /**
+         * Set per state-action visit counts (e.g. after federation)
+         * @param {Object} visits - Counts keyed by state
+         */
+        setVisitCounts: (visits) => {
+            store.visits = JSON.parse(JSON.stringify(visits));
+        },
+
+        /**
+         * Set the FedProx proximal term: until the next call, every learning
+         * step also pulls the visited Q(s,a) towards the global model
+         * @param {Object} globalModel - Last global Q-table (null: plain local training)
+         * @param {number} mu - Proximal coefficient μ
+         */
+        setProximalTerm: (globalModel, mu) => {
+            store.proximal = globalModel && mu > 0
+                ? { model: JSON.parse(JSON.stringify(globalModel)), mu }
+                : null;
+        },
 
         /**
          * Set inference mode
          * @param {boolean} mode - True for inference, false for training
          */
         setInferenceMode: (mode) => {
-            isInferenceMode = mode;
+            store.isInferenceMode = mode;
         },
 
         /**
          * Get inference mode status
          * @returns {boolean} Inference mode
          */
-        getInferenceMode: () => isInferenceMode,
+        getInferenceMode: () => store.isInferenceMode,
+
+        /**
+         * Flush pending n-step returns (call when the environment resets)
+         */
+        endEpisode: () => {
+            if (!store.isInferenceMode) returns.flush();
+            returns.clear();
+        },
+
+        /**
+         * Get replay buffer size (0 when replay is off)
+         * @returns {number} Stored transitions
+         */
+        getReplaySize: () => replayBuffer?.size() ?? 0,
 
         /**
          * Reset agent (clear Q-table)
          */
         reset: () => {
-            qTable = {};
-            epsilon = initEpsilon;
+            store.qTable = {};
+            store.visits = {};
+            store.proximal = null;
+            annealing.reset();
+            returns.clear();
+            replayBuffer?.clear();
         }
     };
+
+    return {
+        store, initState, pickAction, policyProbabilities, observe, proximalPull, tdLearn, replayLearn,
+        alphaFor, explorationContext, methods, gamma, numActions, nStep, random, replayBuffer
+    };
 };
 
-// ============================================================================
-// UTILITY FUNCTIONS
-// ============================================================================
+/**
+ * Create a tabular Q-learning agent
+ * 
+ * @param {Object} config - Agent configuration
+ * @param {number|Object} config.alpha - Learning rate, or a schedule / schedule spec
+ *   (see schedule-core.js; e.g. { type: 'visit' } for α = 1/N(s,a))
+ * @param {number} config.gamma - Discount factor
+ * @param {number|Object} config.epsilon - Initial exploration rate, or a schedule / schedule spec
+ *   (e.g. { type: 'linear', start: 1, end: 0.05, duration: 5000, unit: 'step' })
+ * @param {number} config.epsilonDecay - Decay rate for numeric epsilon
+ * @param {number} config.minEpsilon - Minimum value for numeric epsilon
+ * @param {number} config.numActions - Number of actions
+ * @param {number} config.nStep - Steps before bootstrapping (default: 1, also
+ *   accepted by SARSA and Expected SARSA agents)
+ * @param {string|Object} config.exploration - Key of EXPLORATION_STRATEGIES or a custom strategy
+ *   (default: 'epsilon-greedy')
+ * @param {number} config.temperature - Initial softmax temperature (default: 1.0)
+ * @param {number} config.temperatureDecay - Per-episode temperature decay (default: 1.0)
+ * @param {number} config.minTemperature - Minimum temperature (default: 0.01)
+ * @param {number} config.ucbC - UCB1 exploration coefficient (default: √2)
+ * @param {number} config.bonusBeta - Count-bonus scale β (default: 0.1)
+ * @param {Function} config.random - Random function (default: Math.random)
+ * @returns {Object} Agent interface
+ */
+export const createTabularAgent = (config) => {
+    const { store, initState, observe, tdLearn, replayLearn, alphaFor, gamma, methods } = createTabularBase(config);
+
+    // One-step Q-learning update used for replayed transitions
+    const replayUpdate = ({ state, action, reward, nextState }, weight) => {
+        const delta = tdError(reward, store.qTable[state][action], Math.max(...store.qTable[nextState]), gamma);
+        store.qTable[state][action] += alphaFor(state, action) * weight * delta;
+        return delta;
+    };
+
+    return {
+        ...methods,
+
+        /**
+         * Update Q-value based on experience
+         * @param {string} state - Current state
+         * @param {number} action - Taken action
+         * @param {number} reward - Received reward
+         * @param {string} nextState - Next state
+         */
+        learn: (state, action, reward, nextState) => {
+            if (store.isInferenceMode) return;
+            
+            initState(state);
+            initState(nextState);
+            
+            const maxNextQ = Math.max(...store.qTable[nextState]);
+            const shapedReward = observe(state, action, reward);
+            
+            tdLearn(state, action, shapedReward, nextState, maxNextQ);
+            replayLearn({ state, action, reward: shapedReward, nextState }, replayUpdate);
+        }
+    };
+};
 
 /**
- * Discretize continuous value into bins
+ * Expected value of a state under the ε-greedy policy
+ * Formula: E[Q(s',·)] = (1-ε)·max_a Q(s',a) + ε·mean_a Q(s',a)
  * 
- * @param {number} value - Value to discretize
- * @param {number} bins - Number of bins
- * @param {number} min - Minimum value
- * @param {number} max - Maximum value
- * @returns {number} Bin index
+ * @param {number[]} qValues - Q-values for all actions in the state
+ * @param {number} epsilon - Exploration rate (0-1)
+ * @returns {number} Expected Q-value
  * @pure
  */
-export const discretize = (value, bins, min, max) => {
-    const normalized = (value - min) / (max - min);
-    const bin = Math.floor(normalized * bins);
-    return Math.max(0, Math.min(bins - 1, bin));
+export const expectedQValue = (qValues, epsilon) => {
+    const maxQ = Math.max(...qValues);
+    const meanQ = qValues.reduce((a, b) => a + b, 0) / qValues.length;
+    return (1 - epsilon) * maxQ + epsilon * meanQ;
 };
 
 /**
- * Create state string from discretized values
+ * Next-action commitment for on-policy agents
+ * learn() picks a' for the next state; the following chooseAction() for that
+ * state must return the same a' so the update matches the behaviour.
  * 
- * @param {number[]} values - Values to discretize
- * @param {number[]} bins - Bins for each value
- * @param {number[]} mins - Minimums for each value
- * @param {number[]} maxs - Maximums for each value
- * @returns {string} State string
- * @pure
+ * @returns {Object} { commit, take, clear }
+ * @private
  */
-export const discretizeState = (values, bins, mins, maxs) => {
-    return values
-        .map((v, i) => discretize(v, bins[i], mins[i], maxs[i]))
-        .join(',');
+const createActionCommitment = () => {
+    let pending = null;
+
+    return {
+        commit: (state, action) => {
+            pending = { state, action };
+        },
+        take: (state) => {
+            const action = pending && pending.state === state ? pending.action : null;
+            pending = null;
+            return action;
+        },
+        clear: () => {
+            pending = null;
+        }
+    };
+};
+
+/**
+ * Create a tabular SARSA agent (on-policy TD control)
+ * Formula: Q(s,a) ← Q(s,a) + α[r + γ·Q(s',a') - Q(s,a)]
+ * 
+ * `learn` bootstraps from the action actually taken next. Pass it as the
+ * fifth argument if known; otherwise the agent samples a' from its own policy
+ * and returns it from the next `chooseAction(nextState)` call, so the agent
+ * drops into loops that call chooseAction → step → learn (e.g. stepClient).
+ * 
+ * @param {Object} config - Agent configuration (same as createTabularAgent)
+ * @returns {Object} Agent interface
+ */
+export const createSarsaAgent = (config) => {
+    const { store, initState, pickAction, observe, tdLearn, methods, replayBuffer } = createTabularBase(config);
+
+    if (replayBuffer) {
+        throw new Error('SARSA is on-policy and cannot learn from replayed transitions (use expected-sarsa or q-learning)');
+    }
+
+    const commitment = createActionCommitment();
+
+    return {
+        ...methods,
+
+        /**
+         * Choose action for given state (honours the action committed by learn)
+         * @param {string} state - State identifier
+         * @returns {number} Action index
+         */
+        chooseAction: (state) => {
+            initState(state);
+            const committed = commitment.take(state);
+            return committed ?? pickAction(state);
+        },
+
+        /**
+         * Update Q-value based on experience
+         * @param {string} state - Current state
+         * @param {number} action - Taken action
+         * @param {number} reward - Received reward
+         * @param {string} nextState - Next state
+         * @param {number} [nextAction] - Action to be taken in nextState
+         */
+        learn: (state, action, reward, nextState, nextAction) => {
+            if (store.isInferenceMode) return;
+
+            initState(state);
+            initState(nextState);
+
+            const next = nextAction ?? pickAction(nextState);
+            commitment.commit(nextState, next);
+
+            tdLearn(state, action, observe(state, action, reward), nextState, store.qTable[nextState][next]);
+        },
+
+        /**
+         * Flush n-step returns and forget the committed next action
+         * (call when the environment resets)
+         */
+        endEpisode: () => {
+            methods.endEpisode();
+            commitment.clear();
+        },
+
+        reset: () => {
+            methods.reset();
+            commitment.clear();
+        }
+    };
+};
+
+/**
+ * Create a tabular Expected SARSA agent
+ * Formula: Q(s,a) ← Q(s,a) + α[r + γ·Σ_a' π(a'|s')·Q(s',a') - Q(s,a)]
+ * 
+ * Bootstraps from the expectation under the current ε-greedy policy, so it
+ * needs no next action and has lower variance than SARSA.
+ * 
+ * @param {Object} config - Agent configuration (same as createTabularAgent)
+ * @returns {Object} Agent interface
+ */
+export const createExpectedSarsaAgent = (config) => {
+    const {
+        store, initState, policyProbabilities, observe, tdLearn, replayLearn, alphaFor, gamma, methods
+    } = createTabularBase(config);
+
+    const expectedValue = (state) => policyProbabilities(state)
+        .reduce((sum, p, a) => sum + p * store.qTable[state][a], 0);
+
+    // One-step Expected SARSA update used for replayed transitions
+    const replayUpdate = ({ state, action, reward, nextState }, weight) => {
+        const delta = tdError(reward, store.qTable[state][action], expectedValue(nextState), gamma);
+        store.qTable[state][action] += alphaFor(state, action) * weight * delta;
+        return delta;
+    };
+
+    return {
+        ...methods,
+
+        /**
+         * Update Q-value based on experience
+         * @param {string} state - Current state
+         * @param {number} action - Taken action
+         * @param {number} reward - Received reward
+         * @param {string} nextState - Next state
+         */
+        learn: (state, action, reward, nextState) => {
+            if (store.isInferenceMode) return;
+
+            initState(state);
+            initState(nextState);
+
+            const expectedNextQ = expectedValue(nextState);
+            const shapedReward = observe(state, action, reward);
+
+            tdLearn(state, action, shapedReward, nextState, expectedNextQ);
+            replayLearn({ state, action, reward: shapedReward, nextState }, replayUpdate);
+        }
+    };
+};
+
+/**
+ * Create a tabular Double Q-learning agent (van Hasselt, 2010)
+ * Formula: Q_A(s,a) ← Q_A(s,a) + α[r + γ·Q_B(s', argmax_a' Q_A(s',a')) - Q_A(s,a)]
+ *          (and symmetrically for Q_B, picking one table per update at random)
+ * 
+ * Decoupling action selection from evaluation removes the max-bootstrap
+ * overestimation bias in noisy-reward environments. Actions are chosen on
+ * Q_A + Q_B.
+ * 
+ * Model format: getModel() returns the plain Q-table (Q_A + Q_B) / 2, so it
+ * can be aggregated by federatedAverage like any other tabular model.
+ * setModel() loads the same table into both Q_A and Q_B. Use getTables() /
+ * setTables() to checkpoint the two estimators separately.
+ * 
+ * @param {Object} config - Agent configuration (same as createTabularAgent)
+ * @param {Function} config.random - Random function for exploration and the table coin flip (default: Math.random)
+ * @returns {Object} Agent interface
+ */
+export const createDoubleQAgent = (config) => {
+    const {
+        store, initState, pickAction, observe, proximalPull, replayLearn, alphaFor, methods, gamma, numActions, nStep, random
+    } = createTabularBase(config);
+
+    if (nStep > 1) {
+        throw new Error('Double Q-learning agent does not support nStep > 1');
+    }
+
+    // store.qTable holds Q_A; Q_B lives alongside it
+    let tableB = {};
+
+    const initBoth = (state) => {
+        initState(state);
+        if (!tableB[state]) {
+            tableB[state] = Array(numActions).fill(0);
+        }
+    };
+
+    const combined = (state) => store.qTable[state].map((q, i) => q + tableB[state][i]);
+
+    /**
+     * Update one randomly chosen table towards the other's value of its greedy action
+     * @returns {number} TD error
+     */
+    const update = ({ state, action, reward, nextState }, weight = 1) => {
+        initBoth(state);
+        initBoth(nextState);
+
+        const [select, evaluate] = random() < 0.5
+            ? [store.qTable, tableB]
+            : [tableB, store.qTable];
+
+        const bestNext = argmax(select[nextState]);
+        const delta = tdError(reward, select[state][action], evaluate[nextState][bestNext], gamma);
+        select[state][action] += alphaFor(state, action) * weight * delta;
+        return delta;
+    };
+
+    return {
+        ...methods,
+
+        /**
+         * Choose action for given state (explores on Q_A + Q_B)
+         * @param {string} state - State identifier
+         * @returns {number} Action index
+         */
+        chooseAction: (state) => {
+            initBoth(state);
+            return pickAction(state, combined(state));
+        },
+
+        /**
+         * Update one of the two Q-tables based on experience
+         * @param {string} state - Current state
+         * @param {number} action - Taken action
+         * @param {number} reward - Received reward
+         * @param {string} nextState - Next state
+         */
+        learn: (state, action, reward, nextState) => {
+            if (store.isInferenceMode) return;
+
+            const transition = { state, action, reward: observe(state, action, reward), nextState };
+            // observe() anchors Q_A; setModel loaded the global model into Q_B too
+            if (store.proximal) proximalPull(state, action, tableB);
+            update(transition);
+            replayLearn(transition, update);
+        },
+
+        /**
+         * Get averaged Q-values for a state
+         * @param {string} state - State identifier
+         * @returns {number[]} (Q_A + Q_B) / 2
+         */
+        getQValues: (state) => {
+            initBoth(state);
+            return combined(state).map(q => q / 2);
+        },
+
+        /**
+         * Get averaged Q-table (federation-compatible)
+         * @returns {Object} Q-table
+         */
+        getModel: () => {
+            const model = {};
+            new Set([...Object.keys(store.qTable), ...Object.keys(tableB)]).forEach(state => {
+                initBoth(state);
+                model[state] = combined(state).map(q => q / 2);
+            });
+            return model;
+        },
+
+        /**
+         * Load a plain Q-table into both estimators
+         * @param {Object} model - Q-table to load
+         */
+        setModel: (model) => {
+            store.qTable = JSON.parse(JSON.stringify(model));
+            tableB = JSON.parse(JSON.stringify(model));
+        },
+
+        /**
+         * Get both Q-tables
+         * @returns {Object} { a, b } Q-tables
+         */
+        getTables: () => JSON.parse(JSON.stringify({ a: store.qTable, b: tableB })),
+
+        /**
+         * Set both Q-tables
+         * @param {Object} tables - { a, b } Q-tables
+         */
+        setTables: ({ a, b }) => {
+            store.qTable = JSON.parse(JSON.stringify(a));
+            tableB = JSON.parse(JSON.stringify(b));
+        },
+
+        reset: () => {
+            methods.reset();
+            tableB = {};
+        }
+    };
+};
+
+/**
+ * Create a tabular eligibility-trace agent: Watkins' Q(λ) or SARSA(λ)
+ * Formula: δ = r + γ·Q(s',a*) - Q(s,a)        (a* = argmax for Q(λ), a' for SARSA(λ))
+ *          e(s,a) ← e(s,a) + 1 (accumulating) | 1 (replacing)
+ *          Q ← Q + α·δ·e,  e ← γ·λ·e
+ * 
+ * Credit for each reward flows back along the whole visited trajectory, which
+ * speeds up sparse-reward tasks considerably. For Watkins' Q(λ) traces are cut
+ * whenever the next action is exploratory (not greedy), keeping the update
+ * off-policy. Like SARSA, the next action is sampled inside learn() and
+ * returned by the following chooseAction(nextState).
+ * 
+ * Traces are episode-local: call endEpisode() when the environment resets
+ * (stepClient in app-template.js does this on `done`).
+ * 
+ * @param {Object} config - Agent configuration (same as createTabularAgent, plus:)
+ * @param {number} config.lambda - Trace decay rate λ (0-1, default: 0.9)
+ * @param {string} config.traceType - 'replacing' (default) or 'accumulating'
+ * @param {string} config.method - 'watkins' (Q(λ), default) or 'sarsa' (SARSA(λ))
+ * @param {number} config.traceThreshold - Traces below this are dropped (default: 1e-4)
+ * @returns {Object} Agent interface
+ */
+export const createLambdaAgent = (config) => {
+    const {
+        store, initState, pickAction, observe, alphaFor, methods, gamma, numActions, nStep, replayBuffer
+    } = createTabularBase(config);
+    const {
+        lambda = 0.9,
+        traceType = 'replacing',
+        method = 'watkins',
+        traceThreshold = 1e-4
+    } = config;
+
+    if (traceType !== 'replacing' && traceType !== 'accumulating') {
+        throw new Error(`Unknown traceType: ${traceType} (expected 'replacing' or 'accumulating')`);
+    }
+    if (method !== 'watkins' && method !== 'sarsa') {
+        throw new Error(`Unknown method: ${method} (expected 'watkins' or 'sarsa')`);
+    }
+    if (nStep > 1) {
+        throw new Error('Eligibility-trace agent does not support nStep > 1 (traces already give multi-step returns)');
+    }
+    if (replayBuffer) {
+        throw new Error('Eligibility-trace agent does not support replay (traces follow the live trajectory)');
+    }
+
+    const commitment = createActionCommitment();
+    let traces = {};
+
+    return {
+        ...methods,
+
+        /**
+         * Choose action for given state (honours the action committed by learn)
+         * @param {string} state - State identifier
+         * @returns {number} Action index
+         */
+        chooseAction: (state) => {
+            initState(state);
+            const committed = commitment.take(state);
+            return committed ?? pickAction(state);
+        },
+
+        /**
+         * Update all traced Q-values based on experience
+         * @param {string} state - Current state
+         * @param {number} action - Taken action
+         * @param {number} reward - Received reward
+         * @param {string} nextState - Next state
+         * @param {number} [nextAction] - Action to be taken in nextState
+         */
+        learn: (state, action, reward, nextState, nextAction) => {
+            if (store.isInferenceMode) return;
+
+            initState(state);
+            initState(nextState);
+
+            const nextQValues = store.qTable[nextState];
+            const next = nextAction ?? pickAction(nextState);
+            commitment.commit(nextState, next);
+
+            // Ties with the greedy value count as greedy so traces aren't cut needlessly
+            const best = nextQValues[next] === Math.max(...nextQValues) ? next : argmax(nextQValues);
+            const target = method === 'watkins' ? nextQValues[best] : nextQValues[next];
+            const delta = tdError(observe(state, action, reward), store.qTable[state][action], target, gamma);
+
+            if (!traces[state]) {
+                traces[state] = Array(numActions).fill(0);
+            }
+            traces[state][action] = traceType === 'replacing' ? 1 : traces[state][action] + 1;
+
+            const cut = method === 'watkins' && next !== best;
+            const decay = gamma * lambda;
+            const nextTraces = {};
+
+            Object.entries(traces).forEach(([s, e]) => {
+                initState(s);
+                let keep = false;
+                const decayed = e.map((trace, a) => {
+                    if (trace === 0) return 0;
+                    store.qTable[s][a] += alphaFor(s, a) * delta * trace;
+                    const remaining = trace * decay;
+                    if (remaining < traceThreshold) return 0;
+                    keep = true;
+                    return remaining;
+                });
+                if (keep && !cut) nextTraces[s] = decayed;
+            });
+
+            traces = nextTraces;
+        },
+
+        /**
+         * Get eligibility traces (for inspection/visualisation)
+         * @returns {Object} Traces keyed by state
+         */
+        getTraces: () => JSON.parse(JSON.stringify(traces)),
+
+        /**
+         * Clear traces and committed action (call when the environment resets)
+         */
+        endEpisode: () => {
+            traces = {};
+            commitment.clear();
+        },
+
+        reset: () => {
+            methods.reset();
+            traces = {};
+            commitment.clear();
+        }
+    };
+};
+
+/**
+ * Create a tabular Monte Carlo control agent
+ * Formula: G_t = r_{t+1} + γ·G_{t+1}, then at episode end
+ *          on-policy    Q(s,a) ← Q(s,a) + (1/N(s,a))·[G_t - Q(s,a)]
+ *          off-policy   C(s,a) ← C(s,a) + W,  Q(s,a) ← Q(s,a) + (W/C(s,a))·[G_t - Q(s,a)]
+ *                       (step min(1, α·W) instead of W/C with sampleAverage: false),
+ *                       W ← W / b(a_t|s_t), stopping once a_t is not greedy
+ * 
+ * Learns only from complete episodes: learn() records each step and
+ * endEpisode() (called by stepClient when the environment reports done)
+ * walks the episode backwards. No bootstrapping, so estimates are unbiased
+ * but noisier than TD; handy to contrast with the other agents.
+ * 
+ * With `offPolicy`, the target policy is greedy and the behaviour policy is
+ * the active exploration strategy; returns are corrected with weighted
+ * importance sampling (Sutton & Barto, §5.7).
+ * 
+ * @param {Object} config - Agent configuration (same as createTabularAgent, plus:)
+ * @param {boolean} config.firstVisit - Update only the first visit of (s,a) per episode (default: true)
+ * @param {boolean} config.offPolicy - Learn the greedy policy with weighted importance sampling (default: false)
+ * @param {boolean} config.sampleAverage - Average returns incrementally (1/N or W/C); false uses
+ *   the alpha schedule instead, scaled by W off-policy (α·W, at most 1) (default: true)
+ * @returns {Object} Agent interface
+ */
+export const createMonteCarloAgent = (config) => {
+    const {
+        store, initState, policyProbabilities, observe, alphaFor, methods, gamma, numActions, nStep, replayBuffer
+    } = createTabularBase(config);
+    const {
+        firstVisit = true,
+        offPolicy = false,
+        sampleAverage = true
+    } = config;
+
+    if (nStep > 1) {
+        throw new Error('Monte Carlo agent does not support nStep > 1 (it already uses full returns)');
+    }
+    if (replayBuffer) {
+        throw new Error('Monte Carlo agent does not support replay (it learns from whole episodes)');
+    }
+
+    let episode = [];
+    // N(s,a) on-policy, C(s,a) (cumulative importance weights) off-policy
+    let returnWeights = {};
+
+    const addWeight = (state, action, weight) => {
+        if (!returnWeights[state]) {
+            returnWeights[state] = Array(numActions).fill(0);
+        }
+        returnWeights[state][action] += weight;
+        return returnWeights[state][action];
+    };
+
+    const update = (state, action, target, weight) => {
+        initState(state);
+        const total = addWeight(state, action, weight);
+        // Constant-α steps keep the importance weight; capped so Q never overshoots G
+        const stepSize = sampleAverage ? weight / total : Math.min(1, alphaFor(state, action) * weight);
+        store.qTable[state][action] += stepSize * (target - store.qTable[state][action]);
+    };
+
+    const learnFromEpisode = () => {
+        const firstIndex = new Map();
+        episode.forEach(({ state, action }, t) => {
+            const key = `${state}|${action}`;
+            if (!firstIndex.has(key)) firstIndex.set(key, t);
+        });
+
+        let G = 0;
+        let W = 1;
+        for (let t = episode.length - 1; t >= 0; t--) {
+            const { state, action, reward, behaviourProbability } = episode[t];
+            G = gamma * G + reward;
+
+            const isFirst = firstIndex.get(`${state}|${action}`) === t;
+            if (!firstVisit || isFirst) {
+                update(state, action, G, W);
+            }
+
+            if (offPolicy) {
+                // Ties with the greedy value count as greedy
+                const values = store.qTable[state];
+                if (values[action] !== Math.max(...values) || behaviourProbability === 0) break;
+                W /= behaviourProbability;
+            }
+        }
+    };
+
+    return {
+        ...methods,
+
+        /**
+         * Record one step of the current episode (learning happens in endEpisode)
+         * @param {string} state - Current state
+         * @param {number} action - Taken action
+         * @param {number} reward - Received reward
+         * @param {string} nextState - Next state
+         */
+        learn: (state, action, reward, nextState) => {
+            if (store.isInferenceMode) return;
+
+            initState(state);
+            initState(nextState);
+
+            const behaviourProbability = offPolicy ? policyProbabilities(state)[action] : 1;
+            episode.push({ state, action, reward: observe(state, action, reward), behaviourProbability });
+        },
+
+        /**
+         * Update Q from the returns of the finished episode (call when the
+         * environment resets)
+         */
+        endEpisode: () => {
+            if (!store.isInferenceMode) learnFromEpisode();
+            episode = [];
+        },
+
+        /**
+         * Get return counts N(s,a), or cumulative importance weights C(s,a) off-policy
+         * @returns {Object} Weights keyed by state
+         */
+        getReturnWeights: () => JSON.parse(JSON.stringify(returnWeights)),
+
+        /**
+         * Get number of steps recorded in the current episode
+         * @returns {number} Steps
+         */
+        getEpisodeLength: () => episode.length,
+
+        reset: () => {
+            methods.reset();
+            episode = [];
+            returnWeights = {};
+        }
+    };
+};
+
+// ============================================================================
+// MODEL-BASED PLANNING
+// ============================================================================
+
+/**
+ * Tabular world model learned from real transitions
+ *
+ * Entries are plain JSON so the model can be exported and federated:
+ *
+ *   { [state]: { [action]: { count, rewardSum, next: { [nextState]: count } } } }
+ *
+ * Rewards are averaged and next states sampled from their empirical
+ * distribution, so stochastic environments are modelled too.
+ *
+ * @param {Function} random - Random function for sampling
+ * @returns {Object} { observe, sample, get, set, size, clear }
+ * @private
+ */
+const createWorldModel = (random) => {
+    let entries = {};
+    let pairs = [];
+
+    const index = () => {
+        pairs = [];
+        Object.entries(entries).forEach(([state, actions]) => {
+            Object.keys(actions).forEach(action => pairs.push([state, Number(action)]));
+        });
+    };
+
+    return {
+        /**
+         * Record a real transition
+         * @returns {boolean} True if (s,a) was new to the model
+         */
+        observe: (state, action, reward, nextState) => {
+            if (!entries[state]) entries[state] = {};
+            let entry = entries[state][action];
+            const isNew = !entry;
+            if (isNew) {
+                entry = { count: 0, rewardSum: 0, next: {} };
+                entries[state][action] = entry;
+                pairs.push([state, action]);
+            }
+            entry.count++;
+            entry.rewardSum += reward;
+            entry.next[nextState] = (entry.next[nextState] || 0) + 1;
+            return isNew;
+        },
+
+        /**
+         * Sample a modelled (s,a) uniformly, then r̄ and s' ~ P̂(·|s,a)
+         * @returns {Object|null} { state, action, reward, nextState } or null when empty
+         */
+        sample: () => {
+            if (pairs.length === 0) return null;
+            const [state, action] = pairs[Math.floor(random() * pairs.length)];
+            const { count, rewardSum, next } = entries[state][action];
+
+            let pick = random() * count;
+            const nextStates = Object.keys(next);
+            let nextState = nextStates[nextStates.length - 1];
+            for (const candidate of nextStates) {
+                pick -= next[candidate];
+                if (pick < 0) {
+                    nextState = candidate;
+                    break;
+                }
+            }
+            return { state, action, reward: rewardSum / count, nextState };
+        },
+
+        get: () => JSON.parse(JSON.stringify(entries)),
+
+        set: (model) => {
+            entries = JSON.parse(JSON.stringify(model));
+            index();
+        },
+
+        pairs: () => pairs,
+
+        clear: () => {
+            entries = {};
+            pairs = [];
+        }
+    };
+};
+
+/**
+ * Create a Dyna-Q / Dyna-Q+ agent (Sutton & Barto, ch. 8)
+ * Formula: real step   Q(s,a) ← Q(s,a) + α[r + γ·max Q(s',·) - Q(s,a)], then
+ *          k times     (s,a) ~ model, r̂, ŝ' ~ model:
+ *                      Q(s,a) ← Q(s,a) + α[r̂ + κ√τ(s,a) + γ·max Q(ŝ',·) - Q(s,a)]
+ *
+ * Each real transition also updates a tabular world model; planning replays
+ * simulated transitions from it, so few (costly) environment steps go a long
+ * way. With κ > 0 (Dyna-Q+), planning adds a bonus κ√τ for pairs not tried
+ * for τ real steps, which drives re-exploration when the environment changes.
+ *
+ * The world model is exported with getWorldModel() and can be federated
+ * (aggregateWorldModels in federated-core.js) so clients share dynamics, not
+ * just values.
+ *
+ * @param {Object} config - Agent configuration (same as createTabularAgent, plus:)
+ * @param {number} config.planningSteps - Simulated updates k per real step (default: 10)
+ * @param {number} config.kappa - Dyna-Q+ staleness bonus κ; 0 = plain Dyna-Q (default: 0)
+ * @returns {Object} Agent interface
+ */
+export const createDynaAgent = (config) => {
+    const {
+        store, initState, observe, tdLearn, alphaFor, methods, gamma, nStep, random, replayBuffer
+    } = createTabularBase(config);
+    const {
+        planningSteps = 10,
+        kappa = 0
+    } = config;
+
+    if (!Number.isInteger(planningSteps) || planningSteps < 0) {
+        throw new Error(`planningSteps must be a non-negative integer, got ${planningSteps}`);
+    }
+    if (nStep > 1) {
+        throw new Error('Dyna agent does not support nStep > 1');
+    }
+    if (replayBuffer) {
+        throw new Error('Dyna agent does not support replay (planning already reuses experience)');
+    }
+
+    const worldModel = createWorldModel(random);
+    // Real step at which each (s,a) was last tried, keyed 'state|action'
+    let lastTried = {};
+    let realSteps = 0;
+
+    const plan = () => {
+        for (let i = 0; i < planningSteps; i++) {
+            const simulated = worldModel.sample();
+            if (!simulated) return;
+            const { state, action, reward, nextState } = simulated;
+            initState(state);
+            initState(nextState);
+
+            const tau = realSteps - (lastTried[`${state}|${action}`] ?? 0);
+            const bonus = kappa > 0 ? kappa * Math.sqrt(tau) : 0;
+            const delta = tdError(reward + bonus, store.qTable[state][action], Math.max(...store.qTable[nextState]), gamma);
+            store.qTable[state][action] += alphaFor(state, action) * delta;
+        }
+    };
+
+    return {
+        ...methods,
+
+        /**
+         * Update Q from a real transition, record it in the world model, then plan
+         * @param {string} state - Current state
+         * @param {number} action - Taken action
+         * @param {number} reward - Received reward
+         * @param {string} nextState - Next state
+         */
+        learn: (state, action, reward, nextState) => {
+            if (store.isInferenceMode) return;
+
+            initState(state);
+            initState(nextState);
+
+            const maxNextQ = Math.max(...store.qTable[nextState]);
+            tdLearn(state, action, observe(state, action, reward), nextState, maxNextQ);
+
+            // The model stores the environment's reward; bonuses are added when planning
+            worldModel.observe(state, action, reward, nextState);
+            realSteps++;
+            lastTried[`${state}|${action}`] = realSteps;
+
+            plan();
+        },
+
+        /**
+         * Get the learned world model
+         * @returns {Object} { [state]: { [action]: { count, rewardSum, next: { [nextState]: count } } } }
+         */
+        getWorldModel: () => worldModel.get(),
+
+        /**
+         * Load a world model (e.g. after federation). Pairs this client has
+         * never tried count as tried now, so Dyna-Q+ does not chase them.
+         * @param {Object} model - World model as returned by getWorldModel()
+         */
+        setWorldModel: (model) => {
+            worldModel.set(model);
+            worldModel.pairs().forEach(([state, action]) => {
+                const key = `${state}|${action}`;
+                if (lastTried[key] === undefined) lastTried[key] = realSteps;
+            });
+        },
+
+        /**
+         * Get number of modelled state-action pairs
+         * @returns {number} Pairs
+         */
+        getWorldModelSize: () => worldModel.pairs().length,
+
+        reset: () => {
+            methods.reset();
+            worldModel.clear();
+            lastTried = {};
+            realSteps = 0;
+        }
+    };
+};
+
+// ============================================================================
+// FACTORED ACTIONS
+// ============================================================================
+
+/**
+ * Create a factored Q-learning agent for multi-discrete action spaces
+ *
+ * Instead of one Q-value per joint action (Π nvec entries per state), each
+ * factor f has its own head Q_f(s,·) of nvec[f] entries, and the joint value
+ * is their sum:
+ *   Q(s,a) = Σ_f Q_f(s,a_f)
+ *   δ = r + γ·Σ_f max_b Q_f(s',b) - Q(s,a),   Q_f(s,a_f) += (α/F)·δ
+ * so the greedy joint action is the per-factor argmax and a table grows with
+ * Σ nvec instead of Π nvec. α is split across the F factors, as tile coding
+ * splits it across tilings. Each head explores independently with the
+ * configured strategy.
+ *
+ * chooseAction() returns the tuple of sub-actions; learn() accepts a tuple or
+ * a flat product index. getModel() stores the heads concatenated per state
+ * ({ state: [...Q_0(s,·), ...Q_1(s,·), ...] }), so federatedAverage and
+ * visit-count aggregation work unchanged.
+ *
+ * @example
+ * const agent = createFactoredAgent({ actionSpace: { type: 'multi-discrete', nvec: [9, 3] } });
+ * const [pattern, strength] = agent.chooseAction(state);
+ *
+ * @param {Object} config - Agent configuration (as createTabularAgent, without nStep and replay)
+ * @param {Object} config.actionSpace - Multi-discrete (or discrete) action space descriptor or spec
+ * @returns {Object} Agent interface
+ */
+export const createFactoredAgent = (config) => {
+    const actionSpace = config.actionSpace && createActionSpace(config.actionSpace);
+    if (!actionSpace || actionSpace.type === 'box') {
+        throw new Error('Factored agent needs a multi-discrete actionSpace ({ type: \'multi-discrete\', nvec })');
+    }
+    if ((config.nStep ?? 1) !== 1 || config.replay) {
+        throw new Error('Factored agent supports neither nStep > 1 nor replay');
+    }
+
+    const nvec = actionSpace.nvec ?? [actionSpace.n];
+    const offsets = nvec.map((_, f) => nvec.slice(0, f).reduce((a, b) => a + b, 0));
+    const numSlots = nvec.reduce((a, b) => a + b, 0);
+
+    const { store, initState, observe, alphaFor, explorationContext, gamma, random, methods } =
+        createTabularBase({ ...config, numActions: numSlots });
+
+    const heads = (values) => nvec.map((k, f) => values.slice(offsets[f], offsets[f] + k));
+    const toTuple = (action) => (Array.isArray(action) ? action : decodeMultiDiscrete(action, nvec));
+
+    return {
+        ...methods,
+
+        /**
+         * Choose one sub-action per factor
+         * @param {string} state - State identifier
+         * @returns {number[]} Sub-action per factor
+         */
+        chooseAction: (state) => {
+            initState(state);
+            const context = explorationContext(state);
+            const counts = heads(context.counts);
+            return heads(store.qTable[state]).map((values, f) => (store.isInferenceMode
+                ? selectAction(values, 0, random)
+                : store.exploration.select(values, { ...context, counts: counts[f] })));
+        },
+
+        /**
+         * Update every factor's head with the shared TD error of the joint action
+         * @param {string} state - Current state
+         * @param {number[]|number} action - Taken sub-actions (or flat product index)
+         * @param {number} reward - Received reward
+         * @param {string} nextState - Next state
+         */
+        learn: (state, action, reward, nextState) => {
+            if (store.isInferenceMode) return;
+
+            initState(state);
+            initState(nextState);
+
+            const slots = toTuple(action).map((a, f) => offsets[f] + a);
+            const shapedReward = observe(state, slots, reward);
+
+            const q = store.qTable[state];
+            const nextValue = heads(store.qTable[nextState]).reduce((sum, values) => sum + Math.max(...values), 0);
+            const delta = tdError(shapedReward, slots.reduce((sum, slot) => sum + q[slot], 0), nextValue, gamma);
+            slots.forEach(slot => {
+                q[slot] += alphaFor(state, slot) * delta / nvec.length;
+            });
+        },
+
+        /**
+         * Get joint Q-values Q(s,a) = Σ_f Q_f(s,a_f) over the flat product
+         * @param {string} state - State identifier
+         * @returns {number[]} Q-values indexed by encodeMultiDiscrete(tuple, nvec)
+         */
+        getQValues: (state) => {
+            initState(state);
+            const q = store.qTable[state];
+            return Array.from({ length: actionSpace.n }, (_, index) =>
+                decodeMultiDiscrete(index, nvec).reduce((sum, a, f) => sum + q[offsets[f] + a], 0));
+        },
+
+        /**
+         * Get per-factor heads Q_f(s,·)
+         * @param {string} state - State identifier
+         * @returns {number[][]} One Q-value array per factor
+         */
+        getFactorQValues: (state) => {
+            initState(state);
+            return heads(store.qTable[state]);
+        },
+
+        /**
+         * Get factor sizes
+         * @returns {number[]} nvec
+         */
+        getFactorSizes: () => [...nvec]
+    };
+};
+
+// ============================================================================
+// ADAPTIVE DISCRETIZATION
+// ============================================================================
+
+/**
+ * Create a Q-learning agent over an adaptive kd-tree partition of a
+ * continuous state space
+ *
+ * The leaves of the tree are the tabular states. The tree starts as one cell
+ * covering `ranges`, and a leaf splits in half when the variance of its TD
+ * errors exceeds `splitVariance` (after `minSplitVisits` updates: values
+ * disagree inside the cell) or when its updates reach `splitVisits` (the agent
+ * spends time there). A node at depth d splits dimension d mod D at the cell
+ * midpoint, so node keys such as 'r0110' (r = root, 0 = lower half, 1 = upper
+ * half) identify the same cell on every client.
+ *
+ * Each node stores an offset Δ(node,·) and a leaf's value is the sum along
+ * its path:
+ *   Q(leaf,a) = Σ_{n ∈ path(leaf)} Δ(n,a),   Δ(leaf,a) += α·δ
+ * New children start with Δ = 0, so they inherit their parent's Q-values.
+ * getModel() returns { [nodeKey]: Δ(node,·) } for every node; as a missing
+ * key averages as 0 (= "inherit from the ancestor"), federatedAverage over
+ * clients with different partitions yields the average Q-function on the
+ * union of their trees, which setModel() adopts.
+ *
+ * @example
+ * const agent = createAdaptiveAgent({ numActions: 3, ranges: [[-1.2, 0.5], [-0.07, 0.07]] });
+ * agent.chooseAction([pos, vel]);
+ * agent.getNumLeaves();
+ *
+ * @param {Object} config - Agent configuration (as createTabularAgent, without nStep and replay)
+ * @param {number[][]} config.ranges - [min, max] per state dimension
+ * @param {number} config.splitVariance - TD-error variance that splits a leaf (default: 1; null disables)
+ * @param {number} config.splitVisits - Updates that split a leaf (default: 200; null disables)
+ * @param {number} config.minSplitVisits - Updates before a leaf may split on variance (default: 30)
+ * @param {number} config.maxDepth - Maximum tree depth (default: 12)
+ * @returns {Object} Agent interface
+ */
+export const createAdaptiveAgent = (config) => {
+    const {
+        ranges,
+        splitVariance = 1,
+        splitVisits = 200,
+        minSplitVisits = 30,
+        maxDepth = 12
+    } = config;
+
+    if (!Array.isArray(ranges) || ranges.length === 0 ||
+        ranges.some(r => !Array.isArray(r) || !(r[0] < r[1]))) {
+        throw new Error('Adaptive agent needs ranges: [[min, max], ...] with min < max');
+    }
+    if ((config.nStep ?? 1) !== 1 || config.replay) {
+        throw new Error('Adaptive agent supports neither nStep > 1 nor replay');
+    }
+
+    const { store, initState, pickAction, observe, alphaFor, gamma, numActions, methods } = createTabularBase(config);
+    const dims = ranges.length;
+    const isNodeKey = (key) => /^r[01]*$/.test(key);
+
+    // Tree structure is implied by the node keys; TD-error statistics per leaf (Welford)
+    let nodes = new Set(['r']);
+    let stats = {};
+    initState('r');
+
+    const isLeaf = (key) => !nodes.has(`${key}0`);
+
+    /**
+     * Leaf key and cell bounds for a state vector
+     */
+    const locate = (state) => {
+        const values = toStateVector(state);
+        const bounds = ranges.map(([min, max]) => [min, max]);
+        let key = 'r';
+        while (!isLeaf(key)) {
+            const dim = (key.length - 1) % dims;
+            const mid = (bounds[dim][0] + bounds[dim][1]) / 2;
+            const upper = values[dim] >= mid;
+            bounds[dim][upper ? 0 : 1] = mid;
+            key += upper ? '1' : '0';
+        }
+        return { key, bounds };
+    };
+
+    const cellBounds = (key) => {
+        const bounds = ranges.map(([min, max]) => [min, max]);
+        for (let i = 1; i < key.length; i++) {
+            const dim = (i - 1) % dims;
+            const mid = (bounds[dim][0] + bounds[dim][1]) / 2;
+            bounds[dim][key[i] === '1' ? 0 : 1] = mid;
+        }
+        return bounds;
+    };
+
+    const qValues = (leaf) => {
+        const q = Array(numActions).fill(0);
+        for (let i = 1; i <= leaf.length; i++) {
+            const offsets = store.qTable[leaf.slice(0, i)];
+            if (offsets) offsets.forEach((value, a) => { q[a] += value; });
+        }
+        return q;
+    };
+
+    const recordError = (leaf, delta) => {
+        const s = stats[leaf] || (stats[leaf] = { n: 0, mean: 0, m2: 0 });
+        s.n++;
+        const diff = delta - s.mean;
+        s.mean += diff / s.n;
+        s.m2 += diff * (delta - s.mean);
+    };
+
+    const variance = (leaf) => {
+        const s = stats[leaf];
+        return s && s.n > 1 ? s.m2 / (s.n - 1) : 0;
+    };
+
+    const maybeSplit = (leaf) => {
+        if (leaf.length - 1 >= maxDepth) return;
+        const visits = stats[leaf]?.n ?? 0;
+        const split = (splitVisits != null && visits >= splitVisits) ||
+            (splitVariance != null && visits >= minSplitVisits && variance(leaf) > splitVariance);
+        if (!split) return;
+
+        // Children start with Δ = 0: they inherit Q(leaf,·) through the path sum
+        ['0', '1'].forEach(bit => {
+            nodes.add(leaf + bit);
+            initState(leaf + bit);
+        });
+        delete stats[leaf];
+    };
+
+    const adoptNodes = (keys) => {
+        nodes = new Set(['r']);
+        keys.forEach(key => {
+            if (!isNodeKey(key)) {
+                throw new Error(`Invalid adaptive partition node key: ${key}`);
+            }
+            for (let i = 1; i <= key.length; i++) nodes.add(key.slice(0, i));
+        });
+        // A split always creates both halves
+        [...nodes].forEach(key => {
+            if (key.length > 1) nodes.add(key.slice(0, -1) + (key.endsWith('0') ? '1' : '0'));
+        });
+        nodes.forEach(initState);
+    };
+
+    return {
+        ...methods,
+
+        /**
+         * Choose action for the leaf containing a state
+         * @param {number[]|string} state - State vector
+         * @returns {number} Action index
+         */
+        chooseAction: (state) => {
+            const { key } = locate(state);
+            return pickAction(key, qValues(key));
+        },
+
+        /**
+         * Q-learning update of the state's leaf; may split the leaf
+         * @param {number[]|string} state - Current state vector
+         * @param {number} action - Taken action
+         * @param {number} reward - Received reward
+         * @param {number[]|string} nextState - Next state vector
+         */
+        learn: (state, action, reward, nextState) => {
+            if (store.isInferenceMode) return;
+
+            const leaf = locate(state).key;
+            const nextLeaf = locate(nextState).key;
+            const shapedReward = observe(leaf, action, reward);
+
+            const delta = tdError(shapedReward, qValues(leaf)[action], Math.max(...qValues(nextLeaf)), gamma);
+            store.qTable[leaf][action] += alphaFor(leaf, action) * delta;
+
+            recordError(leaf, delta);
+            maybeSplit(leaf);
+        },
+
+        /**
+         * Get Q-values of the leaf containing a state
+         * @param {number[]|string} state - State vector
+         * @returns {number[]} Q-values
+         */
+        getQValues: (state) => qValues(locate(state).key),
+
+        /**
+         * Set node offsets (e.g. the federated average) and adopt their partition
+         * @param {Object} model - { [nodeKey]: Δ(node,·) }
+         */
+        setModel: (model) => {
+            methods.setModel(model);
+            adoptNodes(Object.keys(model));
+            stats = {};
+        },
+
+        /**
+         * Leaf key for a state (its tabular state)
+         * @param {number[]|string} state - State vector
+         * @returns {string} Leaf key, e.g. 'r0110'
+         */
+        getLeaf: (state) => locate(state).key,
+
+        /**
+         * Current partition
+         * @returns {Object[]} { key, depth, bounds, visits, tdVariance } per leaf
+         */
+        getLeaves: () => [...nodes].filter(isLeaf).sort().map(key => ({
+            key,
+            depth: key.length - 1,
+            bounds: cellBounds(key),
+            visits: stats[key]?.n ?? 0,
+            tdVariance: variance(key)
+        })),
+
+        /**
+         * Number of leaves (tabular states)
+         * @returns {number} Leaf count
+         */
+        getNumLeaves: () => [...nodes].filter(isLeaf).length,
+
+        /**
+         * Reset agent to a single cell
+         */
+        reset: () => {
+            methods.reset();
+            nodes = new Set(['r']);
+            stats = {};
+            initState('r');
+        }
+    };
+};
+
+// ============================================================================
+// LINEAR FUNCTION APPROXIMATION
+// ============================================================================
+
+/**
+ * Parse a continuous state given as a number array or a comma-separated string
+ * @private
+ */
+const toStateVector = (state) => (Array.isArray(state) ? state : String(state).split(',').map(Number));
+
+/**
+ * Resolve an exploration strategy for agents without state-action visit counts
+ * @private
+ */
+const resolveCountFreeExploration = (name) => {
+    if (name === 'ucb' || name === 'count-bonus') {
+        throw new Error(`Exploration '${name}' needs state-action counts; use a tabular agent`);
+    }
+    return resolveExploration(name);
+};
+
+/**
+ * Create a tile coder for continuous state vectors
+ * 
+ * Covers the state space with `numTilings` overlapping grids, each shifted by
+ * a fraction of a tile width (asymmetric offsets 1, 3, 5, ... per dimension).
+ * A state activates exactly one tile per tiling, so nearby states share
+ * features and generalize while far-apart states stay independent.
+ * 
+ * @example
+ * const coder = createTileCoder({ ranges: [[-1.2, 0.5], [-0.07, 0.07]], tilesPerDim: 8, numTilings: 8 });
+ * coder.activeFeatures([-0.5, 0.01]); // 8 feature indices
+ * 
+ * @param {Object} config
+ * @param {number[][]} config.ranges - [min, max] per state dimension (values are clamped)
+ * @param {number|number[]} config.tilesPerDim - Tiles per dimension in each tiling (default: 8)
+ * @param {number} config.numTilings - Number of offset tilings (default: 8)
+ * @returns {Object} { numFeatures, numTilings, activeFeatures }
+ */
+export const createTileCoder = (config) => {
+    const { ranges, tilesPerDim = 8, numTilings = 8 } = config;
+
+    if (!Array.isArray(ranges) || ranges.length === 0) {
+        throw new Error('Tile coding requires ranges: [[min, max], ...] per state dimension');
+    }
+
+    const tiles = ranges.map((_, d) => Array.isArray(tilesPerDim) ? tilesPerDim[d] : tilesPerDim);
+    const widths = ranges.map(([min, max], d) => (max - min) / tiles[d]);
+
+    // One extra tile per dimension so every offset tiling still covers the range
+    const strides = [];
+    let tilesPerTiling = 1;
+    tiles.forEach((count, d) => {
+        strides[d] = tilesPerTiling;
+        tilesPerTiling *= count + 1;
+    });
+
+    return {
+        numFeatures: numTilings * tilesPerTiling,
+        numTilings,
+
+        /**
+         * Indices of the active tiles (one per tiling)
+         * @param {number[]} values - State vector
+         * @returns {number[]} Feature indices
+         */
+        activeFeatures: (values) => {
+            if (values.length !== ranges.length) {
+                throw new Error(`Expected ${ranges.length} state values, got ${values.length}`);
+            }
+            return Array.from({ length: numTilings }, (_, tiling) =>
+                ranges.reduce((index, [min, max], d) => {
+                    const v = Math.max(min, Math.min(max, values[d]));
+                    const offset = ((tiling * (2 * d + 1)) % numTilings) / numTilings * widths[d];
+                    return index + Math.floor((v - min + offset) / widths[d]) * strides[d];
+                }, tiling * tilesPerTiling));
+        }
+    };
+};
+
+/**
+ * Create a linear Q agent over binary features (tile coding by default)
+ * Formula: Q(s,a) = Σ_{i∈F(s)} w_a[i]
+ *          w_a[i] ← w_a[i] + (α / |F(s)|)·[r + γ·Q(s',a') - Q(s,a)]   for i ∈ F(s)
+ * 
+ * Drop-in replacement for the tabular agents on continuous states: `state`
+ * is a number array or a comma-separated string of numbers (e.g. what
+ * getState returns), instead of a discretized key. a' is argmax_a Q(s',a)
+ * for method 'q-learning' and the next action taken for 'sarsa'.
+ * 
+ * Each update waits for the next transition (or endEpisode) so the final
+ * transition of an episode is treated as terminal instead of bootstrapping
+ * from a generalized value of the terminal state. Call endEpisode() on done.
+ * 
+ * The model is { weights: number[] } (numActions × numFeatures, action-major),
+ * which federatedAverage averages element-wise.
+ * 
+ * @param {Object} config - Agent configuration (alpha/epsilon/temperature
+ *   options as createTabularAgent; visit-based alpha is not supported)
+ * @param {number[][]} config.ranges - [min, max] per state dimension for tile coding
+ * @param {number|number[]} config.tilesPerDim - Tiles per dimension (default: 8)
+ * @param {number} config.numTilings - Number of tilings (default: 8)
+ * @param {Object} config.features - Custom encoder { numFeatures, activeFeatures(values) } instead of tile coding
+ * @param {string} config.method - 'q-learning' (default) or 'sarsa'
+ * @param {string|Object} config.exploration - 'epsilon-greedy' (default), 'softmax' or a custom strategy
+ * @param {Function} config.random - Random function (default: Math.random)
+ * @returns {Object} Agent interface
+ */
+export const createLinearAgent = (config = {}) => {
+    const {
+        gamma = 0.95,
+        numActions = 2,
+        method = 'q-learning',
+        exploration = 'epsilon-greedy',
+        features = null,
+        random = Math.random
+    } = config;
+
+    if (method !== 'q-learning' && method !== 'sarsa') {
+        throw new Error(`Unknown linear agent method: ${method} (expected q-learning or sarsa)`);
+    }
+
+    const encoder = features || createTileCoder(config);
+    const { numFeatures } = encoder;
+
+    const annealing = createAnnealing(config);
+    if (annealing.alphaUnit === 'visit') {
+        throw new Error('Visit-based alpha schedules need state-action counts; use a tabular agent');
+    }
+
+    const store = {
+        weights: Array(numActions * numFeatures).fill(0),
+        updates: Array(numActions * numFeatures).fill(0),  // Per-weight update counts
+        exploration: resolveCountFreeExploration(exploration),
+        explorationName: exploration,
+        isInferenceMode: false,
+        proximal: null  // FedProx anchor: { weights, mu }
+    };
+
+    const commitment = createActionCommitment();
+
+    // Transition waiting for its successor: { active, action, reward, next: { active, action } }
+    let pending = null;
+
+    const encode = (state) => encoder.activeFeatures(toStateVector(state));
+
+    const qValue = (active, action) => {
+        const base = action * numFeatures;
+        return active.reduce((sum, i) => sum + store.weights[base + i], 0);
+    };
+
+    const qValues = (active) => Array.from({ length: numActions }, (_, a) => qValue(active, a));
+
+    const pickAction = (values) => {
+        if (store.isInferenceMode) return selectAction(values, 0, random);
+        return store.exploration.select(values, {
+            ...annealing.values,
+            counts: Array(numActions).fill(0),
+            random
+        });
+    };
+
+    /**
+     * Semi-gradient TD update of a stored transition
+     * @param {boolean} terminal - Skip the bootstrap term
+     */
+    const apply = ({ active, action, reward, next }, terminal) => {
+        const target = terminal ? reward : reward + gamma * (method === 'sarsa'
+            ? qValue(next.active, next.action)
+            : Math.max(...qValues(next.active)));
+        const delta = target - qValue(active, action);
+        const step = annealing.alpha() / active.length * delta;
+        const base = action * numFeatures;
+        active.forEach(i => {
+            store.weights[base + i] += step;
+            store.updates[base + i]++;
+        });
+
+        // FedProx: pull the updated weights towards the global ones
+        if (store.proximal) {
+            const rate = Math.min(1, annealing.alpha() * store.proximal.mu);
+            active.forEach(i => {
+                store.weights[base + i] -= rate * (store.weights[base + i] - store.proximal.weights[base + i]);
+            });
+        }
+    };
+
+    return {
+        /**
+         * Choose action for given state (honours the action committed by learn for SARSA)
+         * @param {number[]|string} state - State vector
+         * @returns {number} Action index
+         */
+        chooseAction: (state) => {
+            const committed = commitment.take(String(state));
+            return committed ?? pickAction(qValues(encode(state)));
+        },
+
+        /**
+         * Update weights based on experience
+         * @param {number[]|string} state - Current state vector
+         * @param {number} action - Taken action
+         * @param {number} reward - Received reward
+         * @param {number[]|string} nextState - Next state vector
+         * @param {number} [nextAction] - Action to be taken in nextState (SARSA)
+         */
+        learn: (state, action, reward, nextState, nextAction) => {
+            if (store.isInferenceMode) return;
+
+            annealing.step();
+
+            const nextActive = encode(nextState);
+            let next = nextAction ?? null;
+            if (method === 'sarsa') {
+                next = next ?? pickAction(qValues(nextActive));
+                commitment.commit(String(nextState), next);
+            }
+
+            if (pending) apply(pending, false);
+            pending = { active: encode(state), action, reward, next: { active: nextActive, action: next } };
+        },
+
+        /**
+         * Apply the final transition as terminal and forget the committed
+         * action (call when the environment resets)
+         */
+        endEpisode: () => {
+            if (pending && !store.isInferenceMode) apply(pending, true);
+            pending = null;
+            commitment.clear();
+        },
+
+        /**
+         * Advance the episode counter and decay epsilon and softmax temperature
+         */
+        decayEpsilon: () => {
+            if (!store.isInferenceMode) {
+                annealing.episode();
+            }
+        },
+
+        /**
+         * Get Q-values for a state
+         * @param {number[]|string} state - State vector
+         * @returns {number[]} Q-values
+         */
+        getQValues: (state) => qValues(encode(state)),
+
+        /**
+         * Get weight vector
+         * @returns {Object} { weights: number[] }
+         */
+        getModel: () => ({ weights: [...store.weights] }),
+
+        /**
+         * Set weight vector from model
+         * @param {Object} model - { weights: number[] } of length numActions × numFeatures
+         */
+        setModel: (model) => {
+            if (!Array.isArray(model?.weights) || model.weights.length !== store.weights.length) {
+                throw new Error(`Linear model needs ${store.weights.length} weights (${numActions} actions × ${numFeatures} features)`);
+            }
+            store.weights = [...model.weights];
+        },
+
+        /**
+         * Get per-weight update counts (visit-weighted federation)
+         * @returns {Object} { weights: number[] }, same shape as the model
+         */
+        getVisitCounts: () => ({ weights: [...store.updates] }),
+
+        /**
+         * Set per-weight update counts (e.g. after federation)
+         * @param {Object} counts - { weights: number[] }
+         */
+        setVisitCounts: (counts) => {
+            if (counts?.weights?.length === store.updates.length) {
+                store.updates = [...counts.weights];
+            }
+        },
+
+        /**
+         * Set the FedProx proximal term: until the next call, every update
+         * also pulls the touched weights towards the global model
+         * @param {Object} globalModel - Last global { weights } (null: plain local training)
+         * @param {number} mu - Proximal coefficient μ
+         */
+        setProximalTerm: (globalModel, mu) => {
+            store.proximal = globalModel?.weights && mu > 0
+                ? { weights: [...globalModel.weights], mu }
+                : null;
+        },
+
+        /**
+         * Get number of features per action
+         * @returns {number} Feature count
+         */
+        getNumFeatures: () => numFeatures,
+
+        /**
+         * Get current epsilon
+         * @returns {number} Epsilon value
+         */
+        getEpsilon: () => annealing.values.epsilon,
+
+        /**
+         * Get current learning rate (before splitting across active features)
+         * @returns {number} Alpha value
+         */
+        getAlpha: () => annealing.alpha(),
+
+        /**
+         * Get schedule counters
+         * @returns {Object} { episodes, steps }
+         */
+        getCounters: () => ({ ...annealing.counters }),
+
+        /**
+         * Get current softmax temperature
+         * @returns {number} Temperature value
+         */
+        getTemperature: () => annealing.values.temperature,
+
+        /**
+         * Switch exploration strategy ('epsilon-greedy', 'softmax' or custom)
+         * @param {string|Object} name - Strategy
+         * @param {Object} params - Optional { temperature } override
+         */
+        setExploration: (name, params = {}) => {
+            store.exploration = resolveCountFreeExploration(name);
+            store.explorationName = name;
+            if (params.temperature !== undefined) annealing.values.temperature = params.temperature;
+        },
+
+        /**
+         * Get active exploration strategy
+         * @returns {Object} { name, temperature }
+         */
+        getExploration: () => ({
+            name: store.explorationName,
+            temperature: annealing.values.temperature
+        }),
+
+        /**
+         * Set inference mode
+         * @param {boolean} mode - True for inference, false for training
+         */
+        setInferenceMode: (mode) => {
+            store.isInferenceMode = mode;
+        },
+
+        /**
+         * Get inference mode status
+         * @returns {boolean} Inference mode
+         */
+        getInferenceMode: () => store.isInferenceMode,
+
+        /**
+         * Reset agent (zero weights)
+         */
+        reset: () => {
+            store.weights = Array(numActions * numFeatures).fill(0);
+            store.updates = Array(numActions * numFeatures).fill(0);
+            store.proximal = null;
+            annealing.reset();
+            pending = null;
+            commitment.clear();
+        }
+    };
+};
+
+// ============================================================================
+// DEEP Q-NETWORK
+// ============================================================================
+
+/**
+ * Create a DQN agent (MLP Q-network from nn-core.js)
+ * Formula: L = Huber(Q(s,a;θ) - [r + γ·max_a' Q(s',a';θ⁻)])
+ *          (Double DQN: a' = argmax_a' Q(s',a';θ), evaluated with θ⁻)
+ * 
+ * Transitions go into an experience replay buffer (uniform, or prioritized by
+ * TD error with importance-sampling weights; see replay-core.js); every
+ * `trainEvery` steps a minibatch is replayed through Adam, and the target network θ⁻ is
+ * synced every `targetUpdateInterval` updates. Like the linear agent, each
+ * transition waits for its successor (or endEpisode) so the final one of an
+ * episode is stored as terminal. Call endEpisode() on done.
+ * 
+ * The model is the online network's parameters as named flat arrays
+ * ({ 'layer0.weights': [...], 'layer0.bias': [...], ... }), which
+ * federatedAverage averages element-wise. setModel() loads both networks.
+ * 
+ * @param {Object} config - Agent configuration (epsilon/temperature options as
+ *   createTabularAgent; alpha is unused, see learningRate)
+ * @param {number} config.stateSize - State vector length (default: ranges.length)
+ * @param {number[][]} config.ranges - Optional [min, max] per dimension; inputs are scaled to [-1, 1]
+ * @param {number[]} config.hiddenLayers - Hidden layer sizes (default: [64, 64])
+ * @param {string} config.activation - Hidden activation 'relu' (default) or 'tanh'
+ * @param {number} config.learningRate - Adam step size (default: 0.001)
+ * @param {number} config.batchSize - Replay minibatch size (default: 32)
+ * @param {number} config.replayCapacity - Replay buffer size (default: 10000)
+ * @param {boolean} config.prioritizedReplay - Prioritized replay (default: false; also
+ *   priorityAlpha, priorityBeta, priorityEpsilon, see createReplayBuffer)
+ * @param {number} config.minReplaySize - Transitions stored before training starts (default: 500)
+ * @param {number} config.trainEvery - Environment steps per gradient update (default: 1)
+ * @param {number} config.targetUpdateInterval - Gradient updates between target syncs (default: 500)
+ * @param {number} config.huberDelta - Huber loss threshold κ (default: 1)
+ * @param {boolean} config.doubleDQN - Use Double DQN targets (default: false)
+ * @param {Function} config.random - Random function for init, exploration and replay (default: Math.random)
+ * @returns {Object} Agent interface
+ */
+export const createDQNAgent = (config = {}) => {
+    const {
+        gamma = 0.99,
+        numActions = 2,
+        stateSize = null,
+        ranges = null,
+        hiddenLayers = [64, 64],
+        activation = 'relu',
+        learningRate = 0.001,
+        batchSize = 32,
+        minReplaySize = 500,
+        trainEvery = 1,
+        targetUpdateInterval = 500,
+        huberDelta = 1,
+        doubleDQN = false,
+        exploration = 'epsilon-greedy',
+        random = Math.random
+    } = config;
+
+    const inputSize = stateSize ?? ranges?.length;
+    if (!Number.isInteger(inputSize) || inputSize < 1) {
+        throw new Error('DQN agent requires stateSize (or ranges) to size the input layer');
+    }
+
+    const annealing = createAnnealing(config);
+    const layers = [inputSize, ...hiddenLayers, numActions];
+    const online = createMLP({ layers, activation, random });
+    const target = createMLP({ layers, activation, random });
+    target.setParameters(online.getParameters());
+    const optimizer = createAdam({ learningRate });
+
+    const replay = createReplayFromConfig(config);
+
+    const store = {
+        exploration: resolveCountFreeExploration(exploration),
+        explorationName: exploration,
+        isInferenceMode: false,
+        updates: 0,
+        loss: 0
+    };
+
+    // Transition waiting for its successor: { state, action, reward, nextState }
+    let pending = null;
+
+    const normalize = (state) => {
+        const values = toStateVector(state);
+        return ranges
+            ? values.map((v, d) => 2 * (v - ranges[d][0]) / (ranges[d][1] - ranges[d][0]) - 1)
+            : values;
+    };
+
+    const pickAction = (values) => {
+        if (store.isInferenceMode) return selectAction(values, 0, random);
+        return store.exploration.select(values, {
+            ...annealing.values,
+            counts: Array(numActions).fill(0),
+            random
+        });
+    };
+
+    /**
+     * One Adam step on a replayed minibatch (IS-weighted when prioritized)
+     */
+    const train = () => {
+        online.zeroGradients();
+        let loss = 0;
+
+        const { transitions, indices, weights } = replay.sample(batchSize);
+        const errors = transitions.map(({ state, action, reward, nextState, done }, b) => {
+            let y = reward;
+            if (!done) {
+                const nextQ = target.forward(nextState);
+                const nextAction = doubleDQN ? argmax(online.forward(nextState)) : argmax(nextQ);
+                y += gamma * nextQ[nextAction];
+            }
+
+            const error = online.forward(state)[action] - y;
+            const outputGradient = Array(numActions).fill(0);
+            outputGradient[action] = weights[b] * huberGradient(error, huberDelta);
+            online.backward(state, outputGradient);
+            loss += weights[b] * huberLoss(error, huberDelta);
+            return error;
+        });
+
+        replay.updatePriorities(indices, errors);
+        optimizer.step(online.getParameterRefs(), online.getGradients(), batchSize);
+        store.loss = loss / batchSize;
+        store.updates++;
+        if (store.updates % targetUpdateInterval === 0) {
+            target.setParameters(online.getParameters());
+        }
+    };
+
+    return {
+        /**
+         * Choose action for given state
+         * @param {number[]|string} state - State vector
+         * @returns {number} Action index
+         */
+        chooseAction: (state) => pickAction(online.forward(normalize(state))),
+
+        /**
+         * Store experience and train on a replayed minibatch
+         * @param {number[]|string} state - Current state vector
+         * @param {number} action - Taken action
+         * @param {number} reward - Received reward
+         * @param {number[]|string} nextState - Next state vector
+         */
+        learn: (state, action, reward, nextState) => {
+            if (store.isInferenceMode) return;
+
+            annealing.step();
+
+            if (pending) replay.add({ ...pending, done: false });
+            pending = { state: normalize(state), action, reward, nextState: normalize(nextState) };
+
+            const ready = replay.size() >= Math.max(minReplaySize, batchSize);
+            if (ready && annealing.counters.steps % trainEvery === 0) {
+                train();
+            }
+        },
+
+        /**
+         * Store the final transition as terminal (call when the environment resets)
+         */
+        endEpisode: () => {
+            if (pending && !store.isInferenceMode) replay.add({ ...pending, done: true });
+            pending = null;
+        },
+
+        /**
+         * Advance the episode counter and decay epsilon and softmax temperature
+         */
+        decayEpsilon: () => {
+            if (!store.isInferenceMode) {
+                annealing.episode();
+            }
+        },
+
+        /**
+         * Get Q-values for a state (online network)
+         * @param {number[]|string} state - State vector
+         * @returns {number[]} Q-values
+         */
+        getQValues: (state) => online.forward(normalize(state)),
+
+        /**
+         * Get online network parameters
+         * @returns {Object} Named flat parameter arrays
+         */
+        getModel: () => online.getParameters(),
+
+        /**
+         * Load parameters into the online and target networks
+         * @param {Object} model - Named flat parameter arrays
+         */
+        setModel: (model) => {
+            online.setParameters(model);
+            target.setParameters(model);
+        },
+
+        /**
+         * Get training statistics
+         * @returns {Object} { loss, updates, replaySize }
+         */
+        getStats: () => ({
+            loss: store.loss,
+            updates: store.updates,
+            replaySize: replay.size()
+        }),
+
+        /**
+         * Get current epsilon
+         * @returns {number} Epsilon value
+         */
+        getEpsilon: () => annealing.values.epsilon,
+
+        /**
+         * Get optimizer step size
+         * @returns {number} Learning rate
+         */
+        getAlpha: () => learningRate,
+
+        /**
+         * Get schedule counters
+         * @returns {Object} { episodes, steps }
+         */
+        getCounters: () => ({ ...annealing.counters }),
+
+        /**
+         * Get current softmax temperature
+         * @returns {number} Temperature value
+         */
+        getTemperature: () => annealing.values.temperature,
+
+        /**
+         * Switch exploration strategy ('epsilon-greedy', 'softmax' or custom)
+         * @param {string|Object} name - Strategy
+         * @param {Object} params - Optional { temperature } override
+         */
+        setExploration: (name, params = {}) => {
+            store.exploration = resolveCountFreeExploration(name);
+            store.explorationName = name;
+            if (params.temperature !== undefined) annealing.values.temperature = params.temperature;
+        },
+
+        /**
+         * Get active exploration strategy
+         * @returns {Object} { name, temperature }
+         */
+        getExploration: () => ({
+            name: store.explorationName,
+            temperature: annealing.values.temperature
+        }),
+
+        /**
+         * Set inference mode
+         * @param {boolean} mode - True for inference, false for training
+         */
+        setInferenceMode: (mode) => {
+            store.isInferenceMode = mode;
+        },
+
+        /**
+         * Get inference mode status
+         * @returns {boolean} Inference mode
+         */
+        getInferenceMode: () => store.isInferenceMode,
+
+        /**
+         * Reset agent (re-initialize networks, clear replay)
+         */
+        reset: () => {
+            online.reset();
+            target.setParameters(online.getParameters());
+            optimizer.reset();
+            annealing.reset();
+            replay.clear();
+            store.updates = 0;
+            store.loss = 0;
+            pending = null;
+        }
+    };
+};
+
+// ============================================================================
+// POLICY GRADIENT
+// ============================================================================
+
+/**
+ * Tabular softmax policy parameters: preferences H(s,·) and baseline V(s)
+ * @param {number} numActions - Number of actions
+ * @returns {Object} Policy parameterization
+ * @private
+ */
+const createTabularPolicy = (numActions) => {
+    let preferences = {};
+    let values = {};
+
+    return {
+        preferences: (state) => preferences[state] || Array(numActions).fill(0),
+
+        value: (state) => values[state]?.[0] ?? 0,
+
+        /** H(s,b) += step · (1{b = a} - π(b|s)) */
+        updateActor: (state, action, probabilities, step) => {
+            const row = preferences[state] || Array(numActions).fill(0);
+            probabilities.forEach((p, b) => {
+                row[b] += step * ((b === action ? 1 : 0) - p);
+            });
+            preferences[state] = row;
+        },
+
+        updateCritic: (state, step) => {
+            values[state] = [(values[state]?.[0] ?? 0) + step];
+        },
+
+        getModel: () => JSON.parse(JSON.stringify(preferences)),
+
+        setModel: (model) => {
+            preferences = JSON.parse(JSON.stringify(model));
+        },
+
+        getCritic: () => JSON.parse(JSON.stringify(values)),
+
+        setCritic: (critic) => {
+            values = JSON.parse(JSON.stringify(critic));
+        },
+
+        reset: () => {
+            preferences = {};
+            values = {};
+        }
+    };
+};
+
+/**
+ * Linear softmax policy over binary features (tile coding or a custom
+ * encoder): h(s,a) = Σ_{i∈F(s)} θ[a,i], v(s) = Σ_{i∈F(s)} w[i]. Steps are
+ * split across the |F(s)| active features, as in createLinearAgent.
+ * @param {Object} config - { numActions, features, ranges, tilesPerDim, numTilings }
+ * @returns {Object} Policy parameterization
+ * @private
+ */
+const createLinearPolicy = (config) => {
+    const { numActions = 2, features = null } = config;
+    const encoder = features || createTileCoder(config);
+    const { numFeatures } = encoder;
+
+    let theta = Array(numActions * numFeatures).fill(0);
+    let w = Array(numFeatures).fill(0);
+
+    const encode = (state) => encoder.activeFeatures(toStateVector(state));
+
+    const checkLength = (model, length, what) => {
+        if (!Array.isArray(model?.weights) || model.weights.length !== length) {
+            throw new Error(`Linear ${what} needs ${length} weights`);
+        }
+    };
+
+    return {
+        numFeatures,
+
+        preferences: (state) => {
+            const active = encode(state);
+            return Array.from({ length: numActions }, (_, a) =>
+                active.reduce((sum, i) => sum + theta[a * numFeatures + i], 0));
+        },
+
+        value: (state) => encode(state).reduce((sum, i) => sum + w[i], 0),
+
+        updateActor: (state, action, probabilities, step) => {
+            const active = encode(state);
+            const split = step / active.length;
+            probabilities.forEach((p, b) => {
+                const grad = (b === action ? 1 : 0) - p;
+                active.forEach(i => {
+                    theta[b * numFeatures + i] += split * grad;
+                });
+            });
+        },
+
+        updateCritic: (state, step) => {
+            const active = encode(state);
+            active.forEach(i => {
+                w[i] += step / active.length;
+            });
+        },
+
+        getModel: () => ({ weights: [...theta] }),
+
+        setModel: (model) => {
+            checkLength(model, theta.length, `policy (${numActions} actions × ${numFeatures} features)`);
+            theta = [...model.weights];
+        },
+
+        getCritic: () => ({ weights: [...w] }),
+
+        setCritic: (critic) => {
+            checkLength(critic, w.length, 'critic');
+            w = [...critic.weights];
+        },
+
+        reset: () => {
+            theta = Array(numActions * numFeatures).fill(0);
+            w = Array(numFeatures).fill(0);
+        }
+    };
+};
+
+/**
+ * Softmax action selection over a preference parameterization
+ * (tabular or linear), giving the policy interface the base agent drives:
+ * act(state, greedy), distribution(state), updateActor(state, action, step)
+ * @private
+ */
+const createSoftmaxPolicy = (params, random) => {
+    const probabilities = (state) => softmaxProbabilities(params.preferences(state), 1);
+
+    return {
+        ...params,
+
+        act: (state, greedy) => {
+            const preferences = params.preferences(state);
+            return greedy ? selectAction(preferences, 0, random) : softmaxSelect(preferences, 1, random);
+        },
+
+        distribution: probabilities,
+
+        updateActor: (state, action, step) => {
+            params.updateActor(state, action, probabilities(state), step);
+        }
+    };
+};
+
+/**
+ * Standard normal sample (Box-Muller)
+ * @private
+ */
+const gaussianSample = (random) => {
+    const u = 1 - random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+/**
+ * Linear Gaussian policy over a box action space
+ *
+ * Works in normalized units u ∈ [-1, 1] per dimension (action = center + half·u):
+ *   μ_d(s) = Σ θμ_d,   log σ_d(s) = log(initialStd) + Σ θσ_d   (clamped to [minStd, maxStd])
+ * over the active tile-coded features. Updates are natural-gradient
+ * (Fisher-preconditioned), which keeps step sizes independent of σ:
+ *   θμ_d += step·(u_d - μ_d),   θσ_d += step·((u_d - μ_d)²/σ_d² - 1)/2
+ * @private
+ */
+const createGaussianPolicy = (config, random) => {
+    const {
+        actionSpace,
+        features = null,
+        initialStd = 0.5,
+        minStd = 0.05,
+        maxStd = 1
+    } = config;
+
+    if (!(minStd > 0 && minStd <= initialStd && initialStd <= maxStd)) {
+        throw new Error(`Gaussian policy needs 0 < minStd <= initialStd <= maxStd, got ${minStd}, ${initialStd}, ${maxStd}`);
+    }
+
+    const encoder = features || createTileCoder(config);
+    const { numFeatures } = encoder;
+    const dims = actionSpace.shape;
+    const center = actionSpace.low.map((low, d) => (low + actionSpace.high[d]) / 2);
+    const half = actionSpace.low.map((low, d) => (actionSpace.high[d] - low) / 2);
+    const logStdBounds = [Math.log(minStd), Math.log(maxStd)];
+
+    let thetaMean = Array(dims * numFeatures).fill(0);
+    let thetaStd = Array(dims * numFeatures).fill(0);
+    let w = Array(numFeatures).fill(0);
+
+    const encode = (state) => encoder.activeFeatures(toStateVector(state));
+    const sum = (weights, d, active) => active.reduce((total, i) => total + weights[d * numFeatures + i], 0);
+    const clampLogStd = (value) => Math.min(logStdBounds[1], Math.max(logStdBounds[0], value));
+
+    // Mean and σ per dimension, in normalized units
+    const normalized = (active) => Array.from({ length: dims }, (_, d) => ({
+        mean: sum(thetaMean, d, active),
+        logStd: clampLogStd(Math.log(initialStd) + sum(thetaStd, d, active))
+    }));
+
+    const checkLength = (values, length, what) => {
+        if (!Array.isArray(values) || values.length !== length) {
+            throw new Error(`Gaussian ${what} needs ${length} weights`);
+        }
+    };
+
+    return {
+        numFeatures,
+
+        act: (state, greedy) => normalized(encode(state)).map(({ mean, logStd }, d) =>
+            center[d] + half[d] * (greedy ? mean : mean + Math.exp(logStd) * gaussianSample(random))),
+
+        distribution: (state) => {
+            const params = normalized(encode(state));
+            return {
+                mean: params.map(({ mean }, d) => center[d] + half[d] * mean),
+                std: params.map(({ logStd }, d) => half[d] * Math.exp(logStd))
+            };
+        },
+
+        value: (state) => encode(state).reduce((total, i) => total + w[i], 0),
+
+        updateActor: (state, action, step) => {
+            const active = encode(state);
+            const split = step / active.length;
+            const values = typeof action === 'number' ? [action] : action;
+            normalized(active).forEach(({ mean, logStd }, d) => {
+                const z = ((values[d] - center[d]) / half[d] - mean) / Math.exp(logStd);
+                const meanStep = split * z * Math.exp(logStd);
+                const stdStep = split * (z * z - 1) / 2;
+                // Past a σ bound the log-std gradient is zero; don't push further out
+                const clamped = (logStd <= logStdBounds[0] && stdStep < 0) || (logStd >= logStdBounds[1] && stdStep > 0);
+                active.forEach(i => {
+                    thetaMean[d * numFeatures + i] += meanStep;
+                    if (!clamped) thetaStd[d * numFeatures + i] += stdStep;
+                });
+            });
+        },
+
+        updateCritic: (state, step) => {
+            const active = encode(state);
+            active.forEach(i => {
+                w[i] += step / active.length;
+            });
+        },
+
+        getModel: () => ({ mean: [...thetaMean], logStd: [...thetaStd] }),
+
+        setModel: (model) => {
+            checkLength(model?.mean, thetaMean.length, `policy mean (${dims} dimensions × ${numFeatures} features)`);
+            checkLength(model?.logStd, thetaStd.length, `policy log-std (${dims} dimensions × ${numFeatures} features)`);
+            thetaMean = [...model.mean];
+            thetaStd = [...model.logStd];
+        },
+
+        getCritic: () => ({ weights: [...w] }),
+
+        setCritic: (critic) => {
+            checkLength(critic?.weights, w.length, 'critic');
+            w = [...critic.weights];
+        },
+
+        reset: () => {
+            thetaMean = Array(dims * numFeatures).fill(0);
+            thetaStd = Array(dims * numFeatures).fill(0);
+            w = Array(numFeatures).fill(0);
+        }
+    };
+};
+
+/**
+ * Policy-gradient agent (REINFORCE with baseline or one-step actor-critic)
+ * over a policy with act / distribution / updateActor and a critic
+ * @private
+ */
+const createPolicyGradientBase = (config, policy) => {
+    const {
+        gamma = 0.95,
+        method = 'actor-critic',
+        criticAlpha = null
+    } = config;
+
+    if (method !== 'reinforce' && method !== 'actor-critic') {
+        throw new Error(`Unknown policy-gradient method: ${method} (expected reinforce or actor-critic)`);
+    }
+
+    const annealing = createAnnealing(config);
+    if (annealing.alphaUnit === 'visit') {
+        throw new Error('Visit-based alpha schedules are not supported by policy-gradient agents');
+    }
+
+    const store = {
+        isInferenceMode: false,
+        inferencePolicy: 'greedy'
+    };
+
+    // REINFORCE: steps of the current episode; actor-critic: transition waiting for its successor
+    let episode = [];
+    let pending = null;
+
+    /**
+     * Move the critic towards `target` and the actor along δ·∇ln π(a|s)
+     */
+    const update = (state, action, target) => {
+        const delta = target - policy.value(state);
+        const actorStep = annealing.alpha();
+        policy.updateCritic(state, (criticAlpha ?? actorStep) * delta);
+        policy.updateActor(state, action, actorStep * delta);
+    };
+
+    const applyTransition = ({ state, action, reward, nextState }, terminal) => {
+        update(state, action, terminal ? reward : reward + gamma * policy.value(nextState));
+    };
+
+    const applyEpisode = () => {
+        let G = 0;
+        const returns = [];
+        for (let t = episode.length - 1; t >= 0; t--) {
+            G = gamma * G + episode[t].reward;
+            returns[t] = G;
+        }
+        episode.forEach(({ state, action }, t) => update(state, action, returns[t]));
+    };
+
+    return {
+        /**
+         * Sample an action from π(·|s) (the mode of π in greedy inference)
+         * @param {string|number[]} state - State
+         * @returns {number|number[]} Action index (continuous policies: action vector)
+         */
+        chooseAction: (state) => policy.act(state, store.isInferenceMode && store.inferencePolicy === 'greedy'),
+
+        /**
+         * Learn from one step (REINFORCE waits for endEpisode; actor-critic
+         * applies the previous transition now that it is known to be non-terminal)
+         * @param {string|number[]} state - Current state
+         * @param {number} action - Taken action
+         * @param {number} reward - Received reward
+         * @param {string|number[]} nextState - Next state
+         */
+        learn: (state, action, reward, nextState) => {
+            if (store.isInferenceMode) return;
+
+            annealing.step();
+            const transition = { state, action, reward, nextState };
+
+            if (method === 'reinforce') {
+                episode.push(transition);
+                return;
+            }
+            if (pending) applyTransition(pending, false);
+            pending = transition;
+        },
+
+        /**
+         * Finish the episode: REINFORCE updates from the returns, actor-critic
+         * applies the final transition as terminal
+         */
+        endEpisode: () => {
+            if (!store.isInferenceMode) {
+                if (method === 'reinforce') applyEpisode();
+                else if (pending) applyTransition(pending, true);
+            }
+            episode = [];
+            pending = null;
+        },
+
+        /**
+         * Advance the episode counter (alpha schedules); policy-gradient
+         * agents explore through their stochastic policy, not ε
+         */
+        decayEpsilon: () => {
+            if (!store.isInferenceMode) {
+                annealing.episode();
+            }
+        },
+
+        /**
+         * Get the action distribution π(·|s)
+         * @param {string|number[]} state - State
+         * @returns {number[]|Object} Probabilities (continuous policies: { mean, std })
+         */
+        getPolicy: (state) => policy.distribution(state),
+
+        /**
+         * Get the critic's state value v(s)
+         * @param {string|number[]} state - State
+         * @returns {number} Value
+         */
+        getValue: (state) => policy.value(state),
+
+        /**
+         * Get policy parameters (what federatedAverage averages)
+         * @returns {Object} Preferences keyed by state (tabular), { weights } (linear)
+         *   or { mean, logStd } (Gaussian)
+         */
+        getModel: () => policy.getModel(),
+
+        /**
+         * Set policy parameters
+         * @param {Object} model - Model as returned by getModel()
+         */
+        setModel: (model) => {
+            policy.setModel(model);
+        },
+
+        /**
+         * Get critic / baseline parameters
+         * @returns {Object} { [state]: [v] } (tabular) or { weights } (linear)
+         */
+        getCritic: () => policy.getCritic(),
+
+        /**
+         * Set critic / baseline parameters (e.g. after federation)
+         * @param {Object} critic - Critic as returned by getCritic()
+         */
+        setCritic: (critic) => {
+            policy.setCritic(critic);
+        },
+
+        /**
+         * Get current epsilon (always 0: exploration comes from the stochastic policy)
+         * @returns {number} Epsilon value
+         */
+        getEpsilon: () => 0,
+
+        /**
+         * Get current actor learning rate
+         * @returns {number} Alpha value
+         */
+        getAlpha: () => annealing.alpha(),
+
+        /**
+         * Get schedule counters
+         * @returns {Object} { episodes, steps }
+         */
+        getCounters: () => ({ ...annealing.counters }),
+
+        /**
+         * Set inference mode
+         * @param {boolean} mode - True for inference, false for training
+         */
+        setInferenceMode: (mode) => {
+            store.isInferenceMode = mode;
+        },
+
+        /**
+         * Get inference mode status
+         * @returns {boolean} Inference mode
+         */
+        getInferenceMode: () => store.isInferenceMode,
+
+        /**
+         * Choose how the agent acts in inference mode
+         * @param {string} mode - 'greedy' (argmax preference / Gaussian mean) or 'stochastic' (sample π)
+         */
+        setInferencePolicy: (mode) => {
+            if (mode !== 'greedy' && mode !== 'stochastic') {
+                throw new Error(`Unknown inference policy: ${mode} (expected greedy or stochastic)`);
+            }
+            store.inferencePolicy = mode;
+        },
+
+        /**
+         * Get inference policy
+         * @returns {string} 'greedy' or 'stochastic'
+         */
+        getInferencePolicy: () => store.inferencePolicy,
+
+        /**
+         * Reset agent (zero policy and critic)
+         */
+        reset: () => {
+            policy.reset();
+            annealing.reset();
+            episode = [];
+            pending = null;
+        }
+    };
+};
+
+/**
+ * Create a tabular softmax policy-gradient agent
+ * Formula: π(a|s) = exp(H(s,a)) / Σ_b exp(H(s,b))
+ *          δ = target - V(s),  V(s) ← V(s) + α_w·δ,
+ *          H(s,b) ← H(s,b) + α·δ·(1{b = a} - π(b|s))
+ *          target = G_t (REINFORCE with baseline) or r + γ·V(s') (one-step actor-critic)
+ * 
+ * REINFORCE learns from complete episodes in endEpisode(); actor-critic
+ * learns every step (the final transition of an episode is applied as
+ * terminal by endEpisode()). The γ^t factor of the textbook updates is
+ * dropped, as is common in practice.
+ * 
+ * getModel() returns the preferences { state: H(s,·) }, so federatedAverage
+ * averages policies rather than values; the baseline V is exposed through
+ * getCritic() / setCritic() and is averaged by the federated manager too.
+ * 
+ * @param {Object} config - Agent configuration
+ * @param {string} config.method - 'actor-critic' (default) or 'reinforce'
+ * @param {number|Object} config.alpha - Actor step size, or a schedule (default: 0.1)
+ * @param {number} config.criticAlpha - Critic step size (default: alpha)
+ * @param {number} config.gamma - Discount factor (default: 0.95)
+ * @param {number} config.numActions - Number of actions
+ * @param {Function} config.random - Random function for sampling actions (default: Math.random)
+ * @returns {Object} Agent interface
+ */
+export const createPolicyGradientAgent = (config = {}) => {
+    const policy = createSoftmaxPolicy(createTabularPolicy(config.numActions ?? 2), config.random ?? Math.random);
+    return {
+        ...createPolicyGradientBase(config, policy),
+
+        /**
+         * Get action preferences H(s,·)
+         * @param {string} state - State
+         * @returns {number[]} Preferences
+         */
+        getPreferences: (state) => [...policy.preferences(state)]
+    };
+};
+
+/**
+ * Create a linear softmax policy-gradient agent over tile-coded (or custom
+ * `features`) states; same methods and update rules as
+ * createPolicyGradientAgent, with model { weights: θ } and critic { weights: w }
+ * 
+ * @param {Object} config - Agent configuration (as createPolicyGradientAgent, plus
+ *   ranges / tilesPerDim / numTilings or features, as createLinearAgent)
+ * @returns {Object} Agent interface
+ */
+export const createLinearPolicyGradientAgent = (config = {}) => {
+    const policy = createSoftmaxPolicy(createLinearPolicy(config), config.random ?? Math.random);
+    return {
+        ...createPolicyGradientBase(config, policy),
+
+        /**
+         * Get action preferences h(s,·)
+         * @param {number[]|string} state - State vector
+         * @returns {number[]} Preferences
+         */
+        getPreferences: (state) => policy.preferences(state),
+
+        /**
+         * Get number of features
+         * @returns {number} Feature count
+         */
+        getNumFeatures: () => policy.numFeatures
+    };
+};
+
+/**
+ * Create a Gaussian-policy actor-critic agent for continuous (box) actions
+ *
+ * The actor is a diagonal Gaussian whose mean and log standard deviation are
+ * linear in tile-coded (or custom `features`) states; the critic is linear
+ * in the same features. chooseAction() returns a real-valued action vector
+ * (not clipped: toEnvironmentAction() clips it to the box for the
+ * environment, while learning uses the sampled value); greedy inference
+ * returns the mean. With method 'reinforce' it learns from whole episodes.
+ *
+ * @example
+ * const agent = createGaussianActorCriticAgent({
+ *     actionSpace: createActionSpace({ type: 'box', low: [-1], high: [1] }),
+ *     ranges: [[-2.4, 2.4], [-3, 3]], tilesPerDim: 8, numTilings: 8
+ * });
+ * const [force] = agent.chooseAction([x, v]);
+ *
+ * @param {Object} config - Agent configuration (as createLinearPolicyGradientAgent, plus:)
+ * @param {Object} config.actionSpace - Box action space (createActionSpace descriptor or spec)
+ * @param {number} config.initialStd - Initial σ as a fraction of the half-width of the box (default: 0.5)
+ * @param {number} config.minStd - Lower σ bound, same units (default: 0.05)
+ * @param {number} config.maxStd - Upper σ bound, same units (default: 1)
+ * @returns {Object} Agent interface
+ */
+export const createGaussianActorCriticAgent = (config = {}) => {
+    const actionSpace = config.actionSpace && createActionSpace(config.actionSpace);
+    if (actionSpace?.type !== 'box') {
+        throw new Error('Gaussian actor-critic needs a box actionSpace ({ type: \'box\', low, high })');
+    }
+    const policy = createGaussianPolicy({ ...config, actionSpace }, config.random ?? Math.random);
+    return {
+        ...createPolicyGradientBase(config, policy),
+
+        /**
+         * Get number of features
+         * @returns {number} Feature count
+         */
+        getNumFeatures: () => policy.numFeatures
+    };
+};
+
+// ============================================================================
+// AGENT REGISTRY
+// ============================================================================
+
+/**
+ * Agent factories by name, all sharing the tabular agent interface
+ * (chooseAction, learn, getModel, setModel, setInferenceMode, ...)
+ */
+export const AGENT_TYPES = {
+    'q-learning': createTabularAgent,
+    'sarsa': createSarsaAgent,
+    'expected-sarsa': createExpectedSarsaAgent,
+    'double-q': createDoubleQAgent,
+    'q-lambda': (config) => createLambdaAgent({ ...config, method: 'watkins' }),
+    'sarsa-lambda': (config) => createLambdaAgent({ ...config, method: 'sarsa' }),
+    'monte-carlo': createMonteCarloAgent,
+    'monte-carlo-off-policy': (config) => createMonteCarloAgent({ ...config, offPolicy: true }),
+    'dyna-q': createDynaAgent,
+    'dyna-q-plus': (config) => createDynaAgent({ ...config, kappa: config.kappa ?? 0.001 }),
+    'factored-q': createFactoredAgent,
+    'adaptive-q': createAdaptiveAgent,
+    'linear-q': (config) => createLinearAgent({ ...config, method: 'q-learning' }),
+    'linear-sarsa': (config) => createLinearAgent({ ...config, method: 'sarsa' }),
+    'dqn': createDQNAgent,
+    'double-dqn': (config) => createDQNAgent({ ...config, doubleDQN: true }),
+    'reinforce': (config) => createPolicyGradientAgent({ ...config, method: 'reinforce' }),
+    'actor-critic': (config) => createPolicyGradientAgent({ ...config, method: 'actor-critic' }),
+    'linear-reinforce': (config) => createLinearPolicyGradientAgent({ ...config, method: 'reinforce' }),
+    'linear-actor-critic': (config) => createLinearPolicyGradientAgent({ ...config, method: 'actor-critic' }),
+    'gaussian-actor-critic': createGaussianActorCriticAgent
+};
+
+/**
+ * Agent types that act in box (continuous) action spaces; all others
+ * choose an index into a discrete (or flattened multi-discrete) space
+ */
+export const CONTINUOUS_AGENT_TYPES = ['gaussian-actor-critic'];
+
+/**
+ * Create an agent by type name or factory function
+ * 
+ * @param {string|Function} type - Key of AGENT_TYPES or a custom factory
+ * @param {Object} config - Agent configuration passed to the factory
+ * @returns {Object} Agent interface
+ */
+export const createAgent = (type = 'q-learning', config = {}) => {
+    const factory = typeof type === 'function' ? type : AGENT_TYPES[type];
+    if (!factory) {
+        throw new Error(`Unknown agent type: ${type} (expected one of ${Object.keys(AGENT_TYPES).join(', ')})`);
+    }
+    return factory(config);
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Discretize continuous value into bins
+ * 
+ * @param {number} value - Value to discretize
+ * @param {number} bins - Number of bins
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @returns {number} Bin index
+ * @pure
+ */
+export const discretize = (value, bins, min, max) => {
+    const normalized = (value - min) / (max - min);
+    const bin = Math.floor(normalized * bins);
+    return Math.max(0, Math.min(bins - 1, bin));
+};
+
+/**
+ * Create state string from discretized values
+ * 
+ * @param {number[]} values - Values to discretize
+ * @param {number[]} bins - Bins for each value
+ * @param {number[]} mins - Minimums for each value
+ * @param {number[]} maxs - Maximums for each value
+ * @returns {string} State string
+ * @pure
+ */
+export const discretizeState = (values, bins, mins, maxs) => {
+    return values
+        .map((v, i) => discretize(v, bins[i], mins[i], maxs[i]))
+        .join(',');
+};
+
+// ============================================================================
+// STATE SPACES
+// ============================================================================
+
+export const BINNING_TYPES = ['uniform', 'log', 'quantile', 'categorical'];
+
+/**
+ * Bin edges at the quantiles of observed values, so each bin holds roughly
+ * the same share of the samples
+ * 
+ * @param {number[]} samples - Observed values
+ * @param {number} bins - Number of bins
+ * @returns {number[]} bins + 1 strictly increasing edges (min and max of the samples at the ends)
+ * @pure
+ */
+export const quantileEdges = (samples, bins) => {
+    const sorted = samples.filter(Number.isFinite).sort((a, b) => a - b);
+    if (sorted.length < 2) {
+        throw new Error('Quantile binning needs at least 2 finite samples');
+    }
+    const edges = Array.from({ length: bins + 1 }, (_, i) => {
+        const position = (i / bins) * (sorted.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.min(sorted.length - 1, lower + 1);
+        return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+    });
+    if (edges.some((edge, i) => i > 0 && edge <= edges[i - 1])) {
+        throw new Error(`Samples have too few distinct values for ${bins} quantile bins`);
+    }
+    return edges;
+};
+
+/**
+ * Normalize one dimension of a state-space spec
+ * @returns {Object} { name, type, bins, edges | values, read(state), binOf(value), center(bin) }
+ * @private
+ */
+const createDimension = (spec, index) => {
+    const {
+        name = `d${index}`,
+        type = spec.values ? 'categorical' : 'uniform',
+        value = null
+    } = spec;
+
+    const read = (state) => {
+        if (value) return value(state);
+        return Array.isArray(state) ? state[index] : state[name];
+    };
+
+    if (type === 'categorical') {
+        const { values } = spec;
+        if (!Array.isArray(values) || values.length === 0) {
+            throw new Error(`Categorical dimension ${name} needs a non-empty values list`);
+        }
+        return {
+            name, type, read,
+            bins: values.length,
+            values: [...values],
+            binOf: (v) => {
+                const bin = values.indexOf(v);
+                return bin === -1 ? { bin: null, outside: 'unknown' } : { bin, outside: null };
+            },
+            center: (bin) => values[bin]
+        };
+    }
+
+    if (!BINNING_TYPES.includes(type)) {
+        throw new Error(`Unknown binning type for ${name}: ${type} (expected one of ${BINNING_TYPES.join(', ')})`);
+    }
+
+    let edges;
+    if (type === 'quantile') {
+        edges = spec.edges ? [...spec.edges] : quantileEdges(spec.samples ?? [], spec.bins);
+        if (edges.length < 2 || edges.some((edge, i) => !Number.isFinite(edge) || (i > 0 && edge <= edges[i - 1]))) {
+            throw new Error(`Quantile dimension ${name} needs strictly increasing finite edges (or samples and bins)`);
+        }
+    } else {
+        const { bins, range } = spec;
+        if (!Number.isInteger(bins) || bins < 1) {
+            throw new Error(`Dimension ${name} needs a positive integer bin count, got ${bins}`);
+        }
+        const [min, max] = range ?? [];
+        if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+            throw new Error(`Dimension ${name} needs a finite range [min, max] with min < max`);
+        }
+        if (type === 'log' && min <= 0) {
+            throw new Error(`Log dimension ${name} needs a positive range, got [${min}, ${max}]`);
+        }
+        edges = Array.from({ length: bins + 1 }, (_, i) => (type === 'log'
+            ? min * Math.pow(max / min, i / bins)
+            : min + (i / bins) * (max - min)));
+    }
+
+    const bins = edges.length - 1;
+    const low = edges[0];
+    const high = edges[bins];
+
+    // Uniform and log bins index directly; quantile bins search the edges
+    const locate = (v) => {
+        if (type === 'uniform') return discretize(v, bins, low, high);
+        if (type === 'log') return discretize(Math.log(v), bins, Math.log(low), Math.log(high));
+        let bin = 0;
+        while (bin < bins - 1 && v >= edges[bin + 1]) bin++;
+        return bin;
+    };
+
+    return {
+        name, type, read, bins,
+        edges,
+        binOf: (v) => {
+            if (!(v >= low)) return { bin: 0, outside: 'below' }; // also NaN
+            if (v > high) return { bin: bins - 1, outside: 'above' };
+            return { bin: locate(v), outside: null };
+        },
+        center: (bin) => (type === 'log'
+            ? Math.sqrt(edges[bin] * edges[bin + 1])
+            : (edges[bin] + edges[bin + 1]) / 2)
+    };
+};
+
+/**
+ * Create a declarative state space: per-dimension binning that turns raw
+ * environment states into Q-table keys, decodes keys back to bin centers,
+ * and counts out-of-range values instead of clamping them silently
+ * 
+ * Each dimension reads `value(state)` if given, otherwise `state[name]`
+ * (or `state[i]` for array states), and bins it:
+ * - uniform:     `bins` equal-width bins over `range`
+ * - log:         `bins` bins equal-width in log space over a positive `range`
+ * - quantile:    explicit `edges`, or `bins` quantile bins of observed `samples`
+ * - categorical: one bin per entry of `values`
+ * 
+ * Numeric values outside the range land in the edge bin (or throw with
+ * onOutOfRange: 'throw'); unknown categories encode as '?'. Pass the same
+ * space to training (getState) and runEvaluation so keys can't drift.
+ * 
+ * @example
+ * const space = createStateSpace({ dimensions: [
+ *     { name: 'pos', bins: 10, range: [-1.2, 0.5] },
+ *     { name: 'speed', type: 'log', bins: 4, range: [0.001, 0.07], value: (s) => Math.abs(s.vel) },
+ *     { name: 'task', values: ['circle', 'slalom'] }
+ * ] });
+ * space.encode({ pos: -0.5, vel: 0.01, task: 'slalom' }); // '4,2,1'
+ * space.decode('4,2,1');                                  // [-0.435, 0.0142..., 'slalom']
+ * 
+ * @param {Object|Object[]} spec - { dimensions, onOutOfRange } or the dimensions array
+ * @param {Object[]} spec.dimensions - Dimension specs { name, type, bins, range, edges, samples, values, value }
+ * @param {string} spec.onOutOfRange - 'clamp' (default: count and use the edge bin) or 'throw'
+ * @returns {Object} State space interface
+ */
+export const createStateSpace = (spec) => {
+    const { dimensions: dimensionSpecs, onOutOfRange = 'clamp' } = Array.isArray(spec) ? { dimensions: spec } : (spec ?? {});
+    if (!Array.isArray(dimensionSpecs) || dimensionSpecs.length === 0) {
+        throw new Error('State space needs at least one dimension');
+    }
+    if (onOutOfRange !== 'clamp' && onOutOfRange !== 'throw') {
+        throw new Error(`Unknown onOutOfRange: ${onOutOfRange} (expected clamp or throw)`);
+    }
+
+    const dimensions = dimensionSpecs.map(createDimension);
+    const names = dimensions.map(d => d.name);
+    if (new Set(names).size !== names.length) {
+        throw new Error(`State space dimension names must be unique, got ${names.join(', ')}`);
+    }
+
+    const emptyStats = () => Object.fromEntries(names.map(name =>
+        [name, { samples: 0, below: 0, above: 0, unknown: 0 }]));
+    let stats = emptyStats();
+
+    /**
+     * Bin index per dimension (null for unknown categories), counting out-of-range values
+     */
+    const binsOf = (state) => dimensions.map(dimension => {
+        const value = dimension.read(state);
+        const { bin, outside } = dimension.binOf(value);
+        const counts = stats[dimension.name];
+        counts.samples++;
+        if (outside) {
+            if (onOutOfRange === 'throw') {
+                throw new Error(`State dimension ${dimension.name} out of range: ${value}`);
+            }
+            counts[outside]++;
+        }
+        return bin;
+    });
+
+    const encode = (state) => binsOf(state).map(bin => (bin === null ? '?' : bin)).join(',');
+
+    return {
+        /**
+         * Q-table key for a raw environment state (use as environment.getState)
+         * @param {*} state - Raw environment state
+         * @returns {string} Key of bin indices, e.g. '4,2,1'
+         */
+        encode,
+
+        /**
+         * Bin indices for a raw environment state
+         * @param {*} state - Raw environment state
+         * @returns {Array<number|null>} Bin per dimension (null: unknown category)
+         */
+        bins: binsOf,
+
+        /**
+         * Representative values of a key: bin centers (geometric for log bins)
+         * and category values
+         * @param {string} key - Key from encode()
+         * @returns {Array} Value per dimension (null for '?')
+         */
+        decode: (key) => {
+            const parts = String(key).split(',');
+            if (parts.length !== dimensions.length) {
+                throw new Error(`Key ${key} has ${parts.length} parts, expected ${dimensions.length}`);
+            }
+            return parts.map((part, i) => {
+                if (part === '?') return null;
+                const bin = Number(part);
+                if (!Number.isInteger(bin) || bin < 0 || bin >= dimensions[i].bins) {
+                    throw new Error(`Key ${key} has invalid bin ${part} for ${dimensions[i].name}`);
+                }
+                return dimensions[i].center(bin);
+            });
+        },
+
+        /**
+         * Share of encoded values outside each dimension's range (or unknown categories)
+         * @returns {Object} Rate in [0, 1] keyed by dimension name
+         */
+        getOutOfRangeRates: () => Object.fromEntries(names.map(name => {
+            const { samples, below, above, unknown } = stats[name];
+            return [name, samples === 0 ? 0 : (below + above + unknown) / samples];
+        })),
+
+        /**
+         * Raw out-of-range counters
+         * @returns {Object} { samples, below, above, unknown } keyed by dimension name
+         */
+        getStats: () => JSON.parse(JSON.stringify(stats)),
+
+        /**
+         * Zero the out-of-range counters
+         */
+        resetStats: () => {
+            stats = emptyStats();
+        },
+
+        /**
+         * Number of distinct keys (product of bin counts)
+         * @returns {number} Size
+         */
+        size: () => dimensions.reduce((product, d) => product * d.bins, 1),
+
+        /**
+         * Normalized dimension descriptions
+         * @returns {Object[]} { name, type, bins, edges } or { name, type, bins, values }
+         */
+        getDimensions: () => dimensions.map(({ name, type, bins, edges, values }) =>
+            (type === 'categorical' ? { name, type, bins, values: [...values] } : { name, type, bins, edges: [...edges] }))
+    };
 };
 
 // Export default object with all functions
@@ -274,8 +3476,33 @@ export default {
     updateQValue,
     selectAction,
     tdError,
+    softmaxProbabilities,
     softmaxSelect,
+    ucbSelect,
+    countBonus,
+    EXPLORATION_STRATEGIES,
+    expectedQValue,
     createTabularAgent,
+    createSarsaAgent,
+    createExpectedSarsaAgent,
+    createDoubleQAgent,
+    createLambdaAgent,
+    createMonteCarloAgent,
+    createDynaAgent,
+    createFactoredAgent,
+    createAdaptiveAgent,
+    createTileCoder,
+    createLinearAgent,
+    createDQNAgent,
+    createPolicyGradientAgent,
+    createLinearPolicyGradientAgent,
+    createGaussianActorCriticAgent,
+    AGENT_TYPES,
+    CONTINUOUS_AGENT_TYPES,
+    createAgent,
     discretize,
-    discretizeState
+    discretizeState,
+    BINNING_TYPES,
+    quantileEdges,
+    createStateSpace
 };
@@ -0,0 +1,210 @@
+/**
+ * SCHEDULE-CORE.JS - Hyperparameter Schedules
+ *
+ * Pure annealing schedules for learning rate (α), exploration (ε) and
+ * similar parameters. A schedule is a plain object:
+ *
+ *   { type, unit, value: (t) => number }
+ *
+ * where `unit` says what t counts:
+ * - 'episode' - completed episodes (advanced by decayEpsilon)
+ * - 'step'    - total training steps (advanced by learn)
+ * - 'visit'   - visits N(s,a) of the state-action pair being updated
+ *
+ * Because every value is a function of a counter, clients configured with the
+ * same schedule follow identical annealing curves.
+ *
+ * @module schedule-core
+ * @version 1.0.0
+ */
+
+const UNITS = ['episode', 'step', 'visit'];
+
+const checkUnit = (unit) => {
+    if (!UNITS.includes(unit)) {
+        throw new Error(`Unknown schedule unit: ${unit} (expected one of ${UNITS.join(', ')})`);
+    }
+    return unit;
+};
+
+// ============================================================================
+// SCHEDULE FACTORIES
+// ============================================================================
+
+/**
+ * Constant schedule
+ * Formula: v(t) = value
+ *
+ * @param {number} value - Constant value
+ * @returns {Object} Schedule
+ * @pure
+ */
+export const constantSchedule = (value) => ({
+    type: 'constant',
+    unit: 'episode',
+    value: () => value
+});
+
+/**
+ * Linear schedule
+ * Formula: v(t) = start + (end - start) · min(t / duration, 1)
+ *
+ * @param {Object} config
+ * @param {number} config.start - Value at t = 0
+ * @param {number} config.end - Value from t = duration onwards
+ * @param {number} config.duration - Steps/episodes to reach end
+ * @param {string} config.unit - 'episode' (default) or 'step'
+ * @returns {Object} Schedule
+ * @pure
+ */
+export const linearSchedule = ({ start, end, duration, unit = 'episode' }) => ({
+    type: 'linear',
+    unit: checkUnit(unit),
+    value: (t) => start + (end - start) * Math.min(t / duration, 1)
+});
+
+/**
+ * Exponential schedule
+ * Formula: v(t) = max(min, start · decay^t)
+ *
+ * Same curve as the legacy `epsilon *= epsilonDecay` per episode.
+ *
+ * @param {Object} config
+ * @param {number} config.start - Value at t = 0
+ * @param {number} config.decay - Multiplicative decay per unit
+ * @param {number} config.min - Floor value (default: 0)
+ * @param {string} config.unit - 'episode' (default) or 'step'
+ * @returns {Object} Schedule
+ * @pure
+ */
+export const exponentialSchedule = ({ start, decay, min = 0, unit = 'episode' }) => ({
+    type: 'exponential',
+    unit: checkUnit(unit),
+    value: (t) => Math.max(min, start * Math.pow(decay, t))
+});
+
+/**
+ * Step (piecewise constant) schedule
+ * Formula: v(t) = max(min, start · factor^⌊t / every⌋)
+ *
+ * @param {Object} config
+ * @param {number} config.start - Value at t = 0
+ * @param {number} config.factor - Multiplier applied every `every` units
+ * @param {number} config.every - Units between drops
+ * @param {number} config.min - Floor value (default: 0)
+ * @param {string} config.unit - 'episode' (default) or 'step'
+ * @returns {Object} Schedule
+ * @pure
+ */
+export const stepSchedule = ({ start, factor, every, min = 0, unit = 'episode' }) => ({
+    type: 'step',
+    unit: checkUnit(unit),
+    value: (t) => Math.max(min, start * Math.pow(factor, Math.floor(t / every)))
+});
+
+/**
+ * Cosine annealing schedule
+ * Formula: v(t) = end + (start - end) · (1 + cos(π · min(t / duration, 1))) / 2
+ *
+ * @param {Object} config
+ * @param {number} config.start - Value at t = 0
+ * @param {number} config.end - Value from t = duration onwards
+ * @param {number} config.duration - Steps/episodes to reach end
+ * @param {string} config.unit - 'episode' (default) or 'step'
+ * @returns {Object} Schedule
+ * @pure
+ */
+export const cosineSchedule = ({ start, end, duration, unit = 'episode' }) => ({
+    type: 'cosine',
+    unit: checkUnit(unit),
+    value: (t) => end + (start - end) * (1 + Math.cos(Math.PI * Math.min(t / duration, 1))) / 2
+});
+
+/**
+ * Visit-count schedule (per state-action)
+ * Formula: v(N) = max(min, scale / N^power)
+ *
+ * With power in (0.5, 1] the step sizes satisfy the Robbins-Monro conditions
+ * (Σα = ∞, Σα² < ∞) that tabular Q-learning needs to converge; power = 1 gives
+ * the sample average α = 1/N(s,a).
+ *
+ * @param {Object} config
+ * @param {number} config.scale - Numerator (default: 1)
+ * @param {number} config.power - Exponent of N (default: 1)
+ * @param {number} config.min - Floor value (default: 0)
+ * @returns {Object} Schedule
+ * @pure
+ */
+export const visitSchedule = ({ scale = 1, power = 1, min = 0 } = {}) => ({
+    type: 'visit',
+    unit: 'visit',
+    value: (n) => Math.max(min, scale / Math.pow(Math.max(1, n), power))
+});
+
+/**
+ * Schedule factories by type name
+ */
+export const SCHEDULE_TYPES = {
+    constant: ({ value }) => constantSchedule(value),
+    linear: linearSchedule,
+    exponential: exponentialSchedule,
+    step: stepSchedule,
+    cosine: cosineSchedule,
+    visit: visitSchedule
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Resolve a schedule from a number, a spec or an existing schedule
+ *
+ * @example
+ * createSchedule(0.1)                                         // constant
+ * createSchedule({ type: 'linear', start: 1, end: 0.05, duration: 10000, unit: 'step' })
+ * createSchedule({ type: 'visit', power: 0.8 })               // α = 1 / N(s,a)^0.8
+ *
+ * @param {number|Object} spec - Number, { type, ...params } or schedule object
+ * @returns {Object} Schedule
+ * @pure
+ */
+export const createSchedule = (spec) => {
+    if (typeof spec === 'number') {
+        return constantSchedule(spec);
+    }
+    if (spec && typeof spec.value === 'function') {
+        checkUnit(spec.unit);
+        return spec;
+    }
+    const factory = spec && SCHEDULE_TYPES[spec.type];
+    if (!factory) {
+        throw new Error(`Unknown schedule type: ${spec?.type} (expected one of ${Object.keys(SCHEDULE_TYPES).join(', ')})`);
+    }
+    const { type, ...params } = spec;
+    return factory(params);
+};
+
+/**
+ * Sample a schedule at t = 0..length-1 (for plotting annealing curves)
+ *
+ * @param {Object} schedule - Schedule object
+ * @param {number} length - Number of samples
+ * @returns {number[]} Values
+ * @pure
+ */
+export const scheduleCurve = (schedule, length) =>
+    Array.from({ length }, (_, t) => schedule.value(schedule.unit === 'visit' ? t + 1 : t));
+
+// Export default object
+export default {
+    constantSchedule,
+    linearSchedule,
+    exponentialSchedule,
+    stepSchedule,
+    cosineSchedule,
+    visitSchedule,
+    SCHEDULE_TYPES,
+    createSchedule,
+    scheduleCurve
+};
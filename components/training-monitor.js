@@ -246,7 +246,7 @@ export const createTrainingDashboard = (config = {}) => {
 
             maybeRender();
         },
-        markFederation: ({ round, avgDelta, delta, perClientModels, globalModel }) => {
+        markFederation: ({ round, avgDelta, delta, perClientModels, globalModel, participation }) => {
             const currentLength = rewardHistory.size;
             if (currentLength > 0) {
                 const markIndex = currentLength - 1;
@@ -260,7 +260,8 @@ export const createTrainingDashboard = (config = {}) => {
                     attachFederationPanel().update({
                         round,
                         delta,
-                        perClientDeltas: clientDeltas
+                        perClientDeltas: clientDeltas,
+                        participation
                     });
                 }
                 maybeRender();
@@ -0,0 +1,411 @@
+/**
+ * WORKER-BACKEND.JS - Parallel Client Execution
+ *
+ * Shards training clients across Web Workers (browser) or worker_threads
+ * (Node). Each worker imports the environment module, builds its clients
+ * with the headless runner's helpers and steps them in batches of
+ * `mirrorInterval` ticks; after every batch the clients' state, last
+ * action and metrics are mirrored back to the main thread, where one mirror
+ * client per training client keeps the getClients() / render / hook API.
+ *
+ * Environments are functions and can't be posted to a worker, so the
+ * backend needs the URL of a module exporting the app config (see
+ * examples/environments/). Models travel by structured clone: federation
+ * pulls them into the mirrors, runs the usual federated manager on the
+ * mirrors, and pushes the results back.
+ *
+ * @module worker-backend
+ * @version 1.0.0
+ */
+
+import { createRandomStreams } from './random-core.js';
+import { federateClients } from './headless-runner.js';
+
+// ============================================================================
+// SHARED AGENT STATE
+// ============================================================================
+
+/**
+ * Agent state that federation reads and writes: [getter, setter] per part
+ */
+export const SHARED_AGENT_STATE = {
+    model: ['getModel', 'setModel'],
+    critic: ['getCritic', 'setCritic'],
+    visitCounts: ['getVisitCounts', 'setVisitCounts'],
+    worldModel: ['getWorldModel', 'setWorldModel']
+};
+
+/**
+ * Config entries that survive structured cloning (functions, e.g. the
+ * environment or hooks, stay on the main thread)
+ * @private
+ */
+const cloneableOptions = (config) => Object.fromEntries(
+    Object.entries(config).filter(([, value]) => {
+        if (typeof value === 'function') return false;
+        try {
+            structuredClone(value);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    })
+);
+
+// ============================================================================
+// WORKER TRANSPORT
+// ============================================================================
+
+/**
+ * Start a module worker: a Web Worker in the browser, worker_threads in Node
+ * @private
+ */
+const spawnWorker = async (url) => {
+    if (typeof Worker === 'function') {
+        const worker = new Worker(url, { type: 'module' });
+        return {
+            post: (message) => worker.postMessage(message),
+            listen: (onMessage, onError) => {
+                worker.onmessage = (event) => onMessage(event.data);
+                worker.onerror = (event) => onError(new Error(event.message || 'Worker failed'));
+            },
+            terminate: () => worker.terminate()
+        };
+    }
+
+    const { Worker: NodeWorker } = await import('node:worker_threads');
+    const worker = new NodeWorker(url);
+    return {
+        post: (message) => worker.postMessage(message),
+        listen: (onMessage, onError) => {
+            worker.on('message', onMessage);
+            worker.on('error', onError);
+        },
+        terminate: () => worker.terminate()
+    };
+};
+
+/**
+ * Request/response over a worker: request(type, payload) resolves with the
+ * worker's result or rejects with its error
+ * @private
+ */
+const createChannel = (worker) => {
+    const pending = new Map();
+    let nextId = 0;
+    let failure = null;
+
+    worker.listen(
+        ({ id, result, error }) => {
+            const request = pending.get(id);
+            if (!request) return;
+            pending.delete(id);
+            if (error) request.reject(new Error(error));
+            else request.resolve(result);
+        },
+        (error) => {
+            failure = error;
+            pending.forEach(request => request.reject(error));
+            pending.clear();
+        }
+    );
+
+    return {
+        request: (type, payload) => {
+            if (failure) return Promise.reject(failure);
+            return new Promise((resolve, reject) => {
+                const id = nextId++;
+                pending.set(id, { resolve, reject });
+                worker.post({ id, type, payload });
+            });
+        },
+        terminate: () => worker.terminate()
+    };
+};
+
+// ============================================================================
+// MIRROR CLIENTS
+// ============================================================================
+
+/**
+ * Main-thread stand-in for a client that trains in a worker
+ *
+ * The agent answers getModel()/getEpsilon() from the last mirror and records
+ * set* calls (e.g. from federation or a loaded checkpoint) until they are
+ * flushed to the worker.
+ * @private
+ */
+const createMirrorClient = (id, state, backend) => {
+    const shared = { model: {} };
+    const pending = {};
+
+    const agent = {
+        getModel: () => shared.model,
+        setModel: (model) => {
+            shared.model = model;
+            pending.model = model;
+        },
+        getEpsilon: () => client.epsilon,
+        setExploration: (name, params) => {
+            backend.callAgents('setExploration', [name, params], [id])
+                .catch(error => console.warn(`⚠️ ${error.message}`));
+        }
+    };
+
+    const client = {
+        id,
+        agent,
+        state,
+        lastAction: undefined,
+        epsilon: 0,
+        modelSize: 0,
+        metrics: {
+            episodeCount: 0,
+            totalReward: 0,
+            stepCount: 0
+        },
+        getAgent: () => agent,
+        getMetrics: () => client.metrics,
+
+        // Backend bookkeeping (not part of the client API)
+        mirror: {
+            // Expose federation getters/setters for the parts the worker agents have,
+            // and setProximalTerm only if they honour it (FedProx warns otherwise)
+            enable: (parts) => {
+                if (parts.includes('proximal')) {
+                    agent.setProximalTerm = (globalModel, mu) => {
+                        pending.proximal = { globalModel, mu };
+                    };
+                }
+                parts.filter(part => part in SHARED_AGENT_STATE && part !== 'model').forEach(part => {
+                    const [getter, setter] = SHARED_AGENT_STATE[part];
+                    agent[getter] = () => shared[part];
+                    agent[setter] = (value) => {
+                        shared[part] = value;
+                        pending[part] = value;
+                    };
+                });
+            },
+            update: (snapshot) => {
+                client.state = snapshot.state;
+                client.lastAction = snapshot.lastAction;
+                client.epsilon = snapshot.epsilon;
+                client.modelSize = snapshot.modelSize;
+                Object.assign(client.metrics, snapshot.metrics);
+            },
+            receive: (parts) => Object.assign(shared, parts),
+            takePending: () => {
+                const parts = { ...pending };
+                Object.keys(pending).forEach(part => delete pending[part]);
+                return Object.keys(parts).length ? parts : null;
+            }
+        }
+    };
+    return client;
+};
+
+// ============================================================================
+// WORKER BACKEND
+// ============================================================================
+
+/**
+ * Create a worker execution backend
+ *
+ * @example
+ * const backend = createWorkerBackend({
+ *     module: new URL('./environments/mountain-car.js', import.meta.url),
+ *     numClients: 64, seed: 42, numWorkers: 4, options: { alpha: 0.3 }
+ * });
+ * const episodes = await backend.step();           // mirrorInterval ticks in every worker
+ * const { globalModel } = await backend.federate(fedManager);
+ * backend.terminate();
+ *
+ * @param {Object} config
+ * @param {string|URL} config.module - Environment module URL (default-exports the app config)
+ * @param {number} config.numClients - Number of clients
+ * @param {number} config.seed - Master seed (null: Math.random)
+ * @param {Object} config.options - App config overrides for the workers (cloneable entries only)
+ * @param {number} config.numWorkers - Workers (default: hardware threads - 1, at most numClients)
+ * @param {number} config.mirrorInterval - Ticks per batch between mirrors (default: 10)
+ * @param {Object} config.environment - Main-thread environment for initial mirror states (optional)
+ * @param {string|URL} config.workerUrl - Worker script (default: client-worker.js next to this module)
+ * @returns {Object} Backend interface
+ */
+export const createWorkerBackend = (config) => {
+    const {
+        module,
+        numClients,
+        seed = null,
+        options = {},
+        numWorkers = Math.max(1, (globalThis.navigator?.hardwareConcurrency ?? 2) - 1),
+        mirrorInterval = 10,
+        environment = null,
+        workerUrl = new URL('./client-worker.js', import.meta.url)
+    } = config;
+
+    if (!module) {
+        throw new Error('Worker backend needs the URL of the environment module');
+    }
+    if (!Number.isInteger(numClients) || numClients < 1) {
+        throw new Error(`numClients must be a positive integer, got ${numClients}`);
+    }
+
+    // Contiguous shards of client ids, one per worker
+    const workerCount = Math.max(1, Math.min(numWorkers, numClients));
+    const shardSize = Math.ceil(numClients / workerCount);
+    const shards = Array.from({ length: workerCount }, (_, w) =>
+        Array.from({ length: numClients }, (_, id) => id).slice(w * shardSize, (w + 1) * shardSize))
+        .filter(shard => shard.length > 0);
+
+    let channels = [];
+    let terminated = false;
+
+    // Mirrors exist right away for the UI; worker state replaces them with the first batch
+    const initialStreams = createRandomStreams(seed);
+    const backend = {};
+    const clients = Array.from({ length: numClients }, (_, id) => createMirrorClient(
+        id,
+        environment ? environment.reset(id, undefined, initialStreams.stream('environment', id)) : null,
+        backend
+    ));
+
+    const applySnapshots = (snapshots) => {
+        snapshots.forEach(snapshot => clients[snapshot.id].mirror.update(snapshot));
+    };
+
+    const ready = (async () => {
+        channels = await Promise.all(shards.map(async () => createChannel(await spawnWorker(workerUrl))));
+        const results = await Promise.all(channels.map((channel, w) => channel.request('init', {
+            module: String(module),
+            options: cloneableOptions(options),
+            clientIds: shards[w],
+            seed
+        })));
+        clients.forEach(c => c.mirror.enable(results[0].capabilities));
+        results.forEach(result => applySnapshots(result.clients));
+    })();
+    // Failures surface through the requests that await `ready`
+    ready.catch(() => {});
+
+    // Send recorded set* calls (federation, loaded checkpoints) to the workers
+    const flush = async () => {
+        await Promise.all(channels.map((channel, w) => {
+            const models = {};
+            shards[w].forEach(id => {
+                const parts = clients[id].mirror.takePending();
+                if (parts) models[id] = parts;
+            });
+            return Object.keys(models).length ? channel.request('setModels', { models }) : null;
+        }));
+    };
+
+    const pullModels = async () => {
+        await ready;
+        const results = await Promise.all(channels.map(channel => channel.request('getModels')));
+        results.forEach((parts, w) => parts.forEach((p, i) => clients[shards[w][i]].mirror.receive(p)));
+    };
+
+    const callAgents = async (method, args = [], clientIds = null) => {
+        await ready;
+        await Promise.all(channels.map(channel => channel.request('call', { clientIds, method, args })));
+    };
+
+    Object.assign(backend, {
+        /**
+         * Mirror clients, one per training client (stable across batches)
+         */
+        clients,
+
+        /**
+         * Ticks per batch
+         */
+        mirrorInterval,
+
+        /**
+         * Resolves once every worker has built its clients
+         * @returns {Promise<void>}
+         */
+        ready: () => ready,
+
+        /**
+         * Run one batch in every worker in parallel and mirror the clients back
+         * @param {Object} batch
+         * @param {number} batch.ticks - Steps per client (default: mirrorInterval)
+         * @param {Object} batch.episodeLimits - { [clientId]: episodeCount } at which a client pauses
+         * @returns {Promise<Object[]>} Completed episodes [{ client, episode }] in client order
+         */
+        step: async ({ ticks = mirrorInterval, episodeLimits = null } = {}) => {
+            await ready;
+            await flush();
+            const results = await Promise.all(channels.map(channel =>
+                channel.request('step', { ticks, episodeLimits })));
+            const episodes = [];
+            results.forEach(result => {
+                applySnapshots(result.clients);
+                result.episodes.forEach(({ clientId, episode }) => {
+                    episodes.push({ client: clients[clientId], episode });
+                });
+            });
+            return episodes;
+        },
+
+        /**
+         * Copy the workers' models (and critics, visit counts, world models) into the mirrors
+         * @returns {Promise<void>}
+         */
+        pullModels,
+
+        /**
+         * Push models set on mirrors since the last batch to the workers
+         * @returns {Promise<void>}
+         */
+        pushModels: async () => {
+            await ready;
+            await flush();
+        },
+
+        /**
+         * Federate the worker clients with a federated manager
+         * @param {Object} fedManager - Manager from createFederatedManager
+         * @returns {Promise<Object>} { globalModel, round, delta, clientModelsBefore, participants }
+         */
+        federate: async (fedManager) => {
+            await pullModels();
+            const result = federateClients(fedManager, clients);
+            await flush();
+            return result;
+        },
+
+        /**
+         * Call an agent method in the workers (e.g. setExploration)
+         * @param {string} method - Agent method name
+         * @param {Array} args - Arguments (structured-cloneable)
+         * @param {number[]} clientIds - Target clients (default: all)
+         * @returns {Promise<void>}
+         */
+        callAgents,
+
+        /**
+         * Number of workers
+         * @returns {number} Worker count
+         */
+        getNumWorkers: () => shards.length,
+
+        /**
+         * Stop all workers
+         */
+        terminate: () => {
+            if (terminated) return;
+            terminated = true;
+            ready.finally(() => channels.forEach(channel => channel.terminate()));
+        }
+    });
+
+    return backend;
+};
+
+// Export default object
+export default {
+    SHARED_AGENT_STATE,
+    createWorkerBackend
+};
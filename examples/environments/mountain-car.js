@@ -0,0 +1,64 @@
+/**
+ * Mountain car: environment and RL settings shared by examples/mountain-car.html
+ * and the command line
+ *
+ *   node bin/federated-rl.js train examples/environments/mountain-car.js --rounds 5
+ */
+
+export default {
+    name: 'Mountain Car',
+
+    // RL parameters: linear SARSA over tile-coded (pos, vel)
+    agentType: 'linear-sarsa',
+    ranges: [[-1.2, 0.5], [-0.07, 0.07]],
+    tilesPerDim: 8,
+    numTilings: 8,
+    alpha: 0.5,             // split across the 8 active tiles
+    gamma: 0.99,
+    epsilon: 0.05,
+
+    // Auto-federate every 100 episodes
+    autoFederate: true,
+    federationInterval: 100,
+
+    // Define environment
+    environment: {
+        actions: ['LEFT', 'NONE', 'RIGHT'], // 3 actions
+
+        // State representation (continuous; tile coding generalizes)
+        getState: (state) => [state.pos, state.vel],
+
+        // Physics
+        step: (state, action) => {
+            const force = (action - 1) * 0.001; // -0.001, 0, 0.001
+            let vel = state.vel + force - 0.0025 * Math.cos(3 * state.pos);
+            vel = Math.max(-0.07, Math.min(0.07, vel));
+
+            let pos = state.pos + vel;
+            pos = Math.max(-1.2, Math.min(0.5, pos));
+
+            if (pos === -1.2 && vel < 0) vel = 0;
+
+            const reward = pos >= 0.5 ? 0 : -1;
+            const done = pos >= 0.5 || state.steps > 200;
+
+            return {
+                state: { pos, vel, steps: state.steps + 1 },
+                reward,
+                done
+            };
+        },
+
+        // Reset
+        reset: (clientId, oldState, random = Math.random) => ({
+            pos: -0.5 + (random() - 0.5) * 0.4,
+            vel: 0,
+            steps: 0
+        })
+    },
+
+    // An episode succeeds when the car reaches the flag
+    metrics: {
+        isSuccessful: (state) => state.pos >= 0.5
+    }
+};
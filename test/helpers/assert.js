@@ -48,15 +48,15 @@ export function assertThrows(fn, errorType, message) {
     }
 }
 
-// Run tests and exit with proper code
-export function runTests(testSuiteName, tests) {
+// Run tests (sync or async) in order and exit with proper code
+export async function runTests(testSuiteName, tests) {
     console.log(`\n🧪 ${testSuiteName}`);
     let passed = 0;
     let failed = 0;
     
     for (const [name, fn] of Object.entries(tests)) {
         try {
-            fn();
+            await fn();
             console.log(`  ✓ ${name}`);
             passed++;
         } catch (error) {
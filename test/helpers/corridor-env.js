@@ -0,0 +1,23 @@
+/**
+ * Corridor app config for CLI tests: start at 0, reach 4 for +1, -0.1 per step
+ */
+
+export default {
+    numClients: 2,
+    alpha: 0.5,
+    gamma: 0.9,
+    federationInterval: 5,
+    environment: {
+        actions: ['LEFT', 'RIGHT'],
+        getState: (state) => String(state.x),
+        step: (state, action) => {
+            const x = Math.max(0, Math.min(4, state.x + (action === 1 ? 1 : -1)));
+            const steps = state.steps + 1;
+            return { state: { x, steps }, reward: x === 4 ? 1 : -0.1, done: x === 4 || steps >= 20 };
+        },
+        reset: () => ({ x: 0, steps: 0 })
+    },
+    metrics: {
+        isSuccessful: (state) => state.x === 4
+    }
+};
@@ -3,9 +3,12 @@
  * Tests that agent can learn to solve simple environment
  */
 
-import { createTabularAgent } from '../../components/rl-core.js';
+import { createTabularAgent, createAgent } from '../../components/rl-core.js';
+import { createRandom, createRandomStreams } from '../../components/random-core.js';
 import { createSimpleGridWorld } from '../helpers/simple-env.js';
-import { runTests, assert, assertEqual } from '../helpers/assert.js';
+import { createInferenceAgent } from '../../components/inference-mode.js';
+import { createActionSpace, toEnvironmentAction } from '../../components/action-core.js';
+import { runTests, assert, assertEqual, assertThrows } from '../helpers/assert.js';
 
 const tests = {
     'agent learns to reach goal': () => {
@@ -126,6 +129,456 @@ const tests = {
         
         // Agent should complete task in reasonable time
         assert(steps < 50, 'Agent should use learned policy efficiently');
+    },
+    
+    'agent variants improve through the chooseAction/learn loop': () => {
+        ['sarsa', 'expected-sarsa', 'double-q', 'q-lambda', 'sarsa-lambda'].forEach(type => {
+            const agent = createAgent(type, {
+                alpha: 0.2,
+                gamma: 0.9,
+                epsilon: 0.3,
+                numActions: 4
+            });
+            
+            const env = createSimpleGridWorld();
+            const rewards = [];
+            
+            for (let ep = 0; ep < 150; ep++) {
+                let state = env.reset();
+                let totalReward = 0;
+                
+                while (!state.done) {
+                    const stateStr = env.getStateString(state);
+                    const action = agent.chooseAction(stateStr);
+                    const nextState = env.step(state, action);
+                    
+                    agent.learn(stateStr, action, nextState.reward, env.getStateString(nextState));
+                    
+                    totalReward += nextState.reward;
+                    state = nextState;
+                }
+                
+                rewards.push(totalReward);
+                agent.endEpisode?.();
+                agent.decayEpsilon();
+            }
+            
+            const firstTwenty = rewards.slice(0, 20).reduce((a, b) => a + b, 0) / 20;
+            const lastTwenty = rewards.slice(-20).reduce((a, b) => a + b, 0) / 20;
+            
+            assert(lastTwenty > firstTwenty, `${type} agent should improve over time`);
+        });
+    },
+    
+    'Monte Carlo agents improve from complete episodes': () => {
+        ['monte-carlo', 'monte-carlo-off-policy'].forEach(type => {
+            const agent = createAgent(type, {
+                alpha: 0.2,
+                gamma: 0.9,
+                epsilon: 0.3,
+                numActions: 4,
+                random: createRandom(1)
+            });
+            
+            const env = createSimpleGridWorld();
+            const rewards = [];
+            
+            for (let ep = 0; ep < 150; ep++) {
+                let state = env.reset();
+                let totalReward = 0;
+                
+                while (!state.done) {
+                    const stateStr = env.getStateString(state);
+                    const action = agent.chooseAction(stateStr);
+                    const nextState = env.step(state, action);
+                    
+                    agent.learn(stateStr, action, nextState.reward, env.getStateString(nextState));
+                    
+                    totalReward += nextState.reward;
+                    state = nextState;
+                }
+                
+                rewards.push(totalReward);
+                agent.endEpisode();
+                agent.decayEpsilon();
+            }
+            
+            const firstTwenty = rewards.slice(0, 20).reduce((a, b) => a + b, 0) / 20;
+            const lastTwenty = rewards.slice(-20).reduce((a, b) => a + b, 0) / 20;
+            
+            assert(lastTwenty > firstTwenty, `${type} agent should improve over time`);
+            assert(lastTwenty > 50, `${type} agent should mostly reach the goal (${lastTwenty.toFixed(1)})`);
+        });
+    },
+    
+    'policy-gradient agents improve and act from the learned policy': () => {
+        const linear = { ranges: [[0, 4], [0, 4]], tilesPerDim: 4, numTilings: 4 };
+        // Monte Carlo returns are noisier, so REINFORCE takes smaller steps
+        [
+            ['reinforce', { alpha: 0.01 }],
+            ['actor-critic', { alpha: 0.05 }],
+            ['linear-reinforce', { alpha: 0.01, ...linear }],
+            ['linear-actor-critic', { alpha: 0.05, ...linear }]
+        ].forEach(([type, extra]) => {
+            const config = { gamma: 0.95, numActions: 4, ...extra };
+            const agent = createAgent(type, { ...config, random: createRandom(1) });
+            const env = createSimpleGridWorld();
+            const toState = (state) => (extra.ranges ? [state.x, state.y] : env.getStateString(state));
+            const rewards = [];
+            
+            for (let ep = 0; ep < 200; ep++) {
+                let state = env.reset();
+                let totalReward = 0;
+                
+                while (!state.done) {
+                    const stateKey = toState(state);
+                    const action = agent.chooseAction(stateKey);
+                    const nextState = env.step(state, action);
+                    agent.learn(stateKey, action, nextState.reward, toState(nextState));
+                    totalReward += nextState.reward;
+                    state = nextState;
+                }
+                
+                rewards.push(totalReward);
+                agent.endEpisode();
+            }
+            
+            const firstTwenty = rewards.slice(0, 20).reduce((a, b) => a + b, 0) / 20;
+            const lastTwenty = rewards.slice(-20).reduce((a, b) => a + b, 0) / 20;
+            assert(lastTwenty > firstTwenty, `${type} agent should improve over time`);
+            assert(lastTwenty > 50, `${type} agent should mostly reach the goal (${lastTwenty.toFixed(1)})`);
+            
+            // Frozen copy acts greedily on the learned preferences
+            const factory = (frozenConfig) => createAgent(type, { ...config, ...frozenConfig });
+            const greedy = createInferenceAgent(agent.getModel(), 4, factory);
+            let state = env.reset();
+            while (!state.done) {
+                state = env.step(state, greedy.chooseAction(toState(state)));
+            }
+            assertEqual(state.reward, 100, `${type} greedy policy should reach the goal`);
+            
+            const stochastic = createInferenceAgent(agent.getModel(), 4, factory, { policy: 'stochastic' });
+            assertEqual(stochastic.getInferencePolicy(), 'stochastic');
+        });
+        
+        assertThrows(() => createInferenceAgent({}, 4, undefined, { policy: 'stochastic' }), Error);
+    },
+    
+    'Gaussian actor-critic learns real-valued moves in a box action space': () => {
+        // 1-D corridor: velocity command in [-1, 1], goal at x >= 9, -1 per step
+        const actionSpace = createActionSpace({ type: 'box', low: [-1], high: [1] });
+        const agent = createAgent('gaussian-actor-critic', {
+            actionSpace, ranges: [[0, 10]], tilesPerDim: 5, numTilings: 4,
+            alpha: 0.1, gamma: 0.99, random: createRandom(1)
+        });
+        
+        const runEpisode = () => {
+            let x = 0;
+            let steps = 0;
+            while (steps < 100) {
+                const action = agent.chooseAction([x]);
+                const [velocity] = toEnvironmentAction(actionSpace, action);
+                const nextX = Math.max(0, Math.min(10, x + velocity));
+                steps++;
+                agent.learn([x], action, -1, [nextX]);
+                x = nextX;
+                if (x >= 9) break;
+            }
+            agent.endEpisode();
+            return steps;
+        };
+        
+        const lengths = Array.from({ length: 150 }, runEpisode);
+        const average = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+        const firstTwenty = average(lengths.slice(0, 20));
+        const lastTwenty = average(lengths.slice(-20));
+        
+        assert(lastTwenty < 12, `Late episodes should be near the 9-step optimum (got ${lastTwenty})`);
+        assert(lastTwenty < firstTwenty, 'Episodes should get shorter');
+        
+        agent.setInferenceMode(true);
+        assert(runEpisode() <= 10, 'The greedy mean policy should reach the goal directly');
+    },
+    
+    'factored heads learn a multi-discrete grid faster than the enumerated product': () => {
+        // 8x8 grid, action = (dx, dy) with each in {-1, 0, +1}: diagonal moves allowed
+        const actionSpace = createActionSpace({ type: 'multi-discrete', nvec: [3, 3] });
+        
+        const train = (agentType) => {
+            const agent = createAgent(agentType, {
+                actionSpace, numActions: actionSpace.n,
+                alpha: 0.2, gamma: 0.95, epsilon: 0.2, random: createRandom(1)
+            });
+            const runEpisode = () => {
+                let x = 0;
+                let y = 0;
+                let steps = 0;
+                while (steps < 100) {
+                    const action = agent.chooseAction(`${x},${y}`);
+                    const [dx, dy] = toEnvironmentAction(actionSpace, action);
+                    const nextX = Math.max(0, Math.min(7, x + dx - 1));
+                    const nextY = Math.max(0, Math.min(7, y + dy - 1));
+                    const done = nextX === 7 && nextY === 7;
+                    steps++;
+                    agent.learn(`${x},${y}`, action, done ? 100 : -1, `${nextX},${nextY}`);
+                    x = nextX;
+                    y = nextY;
+                    if (done) break;
+                }
+                agent.endEpisode?.();
+                agent.decayEpsilon();
+                return steps;
+            };
+            const firstTwenty = Array.from({ length: 20 }, runEpisode).reduce((a, b) => a + b, 0) / 20;
+            Array.from({ length: 80 }, runEpisode);
+            agent.setInferenceMode(true);
+            return { agent, firstTwenty, greedySteps: runEpisode() };
+        };
+        
+        const factored = train('factored-q');
+        const product = train('q-learning');
+        
+        assert(factored.firstTwenty < product.firstTwenty,
+            `Factored heads should learn faster (${factored.firstTwenty} vs ${product.firstTwenty})`);
+        assert(factored.greedySteps <= 10, `Greedy factored policy should reach the goal (got ${factored.greedySteps})`);
+        assertEqual(factored.agent.getModel()['0,0'].length, 6);
+        assertEqual(product.agent.getModel()['0,0'].length, 9);
+    },
+    
+    'adaptive partition refines a continuous grid until the goal is reachable': () => {
+        // [0,10]² plane, moves of 0.7 along an axis, goal in the [9,10]² corner
+        const moves = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+        const random = createRandom(1);
+        const agent = createAgent('adaptive-q', {
+            numActions: 4, ranges: [[0, 10], [0, 10]],
+            alpha: 0.2, gamma: 0.95, epsilon: 0.2, random
+        });
+        const runEpisode = () => {
+            let x = random() * 2;
+            let y = random() * 2;
+            let steps = 0;
+            while (steps < 200) {
+                const action = agent.chooseAction([x, y]);
+                const [dx, dy] = moves[action];
+                const nextX = Math.max(0, Math.min(10, x + 0.7 * dx));
+                const nextY = Math.max(0, Math.min(10, y + 0.7 * dy));
+                const done = nextX >= 9 && nextY >= 9;
+                steps++;
+                agent.learn([x, y], action, done ? 10 : -1, [nextX, nextY]);
+                x = nextX;
+                y = nextY;
+                if (done) break;
+            }
+            agent.decayEpsilon();
+            return steps;
+        };
+        
+        Array.from({ length: 300 }, runEpisode);
+        agent.setInferenceMode(true);
+        const greedySteps = runEpisode();
+        
+        // One cell can't tell the way; a few hundred leaves can (a 0.7 grid would need ~200 cells)
+        assert(agent.getNumLeaves() > 16, `Partition should refine (got ${agent.getNumLeaves()} leaves)`);
+        assert(agent.getNumLeaves() < 1000, `Partition should stay compact (got ${agent.getNumLeaves()} leaves)`);
+        assert(greedySteps <= 40, `Greedy policy should reach the goal (got ${greedySteps} steps)`);
+    },
+    
+    'n-step returns propagate goal value faster than one-step': () => {
+        const startValue = (nStep) => {
+            const agent = createTabularAgent({
+                alpha: 0.2,
+                gamma: 0.95,
+                epsilon: 0.1,
+                numActions: 4,
+                nStep
+            });
+            const env = createSimpleGridWorld();
+            
+            for (let ep = 0; ep < 20; ep++) {
+                let state = env.reset();
+                while (!state.done) {
+                    const stateStr = env.getStateString(state);
+                    const action = agent.chooseAction(stateStr);
+                    const nextState = env.step(state, action);
+                    agent.learn(stateStr, action, nextState.reward, env.getStateString(nextState));
+                    state = nextState;
+                }
+                agent.endEpisode();
+                agent.decayEpsilon();
+            }
+            
+            return Math.max(...agent.getQValues(env.getStateString(env.reset())));
+        };
+        
+        // Optimal V(start) ≈ 63.8; one-step learning barely reaches the start state in 20 episodes
+        const oneStep = startValue(1);
+        const fiveStep = startValue(5);
+        assert(fiveStep > oneStep, `5-step start value (${fiveStep.toFixed(1)}) should exceed one-step (${oneStep.toFixed(1)})`);
+    },
+    
+    'Dyna-Q planning reaches the start state in fewer episodes': () => {
+        const startValue = (type) => {
+            const agent = createAgent(type, {
+                alpha: 0.2,
+                gamma: 0.95,
+                epsilon: 0.1,
+                numActions: 4,
+                planningSteps: 20,
+                random: createRandom(1)
+            });
+            const env = createSimpleGridWorld();
+            
+            for (let ep = 0; ep < 20; ep++) {
+                let state = env.reset();
+                while (!state.done) {
+                    const stateStr = env.getStateString(state);
+                    const action = agent.chooseAction(stateStr);
+                    const nextState = env.step(state, action);
+                    agent.learn(stateStr, action, nextState.reward, env.getStateString(nextState));
+                    state = nextState;
+                }
+                agent.endEpisode();
+                agent.decayEpsilon();
+            }
+            
+            return Math.max(...agent.getQValues(env.getStateString(env.reset())));
+        };
+        
+        const qLearning = startValue('q-learning');
+        const dyna = startValue('dyna-q');
+        assert(dyna > 45, `Dyna-Q start value (${dyna.toFixed(1)}) should approach the optimum ≈ 63.8`);
+        assert(dyna > qLearning, `Dyna-Q start value (${dyna.toFixed(1)}) should exceed Q-learning (${qLearning.toFixed(1)})`);
+    },
+    
+    'linear tile-coded agents improve on continuous coordinates': () => {
+        ['linear-q', 'linear-sarsa'].forEach(type => {
+            const agent = createAgent(type, {
+                alpha: 0.5,
+                gamma: 0.9,
+                epsilon: 0.1,
+                numActions: 4,
+                ranges: [[0, 4], [0, 4]],
+                tilesPerDim: 4,
+                numTilings: 4,
+                random: createRandom(1)
+            });
+            
+            const env = createSimpleGridWorld();
+            const rewards = [];
+            
+            for (let ep = 0; ep < 100; ep++) {
+                let state = env.reset();
+                let totalReward = 0;
+                
+                while (!state.done) {
+                    const features = [state.x, state.y];
+                    const action = agent.chooseAction(features);
+                    const nextState = env.step(state, action);
+                    
+                    agent.learn(features, action, nextState.reward, [nextState.x, nextState.y]);
+                    
+                    totalReward += nextState.reward;
+                    state = nextState;
+                }
+                
+                rewards.push(totalReward);
+                agent.endEpisode();
+                agent.decayEpsilon();
+            }
+            
+            const firstTwenty = rewards.slice(0, 20).reduce((a, b) => a + b, 0) / 20;
+            const lastTwenty = rewards.slice(-20).reduce((a, b) => a + b, 0) / 20;
+            
+            assert(lastTwenty > firstTwenty, `${type} agent should improve over time`);
+            assert(lastTwenty > 70, `${type} agent should reach the goal reliably (avg ${lastTwenty.toFixed(1)})`);
+        });
+    },
+    
+    'DQN agents improve on continuous coordinates': () => {
+        ['dqn', 'double-dqn'].forEach(type => {
+            const agent = createAgent(type, {
+                gamma: 0.9,
+                epsilon: 0.3,
+                epsilonDecay: 0.95,
+                minEpsilon: 0.05,
+                numActions: 4,
+                ranges: [[0, 4], [0, 4]],
+                hiddenLayers: [32],
+                learningRate: 0.005,
+                batchSize: 16,
+                minReplaySize: 100,
+                targetUpdateInterval: 100,
+                random: createRandom(1)
+            });
+            
+            const env = createSimpleGridWorld();
+            const rewards = [];
+            
+            for (let ep = 0; ep < 80; ep++) {
+                let state = env.reset();
+                let totalReward = 0;
+                
+                while (!state.done) {
+                    const features = [state.x, state.y];
+                    const action = agent.chooseAction(features);
+                    const nextState = env.step(state, action);
+                    
+                    // Rewards scaled to ~[-0.1, 1] suit the network's output range
+                    agent.learn(features, action, nextState.reward / 100, [nextState.x, nextState.y]);
+                    
+                    totalReward += nextState.reward;
+                    state = nextState;
+                }
+                
+                rewards.push(totalReward);
+                agent.endEpisode();
+                agent.decayEpsilon();
+            }
+            
+            const firstTwenty = rewards.slice(0, 20).reduce((a, b) => a + b, 0) / 20;
+            const lastTwenty = rewards.slice(-20).reduce((a, b) => a + b, 0) / 20;
+            
+            assert(lastTwenty > firstTwenty, `${type} agent should improve over time`);
+            assert(lastTwenty > 70, `${type} agent should reach the goal reliably (avg ${lastTwenty.toFixed(1)})`);
+        });
+    },
+    
+    'seeded runs replay bit-for-bit': () => {
+        const train = (type, seed) => {
+            const streams = createRandomStreams(seed);
+            const agent = createAgent(type, {
+                alpha: 0.2,
+                gamma: 0.9,
+                epsilon: 0.3,
+                numActions: 4,
+                random: streams.stream('agent', 0)
+            });
+            const env = createSimpleGridWorld();
+            const rewards = [];
+            
+            for (let ep = 0; ep < 30; ep++) {
+                let state = env.reset();
+                let totalReward = 0;
+                while (!state.done) {
+                    const stateStr = env.getStateString(state);
+                    const action = agent.chooseAction(stateStr);
+                    const nextState = env.step(state, action);
+                    agent.learn(stateStr, action, nextState.reward, env.getStateString(nextState));
+                    totalReward += nextState.reward;
+                    state = nextState;
+                }
+                rewards.push(totalReward);
+                agent.endEpisode?.();
+                agent.decayEpsilon();
+            }
+            
+            return JSON.stringify({ rewards, model: agent.getModel() });
+        };
+        
+        ['q-learning', 'double-q', 'sarsa-lambda'].forEach(type => {
+            assertEqual(train(type, 42), train(type, 42), `${type} run should replay exactly`);
+            assert(train(type, 42) !== train(type, 43), `${type} runs with different seeds should differ`);
+        });
     }
 };
 
@@ -3,10 +3,81 @@
  * Tests that federated learning combines knowledge from multiple agents
  */
 
-import { createTabularAgent } from '../../components/rl-core.js';
-import { federatedAverage, computeModelDelta } from '../../components/federated-core.js';
+import { createTabularAgent, createLinearAgent, createDQNAgent } from '../../components/rl-core.js';
+import { createRandom } from '../../components/random-core.js';
+import { federatedAverage, computeModelDelta, clipUpdates, createFederatedManager, AGGREGATORS } from '../../components/federated-core.js';
 import { createSimpleGridWorld } from '../helpers/simple-env.js';
-import { runTests, assert } from '../helpers/assert.js';
+import { runTests, assert, assertEqual } from '../helpers/assert.js';
+
+// ========== Malicious Client Harness ==========
+
+// Honest tabular clients trained on the grid world, wrapped as manager clients
+const trainHonestClients = (count, episodes = 15) => Array.from({ length: count }, (_, seed) => {
+    const env = createSimpleGridWorld();
+    const agent = createTabularAgent({ alpha: 0.1, gamma: 0.9, epsilon: 0.3, numActions: 4, random: createRandom(seed) });
+    for (let ep = 0; ep < episodes; ep++) {
+        let state = env.reset();
+        while (!state.done) {
+            const stateStr = env.getStateString(state);
+            const action = agent.chooseAction(stateStr);
+            const nextState = env.step(state, action);
+            agent.learn(stateStr, action, nextState.reward, env.getStateString(nextState));
+            state = nextState;
+        }
+        agent.decayEpsilon();
+    }
+    return { getAgent: () => agent, getMetrics: () => ({ episodeCount: episodes }) };
+});
+
+// Poisoned models built from the honest ones
+const ATTACKS = {
+    'huge values': (honest) => Object.fromEntries(
+        Object.entries(federatedAverage(honest)).map(([state, q]) => [state, q.map(() => 1e6)])),
+    'sign flip': (honest) => Object.fromEntries(
+        Object.entries(federatedAverage(honest)).map(([state, q]) => [state, q.map(v => -50 * v)])),
+    'fake states': (honest) => ({
+        ...federatedAverage(honest),
+        '9,9': [1e6, 1e6, 1e6, 1e6],
+        '-1,-1': [-1e6, -1e6, -1e6, -1e6]
+    })
+};
+
+// Attackers send their model every round and ignore the global one
+const createMaliciousClient = (model) => {
+    const agent = { getModel: () => model, setModel: () => {} };
+    return { getAgent: () => agent, getMetrics: () => ({ episodeCount: 15 }) };
+};
+
+// Per-entry [min, max] over the honest models (missing entries count as 0)
+const honestBounds = (models) => {
+    const bounds = {};
+    models.forEach(model => Object.entries(model).forEach(([state, q]) => {
+        bounds[state] = bounds[state] || q.map(() => ({ min: 0, max: 0, seen: 0 }));
+        q.forEach((v, a) => {
+            const b = bounds[state][a];
+            b.min = b.seen === 0 ? v : Math.min(b.min, v);
+            b.max = b.seen === 0 ? v : Math.max(b.max, v);
+            b.seen++;
+        });
+    }));
+    Object.values(bounds).forEach(q => q.forEach(b => {
+        if (b.seen < models.length) {
+            b.min = Math.min(b.min, 0);
+            b.max = Math.max(b.max, 0);
+        }
+    }));
+    return bounds;
+};
+
+// Entries of the global model outside the honest bounds (widened by slack)
+const outOfBounds = (globalModel, bounds, slack = 1e-9) => {
+    const violations = [];
+    Object.entries(globalModel).forEach(([state, q]) => q.forEach((v, a) => {
+        const b = bounds[state]?.[a] ?? { min: 0, max: 0 };
+        if (v < b.min - slack || v > b.max + slack) violations.push(`${state}[${a}]=${v}`);
+    }));
+    return violations;
+};
 
 const tests = {
     'federation combines knowledge from multiple clients': () => {
@@ -130,6 +201,140 @@ const tests = {
         
         assert(delta.avgDelta >= 0, 'Delta should be non-negative');
         assert(delta.totalStates > 0, 'Should track states');
+    },
+    
+    'linear agents federate weight vectors': () => {
+        const env = createSimpleGridWorld();
+        const config = { alpha: 0.5, gamma: 0.9, epsilon: 0.2, numActions: 4, ranges: [[0, 4], [0, 4]], tilesPerDim: 4, numTilings: 4 };
+        const clients = [1, 2, 3].map(seed => {
+            const agent = createLinearAgent({ ...config, random: createRandom(seed) });
+            return { getAgent: () => agent, getMetrics: () => ({ episodeCount: 20 }) };
+        });
+        
+        clients.forEach(({ getAgent }) => {
+            const agent = getAgent();
+            for (let ep = 0; ep < 20; ep++) {
+                let state = env.reset();
+                while (!state.done) {
+                    const features = [state.x, state.y];
+                    const action = agent.chooseAction(features);
+                    const nextState = env.step(state, action);
+                    agent.learn(features, action, nextState.reward, [nextState.x, nextState.y]);
+                    state = nextState;
+                }
+                agent.endEpisode();
+                agent.decayEpsilon();
+            }
+        });
+        
+        const models = clients.map(c => c.getAgent().getModel());
+        const globalModel = createFederatedManager().federate(clients);
+        
+        assertEqual(Object.keys(globalModel).join(','), 'weights');
+        const i = models[0].weights.findIndex(w => w !== 0);
+        const expected = models.reduce((sum, m) => sum + m.weights[i], 0) / models.length;
+        assert(Math.abs(globalModel.weights[i] - expected) < 1e-9, 'Weights should be averaged element-wise');
+        
+        const start = [0, 0];
+        const q = clients.map(c => c.getAgent().getQValues(start).join(','));
+        assert(q.every(v => v === q[0]), 'All clients should share the global weights');
+    },
+    
+    'DQN agents federate network parameters': () => {
+        const clients = [1, 2].map(seed => {
+            const agent = createDQNAgent({ numActions: 2, stateSize: 2, hiddenLayers: [8], random: createRandom(seed) });
+            return { getAgent: () => agent, getMetrics: () => ({ episodeCount: 0 }) };
+        });
+        const models = clients.map(c => c.getAgent().getModel());
+        
+        const globalModel = createFederatedManager().federate(clients);
+        
+        Object.keys(models[0]).forEach(name => {
+            assertEqual(globalModel[name].length, models[0][name].length, `${name} keeps its shape`);
+        });
+        const w = globalModel['layer0.weights'][3];
+        assert(Math.abs(w - (models[0]['layer0.weights'][3] + models[1]['layer0.weights'][3]) / 2) < 1e-12, 'Parameters should be averaged');
+        
+        const q = clients.map(c => c.getAgent().getQValues([0.1, 0.2]).join(','));
+        assertEqual(q[0], q[1], 'Clients should share the averaged network');
+    },
+    
+    // ========== Byzantine Clients ==========
+    
+    'malicious clients drag FedAvg out of the honest bounds': () => {
+        const honest = trainHonestClients(7);
+        const honestModels = honest.map(c => c.getAgent().getModel());
+        const bounds = honestBounds(honestModels);
+        
+        Object.entries(ATTACKS).forEach(([name, attack]) => {
+            const attackers = [0, 1].map(() => createMaliciousClient(attack(honestModels)));
+            const globalModel = createFederatedManager().federate([...honest, ...attackers]);
+            assert(outOfBounds(globalModel, bounds).length > 0, `FedAvg should be poisoned by "${name}"`);
+        });
+    },
+    
+    'robust aggregators keep the global model within the honest bounds': () => {
+        // 7 honest + 2 malicious: trimming 2 per end and Krum with f = 2 both cover the attackers
+        const robust = { median: {}, 'trimmed-mean': { trimFraction: 0.25 }, krum: {}, 'multi-krum': {} };
+        assert(Object.keys(robust).every(name => AGGREGATORS.includes(name)), 'Robust aggregators should be registered');
+        
+        Object.entries(ATTACKS).forEach(([attackName, attack]) => {
+            Object.entries(robust).forEach(([aggregator, options]) => {
+                const honest = trainHonestClients(7);
+                const honestModels = honest.map(c => c.getAgent().getModel());
+                const bounds = honestBounds(honestModels);
+                const attackers = [0, 1].map(() => createMaliciousClient(attack(honestModels)));
+                
+                const manager = createFederatedManager({ aggregator, byzantineClients: 2, ...options });
+                const globalModel = manager.federate([...attackers, ...honest]);
+                const violations = outOfBounds(globalModel, bounds);
+                assertEqual(violations.length, 0,
+                    `${aggregator} under "${attackName}": ${violations.slice(0, 3).join(', ')}`);
+                assert(!('9,9' in globalModel) || globalModel['9,9'].every(v => v === 0),
+                    `${aggregator} should not adopt injected states`);
+            });
+        });
+    },
+    
+    'norm clipping bounds each attacker\'s pull on the global model': () => {
+        const clipNorm = 5;
+        Object.entries(ATTACKS).forEach(([attackName, attack]) => {
+            const honest = trainHonestClients(7);
+            const honestModels = honest.map(c => c.getAgent().getModel());
+            const manager = createFederatedManager({ aggregator: 'norm-clipping', clipNorm });
+            
+            // Honest warm-up round: the reference that updates are measured from
+            manager.federate(honest);
+            const reference = honest[0].getAgent().getModel();
+            
+            const attackers = [0, 1].map(() => createMaliciousClient(attack(honestModels)));
+            const clients = [...honest, ...attackers];
+            const globalModel = manager.federate(clients);
+            
+            // Honest clients now sit on the reference, so only the attackers move the
+            // average, each by at most clipNorm / n in any entry (injected states included)
+            const { maxDelta } = computeModelDelta(reference, globalModel);
+            assert(maxDelta <= attackers.length * clipNorm / clients.length + 1e-9,
+                `norm-clipping under "${attackName}": an entry moved by ${maxDelta}`);
+        });
+    },
+    
+    'norm clipping bounds attackers in the first round too': () => {
+        const clipNorm = 5;
+        Object.entries(ATTACKS).forEach(([attackName, attack]) => {
+            const honest = trainHonestClients(7);
+            const honestModels = honest.map(c => c.getAgent().getModel());
+            const attackers = [0, 1].map(() => createMaliciousClient(attack(honestModels)));
+            const clients = [...honest, ...attackers];
+            
+            // No warm-up: updates are measured from 0, so next to the honest clients'
+            // clipped share each attacker adds at most clipNorm / n to any entry
+            const globalModel = createFederatedManager({ aggregator: 'norm-clipping', clipNorm }).federate(clients);
+            const honestShare = federatedAverage([...clipUpdates(honestModels, {}, clipNorm), ...attackers.map(() => ({}))]);
+            const { maxDelta } = computeModelDelta(honestShare, globalModel);
+            assert(maxDelta <= attackers.length * clipNorm / clients.length + 1e-9,
+                `norm-clipping under "${attackName}" without warm-up: an entry moved by ${maxDelta}`);
+        });
     }
 };
 
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for action-core.js
+ * Tests: createActionSpace, multi-discrete encoding, toEnvironmentAction, containsAction, sampleAction
+ */
+
+import {
+    createActionSpace,
+    isDiscreteSpace,
+    encodeMultiDiscrete,
+    decodeMultiDiscrete,
+    clipAction,
+    toEnvironmentAction,
+    containsAction,
+    sampleAction
+} from '../../components/action-core.js';
+import { createRandom } from '../../components/random-core.js';
+import { runTests, assert, assertEqual, assertThrows } from '../helpers/assert.js';
+
+const tests = {
+    // ========== Descriptors ==========
+    
+    'createActionSpace: label array is a discrete space': () => {
+        const space = createActionSpace(['LEFT', 'STAY', 'RIGHT']);
+        assertEqual(space.type, 'discrete');
+        assertEqual(space.n, 3);
+        assertEqual(space.labels[2], 'RIGHT');
+        assert(isDiscreteSpace(space), 'Discrete');
+    },
+    
+    'createActionSpace: discrete descriptor with n gets default labels': () => {
+        const space = createActionSpace({ type: 'discrete', n: 2 });
+        assertEqual(JSON.stringify(space.labels), '["0","1"]');
+    },
+    
+    'createActionSpace: multi-discrete flattens to the product': () => {
+        const space = createActionSpace({ type: 'multi-discrete', nvec: [3, 2, 4] });
+        assertEqual(space.n, 24);
+        assertEqual(space.labels.length, 3);
+        assert(isDiscreteSpace(space), 'Multi-discrete has finitely many actions');
+    },
+    
+    'createActionSpace: multi-discrete nvec can come from labels': () => {
+        const space = createActionSpace({ type: 'multi-discrete', labels: [['UP', 'DOWN'], ['A', 'B', 'C']] });
+        assertEqual(JSON.stringify(space.nvec), '[2,3]');
+    },
+    
+    'createActionSpace: box accepts scalar bounds': () => {
+        const space = createActionSpace({ type: 'box', low: -2, high: 2 });
+        assertEqual(space.shape, 1);
+        assertEqual(space.low[0], -2);
+        assert(!isDiscreteSpace(space), 'Box is continuous');
+    },
+    
+    'createActionSpace: rejects invalid specs': () => {
+        assertThrows(() => createActionSpace([]), Error);
+        assertThrows(() => createActionSpace(null), Error);
+        assertThrows(() => createActionSpace({ type: 'gaussian' }), Error);
+        assertThrows(() => createActionSpace({ type: 'discrete', n: 0 }), Error);
+        assertThrows(() => createActionSpace({ type: 'discrete', n: 3, labels: ['A'] }), Error);
+        assertThrows(() => createActionSpace({ type: 'multi-discrete', nvec: [2, 1.5] }), Error);
+        assertThrows(() => createActionSpace({ type: 'multi-discrete', nvec: [2], labels: [['A']] }), Error);
+        assertThrows(() => createActionSpace({ type: 'box', low: [0, 0], high: [1] }), Error);
+        assertThrows(() => createActionSpace({ type: 'box', low: [1], high: [1] }), Error);
+        assertThrows(() => createActionSpace({ type: 'box', low: [0], high: [Infinity] }), Error);
+    },
+    
+    // ========== Conversion ==========
+    
+    'encodeMultiDiscrete / decodeMultiDiscrete: round-trip every index': () => {
+        const nvec = [3, 2, 4];
+        for (let i = 0; i < 24; i++) {
+            assertEqual(encodeMultiDiscrete(decodeMultiDiscrete(i, nvec), nvec), i);
+        }
+        assertEqual(JSON.stringify(decodeMultiDiscrete(5, [3, 2])), '[2,1]');
+        assertEqual(encodeMultiDiscrete([1, 0], [3, 2]), 2, 'First factor is most significant');
+    },
+    
+    'clipAction: clamps each dimension': () => {
+        const space = createActionSpace({ type: 'box', low: [-1, 0], high: [1, 5] });
+        assertEqual(JSON.stringify(clipAction(space, [-3, 2])), '[-1,2]');
+        assertEqual(JSON.stringify(clipAction(createActionSpace({ type: 'box', low: 0, high: 1 }), 4)), '[1]');
+    },
+    
+    'toEnvironmentAction: index, decoded tuple or clipped vector': () => {
+        assertEqual(toEnvironmentAction(createActionSpace(['A', 'B']), 1), 1);
+        
+        const joint = createActionSpace({ type: 'multi-discrete', nvec: [3, 2] });
+        assertEqual(JSON.stringify(toEnvironmentAction(joint, 3)), '[1,1]');
+        assertEqual(JSON.stringify(toEnvironmentAction(joint, [2, 0])), '[2,0]', 'Tuples pass through');
+        
+        const box = createActionSpace({ type: 'box', low: [-1], high: [1] });
+        assertEqual(JSON.stringify(toEnvironmentAction(box, [0.25])), '[0.25]');
+        assertEqual(JSON.stringify(toEnvironmentAction(box, [-7])), '[-1]');
+    },
+    
+    'containsAction: membership per space type': () => {
+        const discrete = createActionSpace(['A', 'B']);
+        assert(containsAction(discrete, 1), 'In range');
+        assert(!containsAction(discrete, 2), 'Out of range');
+        
+        const joint = createActionSpace({ type: 'multi-discrete', nvec: [3, 2] });
+        assert(containsAction(joint, [2, 1]), 'Valid tuple');
+        assert(!containsAction(joint, [2, 2]), 'Sub-action out of range');
+        assert(!containsAction(joint, 3), 'Flat index is not an environment action');
+        
+        const box = createActionSpace({ type: 'box', low: [0], high: [1] });
+        assert(containsAction(box, [0.5]), 'Inside box');
+        assert(!containsAction(box, [1.5]), 'Outside box');
+    },
+    
+    'sampleAction: samples stay inside the space': () => {
+        const random = createRandom(3);
+        const spaces = [
+            createActionSpace(['A', 'B', 'C']),
+            createActionSpace({ type: 'multi-discrete', nvec: [4, 2] }),
+            createActionSpace({ type: 'box', low: [-1, 10], high: [1, 20] })
+        ];
+        spaces.forEach(space => {
+            for (let i = 0; i < 50; i++) {
+                assert(containsAction(space, sampleAction(space, random)), `${space.type} sample in space`);
+            }
+        });
+    }
+};
+
+runTests('ACTION-CORE.JS', tests);
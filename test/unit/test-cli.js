@@ -0,0 +1,191 @@
+/**
+ * Unit tests for cli.js
+ * Tests: argument parsing, train / eval / inspect / diff commands, exit codes
+ */
+
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseCliArgs, runCli, summarizeModel, loadEnvironmentModule } from '../../components/cli.js';
+import { serializeModel } from '../../components/federated-core.js';
+import { runTests, assertEqual, assert, assertThrows } from '../helpers/assert.js';
+
+const ENV = fileURLToPath(new URL('../helpers/corridor-env.js', import.meta.url));
+
+// Run the CLI with captured output
+const cli = async (...argv) => {
+    let stdout = '';
+    let stderr = '';
+    const code = await runCli(argv, {
+        stdout: { write: (text) => { stdout += text; } },
+        stderr: { write: (text) => { stderr += text; } }
+    });
+    return { code, stdout, stderr };
+};
+
+// Temporary directory removed after the test body
+const withTempDir = async (fn) => {
+    const dir = mkdtempSync(join(tmpdir(), 'federated-rl-'));
+    try {
+        await fn(dir);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+};
+
+const tests = {
+    // ========== Argument Tests ==========
+
+    'parseCliArgs: command, positionals and options': () => {
+        const { command, positionals, options } = parseCliArgs(['train', 'env.js', '--clients', '8', '--seed=3', '--json']);
+        assertEqual(command, 'train');
+        assertEqual(positionals.join(','), 'env.js');
+        assertEqual(options.clients, '8');
+        assertEqual(options.seed, '3');
+        assertEqual(options.json, true);
+        assertThrows(() => parseCliArgs(['train', '--clients']), Error);
+    },
+
+    'runCli: usage errors exit with 2': async () => {
+        assertEqual((await cli()).code, 2);
+        const unknown = await cli('bogus');
+        assertEqual(unknown.code, 2);
+        assert(unknown.stderr.includes('Unknown command'), 'Should name the unknown command');
+        const help = await cli('train', '--help');
+        assertEqual(help.code, 0);
+        assert(help.stdout.includes('Usage: federated-rl'), 'Should print usage');
+    },
+
+    'runCli: command failures exit with 1': async () => {
+        const missing = await cli('inspect', 'does-not-exist.json');
+        assertEqual(missing.code, 1);
+        assert(missing.stderr.startsWith('federated-rl inspect:'), 'Should prefix the command');
+        assertEqual((await cli('train')).code, 1);
+        assertEqual((await cli('train', ENV, '--clients', 'many')).code, 1);
+    },
+
+    'loadEnvironmentModule: needs a config or environment export': async () => {
+        const config = await loadEnvironmentModule(ENV);
+        assertEqual(config.environment.actions.length, 2);
+        let threw = false;
+        try {
+            await loadEnvironmentModule(fileURLToPath(new URL('../helpers/assert.js', import.meta.url)));
+        } catch (error) {
+            threw = true;
+        }
+        assert(threw, 'A module without an environment should be rejected');
+    },
+
+    // ========== Command Tests ==========
+
+    'train: writes a serialized global model with run metadata': async () => withTempDir(async (dir) => {
+        const output = join(dir, 'model.json');
+        const { code, stdout } = await cli('train', ENV, '--rounds', '3', '--seed', '1', '--output', output, '--json');
+        assertEqual(code, 0);
+
+        const summary = JSON.parse(stdout);
+        assertEqual(summary.rounds, 3);
+        assertEqual(summary.output, output);
+
+        const saved = JSON.parse(readFileSync(output, 'utf8'));
+        assertEqual(saved.version, '1.0');
+        assertEqual(saved.metadata.environment, 'corridor-env.js');
+        assertEqual(saved.metadata.agentType, 'q-learning');
+        assertEqual(saved.metadata.numClients, 2);
+        assertEqual(saved.metadata.federationRound, 3);
+        assertEqual(saved.metadata.seed, 1);
+        assertEqual(saved.metadata.actionSpace.type, 'discrete');
+        assertEqual(saved.metadata.actionSpace.n, 2);
+        assert(saved.model['0'].length === 2, 'Model should hold Q-values per state');
+    }),
+
+    'train: same seed, same model': async () => withTempDir(async (dir) => {
+        await cli('train', ENV, '--episodes', '10', '--seed', '4', '--output', join(dir, 'a.json'), '--json');
+        await cli('train', ENV, '--episodes', '10', '--seed', '4', '--output', join(dir, 'b.json'), '--json');
+        const model = (file) => JSON.stringify(JSON.parse(readFileSync(join(dir, file), 'utf8')).model);
+        assertEqual(model('a.json'), model('b.json'));
+    }),
+
+    'train: --workers trains in worker threads with the same result': async () => withTempDir(async (dir) => {
+        await cli('train', ENV, '--episodes', '10', '--seed', '4', '--output', join(dir, 'a.json'), '--json');
+        const { code } = await cli('train', ENV, '--episodes', '10', '--seed', '4', '--workers', '2', '--output', join(dir, 'b.json'), '--json');
+        assertEqual(code, 0);
+        const model = (file) => JSON.stringify(JSON.parse(readFileSync(join(dir, file), 'utf8')).model);
+        assertEqual(model('a.json'), model('b.json'));
+    }),
+
+    'eval: runs the saved policy on the environment': async () => withTempDir(async (dir) => {
+        const output = join(dir, 'model.json');
+        await cli('train', ENV, '--episodes', '80', '--seed', '2', '--output', output, '--json');
+        const { code, stdout } = await cli('eval', output, ENV, '--episodes', '3', '--json');
+        assertEqual(code, 0);
+
+        const results = JSON.parse(stdout);
+        assertEqual(results.episodes, 3);
+        assertEqual(results.successRate, 1);
+        assertEqual(results.avgSteps, 4);
+    }),
+
+    'inspect: reports states, action space and metadata': async () => withTempDir(async (dir) => {
+        const file = join(dir, 'model.json');
+        writeFileSync(file, serializeModel({ a: [1, 3], b: [-2, 0] }, { numClients: 5, worldModel: { a: {} } }));
+
+        const { code, stdout } = await cli('inspect', file, '--json');
+        assertEqual(code, 0);
+        const report = JSON.parse(stdout);
+        assertEqual(report.entries, 2);
+        assertEqual(report.metadata.actionSpace, 2);
+        assertEqual(report.metadata.numClients, 5);
+        assertEqual(report.metadata.worldModel, '{1 keys}');
+        assertEqual(report.topStates[0].state, 'a');
+
+        const text = await cli('inspect', file);
+        assert(text.stdout.includes('States: 2, action space: 2'), 'Text report should summarize the model');
+    }),
+
+    'inspect: prints the recorded action space, not the weight count': async () => withTempDir(async (dir) => {
+        const file = join(dir, 'linear.json');
+        const actionSpace = { type: 'discrete', n: 3, labels: ['L', 'S', 'R'] };
+        writeFileSync(file, serializeModel({ weights: new Array(12).fill(0.5) }, { actionSpace }));
+
+        const { code, stdout } = await cli('inspect', file);
+        assertEqual(code, 0);
+        assert(stdout.includes('States: 1, action space: 3, values: 12'), 'Should use metadata.actionSpace');
+        assert(stdout.includes('  actionSpace: 3'), 'Metadata listing should describe the action space');
+
+        writeFileSync(file, serializeModel({ weights: [0, 0] }, { actionSpace: { type: 'multi-discrete', nvec: [9, 3], n: 27 } }));
+        assert((await cli('inspect', file)).stdout.includes('action space: 9×3 (multi-discrete)'));
+    }),
+
+    'diff: computeModelDelta between two model files': async () => withTempDir(async (dir) => {
+        writeFileSync(join(dir, 'a.json'), serializeModel({ s0: [0, 0], s1: [1, 1] }));
+        writeFileSync(join(dir, 'b.json'), serializeModel({ s0: [0, 0.5], s2: [2, 0] }));
+
+        const { code, stdout } = await cli('diff', join(dir, 'a.json'), join(dir, 'b.json'), '--json');
+        assertEqual(code, 0);
+        const delta = JSON.parse(stdout);
+        assertEqual(delta.totalStates, 3);
+        assertEqual(delta.statesChanged, 3);
+        assertEqual(delta.onlyInA, 1);
+        assertEqual(delta.onlyInB, 1);
+        assertEqual(delta.largestChanges[0].state, 's1');
+
+        const same = JSON.parse((await cli('diff', join(dir, 'a.json'), join(dir, 'a.json'), '--json')).stdout);
+        assertEqual(same.totalDelta, 0);
+        assertEqual(same.converged, true);
+    }),
+
+    // ========== Summary Tests ==========
+
+    'summarizeModel: value range and best states': () => {
+        const summary = summarizeModel({ a: [1, 3], b: [-2, 0], c: [5, 4] }, 2);
+        assertEqual(summary.entries, 3);
+        assertEqual(summary.values, 6);
+        assertEqual(summary.min, -2);
+        assertEqual(summary.max, 5);
+        assertEqual(summary.topStates.map(s => `${s.state}:${s.action}`).join(','), 'c:0,a:1');
+    }
+};
+
+runTests('CLI.JS', tests);
@@ -6,13 +6,53 @@
 import {
     federatedAverage,
     federatedAverageWeighted,
+    federatedAverageByVisits,
+    aggregateVisitCounts,
+    aggregateWorldModels,
     computeModelDelta,
+    coordinateMedian,
+    trimmedMean,
+    krum,
+    clipUpdates,
+    createServerOptimizer,
+    SERVER_OPTIMIZERS,
+    selectClients,
+    CLIENT_SAMPLERS,
     serializeModel,
     deserializeModel,
     shouldFederateByEpisodes,
-    shouldFederateByPerformance
+    shouldFederateByPerformance,
+    createFederatedManager
 } from '../../components/federated-core.js';
-import { runTests, assertAlmostEqual, assertEqual, assert } from '../helpers/assert.js';
+import { createTabularAgent, createDynaAgent, createPolicyGradientAgent, createAdaptiveAgent } from '../../components/rl-core.js';
+import { createRandom } from '../../components/random-core.js';
+import { computeClientDeltas } from '../../components/federation-visualizer.js';
+import { runTests, assertAlmostEqual, assertEqual, assert, assertThrows } from '../helpers/assert.js';
+
+// Heterogeneous clients: client k is rewarded for action k % 2 in the single state 's'
+const trainDisagreeingClients = (managerConfig, rounds = 3, steps = 40) => {
+    const clients = [0, 1, 2, 3].map(k => {
+        const agent = createTabularAgent({ numActions: 2, alpha: 0.5, gamma: 0 });
+        const train = () => {
+            for (let i = 0; i < steps; i++) {
+                const action = i % 2;
+                agent.learn('s', action, action === k % 2 ? 1 : -1, 's');
+            }
+        };
+        return { train, getAgent: () => agent, getMetrics: () => ({ episodeCount: 0 }) };
+    });
+    const manager = createFederatedManager(managerConfig);
+    let globalModel = {};
+    let drift = 0;
+    for (let r = 0; r < rounds; r++) {
+        clients.forEach(c => c.train());
+        // Mean L2 distance from the global model the clients started the round from
+        const deltas = computeClientDeltas(globalModel, clients.map(c => c.getAgent().getModel()));
+        drift = deltas.reduce((a, b) => a + b, 0) / deltas.length;
+        globalModel = manager.federate(clients);
+    }
+    return drift;
+};
 
 const tests = {
     // ========== Federated Averaging Tests ==========
@@ -72,6 +112,29 @@ const tests = {
         assertEqual(result['s0'][1], 2);
     },
     
+    'federatedAverage: weight vectors element-wise': () => {
+        const models = [
+            { weights: [0, 2, 4, 6, 8] },
+            { weights: [2, 2, 2, 2, 2] }
+        ];
+        const result = federatedAverage(models);
+        
+        assertEqual(result.weights.length, 5);
+        assertEqual(result.weights.join(','), '1,2,3,4,5');
+    },
+    
+    'federatedAverage: entry lengths are per key': () => {
+        const models = [
+            { 'short': [1], 'long': [1, 1, 1, 1] },
+            { 'short': [3], 'long': [3, 3, 3, 3] }
+        ];
+        const result = federatedAverage(models);
+        
+        assertEqual(result['short'].length, 1);
+        assertEqual(result['long'].length, 4);
+        assertEqual(result['long'][3], 2);
+    },
+    
     // ========== Weighted Federated Averaging ==========
     
     'federatedAverageWeighted: sample counts': () => {
@@ -85,6 +148,550 @@ const tests = {
         assertEqual(result['s0'][0], 2);
     },
     
+    // ========== Visit-Weighted Averaging ==========
+    
+    'federatedAverageByVisits: weights entries by update counts': () => {
+        const models = [{ s: [4, 1] }, { s: [1, 3] }];
+        const counts = [{ s: [3, 1] }, { s: [1, 1] }];
+        const result = federatedAverageByVisits(models, counts);
+        assertAlmostEqual(result.s[0], (3 * 4 + 1 * 1) / 4, 1e-12);
+        assertAlmostEqual(result.s[1], 2, 1e-12);
+    },
+    
+    'federatedAverageByVisits: ignores unvisited entries and falls back to the prior': () => {
+        const models = [{ s: [8, 0], t: [0, 0] }, { s: [0, 0] }];
+        const counts = [{ s: [2, 0] }, {}];
+        const result = federatedAverageByVisits(models, counts);
+        assertEqual(result.s[0], 8, 'A client that never visited s should not pull Q(s,0) to 0');
+        assertEqual(result.s[1], 0);
+        assertEqual(result.t.join(','), '0,0');
+        
+        const withPrior = federatedAverageByVisits(models, counts, { prior: (state, a) => (state === 't' ? a + 1 : -1) });
+        assertEqual(withPrior.s[1], -1);
+        assertEqual(withPrior.t.join(','), '1,2');
+        
+        // A pseudo-count shrinks rarely visited entries towards the prior
+        const shrunk = federatedAverageByVisits(models, counts, { prior: 0, priorWeight: 2 });
+        assertEqual(shrunk.s[0], 4);
+    },
+    
+    'federatedAverageByVisits: validates its inputs': () => {
+        assertThrows(() => federatedAverageByVisits([], []), Error);
+        assertThrows(() => federatedAverageByVisits([{ s: [1] }], []), Error);
+    },
+    
+    'createFederatedManager: visit-weighted aggregation keeps unvisited states from diluting Q': () => {
+        const makeClient = () => {
+            const agent = createTabularAgent({ numActions: 2, alpha: 1, gamma: 0 });
+            return { getAgent: () => agent, getMetrics: () => ({ episodeCount: 0 }) };
+        };
+        const clients = [makeClient(), makeClient()];
+        clients[0].getAgent().learn('s', 0, 6, 's');
+        clients[1].getAgent().chooseAction('s');  // Q(s,·) = 0 but never updated
+        assertEqual(federatedAverage(clients.map(c => c.getAgent().getModel())).s[0], 3, 'FedAvg halves Q(s,0)');
+        
+        const manager = createFederatedManager({ aggregator: 'visit-weighted', prior: 0 });
+        assertEqual(manager.federate(clients).s[0], 6);
+        
+        // Second round: only client 1 updates Q(s,0). Both clients carry the shared count
+        // from round 1, but client 0's stale copy of the global Q must not weigh in
+        clients[1].getAgent().learn('s', 0, 2, 's');
+        clients[1].getAgent().learn('s', 0, 2, 's');
+        assertEqual(manager.federate(clients).s[0], 2);
+    },
+    
+    'createFederatedManager: visit-weighted falls back to FedAvg without counts': () => {
+        const makeClient = () => {
+            const agent = createPolicyGradientAgent({ numActions: 2, alpha: 0.5 });
+            return { getAgent: () => agent, getMetrics: () => ({ episodeCount: 0 }) };
+        };
+        const clients = [makeClient(), makeClient()];
+        clients[0].getAgent().learn('s', 0, 1, 'end');
+        clients[0].getAgent().endEpisode();
+        const expected = federatedAverage(clients.map(c => c.getAgent().getModel()));
+        const globalModel = createFederatedManager({ aggregator: 'visit-weighted' }).federate(clients);
+        assertEqual(JSON.stringify(globalModel), JSON.stringify(expected));
+    },
+    
+    // ========== Robust Aggregation Tests ==========
+    
+    'coordinateMedian: per entry, missing entries count as 0': () => {
+        const odd = coordinateMedian([{ s: [1, 5] }, { s: [2, -100] }, { s: [1000, 6] }]);
+        assertEqual(odd.s.join(','), '2,5');
+        const even = coordinateMedian([{ s: [1] }, { s: [3] }, { s: [100] }, { s: [5] }]);
+        assertEqual(even.s[0], 4);
+        // A state only the outlier has stays at 0
+        assertEqual(coordinateMedian([{ s: [1] }, { s: [1] }, { s: [1], fake: [1e6] }]).fake[0], 0);
+    },
+    
+    'trimmedMean: drops the extremes at each end': () => {
+        const models = [{ s: [1] }, { s: [2] }, { s: [3] }, { s: [4] }, { s: [1e6] }];
+        assertEqual(trimmedMean(models, 0.2).s[0], 3);
+        assertEqual(trimmedMean(models, 0).s[0], federatedAverage(models).s[0]);
+        assertThrows(() => trimmedMean(models, 0.5), Error);
+    },
+    
+    'krum: selects from the honest cluster, Multi-Krum averages it': () => {
+        const models = [{ s: [1, 1] }, { s: [1.2, 1] }, { s: [0.8, 1] }, { s: [1, 1.1] }, { s: [50, -50] }];
+        const selected = krum(models, { f: 1 });
+        assert(models.slice(0, 4).some(m => m.s.join(',') === selected.s.join(',')), 'Krum should pick an honest model');
+        
+        const averaged = krum(models, { f: 1, m: 4 });
+        assertAlmostEqual(averaged.s[0], 1, 1e-12);
+        assertAlmostEqual(averaged.s[1], 1.025, 1e-12);
+        assertEqual(krum([{ s: [3] }]).s[0], 3);
+        assertThrows(() => krum(models, { f: -1 }), Error);
+    },
+    
+    'clipUpdates: bounds the update norm around the reference': () => {
+        const reference = { s: [1, 1], t: [0, 0] };
+        const [small, large] = clipUpdates([{ s: [2, 1], t: [0, 0] }, { s: [1, 1], t: [30, 40] }], reference, 5);
+        assertEqual(small.s.join(','), '2,1', 'Updates within the bound are kept');
+        assertEqual(large.s.join(','), '1,1');
+        assertAlmostEqual(large.t[0], 3, 1e-12);
+        assertAlmostEqual(large.t[1], 4, 1e-12);
+        assertThrows(() => clipUpdates([], reference, 0), Error);
+    },
+    
+    'clipUpdates: entries without a reference are clipped around 0': () => {
+        const [first] = clipUpdates([{ s: [30, 40] }], {}, 5);
+        assertEqual(first.s.join(','), '3,4', 'First round: updates measured from 0');
+        
+        // An injected entry counts towards the norm of the whole update
+        const [mixed] = clipUpdates([{ s: [1, 1], u: [100] }], { s: [1, 1] }, 5);
+        assertEqual(mixed.s.join(','), '1,1');
+        assertEqual(mixed.u[0], 5);
+        
+        // So does an entry whose length changed
+        const [resized] = clipUpdates([{ s: [0, 0, 50] }], { s: [1, 1] }, 5);
+        assertEqual(resized.s.join(','), '0,0,5');
+    },
+    
+    'createFederatedManager: robust aggregators and their options': () => {
+        const makeClient = (model) => {
+            const agent = { getModel: () => model, setModel: () => {} };
+            return { getAgent: () => agent, getMetrics: () => ({ episodeCount: 0 }) };
+        };
+        const clients = [[1], [2], [3], [4], [1000]].map(q => makeClient({ s: q }));
+        assertEqual(createFederatedManager({ aggregator: 'median' }).federate(clients).s[0], 3);
+        assertEqual(createFederatedManager({ aggregator: 'trimmed-mean', trimFraction: 0.2 }).federate(clients).s[0], 3);
+        assertEqual(createFederatedManager({ aggregator: 'multi-krum', byzantineClients: 1 }).federate(clients).s[0], 2.5);
+        
+        // Norm clipping: updates are measured from the previous global model
+        const manager = createFederatedManager({ aggregator: 'norm-clipping', clipNorm: 1 });
+        assertEqual(manager.federate(clients).s[0], 1, 'First round: every update clipped to norm 1 around 0');
+        assertAlmostEqual(manager.federate(clients).s[0], 1.8, 1e-12);
+        
+        assertThrows(() => createFederatedManager({ aggregator: 'trimmed-mean', trimFraction: 0.6 }), Error);
+        assertThrows(() => createFederatedManager({ aggregator: 'krum', byzantineClients: 1.5 }), Error);
+        assertThrows(() => createFederatedManager({ aggregator: 'norm-clipping', clipNorm: 0 }), Error);
+    },
+    
+    // ========== Server Optimizer Tests ==========
+    
+    'createServerOptimizer: none passes the aggregate through': () => {
+        const aggregate = { s: [1, 2] };
+        assertEqual(createServerOptimizer().step(aggregate), aggregate);
+        assertEqual(SERVER_OPTIMIZERS.join(','), 'none,fedavgm,fedadam,fedyogi');
+    },
+    
+    'createServerOptimizer: FedAvgM accumulates momentum': () => {
+        const optimizer = createServerOptimizer({ type: 'fedavgm', learningRate: 1, beta1: 0.5 });
+        assertEqual(optimizer.step({ s: [0] }).s[0], 0, 'First round adopts the aggregate');
+        assertEqual(optimizer.step({ s: [1] }).s[0], 1);
+        assertEqual(optimizer.step({ s: [1] }).s[0], 1.5, 'Momentum carries past the aggregate');
+    },
+    
+    'createServerOptimizer: FedAdam and FedYogi normalize the pseudo-gradient': () => {
+        const config = { learningRate: 0.1, beta1: 0.9, beta2: 0.99, tau: 1e-3 };
+        const adam = createServerOptimizer({ ...config, type: 'fedadam' });
+        const yogi = createServerOptimizer({ ...config, type: 'fedyogi' });
+        [adam, yogi].forEach(optimizer => optimizer.step({ s: [0] }));
+        
+        // m = 0.1, v = 0.01: θ = 0.1 · 0.1 / (0.1 + τ), whatever the scale of Δ
+        const expected = 0.1 * 0.1 / (0.1 + 1e-3);
+        assertAlmostEqual(adam.step({ s: [1] }).s[0], expected, 1e-12);
+        assertAlmostEqual(yogi.step({ s: [1] }).s[0], expected, 1e-12);
+        
+        // Yogi grows v additively while Δ² > v, so it takes the smaller second step
+        const adamNext = adam.step({ s: [1] }).s[0];
+        const yogiNext = yogi.step({ s: [1] }).s[0];
+        assert(yogiNext > expected && yogiNext < adamNext, 'Yogi should step more cautiously than Adam');
+    },
+    
+    'createServerOptimizer: new entries are adopted, missing entries kept': () => {
+        const optimizer = createServerOptimizer({ type: 'fedadam' });
+        optimizer.step({ a: [1, 1] });
+        const model = optimizer.step({ b: [5] });
+        assertEqual(model.a.join(','), '1,1');
+        assertEqual(model.b[0], 5);
+        
+        optimizer.setParams({ learningRate: 0.5 });
+        assertEqual(optimizer.getParams().learningRate, 0.5);
+        assertThrows(() => optimizer.setParams({ beta1: 1 }), Error);
+        assertThrows(() => createServerOptimizer({ type: 'sgd' }), Error);
+        assertThrows(() => createServerOptimizer({ type: 'fedadam', tau: 0 }), Error);
+    },
+    
+    'createServerOptimizer: adaptive optimizers default to a smaller learning rate': () => {
+        const optimizer = createServerOptimizer({ type: 'fedavgm' });
+        assertEqual(optimizer.getParams().learningRate, 1);
+        optimizer.setParams({ type: 'fedadam' });
+        assertEqual(optimizer.getParams().learningRate, 0.1);
+        
+        // One FedAdam step moves each entry by about η
+        optimizer.step({ a: [0] });
+        const model = optimizer.step({ a: [100] });
+        assertAlmostEqual(model.a[0], 0.1, 1e-3);
+        
+        // An explicit η survives switching type
+        optimizer.setParams({ type: 'fedyogi', learningRate: 0.02 });
+        optimizer.setParams({ type: 'fedavgm' });
+        assertEqual(optimizer.getParams().learningRate, 0.02);
+        optimizer.setParams({ learningRate: null });
+        assertEqual(optimizer.getParams().learningRate, 1);
+    },
+        
+    'createFederatedManager: server optimizer holds the global model across rounds': () => {
+        let value = 0;
+        const agent = { getModel: () => ({ s: [value] }), setModel: () => {} };
+        const clients = [{ getAgent: () => agent, getMetrics: () => ({ episodeCount: 0 }) }];
+        const manager = createFederatedManager({ serverOptimizer: 'fedavgm', serverBeta1: 0.5 });
+        
+        manager.federate(clients);
+        value = 1;
+        manager.federate(clients);
+        assertEqual(manager.federate(clients).s[0], 1.5);
+        
+        // Tuning keeps the held model; reset forgets it
+        manager.setServerOptimizer({ learningRate: 0.5 });
+        assertEqual(manager.getServerOptimizer().learningRate, 0.5);
+        assertEqual(manager.getServerOptimizer().type, 'fedavgm');
+        manager.reset();
+        value = 7;
+        assertEqual(manager.federate(clients).s[0], 7);
+        assertThrows(() => createFederatedManager({ serverOptimizer: 'adam' }), Error);
+    },
+    
+    // ========== Client Sampling Tests ==========
+    
+    'selectClients: all, uniform and round-robin': () => {
+        assertEqual(CLIENT_SAMPLERS.join(','), 'all,uniform,stratified,power-of-choice,round-robin');
+        assertEqual(selectClients(4).join(','), '0,1,2,3');
+        
+        const uniform = selectClients(10, { strategy: 'uniform', fraction: 0.3, random: createRandom(1) });
+        assertEqual(uniform.length, 3);
+        assertEqual(new Set(uniform).size, 3, 'Sampling is without replacement');
+        assertEqual(selectClients(10, { strategy: 'uniform', fraction: 0.01 }).length, 1, 'At least one client');
+        
+        const blocks = [0, 1, 2, 3].map(round => selectClients(10, { strategy: 'round-robin', fraction: 0.3, round }).join(','));
+        assertEqual(blocks.join(' | '), '0,1,2 | 3,4,5 | 6,7,8 | 0,1,9');
+        
+        assertThrows(() => selectClients(4, { strategy: 'random' }), Error);
+        assertThrows(() => selectClients(4, { strategy: 'uniform', fraction: 0 }), Error);
+    },
+    
+    'selectClients: stratified samples every stratum': () => {
+        const strata = ['a', 'a', 'a', 'a', 'b', 'b', 'c', 'c', 'c', 'c'];
+        const selected = selectClients(10, { strategy: 'stratified', fraction: 0.5, strata, random: createRandom(2) });
+        const perStratum = selected.reduce((acc, i) => ({ ...acc, [strata[i]]: (acc[strata[i]] || 0) + 1 }), {});
+        assertEqual(JSON.stringify(perStratum), '{"a":2,"b":1,"c":2}');
+    },
+    
+    'selectClients: power-of-choice prefers high-loss candidates': () => {
+        const losses = [5, 1, 9, 3, 7, 0];
+        // Every client is a candidate: the k highest losses win
+        assertEqual(selectClients(6, { strategy: 'power-of-choice', fraction: 0.5, losses, candidates: 6 }).join(','), '0,2,4');
+        
+        const selected = selectClients(6, { strategy: 'power-of-choice', fraction: 0.34, losses, random: createRandom(3) });
+        assertEqual(selected.length, 2);
+        assert(!selected.includes(5), 'The lowest-loss client loses to any other candidate');
+        assertThrows(() => selectClients(6, { strategy: 'power-of-choice' }), Error);
+    },
+    
+    'createFederatedManager: unselected clients keep their models': () => {
+        const makeClient = (id, value) => {
+            let model = { s: [value] };
+            const agent = { getModel: () => model, setModel: (m) => { model = m; } };
+            return { id, getAgent: () => agent, getMetrics: () => ({ episodeCount: 0, totalReward: 0 }) };
+        };
+        const clients = [0, 1, 2, 3].map(i => makeClient(i, i * 10));
+        const manager = createFederatedManager({ clientSampling: 'round-robin', participationFraction: 0.5 });
+        
+        assertEqual(manager.federate(clients).s[0], 5);
+        assertEqual(clients.map(c => c.getAgent().getModel().s[0]).join(','), '5,5,20,30');
+        manager.federate(clients);
+        assertEqual(clients.map(c => c.getAgent().getModel().s[0]).join(','), '5,5,25,25');
+        
+        const history = manager.getParticipationHistory();
+        assertEqual(JSON.stringify(history), '[{"round":1,"clients":[0,1]},{"round":2,"clients":[2,3]}]');
+        history[0].clients.push(9);
+        assertEqual(manager.getParticipationHistory()[0].clients.length, 2, 'History is returned as a copy');
+        manager.reset();
+        assertEqual(manager.getParticipationHistory().length, 0);
+        
+        assertThrows(() => createFederatedManager({ clientSampling: 'everyone' }), Error);
+        assertThrows(() => createFederatedManager({ participationFraction: 1.5 }), Error);
+    },
+    
+    'createFederatedManager: round-robin conserves visits and transitions across skipped rounds': () => {
+        const clients = [0, 1, 2, 3].map(id => {
+            const agent = createDynaAgent({ numActions: 2, planningSteps: 0 });
+            return { id, getAgent: () => agent, getMetrics: () => ({ episodeCount: 0, totalReward: 0 }) };
+        });
+        const manager = createFederatedManager({
+            clientSampling: 'round-robin', participationFraction: 0.5, shareWorldModels: true
+        });
+        
+        // Every client learns once per round; only half of them sync each round
+        const totals = [1, 2, 3, 4].map(() => {
+            clients.forEach(c => c.getAgent().learn('s', 0, 1, 's'));
+            manager.federate(clients);
+            return `${manager.getVisitCounts().s[0]}/${manager.getWorldModel().s[0].count}`;
+        });
+        // Round 3: clients 0 and 1 return with baselines from round 1, each bringing 2 new visits;
+        // the visits clients 0 and 1 made in round 4 are still unsynced
+        assertEqual(totals.join(','), '2/2,6/6,10/10,14/14');
+        
+        // Pure form: each client's visits count from its own baseline
+        const merged = aggregateVisitCounts([{ s: [4] }, { s: [8] }], { s: [6] }, [{ s: [2] }, { s: [6] }]);
+        assertEqual(merged.s[0], 10);
+    },
+    
+    'createFederatedManager: seeded sampling replays after reset': () => {
+        const agent = { getModel: () => ({ s: [0] }), setModel: () => {} };
+        const clients = Array.from({ length: 8 }, (_, id) => ({
+            id, getAgent: () => agent, getMetrics: () => ({ episodeCount: 1, totalReward: -id })
+        }));
+        const manager = createFederatedManager({ clientSampling: 'uniform', participationFraction: 0.25, seed: 7 });
+        const rounds = () => [0, 1, 2].map(() => {
+            manager.federate(clients);
+            return manager.getParticipationHistory().at(-1).clients.join(',');
+        }).join(' | ');
+        const first = rounds();
+        manager.reset();
+        assertEqual(rounds(), first);
+        
+        // Default loss is the negative reward per episode: client 7 struggles most
+        const powerOfChoice = createFederatedManager({
+            clientSampling: 'power-of-choice', participationFraction: 0.125, samplingCandidates: 8
+        });
+        powerOfChoice.federate(clients);
+        assertEqual(powerOfChoice.getParticipationHistory()[0].clients.join(','), '7');
+    },
+    
+    // ========== Visit Count Aggregation ==========
+    
+    'aggregateVisitCounts: sums client counts': () => {
+        const result = aggregateVisitCounts([
+            { 's0': [1, 2] },
+            { 's0': [3, 0], 's1': [1, 1] }
+        ]);
+        
+        assertEqual(result['s0'][0], 4);
+        assertEqual(result['s0'][1], 2);
+        assertEqual(result['s1'][1], 1);
+    },
+    
+    'aggregateVisitCounts: only adds visits since the baseline': () => {
+        const baseline = { 's0': [4, 2] };
+        const result = aggregateVisitCounts([
+            { 's0': [5, 2] },
+            { 's0': [4, 4] }
+        ], baseline);
+        
+        assertEqual(result['s0'][0], 5);
+        assertEqual(result['s0'][1], 4);
+    },
+    
+    'createFederatedManager: federates visit counts': () => {
+        const makeClient = () => {
+            const agent = createTabularAgent({ numActions: 2 });
+            return { getAgent: () => agent, getMetrics: () => ({ episodeCount: 0 }) };
+        };
+        const clients = [makeClient(), makeClient()];
+        clients[0].getAgent().learn('s0', 0, 1, 's1');
+        clients[1].getAgent().learn('s0', 0, 1, 's1');
+        
+        const manager = createFederatedManager();
+        manager.federate(clients);
+        assertEqual(clients[0].getAgent().getVisitCounts()['s0'][0], 2);
+        
+        // A second round only adds the new visit
+        clients[1].getAgent().learn('s0', 1, 0, 's1');
+        manager.federate(clients);
+        const visits = manager.getVisitCounts();
+        assertEqual(visits['s0'][0], 2);
+        assertEqual(visits['s0'][1], 1);
+    },
+    
+    // ========== World Model Aggregation ==========
+    
+    'aggregateWorldModels: pools client transitions': () => {
+        const result = aggregateWorldModels([
+            { 's0': { 0: { count: 2, rewardSum: 2, next: { 's1': 2 } } } },
+            { 's0': { 0: { count: 1, rewardSum: 4, next: { 's2': 1 } }, 1: { count: 1, rewardSum: 0, next: { 's0': 1 } } } }
+        ]);
+        
+        assertEqual(result['s0'][0].count, 3);
+        assertEqual(result['s0'][0].rewardSum, 6);
+        assertEqual(result['s0'][0].next['s1'], 2);
+        assertEqual(result['s0'][0].next['s2'], 1);
+        assertEqual(result['s0'][1].count, 1);
+    },
+    
+    'aggregateWorldModels: only adds transitions since the baseline': () => {
+        const baseline = { 's0': { 0: { count: 2, rewardSum: 2, next: { 's1': 2 } } } };
+        const result = aggregateWorldModels([
+            { 's0': { 0: { count: 3, rewardSum: 5, next: { 's1': 2, 's2': 1 } } } },
+            baseline
+        ], baseline);
+        
+        assertEqual(result['s0'][0].count, 3);
+        assertEqual(result['s0'][0].rewardSum, 5);
+        assertEqual(result['s0'][0].next['s1'], 2);
+        assertEqual(result['s0'][0].next['s2'], 1);
+    },
+    
+    'createFederatedManager: shares world models when enabled': () => {
+        const makeClient = () => {
+            const agent = createDynaAgent({ numActions: 2, planningSteps: 0 });
+            return { getAgent: () => agent, getMetrics: () => ({ episodeCount: 0 }) };
+        };
+        const clients = [makeClient(), makeClient()];
+        clients[0].getAgent().learn('s0', 0, 1, 's1');
+        clients[1].getAgent().learn('s1', 1, 0, 's0');
+        
+        createFederatedManager().federate(clients);
+        assertEqual(clients[0].getAgent().getWorldModelSize(), 1, 'World models stay local by default');
+        
+        const manager = createFederatedManager({ shareWorldModels: true });
+        manager.federate(clients);
+        assertEqual(clients[0].getAgent().getWorldModelSize(), 2);
+        assertEqual(clients[1].getAgent().getWorldModel()['s0'][0].count, 1);
+        
+        // A second round only adds the new transition
+        clients[0].getAgent().learn('s0', 0, 1, 's1');
+        manager.federate(clients);
+        assertEqual(manager.getWorldModel()['s0'][0].count, 2);
+    },
+    
+    // ========== Policy Federation ==========
+    
+    'createFederatedManager: averages policy preferences and critics': () => {
+        const makeClient = () => {
+            const agent = createPolicyGradientAgent({ numActions: 2, alpha: 0.5 });
+            return { getAgent: () => agent, getMetrics: () => ({ episodeCount: 0 }) };
+        };
+        const clients = [makeClient(), makeClient()];
+        clients[0].getAgent().learn('s', 0, 1, 'end');
+        clients[0].getAgent().endEpisode();
+        clients[1].getAgent().learn('s', 1, 1, 'end');
+        clients[1].getAgent().endEpisode();
+        
+        const globalModel = createFederatedManager().federate(clients);
+        
+        // Preferences [0.25, -0.25] and [-0.25, 0.25] average to zero
+        assertEqual(globalModel['s'].join(','), '0,0');
+        clients.forEach(c => {
+            assertEqual(c.getAgent().getPolicy('s').join(','), '0.5,0.5');
+            assertEqual(c.getAgent().getValue('s'), 0.5);
+        });
+    },
+    
+    'createFederatedManager: critics go through the robust aggregator': () => {
+        const makeClient = (v) => {
+            let critic = { s: [v] };
+            const agent = {
+                getModel: () => ({ s: [0] }), setModel: () => {},
+                getCritic: () => critic, setCritic: (c) => { critic = c; }
+            };
+            return { getAgent: () => agent, getMetrics: () => ({ episodeCount: 0 }) };
+        };
+        const values = [1, 2, 3, 4, 1000];
+        
+        const medianClients = values.map(makeClient);
+        createFederatedManager({ aggregator: 'median' }).federate(medianClients);
+        assertEqual(medianClients[0].getAgent().getCritic().s[0], 3, 'One Byzantine critic should not move the median');
+        
+        const clippedClients = values.map(makeClient);
+        createFederatedManager({ aggregator: 'norm-clipping', clipNorm: 1 }).federate(clippedClients);
+        assertEqual(clippedClients[0].getAgent().getCritic().s[0], 1, 'Critic updates should be clipped around 0');
+    },
+    
+    'federatedAverage: adaptive partitions average Q on the union of the trees': () => {
+        const make = () => createAdaptiveAgent({ numActions: 1, ranges: [[0, 1]], alpha: 0.5, gamma: 0, splitVisits: 2, splitVariance: null });
+        const coarse = make();
+        const fine = make();
+        coarse.learn([0.2], 0, 4, [0.2]);
+        for (let i = 0; i < 3; i++) fine.learn([0.2], 0, 4, [0.2]);
+        fine.learn([0.9], 0, -4, [0.9]);
+        assertEqual(coarse.getNumLeaves(), 1);
+        assertEqual(fine.getNumLeaves(), 2);
+        
+        const merged = make();
+        merged.setModel(federatedAverage([coarse.getModel(), fine.getModel()]));
+        assertEqual(merged.getNumLeaves(), 2);
+        [[0.2], [0.9]].forEach(state => {
+            const expected = (coarse.getQValues(state)[0] + fine.getQValues(state)[0]) / 2;
+            assertAlmostEqual(merged.getQValues(state)[0], expected, 1e-9);
+        });
+    },
+    
+    // ========== FedProx Tests ==========
+    
+    'createFederatedManager: validates aggregator and mu': () => {
+        assertThrows(() => createFederatedManager({ aggregator: 'fedsgd' }), Error);
+        assertThrows(() => createFederatedManager({ aggregator: 'fedprox', mu: -1 }), Error);
+        const { aggregator, mu } = createFederatedManager({ aggregator: 'fedprox', mu: 0.5 }).getAggregator();
+        assertEqual(aggregator, 'fedprox');
+        assertEqual(mu, 0.5);
+    },
+    
+    'createFederatedManager: fedprox anchors clients to the global model': () => {
+        const agents = [createTabularAgent({ numActions: 2, alpha: 0.5, gamma: 0 }), createTabularAgent({ numActions: 2, alpha: 0.5, gamma: 0 })];
+        const clients = agents.map(agent => ({ getAgent: () => agent, getMetrics: () => ({ episodeCount: 0 }) }));
+        agents[0].learn('s', 0, 2, 's');
+        createFederatedManager({ aggregator: 'fedprox', mu: 1 }).federate(clients);
+        
+        // Global Q(s,0) = 0.5: at the anchor the proximal step does nothing, the TD step gives 1.25
+        agents[1].learn('s', 0, 2, 's');
+        assertAlmostEqual(agents[1].getModel()['s'][0], 1.25, 1e-9);
+        // Next visit: pulled halfway back to 0.875 (α·μ = 0.5), then the TD step
+        agents[1].learn('s', 0, 2, 's');
+        assertAlmostEqual(agents[1].getModel()['s'][0], 0.875 + 0.5 * (2 - 0.875), 1e-9);
+    },
+    
+    'createFederatedManager: fedprox warns once for agents without a proximal term': () => {
+        const agent = { getModel: () => ({ w: [1] }), setModel: () => {} };
+        const clients = [{ getAgent: () => agent, getMetrics: () => ({ episodeCount: 0 }) }];
+        const manager = createFederatedManager({ aggregator: 'fedprox' });
+        const warnings = [];
+        const warn = console.warn;
+        console.warn = (message) => warnings.push(message);
+        try {
+            manager.federate(clients);
+            manager.federate(clients);
+        } finally {
+            console.warn = warn;
+        }
+        assertEqual(warnings.length, 1);
+        assert(warnings[0].includes('setProximalTerm'), 'Should name the missing method');
+    },
+    
+    'createFederatedManager: fedprox reduces client drift': () => {
+        const fedavgDrift = trainDisagreeingClients({ aggregator: 'fedavg' });
+        const fedproxDrift = trainDisagreeingClients({ aggregator: 'fedprox', mu: 1 });
+        const strongerDrift = trainDisagreeingClients({ aggregator: 'fedprox', mu: 2 });
+        // Under FedAvg each client ends a round at ±1 in both actions: √2 from the global 0
+        assert(fedavgDrift > 1.4, `Disagreeing clients should drift apart under FedAvg (${fedavgDrift})`);
+        // Fixed point with α = 0.5, μ = 1: q = (0.25·q_global + 0.5·r) / 0.75, i.e. 2/3 of the FedAvg drift
+        assertAlmostEqual(fedproxDrift / fedavgDrift, 2 / 3, 1e-3);
+        assert(strongerDrift < fedproxDrift, 'A larger μ should keep clients closer together');
+        // μ = 0 is plain FedAvg
+        assertAlmostEqual(trainDisagreeingClients({ aggregator: 'fedprox', mu: 0 }), fedavgDrift, 1e-12);
+    },
+    
     // ========== Model Delta Tests ==========
     
     'computeModelDelta: identical models': () => {
@@ -0,0 +1,209 @@
+/**
+ * Unit tests for headless-runner.js
+ * Tests: createTrainingContext, stepClient, createHeadlessRunner budgets, hooks and federation
+ */
+
+import {
+    createTrainingContext,
+    createTrainingClient,
+    stepClient,
+    createHeadlessRunner,
+    runHeadless
+} from '../../components/headless-runner.js';
+import { createRandomStreams } from '../../components/random-core.js';
+import { runTests, assertEqual, assert, assertThrows } from '../helpers/assert.js';
+
+// Corridor 0..4: start at 0, +1 for reaching 4, -0.1 per step, 20 steps max
+const createCorridor = () => ({
+    actions: ['LEFT', 'RIGHT'],
+    getState: (state) => String(state.x),
+    step: (state, action) => {
+        const x = Math.max(0, Math.min(4, state.x + (action === 1 ? 1 : -1)));
+        const steps = state.steps + 1;
+        return { state: { x, steps }, reward: x === 4 ? 1 : -0.1, done: x === 4 || steps >= 20 };
+    },
+    reset: () => ({ x: 0, steps: 0 })
+});
+
+const tests = {
+    // ========== Training Context Tests ==========
+
+    'createTrainingContext: validates the environment': () => {
+        assertThrows(() => createTrainingContext({}), Error);
+        assertThrows(() => createTrainingContext({ environment: { actions: ['A'] } }), Error);
+        assertThrows(() => createTrainingContext({
+            environment: { ...createCorridor(), stateSpace: { dimensions: [{ name: 'x', bins: 5, range: [0, 4] }] } }
+        }), Error);
+        assertThrows(() => createTrainingContext({ environment: createCorridor(), agentType: 'gaussian-actor-critic' }), Error);
+    },
+
+    'createTrainingContext: resolves spaces and agent options': () => {
+        const context = createTrainingContext({ environment: createCorridor(), alpha: 0.3 });
+        assertEqual(context.actionSpace.n, 2);
+        assertEqual(context.agentOptions.alpha, 0.3);
+        assertEqual(context.agentOptions.gamma, 0.95);
+        assertEqual(context.getState({ x: 3 }), '3');
+        assertEqual(context.createFrozenAgent({ epsilon: 0 }).getEpsilon(), 0);
+    },
+
+    'stepClient: learns, counts and resets on done': async () => {
+        const context = createTrainingContext({ environment: createCorridor(), epsilon: 0 });
+        const client = createTrainingClient(context, 0, createRandomStreams(1));
+        client.state = { x: 3, steps: 0 };
+        client.agent.setModel({ 3: [0, 1] });
+
+        const completed = await stepClient(client, context);
+        assert(completed !== null, 'Reaching the goal should complete the episode');
+        assertEqual(client.lastAction, 1);
+        assertEqual(client.metrics.episodeCount, 1);
+        assertEqual(client.metrics.stepCount, 1);
+        assertEqual(client.state.x, 0);
+    },
+
+    'stepClient: awaits async step functions': async () => {
+        const corridor = createCorridor();
+        const environment = { ...corridor, step: async (state, action) => corridor.step(state, action) };
+        const context = createTrainingContext({ environment });
+        const client = createTrainingClient(context, 0, createRandomStreams(1));
+        assertEqual(await stepClient(client, context), null);
+        assertEqual(client.state.steps, 1);
+    },
+
+    // ========== Headless Runner Tests ==========
+
+    'createHeadlessRunner: requires a finite budget': async () => {
+        const runner = createHeadlessRunner({ environment: createCorridor() });
+        let threw = false;
+        try {
+            await runner.run({});
+        } catch (error) {
+            threw = true;
+        }
+        assert(threw, 'A run without a budget should throw');
+    },
+
+    'createHeadlessRunner: step budget is per client': async () => {
+        const { metrics } = await runHeadless({ environment: createCorridor(), numClients: 3, seed: 1 }, { steps: 50 });
+        assertEqual(metrics.totalSteps, 150);
+        metrics.clients.forEach(c => assertEqual(c.stepCount, 50));
+    },
+
+    'createHeadlessRunner: episode budget and hooks': async () => {
+        let initialized = 0;
+        let episodeEnds = 0;
+        const runner = createHeadlessRunner({
+            environment: createCorridor(),
+            numClients: 4,
+            seed: 2,
+            onClientInit: () => { initialized++; },
+            onEpisodeEnd: (client, episode) => {
+                episodeEnds++;
+                assert(typeof episode.success === 'boolean', 'Episode summary should carry success');
+            }
+        });
+        const { metrics } = await runner.run({ episodes: 5 });
+
+        assertEqual(initialized, 4);
+        assertEqual(episodeEnds, 20);
+        assertEqual(metrics.totalEpisodes, 20);
+        assertEqual(metrics.episodes.length, 20);
+        metrics.clients.forEach(c => assertEqual(c.episodeCount, 5));
+        assertEqual(metrics.episodes.reduce((sum, e) => sum + e.steps, 0), metrics.totalSteps);
+    },
+
+    'createHeadlessRunner: auto-federation fires onFederation until the rounds budget': async () => {
+        const rounds = [];
+        const runner = createHeadlessRunner({
+            environment: createCorridor(),
+            numClients: 2,
+            seed: 3,
+            autoFederate: true,
+            federationInterval: 2,
+            onFederation: (globalModel, round, delta) => {
+                rounds.push(round);
+                assert(typeof delta.avgDelta === 'number', 'onFederation should receive the model delta');
+            }
+        });
+        const { metrics } = await runner.run({ rounds: 3 });
+
+        assertEqual(rounds.join(','), '1,2,3');
+        assertEqual(metrics.round, 3);
+    },
+
+    'createHeadlessRunner: final federation returns the shared global model': async () => {
+        const runner = createHeadlessRunner({ environment: createCorridor(), numClients: 3, seed: 4 });
+        const { globalModel, metrics } = await runner.run({ episodes: 3 });
+
+        assertEqual(metrics.round, 1);
+        runner.getClients().forEach(c => {
+            assertEqual(JSON.stringify(c.agent.getModel()), JSON.stringify(globalModel));
+        });
+    },
+
+    'createHeadlessRunner: same seed, same run': async () => {
+        const config = { environment: createCorridor(), numClients: 3, seed: 5, autoFederate: true, federationInterval: 5 };
+        const a = await runHeadless(config, { episodes: 20 });
+        const b = await runHeadless(config, { episodes: 20 });
+        assertEqual(JSON.stringify(a.globalModel), JSON.stringify(b.globalModel));
+        assertEqual(a.metrics.totalSteps, b.metrics.totalSteps);
+    },
+
+    'createHeadlessRunner: clients learn the corridor': async () => {
+        const runner = createHeadlessRunner({
+            environment: createCorridor(),
+            numClients: 4,
+            seed: 6,
+            alpha: 0.5,
+            gamma: 0.9,
+            autoFederate: true,
+            federationInterval: 10
+        });
+        const { globalModel } = await runner.run({ episodes: 60 });
+        [0, 1, 2, 3].forEach(x => {
+            const [left, right] = globalModel[x];
+            assert(right > left, `RIGHT should be preferred at ${x}`);
+        });
+    },
+
+    'createHeadlessRunner: passes federation settings to the manager': () => {
+        const runner = createHeadlessRunner({
+            environment: createCorridor(),
+            federationAggregator: 'trimmed-mean',
+            trimFraction: 0.25,
+            serverOptimizer: 'fedyogi',
+            serverLearningRate: 0.3
+        });
+        const fedManager = runner.getFedManager();
+        assertEqual(fedManager.getAggregator().aggregator, 'trimmed-mean');
+        assertEqual(fedManager.getAggregator().trimFraction, 0.25);
+        assertEqual(fedManager.getServerOptimizer().type, 'fedyogi');
+        assertEqual(fedManager.getServerOptimizer().learningRate, 0.3);
+    },
+
+    'createHeadlessRunner: partial participation federates the sampled clients only': async () => {
+        const runner = createHeadlessRunner({
+            environment: createCorridor(),
+            numClients: 4,
+            seed: 8,
+            clientSampling: 'round-robin',
+            participationFraction: 0.5
+        });
+        const { globalModel } = await runner.run({ episodes: 3 });
+        const models = runner.getClients().map(c => JSON.stringify(c.agent.getModel()));
+        assertEqual(models[0], JSON.stringify(globalModel));
+        assertEqual(models[1], JSON.stringify(globalModel));
+        assert(models[2] !== models[0] && models[3] !== models[0], 'Unselected clients keep their models');
+        assertEqual(JSON.stringify(runner.getFedManager().getParticipationHistory()), '[{"round":1,"clients":[0,1]}]');
+    },
+
+    'createHeadlessRunner: reset replays from the seed': async () => {
+        const runner = createHeadlessRunner({ environment: createCorridor(), numClients: 2, seed: 7 });
+        const first = await runner.run({ steps: 30 });
+        runner.reset();
+        assertEqual(runner.getFedManager().getRound(), 0);
+        const second = await runner.run({ steps: 30 });
+        assertEqual(JSON.stringify(first.globalModel), JSON.stringify(second.globalModel));
+    }
+};
+
+runTests('HEADLESS-RUNNER.JS', tests);
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for nn-core.js
+ * Tests: activations, Huber loss, MLP forward/backward, Adam
+ */
+
+import {
+    ACTIVATIONS,
+    huberLoss,
+    huberGradient,
+    createMLP,
+    createAdam
+} from '../../components/nn-core.js';
+import { createRandom } from '../../components/random-core.js';
+import { runTests, assert, assertAlmostEqual, assertEqual, assertThrows } from '../helpers/assert.js';
+
+const tests = {
+    // ========== Activations and Losses ==========
+    
+    'ACTIVATIONS: derivatives from outputs': () => {
+        assertEqual(ACTIVATIONS.relu.fn(-2), 0);
+        assertEqual(ACTIVATIONS.relu.derivative(3), 1);
+        assertEqual(ACTIVATIONS.relu.derivative(0), 0);
+        const y = ACTIVATIONS.tanh.fn(0.5);
+        assertAlmostEqual(ACTIVATIONS.tanh.derivative(y), 1 - Math.tanh(0.5) ** 2, 1e-12);
+    },
+    
+    'huberLoss: quadratic inside, linear outside': () => {
+        assertAlmostEqual(huberLoss(0.5), 0.125, 1e-12);
+        assertAlmostEqual(huberLoss(3), 2.5, 1e-12);
+        assertAlmostEqual(huberLoss(-3, 2), 4, 1e-12);
+    },
+    
+    'huberGradient: clipped error': () => {
+        assertEqual(huberGradient(0.3), 0.3);
+        assertEqual(huberGradient(5), 1);
+        assertEqual(huberGradient(-5, 2), -2);
+    },
+    
+    // ========== MLP ==========
+    
+    'createMLP: output size and named flat parameters': () => {
+        const net = createMLP({ layers: [3, 5, 2], random: createRandom(1) });
+        assertEqual(net.forward([0.1, 0.2, 0.3]).length, 2);
+        
+        const params = net.getParameters();
+        assertEqual(Object.keys(params).join(','), 'layer0.weights,layer0.bias,layer1.weights,layer1.bias');
+        assertEqual(params['layer0.weights'].length, 15);
+        assertEqual(params['layer1.bias'].length, 2);
+    },
+    
+    'createMLP: rejects bad layers and inputs': () => {
+        assertThrows(() => createMLP({ layers: [3] }), Error);
+        assertThrows(() => createMLP({ layers: [3, 2], activation: 'sigmoid-ish' }), Error);
+        const net = createMLP({ layers: [3, 2] });
+        assertThrows(() => net.forward([1, 2]), Error);
+    },
+    
+    'createMLP: backward matches numerical gradients': () => {
+        ['relu', 'tanh'].forEach(activation => {
+            const net = createMLP({ layers: [2, 4, 3], activation, random: createRandom(7) });
+            const input = [0.4, -0.7];
+            // Loss = Σ c_o · y_o, so dL/dy = c
+            const c = [0.5, -1, 2];
+            const loss = () => net.forward(input).reduce((sum, y, o) => sum + c[o] * y, 0);
+            
+            net.zeroGradients();
+            net.backward(input, c);
+            const grads = net.getGradients();
+            const params = net.getParameterRefs();
+            
+            ['layer0.weights', 'layer1.weights', 'layer0.bias'].forEach(name => {
+                [0, 3].forEach(i => {
+                    const original = params[name][i];
+                    params[name][i] = original + 1e-6;
+                    const up = loss();
+                    params[name][i] = original - 1e-6;
+                    const down = loss();
+                    params[name][i] = original;
+                    assertAlmostEqual(grads[name][i], (up - down) / 2e-6, 1e-5, `${activation} ${name}[${i}]`);
+                });
+            });
+        });
+    },
+    
+    'createMLP: parameters round-trip and validate shapes': () => {
+        const a = createMLP({ layers: [2, 3, 1], random: createRandom(1) });
+        const b = createMLP({ layers: [2, 3, 1], random: createRandom(2) });
+        b.setParameters(a.getParameters());
+        assertEqual(b.forward([1, 2])[0], a.forward([1, 2])[0]);
+        
+        assertThrows(() => b.setParameters({ 'layer0.weights': [1] }), Error);
+    },
+    
+    'createMLP: getParameters returns copies': () => {
+        const net = createMLP({ layers: [1, 1] });
+        const params = net.getParameters();
+        params['layer0.bias'][0] = 99;
+        assertEqual(net.getParameters()['layer0.bias'][0], 0);
+    },
+    
+    // ========== Adam ==========
+    
+    'createAdam: first step moves each parameter by the learning rate': () => {
+        const adam = createAdam({ learningRate: 0.1 });
+        const params = { w: [1, 1] };
+        adam.step(params, { w: [4, -0.5] });
+        assertAlmostEqual(params.w[0], 0.9, 1e-6);
+        assertAlmostEqual(params.w[1], 1.1, 1e-6);
+        assertEqual(adam.getStep(), 1);
+    },
+    
+    'createAdam: MLP fits XOR': () => {
+        const net = createMLP({ layers: [2, 8, 1], activation: 'tanh', random: createRandom(3) });
+        const adam = createAdam({ learningRate: 0.05 });
+        const data = [[[0, 0], 0], [[0, 1], 1], [[1, 0], 1], [[1, 1], 0]];
+        
+        for (let epoch = 0; epoch < 500; epoch++) {
+            net.zeroGradients();
+            data.forEach(([x, y]) => {
+                const error = net.forward(x)[0] - y;
+                net.backward(x, [error]);
+            });
+            adam.step(net.getParameterRefs(), net.getGradients(), data.length);
+        }
+        
+        data.forEach(([x, y]) => {
+            const prediction = net.forward(x)[0];
+            assert(Math.abs(prediction - y) < 0.1, `XOR(${x}) = ${prediction.toFixed(3)}, expected ${y}`);
+        });
+    }
+};
+
+runTests('NN-CORE.JS', tests);
@@ -0,0 +1,104 @@
+/**
+ * Unit tests for random-core.js
+ * Tests: hashSeed, mulberry32, createRandom, createRandomStreams, sampling helpers
+ */
+
+import {
+    hashSeed,
+    mulberry32,
+    createRandom,
+    createRandomStreams,
+    randomInt,
+    randomUniform
+} from '../../components/random-core.js';
+import { selectAction } from '../../components/rl-core.js';
+import { runTests, assert, assertEqual } from '../helpers/assert.js';
+
+const draw = (random, n) => Array.from({ length: n }, () => random());
+
+const tests = {
+    // ========== Generators ==========
+    
+    'hashSeed: deterministic 32-bit integers': () => {
+        const seed = hashSeed(42, 'agent', 3);
+        assertEqual(seed, hashSeed(42, 'agent', 3));
+        assert(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32, 'Should be uint32');
+        assert(seed !== hashSeed(42, 'agent', 4), 'Different parts should hash differently');
+    },
+    
+    'mulberry32: same seed, same sequence': () => {
+        assertEqual(draw(mulberry32(7), 20).join(','), draw(mulberry32(7), 20).join(','));
+    },
+    
+    'mulberry32: values in [0, 1) with sensible mean': () => {
+        const values = draw(mulberry32(123), 10000);
+        assert(values.every(v => v >= 0 && v < 1), 'Values should be in [0, 1)');
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        assert(Math.abs(mean - 0.5) < 0.02, `Mean ${mean} should be close to 0.5`);
+    },
+    
+    'createRandom: seeded is reproducible, unseeded is Math.random': () => {
+        assertEqual(draw(createRandom('run-1'), 5).join(','), draw(createRandom('run-1'), 5).join(','));
+        assertEqual(createRandom(), Math.random);
+        assertEqual(createRandom(null), Math.random);
+    },
+    
+    // ========== Streams ==========
+    
+    'createRandomStreams: same name and index share a stream': () => {
+        const streams = createRandomStreams(42);
+        assertEqual(streams.stream('agent', 1), streams.stream('agent', 1));
+        assert(streams.isSeeded(), 'Should report seeded');
+        assertEqual(streams.getSeed(), 42);
+    },
+    
+    'createRandomStreams: streams are independent': () => {
+        const streams = createRandomStreams(42);
+        const a = draw(streams.stream('agent', 0), 5).join(',');
+        const b = draw(streams.stream('agent', 1), 5).join(',');
+        const c = draw(streams.stream('environment', 0), 5).join(',');
+        assert(a !== b && a !== c && b !== c, 'Streams should differ');
+    },
+    
+    'createRandomStreams: a stream does not depend on other draws': () => {
+        const quiet = createRandomStreams(42);
+        const busy = createRandomStreams(42);
+        draw(busy.stream('agent', 0), 100);
+        
+        assertEqual(
+            draw(quiet.stream('environment', 3), 5).join(','),
+            draw(busy.stream('environment', 3), 5).join(',')
+        );
+    },
+    
+    'createRandomStreams: unseeded falls back to Math.random': () => {
+        const streams = createRandomStreams();
+        assertEqual(streams.stream('agent', 0), Math.random);
+        assertEqual(streams.isSeeded(), false);
+    },
+    
+    // ========== Sampling Helpers ==========
+    
+    'randomInt: integers in [0, n)': () => {
+        const random = mulberry32(1);
+        const values = Array.from({ length: 1000 }, () => randomInt(4, random));
+        assert(values.every(v => Number.isInteger(v) && v >= 0 && v < 4), 'Should be in [0, 4)');
+        assertEqual(new Set(values).size, 4, 'Should hit every value');
+    },
+    
+    'randomUniform: floats in [min, max)': () => {
+        const random = mulberry32(2);
+        const values = Array.from({ length: 1000 }, () => randomUniform(-2, 3, random));
+        assert(values.every(v => v >= -2 && v < 3), 'Should be in [-2, 3)');
+    },
+    
+    'streams plug into rl-core selectAction': () => {
+        const pick = (seed) => {
+            const random = createRandom(seed);
+            return Array.from({ length: 20 }, () => selectAction([0, 1, 0], 0.5, random)).join(',');
+        };
+        assertEqual(pick(99), pick(99));
+    }
+};
+
+runTests('RANDOM-CORE.JS', tests);
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for replay-core.js
+ * Tests: createSumTree, createReplayBuffer (uniform and prioritized)
+ */
+
+import { createSumTree, createReplayBuffer } from '../../components/replay-core.js';
+import { createRandom } from '../../components/random-core.js';
+import { runTests, assert, assertAlmostEqual, assertEqual, assertThrows } from '../helpers/assert.js';
+
+const tests = {
+    // ========== Sum Tree ==========
+    
+    'createSumTree: total tracks updates': () => {
+        const tree = createSumTree(5);
+        tree.update(0, 1);
+        tree.update(3, 2.5);
+        assertEqual(tree.total(), 3.5);
+        
+        tree.update(0, 0.5);
+        assertEqual(tree.total(), 3);
+        assertEqual(tree.get(3), 2.5);
+    },
+    
+    'createSumTree: find maps prefix sums to leaves': () => {
+        const tree = createSumTree(4);
+        [1, 2, 3, 4].forEach((p, i) => tree.update(i, p));
+        
+        assertEqual(tree.find(0), 0);
+        assertEqual(tree.find(0.99), 0);
+        assertEqual(tree.find(1), 1);
+        assertEqual(tree.find(2.99), 1);
+        assertEqual(tree.find(3), 2);
+        assertEqual(tree.find(9.99), 3);
+    },
+    
+    'createSumTree: skips empty leaves': () => {
+        const tree = createSumTree(3);
+        tree.update(1, 2);
+        assertEqual(tree.find(0), 1);
+        assertEqual(tree.find(1.999), 1);
+    },
+    
+    'createSumTree: rejects bad capacity': () => {
+        assertThrows(() => createSumTree(0), Error);
+    },
+    
+    // ========== Uniform Buffer ==========
+    
+    'createReplayBuffer: overwrites the oldest beyond capacity': () => {
+        const buffer = createReplayBuffer({ capacity: 3, random: createRandom(1) });
+        [1, 2, 3, 4].forEach(id => buffer.add({ id }));
+        assertEqual(buffer.size(), 3);
+        
+        const seen = new Set(buffer.sample(200).transitions.map(t => t.id));
+        assert(!seen.has(1), 'Oldest transition should be gone');
+        assertEqual([...seen].sort().join(','), '2,3,4');
+    },
+    
+    'createReplayBuffer: uniform samples have unit weights': () => {
+        const buffer = createReplayBuffer({ random: createRandom(2) });
+        buffer.add({ id: 0 });
+        buffer.add({ id: 1 });
+        const { transitions, indices, weights } = buffer.sample(8);
+        
+        assertEqual(transitions.length, 8);
+        assertEqual(indices.length, 8);
+        assert(weights.every(w => w === 1), 'Uniform weights should be 1');
+        assertEqual(buffer.isPrioritized(), false);
+    },
+    
+    'createReplayBuffer: empty buffer cannot be sampled': () => {
+        assertThrows(() => createReplayBuffer().sample(1), Error);
+    },
+    
+    'createReplayBuffer: clear empties the buffer': () => {
+        const buffer = createReplayBuffer({ prioritized: true });
+        buffer.add({ id: 0 });
+        buffer.clear();
+        assertEqual(buffer.size(), 0);
+    },
+    
+    // ========== Prioritized Buffer ==========
+    
+    'createReplayBuffer: prioritized sampling follows |δ|^α': () => {
+        const buffer = createReplayBuffer({ prioritized: true, alpha: 1, epsilon: 0, random: createRandom(3) });
+        const a = buffer.add({ id: 'a' });
+        const b = buffer.add({ id: 'b' });
+        buffer.updatePriorities([a, b], [1, -3]);
+        
+        const { transitions } = buffer.sample(4000);
+        const shareB = transitions.filter(t => t.id === 'b').length / transitions.length;
+        assertAlmostEqual(shareB, 0.75, 0.03);
+    },
+    
+    'createReplayBuffer: new transitions get the max priority': () => {
+        const buffer = createReplayBuffer({ prioritized: true, alpha: 1, epsilon: 0, random: createRandom(4) });
+        const a = buffer.add({ id: 'a' });
+        buffer.updatePriorities([a], [5]);
+        buffer.add({ id: 'b' });
+        
+        const { transitions } = buffer.sample(2000);
+        const shareB = transitions.filter(t => t.id === 'b').length / transitions.length;
+        assertAlmostEqual(shareB, 0.5, 0.05);
+    },
+    
+    'createReplayBuffer: importance weights correct for priority': () => {
+        const buffer = createReplayBuffer({ prioritized: true, alpha: 1, beta: 1, epsilon: 0, random: createRandom(5) });
+        const a = buffer.add({ id: 'a' });
+        const b = buffer.add({ id: 'b' });
+        buffer.updatePriorities([a, b], [1, 3]);
+        
+        const { transitions, weights } = buffer.sample(50);
+        transitions.forEach((t, i) => {
+            // w ∝ 1 / P(i): rare 'a' gets full weight, frequent 'b' one third
+            assertAlmostEqual(weights[i], t.id === 'a' ? 1 : 1 / 3, 1e-9);
+        });
+    },
+    
+    'createReplayBuffer: beta can follow a schedule': () => {
+        const buffer = createReplayBuffer({
+            prioritized: true, alpha: 1, epsilon: 0, random: createRandom(6),
+            beta: { type: 'linear', start: 0, end: 1, duration: 1, unit: 'step' }
+        });
+        const a = buffer.add({ id: 'a' });
+        const b = buffer.add({ id: 'b' });
+        buffer.updatePriorities([a, b], [1, 3]);
+        
+        assert(buffer.sample(20).weights.every(w => w === 1), 'β = 0 means no correction');
+        assert(buffer.sample(20).weights.some(w => w < 1), 'β = 1 corrects fully');
+    }
+};
+
+runTests('REPLAY-CORE.JS', tests);
@@ -1,6 +1,7 @@
 /**
  * Unit tests for rl-core.js
  * Tests pure functions: updateQValue, selectAction, discretize, tdError, softmaxSelect
+ * and the tabular, linear and DQN agent families
  */
 
 import { 
@@ -9,10 +10,32 @@ import {
     discretize, 
     tdError,
     softmaxSelect,
+    softmaxProbabilities,
+    ucbSelect,
+    countBonus,
     discretizeState,
-    createTabularAgent
+    quantileEdges,
+    createStateSpace,
+    expectedQValue,
+    createTabularAgent,
+    createSarsaAgent,
+    createExpectedSarsaAgent,
+    createDoubleQAgent,
+    createLambdaAgent,
+    createMonteCarloAgent,
+    createDynaAgent,
+    createFactoredAgent,
+    createAdaptiveAgent,
+    createTileCoder,
+    createLinearAgent,
+    createDQNAgent,
+    createPolicyGradientAgent,
+    createLinearPolicyGradientAgent,
+    createGaussianActorCriticAgent,
+    createAgent
 } from '../../components/rl-core.js';
-import { runTests, assertAlmostEqual, assertEqual, assert } from '../helpers/assert.js';
+import { createRandom } from '../../components/random-core.js';
+import { runTests, assertAlmostEqual, assertEqual, assert, assertThrows } from '../helpers/assert.js';
 
 const tests = {
     // ========== Q-value Update Tests ==========
@@ -139,6 +162,32 @@ const tests = {
         assert(action >= 0 && action < 3, 'Should select valid action');
     },
     
+    'softmaxProbabilities: sums to one and is stable for large Q': () => {
+        const probs = softmaxProbabilities([1000, 1001, 999], 1);
+        assertAlmostEqual(probs.reduce((a, b) => a + b, 0), 1, 1e-9);
+        assert(probs[1] > probs[0] && probs[0] > probs[2], 'Should preserve ordering');
+    },
+    
+    // ========== UCB / Count Bonus Tests ==========
+    
+    'ucbSelect: tries untried actions first': () => {
+        assertEqual(ucbSelect([5, 0, 0], [3, 0, 1]), 1);
+    },
+    
+    'ucbSelect: favours rarely tried actions': () => {
+        // Equal Q, action 2 tried far less often
+        assertEqual(ucbSelect([1, 1, 1], [50, 50, 2]), 2);
+    },
+    
+    'ucbSelect: c = 0 is greedy': () => {
+        assertEqual(ucbSelect([1, 3, 2], [1, 100, 1], 0), 1);
+    },
+    
+    'countBonus: decays with visit count': () => {
+        assertAlmostEqual(countBonus(1, 0.5), 0.5, 1e-9);
+        assertAlmostEqual(countBonus(4, 0.5), 0.25, 1e-9);
+    },
+    
     // ========== Discretize State Tests ==========
     
     'discretizeState: multi-dimensional': () => {
@@ -151,6 +200,98 @@ const tests = {
         assertEqual(state, '2');
     },
     
+    // ========== State Space Tests ==========
+    
+    'createStateSpace: uniform bins match discretizeState': () => {
+        const space = createStateSpace({ dimensions: [
+            { name: 'x', bins: 10, range: [0, 100] },
+            { name: 'y', bins: 10, range: [0, 100] }
+        ] });
+        assertEqual(space.encode({ x: 50, y: 75 }), discretizeState([50, 75], [10, 10], [0, 0], [100, 100]));
+        assertEqual(space.encode([50, 75]), '5,7', 'Array states read by position');
+        assertEqual(space.size(), 100);
+    },
+    
+    'createStateSpace: decode returns bin centers and categories': () => {
+        const space = createStateSpace([
+            { name: 'x', bins: 4, range: [0, 8] },
+            { name: 'rate', type: 'log', bins: 2, range: [1, 100] },
+            { name: 'task', values: ['circle', 'slalom'] }
+        ]);
+        const key = space.encode({ x: 5, rate: 20, task: 'slalom' });
+        assertEqual(key, '2,1,1');
+        const [x, rate, task] = space.decode(key);
+        assertEqual(x, 5);
+        assertAlmostEqual(rate, Math.sqrt(10 * 100), 1e-9, 'Log bins decode to the geometric center');
+        assertEqual(task, 'slalom');
+        assertThrows(() => space.decode('2,1'), Error);
+        assertThrows(() => space.decode('4,1,1'), Error);
+    },
+    
+    'createStateSpace: log bins are equal-width in log space': () => {
+        const space = createStateSpace([{ name: 'v', type: 'log', bins: 3, range: [1, 1000] }]);
+        assertEqual(space.encode({ v: 9 }), '0');
+        assertEqual(space.encode({ v: 11 }), '1');
+        assertEqual(space.encode({ v: 500 }), '2');
+    },
+    
+    'createStateSpace: quantile bins from samples hold equal shares': () => {
+        const samples = Array.from({ length: 100 }, (_, i) => i * i);
+        const edges = quantileEdges(samples, 4);
+        assertEqual(edges.length, 5);
+        assertEqual(edges[0], 0);
+        assertEqual(edges[4], 99 * 99);
+        
+        const space = createStateSpace([{ name: 'v', type: 'quantile', bins: 4, samples }]);
+        const counts = [0, 0, 0, 0];
+        samples.forEach(v => { counts[Number(space.encode({ v }))]++; });
+        assert(counts.every(c => c >= 24 && c <= 26), `Roughly equal bins, got ${counts}`);
+        
+        const explicit = createStateSpace([{ name: 'v', type: 'quantile', edges: [0, 1, 10, 100] }]);
+        assertEqual(explicit.encode({ v: 5 }), '1');
+        assertEqual(explicit.decode('2')[0], 55);
+        assertThrows(() => quantileEdges([1, 1, 1, 2], 4), Error);
+    },
+    
+    'createStateSpace: reports out-of-range rates instead of clamping silently': () => {
+        const space = createStateSpace([
+            { name: 'x', bins: 5, range: [0, 1] },
+            { name: 'task', values: ['a', 'b'] }
+        ]);
+        assertEqual(space.encode({ x: 2, task: 'a' }), '4,0', 'Numeric overflow uses the edge bin');
+        assertEqual(space.encode({ x: -1, task: 'c' }), '0,?', 'Unknown categories encode as ?');
+        space.encode({ x: 0.5, task: 'b' });
+        space.encode({ x: 0.5, task: 'b' });
+        
+        const rates = space.getOutOfRangeRates();
+        assertEqual(rates.x, 0.5);
+        assertEqual(rates.task, 0.25);
+        const stats = space.getStats();
+        assertEqual(stats.x.above, 1);
+        assertEqual(stats.x.below, 1);
+        assertEqual(space.decode('0,?')[1], null);
+        
+        space.resetStats();
+        assertEqual(space.getOutOfRangeRates().x, 0);
+        
+        const strict = createStateSpace({ dimensions: [{ name: 'x', bins: 5, range: [0, 1] }], onOutOfRange: 'throw' });
+        assertThrows(() => strict.encode({ x: 1.5 }), Error);
+        assertThrows(() => strict.encode({ x: NaN }), Error);
+    },
+    
+    'createStateSpace: custom value readers and validation': () => {
+        const space = createStateSpace([{ name: 'speed', bins: 3, range: [0, 15], value: (s) => Math.hypot(s.vx, s.vy) }]);
+        assertEqual(space.encode({ vx: 3, vy: 4 }), '1');
+        assertEqual(space.getDimensions()[0].edges.join(','), '0,5,10,15');
+        
+        assertThrows(() => createStateSpace([]), Error);
+        assertThrows(() => createStateSpace([{ name: 'x', bins: 0, range: [0, 1] }]), Error);
+        assertThrows(() => createStateSpace([{ name: 'x', bins: 2, range: [1, 1] }]), Error);
+        assertThrows(() => createStateSpace([{ name: 'x', type: 'log', bins: 2, range: [0, 1] }]), Error);
+        assertThrows(() => createStateSpace([{ name: 'x', type: 'spline', bins: 2, range: [0, 1] }]), Error);
+        assertThrows(() => createStateSpace([{ name: 'x', bins: 2, range: [0, 1] }, { name: 'x', values: [1] }]), Error);
+    },
+    
     // ========== Tabular Agent Tests ==========
     
     'createTabularAgent: initialization': () => {
@@ -229,6 +370,1176 @@ const tests = {
         
         assertEqual(retrieved['s0'][0], 1);
         assertEqual(retrieved['s1'][1], 4);
+    },
+    
+    // ========== SARSA / Expected SARSA Tests ==========
+    
+    'expectedQValue: greedy policy equals max': () => {
+        assertEqual(expectedQValue([1, 4, 2], 0), 4);
+    },
+    
+    'expectedQValue: mixes max and mean': () => {
+        // (1-0.5)·4 + 0.5·(7/3) = 3.1667
+        assertAlmostEqual(expectedQValue([1, 4, 2], 0.5), 3.1667, 0.001);
+    },
+    
+    'createSarsaAgent: bootstraps from given next action': () => {
+        const agent = createSarsaAgent({ alpha: 0.5, gamma: 1, numActions: 2 });
+        agent.setModel({ 's0': [0, 0], 's1': [10, 2] });
+        
+        // Q(s0,0) = 0 + 0.5 * (0 + 1·Q(s1,1) - 0) = 1
+        agent.learn('s0', 0, 0, 's1', 1);
+        assertEqual(agent.getQValues('s0')[0], 1);
+    },
+    
+    'createSarsaAgent: chooseAction returns the action learn committed to': () => {
+        const agent = createSarsaAgent({ epsilon: 0, numActions: 3 });
+        agent.setModel({ 's0': [0, 0, 0], 's1': [0, 5, 0] });
+        
+        agent.learn('s0', 0, 0, 's1', 2);
+        assertEqual(agent.chooseAction('s1'), 2, 'Should follow the committed next action');
+        assertEqual(agent.chooseAction('s1'), 1, 'Commitment is consumed after one use');
+    },
+    
+    'createSarsaAgent: endEpisode drops committed action': () => {
+        const agent = createSarsaAgent({ epsilon: 0, numActions: 2 });
+        agent.setModel({ 's0': [0, 0], 's1': [3, 0] });
+        
+        agent.learn('s0', 0, 0, 's1', 1);
+        agent.endEpisode();
+        assertEqual(agent.chooseAction('s1'), 0, 'Should act greedily after episode end');
+    },
+    
+    'createSarsaAgent: inference mode disables learning': () => {
+        const agent = createSarsaAgent({ alpha: 0.5, numActions: 2 });
+        agent.setInferenceMode(true);
+        agent.learn('s0', 0, 10, 's1', 0);
+        assertEqual(agent.getQValues('s0')[0], 0);
+    },
+    
+    'createExpectedSarsaAgent: bootstraps from policy expectation': () => {
+        const agent = createExpectedSarsaAgent({ alpha: 1, gamma: 1, epsilon: 0.5, numActions: 2 });
+        agent.setModel({ 's0': [0, 0], 's1': [4, 0] });
+        
+        // E[Q(s1,·)] = 0.5·4 + 0.5·2 = 3
+        agent.learn('s0', 1, 0, 's1');
+        assertEqual(agent.getQValues('s0')[1], 3);
+    },
+    
+    'createExpectedSarsaAgent: greedy policy matches Q-learning': () => {
+        const expected = createExpectedSarsaAgent({ alpha: 0.1, gamma: 0.9, epsilon: 0, numActions: 2 });
+        const qLearning = createTabularAgent({ alpha: 0.1, gamma: 0.9, epsilon: 0, numActions: 2 });
+        const model = { 's0': [1, 2], 's1': [3, 5] };
+        expected.setModel(model);
+        qLearning.setModel(model);
+        
+        expected.learn('s0', 0, 1, 's1');
+        qLearning.learn('s0', 0, 1, 's1');
+        assertAlmostEqual(expected.getQValues('s0')[0], qLearning.getQValues('s0')[0], 1e-9);
+    },
+    
+    // ========== Double Q-learning Tests ==========
+    
+    'createDoubleQAgent: updates selected table with the other as evaluator': () => {
+        // random() < 0.5 → update Q_A using Q_B
+        const agent = createDoubleQAgent({ alpha: 1, gamma: 1, numActions: 2, random: () => 0.1 });
+        agent.setTables({
+            a: { 's0': [0, 0], 's1': [5, 1] },
+            b: { 's0': [0, 0], 's1': [2, 9] }
+        });
+        
+        // argmax Q_A(s1) = 0 → target = 0 + Q_B(s1, 0) = 2
+        agent.learn('s0', 0, 0, 's1');
+        const { a, b } = agent.getTables();
+        assertEqual(a['s0'][0], 2);
+        assertEqual(b['s0'][0], 0, 'Q_B should be untouched');
+    },
+    
+    'createDoubleQAgent: getModel averages the two tables': () => {
+        const agent = createDoubleQAgent({ numActions: 2 });
+        agent.setTables({ a: { 's0': [2, 4] }, b: { 's0': [0, 2] } });
+        
+        const model = agent.getModel();
+        assertEqual(model['s0'][0], 1);
+        assertEqual(model['s0'][1], 3);
+    },
+    
+    'createDoubleQAgent: setModel loads both tables': () => {
+        const agent = createDoubleQAgent({ numActions: 2 });
+        agent.setModel({ 's0': [1, 2] });
+        
+        const { a, b } = agent.getTables();
+        assertEqual(a['s0'][1], 2);
+        assertEqual(b['s0'][1], 2);
+        assertEqual(agent.getQValues('s0')[1], 2);
+    },
+    
+    'createDoubleQAgent: proximal term anchors both tables': () => {
+        // random 0.1 updates Q_A, 0.9 updates Q_B: the other table is only pulled
+        [0.1, 0.9].forEach(coin => {
+            const agent = createDoubleQAgent({ alpha: 0.5, gamma: 0, numActions: 2, random: () => coin });
+            agent.setModel({ 's0': [4, 4] });
+            agent.setProximalTerm({ 's0': [0, 0] }, 1);
+            
+            // Proximal step (α·μ = 0.5) on both: 4 → 2; TD step on the selected table: 2 → 1
+            agent.learn('s0', 0, 0, 's0');
+            const { a, b } = agent.getTables();
+            assertEqual([a['s0'][0], b['s0'][0]].sort().join(','), '1,2');
+        });
+    },
+    
+    'createDoubleQAgent: chooses actions on the table sum': () => {
+        const agent = createDoubleQAgent({ epsilon: 0, numActions: 2 });
+        agent.setTables({ a: { 's0': [3, 0] }, b: { 's0': [-4, 0] } });
+        assertEqual(agent.chooseAction('s0'), 1);
+    },
+    
+    'createDoubleQAgent: less overestimation than Q-learning on noisy rewards': () => {
+        const config = { alpha: 0.1, gamma: 1, epsilon: 0, numActions: 10 };
+        const qLearning = createTabularAgent(config);
+        const doubleQ = createDoubleQAgent(config);
+        
+        // s0 → s1 (reward 0); every action in s1 pays zero-mean noise, so the true Q(s0,0) is 0
+        // Average the estimate over the tail of training to smooth out noise
+        const [biasQ, biasDouble] = [qLearning, doubleQ].map(agent => {
+            let tailSum = 0;
+            for (let i = 0; i < 5000; i++) {
+                const action = Math.floor(Math.random() * 10);
+                agent.learn('s1', action, Math.random() * 2 - 1, 'end');
+                agent.learn('s0', 0, 0, 's1');
+                if (i >= 3000) tailSum += agent.getQValues('s0')[0];
+            }
+            return tailSum / 2000;
+        });
+        
+        assert(biasQ > biasDouble, `Double Q (${biasDouble.toFixed(3)}) should be below Q-learning (${biasQ.toFixed(3)})`);
+    },
+    
+    // ========== Eligibility Trace Tests ==========
+    
+    'createLambdaAgent: reward propagates back along the trace': () => {
+        const agent = createLambdaAgent({ alpha: 0.5, gamma: 1, lambda: 1, epsilon: 0, numActions: 2 });
+        
+        agent.learn('s0', 0, 0, 's1', 0);
+        agent.learn('s1', 0, 10, 's2', 0);
+        
+        // δ = 10 at the second step, applied to both traced pairs
+        assertEqual(agent.getQValues('s1')[0], 5);
+        assertEqual(agent.getQValues('s0')[0], 5);
+    },
+    
+    'createLambdaAgent: lambda 0 matches one-step SARSA': () => {
+        const lambdaAgent = createLambdaAgent({ alpha: 0.5, gamma: 0.9, lambda: 0, method: 'sarsa', numActions: 2 });
+        const sarsa = createSarsaAgent({ alpha: 0.5, gamma: 0.9, numActions: 2 });
+        
+        [lambdaAgent, sarsa].forEach(agent => {
+            agent.learn('s0', 0, 0, 's1', 1);
+            agent.learn('s1', 1, 10, 's2', 0);
+        });
+        
+        assertEqual(lambdaAgent.getQValues('s0')[0], sarsa.getQValues('s0')[0]);
+        assertEqual(lambdaAgent.getQValues('s1')[1], sarsa.getQValues('s1')[1]);
+    },
+    
+    'createLambdaAgent: accumulating traces add up on revisits': () => {
+        const accumulating = createLambdaAgent({ gamma: 1, lambda: 1, traceType: 'accumulating', method: 'sarsa', numActions: 2 });
+        const replacing = createLambdaAgent({ gamma: 1, lambda: 1, traceType: 'replacing', method: 'sarsa', numActions: 2 });
+        
+        [accumulating, replacing].forEach(agent => {
+            agent.learn('s0', 0, 0, 's0', 0);
+            agent.learn('s0', 0, 0, 's1', 0);
+        });
+        
+        assertEqual(accumulating.getTraces()['s0'][0], 2);
+        assertEqual(replacing.getTraces()['s0'][0], 1);
+    },
+    
+    'createLambdaAgent: Watkins cuts traces on exploratory actions': () => {
+        const agent = createLambdaAgent({ gamma: 1, lambda: 1, method: 'watkins', numActions: 2 });
+        agent.setModel({ 's0': [0, 0], 's1': [5, 0] });
+        
+        agent.learn('s0', 0, 0, 's1', 0);
+        assert(agent.getTraces()['s0'] !== undefined, 'Greedy next action keeps traces');
+        
+        agent.learn('s0', 0, 0, 's1', 1);
+        assertEqual(Object.keys(agent.getTraces()).length, 0, 'Non-greedy next action cuts traces');
+    },
+    
+    'createLambdaAgent: SARSA(λ) keeps traces on exploratory actions': () => {
+        const agent = createLambdaAgent({ gamma: 1, lambda: 1, method: 'sarsa', numActions: 2 });
+        agent.setModel({ 's0': [0, 0], 's1': [5, 0] });
+        
+        agent.learn('s0', 0, 0, 's1', 1);
+        assert(agent.getTraces()['s0'] !== undefined);
+    },
+    
+    'createLambdaAgent: endEpisode clears traces': () => {
+        const agent = createLambdaAgent({ numActions: 2 });
+        agent.learn('s0', 0, 0, 's1', 0);
+        agent.endEpisode();
+        assertEqual(Object.keys(agent.getTraces()).length, 0);
+    },
+    
+    'createLambdaAgent: rejects unknown trace type': () => {
+        assertThrows(() => createLambdaAgent({ traceType: 'dutch' }), Error);
+    },
+    
+    // ========== n-step Return Tests ==========
+    
+    'nStep: bootstraps from the n-th state': () => {
+        const agent = createTabularAgent({ alpha: 1, gamma: 0.5, nStep: 2, numActions: 2 });
+        agent.setModel({ 's2': [8, 0] });
+        
+        agent.learn('s0', 0, 1, 's1');
+        assertEqual(agent.getQValues('s0')[0], 0, 'No update until n transitions are buffered');
+        
+        // G = 1 + 0.5·2 + 0.25·max Q(s2) = 4
+        agent.learn('s1', 1, 2, 's2');
+        assertEqual(agent.getQValues('s0')[0], 4);
+    },
+    
+    'nStep: endEpisode flushes truncated returns': () => {
+        const agent = createTabularAgent({ alpha: 1, gamma: 0.5, nStep: 3, numActions: 2 });
+        agent.setModel({ 's2': [8, 0] });
+        
+        agent.learn('s0', 0, 1, 's1');
+        agent.learn('s1', 0, 2, 's2');
+        agent.endEpisode();
+        
+        // No bootstrap past the terminal step
+        assertEqual(agent.getQValues('s0')[0], 2);
+        assertEqual(agent.getQValues('s1')[0], 2);
+    },
+    
+    'nStep: flushes when a new trajectory starts': () => {
+        const agent = createTabularAgent({ alpha: 1, gamma: 1, nStep: 3, numActions: 2 });
+        
+        agent.learn('s0', 0, 5, 's1');
+        agent.learn('start', 0, 0, 's0');
+        assertEqual(agent.getQValues('s0')[0], 5, 'Discontinuity should flush the previous episode');
+    },
+    
+    'nStep: SARSA bootstraps from the committed action': () => {
+        const agent = createSarsaAgent({ alpha: 1, gamma: 1, nStep: 2, numActions: 2 });
+        agent.setModel({ 's2': [0, 3] });
+        
+        agent.learn('s0', 0, 1, 's1', 0);
+        agent.learn('s1', 0, 1, 's2', 1);
+        assertEqual(agent.getQValues('s0')[0], 5);
+    },
+    
+    'nStep: rejects invalid values and unsupported agents': () => {
+        assertThrows(() => createTabularAgent({ nStep: 0 }), Error);
+        assertThrows(() => createDoubleQAgent({ nStep: 3 }), Error);
+        assertThrows(() => createLambdaAgent({ nStep: 3 }), Error);
+    },
+    
+    // ========== Exploration Strategy Tests ==========
+    
+    'exploration: agents track visit counts': () => {
+        const agent = createTabularAgent({ numActions: 2 });
+        agent.learn('s0', 1, 0, 's1');
+        agent.learn('s0', 1, 0, 's1');
+        agent.learn('s0', 0, 0, 's1');
+        
+        const visits = agent.getVisitCounts();
+        assertEqual(visits['s0'][0], 1);
+        assertEqual(visits['s0'][1], 2);
+    },
+    
+    'exploration: UCB agent cycles through untried actions': () => {
+        const agent = createTabularAgent({ exploration: 'ucb', numActions: 3 });
+        const actions = [];
+        for (let i = 0; i < 3; i++) {
+            const action = agent.chooseAction('s0');
+            actions.push(action);
+            agent.learn('s0', action, 0, 's1');
+        }
+        assertEqual(actions.join(','), '0,1,2');
+    },
+    
+    'exploration: count bonus is added to the reward': () => {
+        const plain = createTabularAgent({ alpha: 1, gamma: 0, numActions: 2 });
+        const bonus = createTabularAgent({ alpha: 1, gamma: 0, exploration: 'count-bonus', bonusBeta: 0.5, numActions: 2 });
+        
+        plain.learn('s0', 0, 1, 's1');
+        bonus.learn('s0', 0, 1, 's1');
+        assertEqual(plain.getQValues('s0')[0], 1);
+        assertAlmostEqual(bonus.getQValues('s0')[0], 1.5, 1e-9);
+    },
+    
+    'exploration: softmax temperature follows its schedule': () => {
+        const agent = createTabularAgent({ exploration: 'softmax', temperature: 2, temperatureDecay: 0.5, minTemperature: 0.6 });
+        agent.decayEpsilon();
+        assertEqual(agent.getTemperature(), 1);
+        agent.decayEpsilon();
+        assertEqual(agent.getTemperature(), 0.6, 'Should clamp at minTemperature');
+    },
+    
+    'exploration: setExploration swaps strategy live': () => {
+        const agent = createTabularAgent({ epsilon: 1, numActions: 3, random: () => 0.99 });
+        agent.setModel({ 's0': [0, 5, 0] });
+        assertEqual(agent.chooseAction('s0'), 2, 'ε-greedy with ε=1 explores');
+        
+        agent.setExploration('softmax', { temperature: 0.01 });
+        assertEqual(agent.getExploration().name, 'softmax');
+        assertEqual(agent.chooseAction('s0'), 1, 'Cold softmax is greedy');
+    },
+    
+    'exploration: inference mode is greedy for every strategy': () => {
+        ['softmax', 'ucb', 'count-bonus'].forEach(exploration => {
+            const agent = createTabularAgent({ exploration, temperature: 100, numActions: 3 });
+            agent.setModel({ 's0': [0, 0, 7] });
+            agent.setInferenceMode(true);
+            assertEqual(agent.chooseAction('s0'), 2, `${exploration} should exploit in inference mode`);
+        });
+    },
+    
+    'exploration: Expected SARSA uses the active policy': () => {
+        const agent = createExpectedSarsaAgent({ alpha: 1, gamma: 1, exploration: 'softmax', temperature: 1, numActions: 2 });
+        agent.setModel({ 's0': [0, 0], 's1': [0, 0] });
+        
+        // Uniform softmax over equal Q-values → E[Q] = 0
+        agent.learn('s0', 0, 1, 's1');
+        assertAlmostEqual(agent.getQValues('s0')[0], 1, 1e-9);
+    },
+    
+    'exploration: unknown strategy throws': () => {
+        assertThrows(() => createTabularAgent({ exploration: 'thompson' }), Error);
+    },
+    
+    // ========== Schedule Tests ==========
+    
+    'schedules: visit-based alpha gives the sample average': () => {
+        const agent = createTabularAgent({ alpha: { type: 'visit' }, gamma: 0, numActions: 2 });
+        [2, 4, 9].forEach(reward => agent.learn('s0', 0, reward, 'end'));
+        
+        assertAlmostEqual(agent.getQValues('s0')[0], 5, 1e-9);
+        assertAlmostEqual(agent.getAlpha('s0', 0), 1 / 3, 1e-9);
+    },
+    
+    'schedules: step-driven epsilon anneals with learn calls': () => {
+        const agent = createTabularAgent({
+            epsilon: { type: 'linear', start: 1, end: 0, duration: 4, unit: 'step' },
+            numActions: 2
+        });
+        assertEqual(agent.getEpsilon(), 1);
+        agent.learn('s0', 0, 0, 's1');
+        agent.learn('s0', 0, 0, 's1');
+        assertAlmostEqual(agent.getEpsilon(), 0.5, 1e-9);
+        
+        agent.decayEpsilon();
+        assertAlmostEqual(agent.getEpsilon(), 0.5, 1e-9, 'Episode ends should not move a step schedule');
+    },
+    
+    'schedules: episode-driven epsilon is identical across clients': () => {
+        const spec = { type: 'cosine', start: 0.5, end: 0.01, duration: 20 };
+        const a = createTabularAgent({ epsilon: spec });
+        const b = createSarsaAgent({ epsilon: spec });
+        for (let ep = 0; ep < 10; ep++) {
+            a.decayEpsilon();
+            b.decayEpsilon();
+        }
+        assertEqual(a.getEpsilon(), b.getEpsilon());
+        assertAlmostEqual(a.getEpsilon(), 0.255, 1e-9);
+    },
+    
+    'schedules: numeric epsilon keeps legacy decay': () => {
+        const agent = createTabularAgent({ epsilon: 0.01, epsilonDecay: 0.5, minEpsilon: 0.02 });
+        assertEqual(agent.getEpsilon(), 0.01, 'Starts at the given epsilon');
+        agent.decayEpsilon();
+        assertEqual(agent.getEpsilon(), 0.02);
+    },
+    
+    'schedules: visit-based epsilon is rejected': () => {
+        assertThrows(() => createTabularAgent({ epsilon: { type: 'visit' } }), Error);
+    },
+    
+    // ========== Monte Carlo Agent Tests ==========
+    
+    'createMonteCarloAgent: learns only at the end of the episode': () => {
+        const agent = createMonteCarloAgent({ numActions: 2, gamma: 1 });
+        agent.learn('s', 0, 1, 't');
+        agent.learn('t', 1, 2, 'end');
+        assertEqual(agent.getEpisodeLength(), 2);
+        assertEqual(agent.getQValues('s')[0], 0);
+        
+        agent.endEpisode();
+        assertEqual(agent.getEpisodeLength(), 0);
+        assertEqual(agent.getQValues('s')[0], 3);
+        assertEqual(agent.getQValues('t')[1], 2);
+    },
+    
+    'createMonteCarloAgent: first-visit vs every-visit returns': () => {
+        const run = (firstVisit) => {
+            const agent = createMonteCarloAgent({ numActions: 1, gamma: 1, firstVisit });
+            agent.learn('s', 0, 1, 's');
+            agent.learn('s', 0, 1, 'end');
+            agent.endEpisode();
+            return agent.getQValues('s')[0];
+        };
+        assertEqual(run(true), 2, 'First visit sees the full return');
+        assertEqual(run(false), 1.5, 'Every visit averages returns 2 and 1');
+    },
+    
+    'createMonteCarloAgent: averages returns incrementally across episodes': () => {
+        const agent = createMonteCarloAgent({ numActions: 1 });
+        [1, 3, 5].forEach(reward => {
+            agent.learn('s', 0, reward, 'end');
+            agent.endEpisode();
+        });
+        assertAlmostEqual(agent.getQValues('s')[0], 3, 1e-12);
+        assertEqual(agent.getReturnWeights()['s'][0], 3);
+        
+        const constant = createMonteCarloAgent({ numActions: 1, alpha: 0.5, sampleAverage: false });
+        constant.learn('s', 0, 4, 'end');
+        constant.endEpisode();
+        assertEqual(constant.getQValues('s')[0], 2, 'Constant-α MC moves halfway');
+    },
+    
+    'createMonteCarloAgent: off-policy weights returns by 1/b(a|s)': () => {
+        const agent = createMonteCarloAgent({ numActions: 2, gamma: 1, epsilon: 0.5, offPolicy: true });
+        agent.learn('s0', 1, 0, 's1');
+        agent.learn('s1', 0, 1, 'end');
+        agent.endEpisode();
+        
+        // b(0|s1) = 0.5 + 0.25: greedy under ε = 0.5 with two actions
+        assertEqual(agent.getQValues('s1')[0], 1);
+        assertAlmostEqual(agent.getReturnWeights()['s0'][1], 1 / 0.75, 1e-12);
+        assertEqual(agent.getQValues('s0')[1], 1);
+    },
+    
+    'createMonteCarloAgent: off-policy constant-α steps keep the importance weight': () => {
+        const run = (alpha) => {
+            const agent = createMonteCarloAgent({ numActions: 2, gamma: 1, epsilon: 0.5, alpha, offPolicy: true, sampleAverage: false });
+            agent.learn('s0', 1, 0, 's1');
+            agent.learn('s1', 0, 1, 'end');
+            agent.endEpisode();
+            return agent;
+        };
+        
+        // W = 1 at the last step, then 1 / b(0|s1) = 4/3
+        const agent = run(0.3);
+        assertAlmostEqual(agent.getQValues('s1')[0], 0.3, 1e-12);
+        assertAlmostEqual(agent.getQValues('s0')[1], 0.3 * 4 / 3, 1e-12);
+        
+        // α·W > 1 is capped: Q moves onto the return, not past it
+        assertEqual(run(0.9).getQValues('s0')[1], 1);
+    },
+    
+    'createMonteCarloAgent: off-policy stops at non-greedy actions': () => {
+        const agent = createMonteCarloAgent({ numActions: 2, gamma: 1, epsilon: 0.5, offPolicy: true });
+        agent.setModel({ 's1': [5, 0] });
+        agent.learn('s0', 0, 0, 's1');
+        agent.learn('s1', 1, 1, 'end');
+        agent.endEpisode();
+        
+        assertEqual(agent.getQValues('s1')[1], 1);
+        assertEqual(agent.getQValues('s0')[0], 0, 'Earlier steps do not follow the greedy policy');
+    },
+    
+    'createMonteCarloAgent: inference mode records nothing': () => {
+        const agent = createMonteCarloAgent({ numActions: 2 });
+        agent.setInferenceMode(true);
+        agent.learn('s', 0, 1, 'end');
+        agent.endEpisode();
+        assertEqual(agent.getEpisodeLength(), 0);
+        assertEqual(agent.getQValues('s')[0], 0);
+    },
+    
+    'createMonteCarloAgent: rejects nStep and replay': () => {
+        assertThrows(() => createMonteCarloAgent({ numActions: 2, nStep: 2 }), Error);
+        assertThrows(() => createMonteCarloAgent({ numActions: 2, replay: true }), Error);
+    },
+    
+    // ========== Dyna Agent Tests ==========
+    
+    'createDynaAgent: world model records counts, rewards and next states': () => {
+        const agent = createDynaAgent({ numActions: 2, planningSteps: 0 });
+        agent.learn('s', 1, 2, 'a');
+        agent.learn('s', 1, 4, 'b');
+        agent.learn('s', 1, 0, 'a');
+        
+        const entry = agent.getWorldModel().s[1];
+        assertEqual(entry.count, 3);
+        assertEqual(entry.rewardSum, 6);
+        assertEqual(entry.next.a, 2);
+        assertEqual(entry.next.b, 1);
+        assertEqual(agent.getWorldModelSize(), 1);
+    },
+    
+    'createDynaAgent: planning propagates value without new real steps': () => {
+        const run = (planningSteps) => {
+            const agent = createDynaAgent({ numActions: 1, alpha: 0.5, gamma: 0.9, planningSteps, random: createRandom(1) });
+            agent.learn('a', 0, 0, 'b');
+            agent.learn('b', 0, 0, 'c');
+            agent.learn('c', 0, 1, 'end');
+            return agent.getQValues('a')[0];
+        };
+        assertEqual(run(0), 0, 'Plain Q-learning has not reached a yet');
+        assert(run(50) > 0.5, 'Planning should push the reward back to a');
+    },
+    
+    'createDynaAgent: Dyna-Q+ rewards stale transitions': () => {
+        const staleValue = (kappa) => {
+            const agent = createDynaAgent({ numActions: 2, alpha: 0.5, gamma: 0, planningSteps: 5, kappa, random: createRandom(2) });
+            agent.learn('s', 0, 0, 't');
+            for (let i = 0; i < 100; i++) {
+                agent.learn('u', 0, 0, 'u');
+            }
+            return agent.getQValues('s')[0];
+        };
+        assertEqual(staleValue(0), 0, 'Plain Dyna-Q adds no bonus');
+        assert(staleValue(1) > 5, 'Bonus κ√τ should grow with time since (s,a) was tried');
+    },
+    
+    'createDynaAgent: setWorldModel loads a shared model for planning': () => {
+        const source = createDynaAgent({ numActions: 1, planningSteps: 0 });
+        source.learn('a', 0, 1, 'end');
+        
+        const agent = createDynaAgent({ numActions: 1, alpha: 0.5, planningSteps: 10, random: createRandom(3) });
+        agent.setWorldModel(source.getWorldModel());
+        assertEqual(agent.getWorldModelSize(), 1);
+        
+        agent.learn('b', 0, 0, 'b');
+        assert(agent.getQValues('a')[0] > 0, 'Planning should use transitions from the loaded model');
+    },
+    
+    'createDynaAgent: inference mode neither learns nor plans': () => {
+        const agent = createDynaAgent({ numActions: 2 });
+        agent.setInferenceMode(true);
+        agent.learn('s', 0, 1, 'goal');
+        assertEqual(agent.getWorldModelSize(), 0);
+        assertEqual(agent.getQValues('s')[0], 0);
+    },
+    
+    'createDynaAgent: reset clears the world model': () => {
+        const agent = createDynaAgent({ numActions: 2 });
+        agent.learn('s', 0, 1, 'goal');
+        agent.reset();
+        assertEqual(agent.getWorldModelSize(), 0);
+        assertEqual(Object.keys(agent.getWorldModel()).length, 0);
+    },
+    
+    'createDynaAgent: rejects invalid options': () => {
+        assertThrows(() => createDynaAgent({ numActions: 2, planningSteps: -1 }), Error);
+        assertThrows(() => createDynaAgent({ numActions: 2, nStep: 3 }), Error);
+        assertThrows(() => createDynaAgent({ numActions: 2, replay: true }), Error);
+    },
+    
+    // ========== Factored Agent Tests ==========
+    
+    'createFactoredAgent: one head per factor, concatenated per state': () => {
+        const agent = createFactoredAgent({ actionSpace: { type: 'multi-discrete', nvec: [3, 2] }, random: createRandom(1) });
+        const action = agent.chooseAction('s');
+        assertEqual(action.length, 2);
+        assert(action[0] < 3 && action[1] < 2, 'Sub-actions within nvec');
+        assertEqual(agent.getModel()['s'].length, 5, 'Σ nvec entries, not Π nvec');
+        assertEqual(agent.getQValues('s').length, 6, 'Joint values cover the product');
+        assertEqual(agent.getFactorSizes().join(','), '3,2');
+    },
+    
+    'createFactoredAgent: shared TD error is split across factors': () => {
+        const agent = createFactoredAgent({ actionSpace: { type: 'multi-discrete', nvec: [3, 2] }, alpha: 0.5, gamma: 0 });
+        agent.learn('s', [2, 1], 4, 'end');
+        const [head0, head1] = agent.getFactorQValues('s');
+        assertEqual(head0.join(','), '0,0,1');
+        assertEqual(head1.join(','), '0,1');
+        // Q(s,(2,1)) = 1 + 1 moved halfway to 4
+        assertEqual(agent.getQValues('s')[5], 2);
+        
+        agent.learn('s', 1, 4, 'end'); // flat index 1 = (0, 1)
+        assertEqual(agent.getFactorQValues('s')[0][0], 0.75);
+        assertEqual(agent.getVisitCounts()['s'].join(','), '1,0,1,0,2');
+    },
+    
+    'createFactoredAgent: learns the best sub-action of each factor': () => {
+        const agent = createFactoredAgent({
+            actionSpace: { type: 'multi-discrete', nvec: [4, 3] },
+            alpha: 0.1, gamma: 0, epsilon: 0.3, random: createRandom(2)
+        });
+        // Additive payoff: best tuple is (2, 0)
+        const payoff = [[0, 1, 3, 0], [2, 0, -1]];
+        for (let i = 0; i < 2000; i++) {
+            const [a, b] = agent.chooseAction('s');
+            agent.learn('s', [a, b], payoff[0][a] + payoff[1][b], 'end');
+        }
+        agent.setInferenceMode(true);
+        assertEqual(agent.chooseAction('s').join(','), '2,0');
+    },
+    
+    'createFactoredAgent: requires a discrete action space without nStep or replay': () => {
+        assertThrows(() => createFactoredAgent({}), Error);
+        assertThrows(() => createFactoredAgent({ actionSpace: { type: 'box', low: [0], high: [1] } }), Error);
+        assertThrows(() => createFactoredAgent({ actionSpace: { type: 'multi-discrete', nvec: [2, 2] }, nStep: 3 }), Error);
+        assertThrows(() => createFactoredAgent({ actionSpace: { type: 'multi-discrete', nvec: [2, 2] }, replay: true }), Error);
+        assertEqual(createFactoredAgent({ actionSpace: ['A', 'B'] }).chooseAction('s').length, 1);
+    },
+    
+    // ========== Adaptive Discretization Tests ==========
+    
+    'createAdaptiveAgent: starts as one cell and splits on visits': () => {
+        const agent = createAdaptiveAgent({ numActions: 2, ranges: [[0, 1], [0, 1]], splitVisits: 3, splitVariance: null });
+        assertEqual(agent.getNumLeaves(), 1);
+        assertEqual(agent.getLeaf([0.9, 0.1]), 'r');
+        for (let i = 0; i < 3; i++) agent.learn([0.9, 0.1], 0, 0, [0.9, 0.1]);
+        
+        // Depth 0 splits dimension 0 at its midpoint
+        assertEqual(agent.getNumLeaves(), 2);
+        assertEqual(agent.getLeaf([0.9, 0.1]), 'r1');
+        assertEqual(agent.getLeaf([0.2, 0.9]), 'r0');
+        assertEqual(JSON.stringify(agent.getLeaves()[1].bounds), '[[0.5,1],[0,1]]');
+        
+        // Depth 1 splits dimension 1
+        for (let i = 0; i < 3; i++) agent.learn([0.9, 0.1], 0, 0, [0.9, 0.1]);
+        assertEqual(agent.getLeaf([0.9, 0.1]), 'r10');
+        assertEqual(agent.getLeaves().map(l => l.depth).join(','), '1,2,2');
+    },
+    
+    'createAdaptiveAgent: splits on TD-error variance': () => {
+        const agent = createAdaptiveAgent({
+            numActions: 1, ranges: [[0, 1]], alpha: 0.1, gamma: 0,
+            splitVariance: 1, splitVisits: null, minSplitVisits: 10
+        });
+        // Rewards differ between the halves: the shared cell's errors disagree
+        for (let i = 0; i < 9; i++) agent.learn([i % 2 ? 0.9 : 0.1], 0, i % 2 ? 4 : -4, [0.5]);
+        assertEqual(agent.getNumLeaves(), 1);
+        assert(agent.getLeaves()[0].tdVariance > 1, 'Variance should be high');
+        agent.learn([0.1], 0, -4, [0.5]);
+        assertEqual(agent.getNumLeaves(), 2);
+    },
+    
+    'createAdaptiveAgent: children inherit Q-values and learn offsets': () => {
+        const agent = createAdaptiveAgent({ numActions: 2, ranges: [[0, 1]], alpha: 0.5, gamma: 0, splitVisits: 2, splitVariance: null });
+        agent.learn([0.2], 1, 4, [0.2]);
+        agent.learn([0.2], 1, 4, [0.2]);
+        
+        // Q(r,1) = 2 + 0.5·(4 - 2) = 3, then the root split
+        assertEqual(agent.getNumLeaves(), 2);
+        assertAlmostEqual(agent.getQValues([0.2])[1], 3, 1e-9);
+        assertAlmostEqual(agent.getQValues([0.8])[1], 3, 1e-9);
+        
+        agent.learn([0.8], 1, 0, [0.8]);
+        assertAlmostEqual(agent.getQValues([0.8])[1], 1.5, 1e-9);
+        assertAlmostEqual(agent.getQValues([0.2])[1], 3, 1e-9);
+        assertAlmostEqual(agent.getModel()['r1'][1], -1.5, 1e-9);
+    },
+    
+    'createAdaptiveAgent: model round-trips with its partition': () => {
+        const agent = createAdaptiveAgent({ numActions: 2, ranges: [[0, 1], [0, 1]], splitVisits: 2, splitVariance: null, random: createRandom(3) });
+        const random = createRandom(4);
+        for (let i = 0; i < 40; i++) {
+            agent.learn([random(), random()], i % 2, random(), [random(), random()]);
+        }
+        
+        const copy = createAdaptiveAgent({ numActions: 2, ranges: [[0, 1], [0, 1]] });
+        copy.setModel(agent.getModel());
+        assertEqual(copy.getNumLeaves(), agent.getNumLeaves());
+        [[0.1, 0.1], [0.7, 0.3], [0.9, 0.95]].forEach(state => {
+            assertEqual(copy.getLeaf(state), agent.getLeaf(state));
+            assertEqual(copy.getQValues(state).join(','), agent.getQValues(state).join(','));
+        });
+    },
+    
+    'createAdaptiveAgent: validates its configuration': () => {
+        assertThrows(() => createAdaptiveAgent({ numActions: 2 }), Error);
+        assertThrows(() => createAdaptiveAgent({ numActions: 2, ranges: [[1, 0]] }), Error);
+        assertThrows(() => createAdaptiveAgent({ numActions: 2, ranges: [[0, 1]], nStep: 3 }), Error);
+        assertThrows(() => createAdaptiveAgent({ numActions: 2, ranges: [[0, 1]], replay: true }), Error);
+        assertThrows(() => createAdaptiveAgent({ numActions: 2, ranges: [[0, 1]] }).setModel({ x: [0, 0] }), Error);
+    },
+    
+    'createAdaptiveAgent: maxDepth bounds the tree': () => {
+        const agent = createAdaptiveAgent({ numActions: 1, ranges: [[0, 1]], splitVisits: 1, splitVariance: null, maxDepth: 3 });
+        for (let i = 0; i < 20; i++) agent.learn([0.1], 0, 0, [0.1]);
+        assertEqual(agent.getLeaf([0.1]), 'r000');
+        assertEqual(agent.getNumLeaves(), 4);
+    },
+    
+    // ========== Tile Coding Tests ==========
+    
+    'createTileCoder: one active tile per tiling': () => {
+        const coder = createTileCoder({ ranges: [[0, 1], [0, 1]], tilesPerDim: 4, numTilings: 3 });
+        const active = coder.activeFeatures([0.3, 0.7]);
+        
+        assertEqual(coder.numFeatures, 3 * 5 * 5);
+        assertEqual(active.length, 3);
+        active.forEach((index, tiling) => {
+            assert(index >= tiling * 25 && index < (tiling + 1) * 25, `Tile ${index} should belong to tiling ${tiling}`);
+        });
+    },
+    
+    'createTileCoder: nearby states share tiles, distant ones do not': () => {
+        const coder = createTileCoder({ ranges: [[0, 1]], tilesPerDim: 4, numTilings: 4 });
+        const shared = (a, b) => coder.activeFeatures([a]).filter(i => coder.activeFeatures([b]).includes(i)).length;
+        
+        assertEqual(shared(0.5, 0.5), 4);
+        assert(shared(0.5, 0.55) > 0, 'Nearby states should share tiles');
+        assertEqual(shared(0.1, 0.9), 0);
+    },
+    
+    'createTileCoder: clamps out-of-range values': () => {
+        const coder = createTileCoder({ ranges: [[0, 1]], tilesPerDim: 4, numTilings: 2 });
+        assertEqual(coder.activeFeatures([5]).join(','), coder.activeFeatures([1]).join(','));
+        assertEqual(coder.activeFeatures([-5]).join(','), coder.activeFeatures([0]).join(','));
+    },
+    
+    'createTileCoder: rejects missing ranges and wrong dimensions': () => {
+        assertThrows(() => createTileCoder({}), Error);
+        const coder = createTileCoder({ ranges: [[0, 1], [0, 1]] });
+        assertThrows(() => coder.activeFeatures([0.5]), Error);
+    },
+    
+    // ========== Linear Agent Tests ==========
+    
+    'createLinearAgent: requires ranges or a feature encoder': () => {
+        assertThrows(() => createLinearAgent({ numActions: 2 }), Error);
+    },
+    
+    'createLinearAgent: terminal update moves Q towards the reward': () => {
+        const agent = createLinearAgent({ alpha: 0.5, gamma: 0.9, numActions: 2, ranges: [[0, 1]], numTilings: 4 });
+        agent.learn([0.5], 1, 10, [0.9]);
+        assertEqual(agent.getQValues([0.5])[1], 0, 'Update waits for the next transition');
+        
+        agent.endEpisode();
+        assertAlmostEqual(agent.getQValues([0.5])[1], 5, 1e-9, 'α = 0.5 split across active tiles');
+        assertEqual(agent.getQValues([0.5])[0], 0, 'Other actions untouched');
+    },
+    
+    'createLinearAgent: generalizes to nearby states': () => {
+        const agent = createLinearAgent({ alpha: 0.5, numActions: 2, ranges: [[0, 1]], tilesPerDim: 4, numTilings: 4 });
+        agent.learn([0.5], 0, 10, [0.9]);
+        agent.endEpisode();
+        
+        assert(agent.getQValues([0.52])[0] > 0, 'Nearby state should share value');
+        assertEqual(agent.getQValues([0.05])[0], 0);
+    },
+    
+    'createLinearAgent: accepts comma-separated state strings': () => {
+        const agent = createLinearAgent({ numActions: 2, ranges: [[0, 1], [0, 1]] });
+        agent.learn('0.2,0.4', 0, 1, '0.3,0.4');
+        agent.endEpisode();
+        assertEqual(agent.getQValues('0.2,0.4').join(','), agent.getQValues([0.2, 0.4]).join(','));
+    },
+    
+    'createLinearAgent: bootstraps non-terminal transitions': () => {
+        const agent = createLinearAgent({ alpha: 1, gamma: 0.5, numActions: 1, ranges: [[0, 1]], tilesPerDim: 2, numTilings: 1 });
+        // Teach V(0.9) = 4, then a non-terminal step from 0.1 to 0.9
+        agent.learn([0.9], 0, 4, [0.9]);
+        agent.endEpisode();
+        agent.learn([0.1], 0, 0, [0.9]);
+        agent.learn([0.9], 0, 0, [0.9]);
+        
+        assertAlmostEqual(agent.getQValues([0.1])[0], 2, 1e-9);
+    },
+    
+    'createLinearAgent: weight-vector model round-trips': () => {
+        const config = { numActions: 3, ranges: [[0, 1]], tilesPerDim: 4, numTilings: 2 };
+        const a = createLinearAgent(config);
+        a.learn([0.3], 2, 5, [0.4]);
+        a.endEpisode();
+        
+        const model = a.getModel();
+        assertEqual(model.weights.length, 3 * a.getNumFeatures());
+        
+        const b = createLinearAgent(config);
+        b.setModel(model);
+        assertEqual(b.getQValues([0.3]).join(','), a.getQValues([0.3]).join(','));
+        assertThrows(() => b.setModel({ weights: [1, 2] }), Error);
+    },
+    
+    'createLinearAgent: SARSA commits its next action': () => {
+        const agent = createLinearAgent({ method: 'sarsa', epsilon: 1, numActions: 4, ranges: [[0, 1]] });
+        agent.learn([0.1], 0, 0, [0.2]);
+        const committed = agent.chooseAction([0.2]);
+        agent.learn([0.2], committed, 0, [0.3], 3);
+        assertEqual(agent.chooseAction([0.3]), 3);
+    },
+    
+    'createLinearAgent: count-based exploration is rejected': () => {
+        assertThrows(() => createLinearAgent({ ranges: [[0, 1]], exploration: 'ucb' }), Error);
+        const agent = createLinearAgent({ ranges: [[0, 1]] });
+        assertThrows(() => agent.setExploration('count-bonus'), Error);
+        agent.setExploration('softmax', { temperature: 0.5 });
+        assertEqual(agent.getExploration().name, 'softmax');
+    },
+    
+    'createLinearAgent: inference mode is greedy and frozen': () => {
+        const agent = createLinearAgent({ alpha: 0.5, epsilon: 1, numActions: 2, ranges: [[0, 1]] });
+        agent.learn([0.5], 1, 10, [0.9]);
+        agent.endEpisode();
+        agent.setInferenceMode(true);
+        
+        for (let i = 0; i < 10; i++) {
+            assertEqual(agent.chooseAction([0.5]), 1);
+        }
+        const before = agent.getQValues([0.5]).join(',');
+        agent.learn([0.5], 1, -100, [0.9]);
+        agent.endEpisode();
+        assertEqual(agent.getQValues([0.5]).join(','), before);
+    },
+
+    'createLinearAgent: counts updates per weight': () => {
+        const agent = createLinearAgent({ numActions: 2, ranges: [[0, 1]], tilesPerDim: 2, numTilings: 2 });
+        agent.learn([0.2], 1, 1, [0.2]);
+        agent.learn([0.2], 1, 1, [0.2]);
+        agent.endEpisode();
+
+        const { weights } = agent.getVisitCounts();
+        assertEqual(weights.length, agent.getModel().weights.length);
+        assertEqual(weights.reduce((a, b) => a + b, 0), 2 * 2, 'Two updates of two active tiles');
+        assertEqual(weights.slice(0, agent.getNumFeatures()).every(n => n === 0), true, 'Action 0 untouched');
+
+        agent.setVisitCounts({ weights: weights.map(() => 5) });
+        assertEqual(agent.getVisitCounts().weights[0], 5);
+        agent.reset();
+        assertEqual(agent.getVisitCounts().weights.every(n => n === 0), true);
+    },
+
+    'createLinearAgent: proximal term pulls updated weights towards the global model': () => {
+        const config = { alpha: 0.5, numActions: 1, ranges: [[0, 1]], tilesPerDim: 2, numTilings: 1 };
+        const agent = createLinearAgent(config);
+        const globalModel = { weights: Array(agent.getNumFeatures()).fill(4) };
+        agent.setModel(globalModel);
+        agent.setProximalTerm(globalModel, 1);
+
+        // TD: 4 → 2; proximal step (α·μ = 0.5): 2 → 3
+        agent.learn([0.2], 0, 0, [0.2]);
+        agent.endEpisode();
+        assertAlmostEqual(agent.getQValues([0.2])[0], 3, 1e-9);
+
+        agent.setProximalTerm(null, 1);
+        agent.learn([0.2], 0, 0, [0.2]);
+        agent.endEpisode();
+        assertAlmostEqual(agent.getQValues([0.2])[0], 1.5, 1e-9);
+    },
+
+    // ========== DQN Agent Tests ==========
+    
+    'createDQNAgent: requires a state size': () => {
+        assertThrows(() => createDQNAgent({ numActions: 2 }), Error);
+        assertEqual(createDQNAgent({ numActions: 2, ranges: [[0, 1], [0, 1]] }).getQValues([0.5, 0.5]).length, 2);
+    },
+    
+    'createDQNAgent: model is named flat parameter arrays': () => {
+        const agent = createDQNAgent({ numActions: 3, stateSize: 2, hiddenLayers: [4] });
+        const model = agent.getModel();
+        
+        assertEqual(Object.keys(model).join(','), 'layer0.weights,layer0.bias,layer1.weights,layer1.bias');
+        assertEqual(model['layer0.weights'].length, 8);
+        assertEqual(model['layer1.weights'].length, 12);
+    },
+    
+    'createDQNAgent: setModel loads parameters': () => {
+        const config = { numActions: 2, stateSize: 1, hiddenLayers: [4] };
+        const a = createDQNAgent(config);
+        const b = createDQNAgent(config);
+        b.setModel(a.getModel());
+        assertEqual(b.getQValues([0.3]).join(','), a.getQValues([0.3]).join(','));
+        assertThrows(() => b.setModel({ weights: [1] }), Error);
+    },
+    
+    'createDQNAgent: trains once the replay buffer is warm': () => {
+        const agent = createDQNAgent({ numActions: 2, stateSize: 1, hiddenLayers: [4], batchSize: 4, minReplaySize: 10 });
+        for (let i = 0; i < 10; i++) {
+            agent.learn([i / 10], 0, 1, [(i + 1) / 10]);
+        }
+        assertEqual(agent.getStats().updates, 0, 'Nine stored transitions are not enough');
+        agent.learn([1], 0, 1, [0]);
+        assertEqual(agent.getStats().replaySize, 10);
+        assertEqual(agent.getStats().updates, 1);
+    },
+    
+    'createDQNAgent: endEpisode stores the terminal transition': () => {
+        const agent = createDQNAgent({ numActions: 2, stateSize: 1, minReplaySize: 1000 });
+        agent.learn([0], 1, 1, [1]);
+        assertEqual(agent.getStats().replaySize, 0);
+        agent.endEpisode();
+        assertEqual(agent.getStats().replaySize, 1);
+    },
+    
+    'createDQNAgent: learns a one-step bandit': () => {
+        const agent = createDQNAgent({
+            numActions: 2, stateSize: 1, hiddenLayers: [8], learningRate: 0.01,
+            batchSize: 8, minReplaySize: 8, random: createRandom(5)
+        });
+        for (let i = 0; i < 300; i++) {
+            const action = i % 2;
+            agent.learn([0.5], action, action === 1 ? 1 : 0, [0.5]);
+            agent.endEpisode();
+        }
+        const [q0, q1] = agent.getQValues([0.5]);
+        assertAlmostEqual(q0, 0, 0.15);
+        assertAlmostEqual(q1, 1, 0.15);
+    },
+    
+    'createDQNAgent: inference mode is greedy and frozen': () => {
+        const agent = createDQNAgent({ numActions: 2, stateSize: 1, epsilon: 1, minReplaySize: 1, batchSize: 1 });
+        agent.setInferenceMode(true);
+        const greedy = agent.getQValues([0.2]).indexOf(Math.max(...agent.getQValues([0.2])));
+        for (let i = 0; i < 10; i++) {
+            assertEqual(agent.chooseAction([0.2]), greedy);
+        }
+        agent.learn([0.2], 0, 5, [0.3]);
+        agent.endEpisode();
+        assertEqual(agent.getStats().replaySize, 0);
+    },
+    
+    'createDQNAgent: prioritized replay learns a one-step bandit': () => {
+        const agent = createDQNAgent({
+            numActions: 2, stateSize: 1, hiddenLayers: [8], learningRate: 0.01,
+            batchSize: 8, minReplaySize: 8, prioritizedReplay: true, random: createRandom(5)
+        });
+        for (let i = 0; i < 300; i++) {
+            const action = i % 2;
+            agent.learn([0.5], action, action === 1 ? 1 : 0, [0.5]);
+            agent.endEpisode();
+        }
+        const [q0, q1] = agent.getQValues([0.5]);
+        assertAlmostEqual(q0, 0, 0.15);
+        assertAlmostEqual(q1, 1, 0.15);
+    },
+    
+    // ========== Policy Gradient Tests ==========
+    
+    'createPolicyGradientAgent: starts from a uniform softmax policy': () => {
+        const agent = createPolicyGradientAgent({ numActions: 4 });
+        assertEqual(agent.getPolicy('s').join(','), '0.25,0.25,0.25,0.25');
+        assertEqual(agent.getValue('s'), 0);
+        assertEqual(agent.getEpsilon(), 0);
+    },
+    
+    'createPolicyGradientAgent: actor-critic terminal update': () => {
+        const agent = createPolicyGradientAgent({ numActions: 2, alpha: 0.5, criticAlpha: 0.5 });
+        agent.learn('s', 0, 1, 'end');
+        assertEqual(agent.getValue('s'), 0, 'The final transition waits for endEpisode');
+        
+        agent.endEpisode();
+        // δ = 1: V += 0.5, H(s,·) += 0.5 · (1{b = 0} - 0.5)
+        assertEqual(agent.getValue('s'), 0.5);
+        assertEqual(agent.getPreferences('s').join(','), '0.25,-0.25');
+    },
+    
+    'createPolicyGradientAgent: actor-critic bootstraps from V(s\')': () => {
+        const agent = createPolicyGradientAgent({ numActions: 2, alpha: 1, gamma: 0.5 });
+        agent.setCritic({ 't': [2] });
+        agent.learn('s', 1, 0, 't');
+        agent.learn('t', 0, 0, 'u');
+        // δ = 0 + 0.5 · 2 - 0
+        assertEqual(agent.getValue('s'), 1);
+        assert(agent.getPolicy('s')[1] > 0.5);
+    },
+    
+    'createPolicyGradientAgent: REINFORCE learns from full returns': () => {
+        const agent = createPolicyGradientAgent({ numActions: 2, alpha: 0.5, gamma: 1, method: 'reinforce' });
+        agent.learn('s', 0, 1, 't');
+        agent.learn('t', 1, 1, 'end');
+        assertEqual(agent.getValue('s'), 0);
+        
+        agent.endEpisode();
+        assertEqual(agent.getValue('s'), 1, 'Baseline moves halfway to G = 2');
+        assertEqual(agent.getValue('t'), 0.5);
+    },
+    
+    'createPolicyGradientAgent: prefers the rewarding action': () => {
+        ['reinforce', 'actor-critic'].forEach(method => {
+            const agent = createPolicyGradientAgent({ numActions: 2, alpha: 0.1, method, random: createRandom(1) });
+            for (let i = 0; i < 300; i++) {
+                const action = agent.chooseAction('s');
+                agent.learn('s', action, action === 1 ? 1 : 0, 'end');
+                agent.endEpisode();
+            }
+            assert(agent.getPolicy('s')[1] > 0.9, `${method} should favour action 1`);
+        });
+    },
+    
+    'createPolicyGradientAgent: greedy or stochastic inference': () => {
+        const agent = createPolicyGradientAgent({ numActions: 2, random: createRandom(2) });
+        agent.setModel({ 's': [0, 1] });
+        agent.setInferenceMode(true);
+        for (let i = 0; i < 20; i++) {
+            assertEqual(agent.chooseAction('s'), 1);
+        }
+        
+        agent.setInferencePolicy('stochastic');
+        const actions = Array.from({ length: 100 }, () => agent.chooseAction('s'));
+        assert(actions.includes(0) && actions.includes(1), 'Stochastic inference should sample π');
+        assertThrows(() => agent.setInferencePolicy('random'), Error);
+        
+        agent.learn('s', 0, 10, 'end');
+        agent.endEpisode();
+        assertEqual(agent.getValue('s'), 0, 'Inference mode does not learn');
+    },
+    
+    'createPolicyGradientAgent: model is the preference table': () => {
+        const agent = createPolicyGradientAgent({ numActions: 2, alpha: 0.5 });
+        agent.learn('s', 0, 1, 'end');
+        agent.endEpisode();
+        assertEqual(Object.keys(agent.getModel()).join(','), 's');
+        assertEqual(agent.getModel()['s'].join(','), '0.25,-0.25');
+        assertEqual(agent.getCritic()['s'][0], 0.5);
+        assertThrows(() => createPolicyGradientAgent({ method: 'a2c' }), Error);
+    },
+    
+    'createLinearPolicyGradientAgent: weight-vector policy and critic': () => {
+        const agent = createLinearPolicyGradientAgent({ numActions: 3, ranges: [[0, 1]], tilesPerDim: 4, numTilings: 2, alpha: 0.5 });
+        const numFeatures = agent.getNumFeatures();
+        assertEqual(agent.getModel().weights.length, 3 * numFeatures);
+        assertEqual(agent.getCritic().weights.length, numFeatures);
+        
+        agent.learn([0.5], 2, 1, [0.9]);
+        agent.endEpisode();
+        assertAlmostEqual(agent.getValue([0.5]), 0.5, 1e-12);
+        assert(agent.getPolicy([0.5])[2] > 1 / 3);
+        assert(agent.getPolicy([0.52])[2] > 1 / 3, 'Nearby states share tiles');
+        
+        assertThrows(() => agent.setModel({ weights: [1] }), Error);
+        assertThrows(() => agent.setCritic({ weights: [1] }), Error);
+    },
+    
+    'createGaussianActorCriticAgent: mean moves to the rewarding action': () => {
+        const agent = createGaussianActorCriticAgent({
+            actionSpace: { type: 'box', low: [-1], high: [1] },
+            ranges: [[0, 1]], tilesPerDim: 1, numTilings: 1,
+            alpha: 0.05, random: createRandom(3)
+        });
+        // Continuous bandit: reward peaks at a = 0.3
+        for (let i = 0; i < 2000; i++) {
+            const [a] = agent.chooseAction([0.5]);
+            agent.learn([0.5], [a], -10 * (a - 0.3) * (a - 0.3), [0.5]);
+            agent.endEpisode();
+        }
+        const { mean, std } = agent.getPolicy([0.5]);
+        assertAlmostEqual(mean[0], 0.3, 0.05);
+        assert(std[0] < 0.25, 'σ should shrink from its initial 0.5');
+    },
+    
+    'createGaussianActorCriticAgent: scales to the box and acts with the mean in greedy inference': () => {
+        const agent = createGaussianActorCriticAgent({
+            actionSpace: { type: 'box', low: [0, -4], high: [10, 4] },
+            ranges: [[0, 1]], tilesPerDim: 2, numTilings: 2, initialStd: 0.2
+        });
+        const numFeatures = agent.getNumFeatures();
+        const { mean, std } = agent.getPolicy([0.5]);
+        assertEqual(mean.join(','), '5,0', 'Zero weights put the mean at the box center');
+        assertAlmostEqual(std[0], 1, 1e-12);
+        assertAlmostEqual(std[1], 0.8, 1e-12);
+        
+        const model = agent.getModel();
+        assertEqual(model.mean.length, 2 * numFeatures);
+        assertEqual(model.logStd.length, 2 * numFeatures);
+        assertEqual(agent.getCritic().weights.length, numFeatures);
+        
+        agent.setModel({ mean: model.mean.map(() => 0.25), logStd: model.logStd });
+        agent.setInferenceMode(true);
+        const action = agent.chooseAction([0.5]);
+        assertAlmostEqual(action[0], 5 + 5 * 0.5, 1e-12, 'Two active tiles of 0.25 each');
+        assertAlmostEqual(action[1], 4 * 0.5, 1e-12);
+        
+        assertThrows(() => agent.setModel({ mean: [1], logStd: [1] }), Error);
+    },
+    
+    'createGaussianActorCriticAgent: requires a box action space': () => {
+        assertThrows(() => createGaussianActorCriticAgent({ ranges: [[0, 1]] }), Error);
+        assertThrows(() => createGaussianActorCriticAgent({ actionSpace: ['A', 'B'], ranges: [[0, 1]] }), Error);
+        assertThrows(() => createGaussianActorCriticAgent({
+            actionSpace: { type: 'box', low: [0], high: [1] }, ranges: [[0, 1]], minStd: 0.6
+        }), Error);
+    },
+    
+    // ========== Replay Tests ==========
+    
+    'replay: Q-learning replays stored transitions': () => {
+        const agent = createTabularAgent({ numActions: 2, alpha: 0.5, replay: true, batchSize: 4, random: createRandom(1) });
+        for (let i = 0; i < 3; i++) {
+            agent.learn('s', 0, 1, 'goal', true);
+        }
+        assertEqual(agent.getReplaySize(), 3);
+        // Online updates only until a full batch is stored
+        assertAlmostEqual(agent.getQValues('s')[0], 1 - Math.pow(0.5, 3), 1e-9);
+        
+        agent.learn('s', 0, 1, 'goal', true);
+        // One online update plus four replayed ones
+        assertAlmostEqual(agent.getQValues('s')[0], 1 - Math.pow(0.5, 8), 1e-9);
+    },
+    
+    'replay: propagates value faster than online updates': () => {
+        const run = (replay) => {
+            const agent = createTabularAgent({ numActions: 1, alpha: 0.5, gamma: 0.9, replay, batchSize: 8, random: createRandom(2) });
+            for (let episode = 0; episode < 5; episode++) {
+                agent.learn('a', 0, 0, 'b', false);
+                agent.learn('b', 0, 0, 'c', false);
+                agent.learn('c', 0, 1, 'end', true);
+            }
+            return agent.getQValues('a')[0];
+        };
+        assert(run(true) > run(false), 'Replay should push the reward back further');
+    },
+    
+    'replay: Expected SARSA and Double Q support replay': () => {
+        [createExpectedSarsaAgent, createDoubleQAgent].forEach(factory => {
+            const agent = factory({ numActions: 2, replay: true, prioritizedReplay: true, batchSize: 2, random: createRandom(3) });
+            for (let i = 0; i < 5; i++) {
+                agent.learn('s', 1, 1, 'goal', true);
+            }
+            assertEqual(agent.getReplaySize(), 5);
+            assert(agent.getQValues('s')[1] > 0);
+        });
+    },
+    
+    'replay: on-policy agents reject replay': () => {
+        assertThrows(() => createSarsaAgent({ numActions: 2, replay: true }), Error);
+        assertThrows(() => createLambdaAgent({ numActions: 2, replay: true }), Error);
+    },
+    
+    'replay: reset clears the buffer': () => {
+        const agent = createTabularAgent({ numActions: 2, replay: true });
+        agent.learn('s', 0, 1, 'goal', true);
+        agent.reset();
+        assertEqual(agent.getReplaySize(), 0);
+    },
+    
+    // ========== Agent Registry Tests ==========
+    
+    'createAgent: builds agents by name': () => {
+        ['q-learning', 'sarsa', 'expected-sarsa', 'double-q', 'q-lambda', 'sarsa-lambda', 'monte-carlo', 'monte-carlo-off-policy', 'dyna-q', 'dyna-q-plus'].forEach(type => {
+            const agent = createAgent(type, { numActions: 3 });
+            assertEqual(agent.getQValues('s0').length, 3, `${type} should honour numActions`);
+            assert(typeof agent.setInferenceMode === 'function', `${type} should expose setInferenceMode`);
+        });
+    },
+    
+    'createAgent: builds the adaptive agent by name': () => {
+        const agent = createAgent('adaptive-q', { numActions: 2, ranges: [[0, 1]] });
+        assertEqual(agent.getNumLeaves(), 1);
+    },
+    
+    'createAgent: builds function-approximation agents by name': () => {
+        const q = createAgent('linear-q', { numActions: 3, ranges: [[0, 1]] });
+        const sarsa = createAgent('linear-sarsa', { numActions: 3, ranges: [[0, 1]] });
+        assertEqual(q.getQValues([0.5]).length, 3);
+        assertEqual(sarsa.getQValues([0.5]).length, 3);
+        assertEqual(createAgent('dqn', { numActions: 3, stateSize: 1 }).getQValues([0.5]).length, 3);
+        assertEqual(createAgent('double-dqn', { numActions: 3, stateSize: 1 }).getQValues([0.5]).length, 3);
+    },
+    
+    'createAgent: builds policy-gradient agents by name': () => {
+        assertEqual(createAgent('reinforce', { numActions: 3 }).getPolicy('s0').length, 3);
+        assertEqual(createAgent('actor-critic', { numActions: 3 }).getPolicy('s0').length, 3);
+        assertEqual(createAgent('linear-reinforce', { numActions: 3, ranges: [[0, 1]] }).getPolicy([0.5]).length, 3);
+        assertEqual(createAgent('linear-actor-critic', { numActions: 3, ranges: [[0, 1]] }).getPolicy([0.5]).length, 3);
+        assertEqual(createAgent('factored-q', { actionSpace: { type: 'multi-discrete', nvec: [2, 2] } }).getQValues('s').length, 4);
+        const gaussian = createAgent('gaussian-actor-critic', { actionSpace: { type: 'box', low: [-1], high: [1] }, ranges: [[0, 1]] });
+        assertEqual(gaussian.chooseAction([0.5]).length, 1);
+    },
+    
+    'createAgent: accepts a factory function': () => {
+        const agent = createAgent(createSarsaAgent, { numActions: 2 });
+        assert(typeof agent.endEpisode === 'function');
+    },
+    
+    'createAgent: unknown type throws': () => {
+        assertThrows(() => createAgent('does-not-exist', {}), Error);
     }
 };
 
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for schedule-core.js
+ * Tests: schedule factories, createSchedule, scheduleCurve
+ */
+
+import {
+    constantSchedule,
+    linearSchedule,
+    exponentialSchedule,
+    stepSchedule,
+    cosineSchedule,
+    visitSchedule,
+    createSchedule,
+    scheduleCurve
+} from '../../components/schedule-core.js';
+import { runTests, assertAlmostEqual, assertEqual, assertThrows } from '../helpers/assert.js';
+
+const tests = {
+    // ========== Schedule Factories ==========
+    
+    'constantSchedule: same value at any t': () => {
+        const schedule = constantSchedule(0.3);
+        assertEqual(schedule.value(0), 0.3);
+        assertEqual(schedule.value(1e6), 0.3);
+    },
+    
+    'linearSchedule: interpolates then holds': () => {
+        const schedule = linearSchedule({ start: 1, end: 0, duration: 10 });
+        assertEqual(schedule.value(0), 1);
+        assertAlmostEqual(schedule.value(5), 0.5, 1e-9);
+        assertEqual(schedule.value(10), 0);
+        assertEqual(schedule.value(20), 0);
+    },
+    
+    'exponentialSchedule: decays to floor': () => {
+        const schedule = exponentialSchedule({ start: 1, decay: 0.5, min: 0.2 });
+        assertEqual(schedule.value(1), 0.5);
+        assertEqual(schedule.value(2), 0.25);
+        assertEqual(schedule.value(3), 0.2);
+    },
+    
+    'stepSchedule: drops every N units': () => {
+        const schedule = stepSchedule({ start: 1, factor: 0.1, every: 100 });
+        assertEqual(schedule.value(99), 1);
+        assertAlmostEqual(schedule.value(100), 0.1, 1e-12);
+        assertAlmostEqual(schedule.value(250), 0.01, 1e-12);
+    },
+    
+    'cosineSchedule: half-way is the midpoint': () => {
+        const schedule = cosineSchedule({ start: 1, end: 0, duration: 100 });
+        assertEqual(schedule.value(0), 1);
+        assertAlmostEqual(schedule.value(50), 0.5, 1e-9);
+        assertAlmostEqual(schedule.value(100), 0, 1e-9);
+    },
+    
+    'visitSchedule: sample average by default': () => {
+        const schedule = visitSchedule();
+        assertEqual(schedule.unit, 'visit');
+        assertEqual(schedule.value(1), 1);
+        assertEqual(schedule.value(4), 0.25);
+    },
+    
+    'visitSchedule: power and floor': () => {
+        const schedule = visitSchedule({ power: 0.5, min: 0.3 });
+        assertEqual(schedule.value(4), 0.5);
+        assertEqual(schedule.value(100), 0.3);
+    },
+    
+    'schedules: reject unknown units': () => {
+        assertThrows(() => linearSchedule({ start: 1, end: 0, duration: 10, unit: 'second' }), Error);
+    },
+    
+    // ========== createSchedule ==========
+    
+    'createSchedule: number becomes constant': () => {
+        const schedule = createSchedule(0.1);
+        assertEqual(schedule.type, 'constant');
+        assertEqual(schedule.value(42), 0.1);
+    },
+    
+    'createSchedule: builds from spec': () => {
+        const schedule = createSchedule({ type: 'linear', start: 1, end: 0.1, duration: 100, unit: 'step' });
+        assertEqual(schedule.unit, 'step');
+        assertAlmostEqual(schedule.value(50), 0.55, 1e-9);
+    },
+    
+    'createSchedule: passes schedule objects through': () => {
+        const schedule = cosineSchedule({ start: 1, end: 0, duration: 10 });
+        assertEqual(createSchedule(schedule), schedule);
+    },
+    
+    'createSchedule: unknown type throws': () => {
+        assertThrows(() => createSchedule({ type: 'sawtooth' }), Error);
+    },
+    
+    // ========== scheduleCurve ==========
+    
+    'scheduleCurve: samples from t = 0': () => {
+        const curve = scheduleCurve(linearSchedule({ start: 0, end: 4, duration: 4 }), 5);
+        assertEqual(curve.join(','), '0,1,2,3,4');
+    },
+    
+    'scheduleCurve: visit schedules start at N = 1': () => {
+        const curve = scheduleCurve(visitSchedule(), 2);
+        assertEqual(curve.join(','), '1,0.5');
+    }
+};
+
+runTests('SCHEDULE-CORE.JS', tests);
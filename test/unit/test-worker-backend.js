@@ -0,0 +1,149 @@
+/**
+ * Unit tests for worker-backend.js
+ * Tests: sharding, mirrors, federation round-trips and parity with in-process training
+ */
+
+import { createWorkerBackend } from '../../components/worker-backend.js';
+import { runHeadless, createHeadlessRunner } from '../../components/headless-runner.js';
+import { createFederatedManager } from '../../components/federated-core.js';
+import corridor from '../helpers/corridor-env.js';
+import { runTests, assertEqual, assert, assertThrows } from '../helpers/assert.js';
+
+const MODULE = new URL('../helpers/corridor-env.js', import.meta.url);
+
+// Every backend is terminated, or the test process would never exit
+const withBackend = async (config, fn) => {
+    const backend = createWorkerBackend({ module: MODULE, ...config });
+    try {
+        return await fn(backend);
+    } finally {
+        backend.terminate();
+    }
+};
+
+const tests = {
+    // ========== Backend Tests ==========
+
+    'createWorkerBackend: validates its config': () => {
+        assertThrows(() => createWorkerBackend({ numClients: 2 }), Error);
+        assertThrows(() => createWorkerBackend({ module: MODULE, numClients: 0 }), Error);
+    },
+
+    'createWorkerBackend: shards clients and mirrors them after each batch': async () => {
+        await withBackend({ numClients: 5, numWorkers: 2, seed: 1, environment: corridor.environment }, async (backend) => {
+            assertEqual(backend.getNumWorkers(), 2);
+            assertEqual(backend.clients.length, 5);
+            assertEqual(backend.clients[3].state.x, 0, 'Mirrors should start from reset states');
+
+            const episodes = await backend.step({ ticks: 12 });
+            backend.clients.forEach((client, i) => {
+                assertEqual(client.id, i);
+                assertEqual(client.metrics.stepCount, 12);
+                assertEqual(client.getMetrics(), client.metrics);
+                assert(client.modelSize > 0, 'Mirrors should report the model size');
+                assert(typeof client.agent.getEpsilon() === 'number', 'Mirrors should report epsilon');
+            });
+            const counted = backend.clients.reduce((sum, c) => sum + c.metrics.episodeCount, 0);
+            assertEqual(episodes.length, counted);
+            episodes.forEach(({ client, episode }) => {
+                assert(backend.clients.includes(client), 'Episodes should reference mirror clients');
+                assert(typeof episode.steps === 'number', 'Episodes should carry the summary');
+            });
+        });
+    },
+
+    'createWorkerBackend: episode limits pause clients': async () => {
+        await withBackend({ numClients: 2, seed: 2 }, async (backend) => {
+            await backend.step({ ticks: 200, episodeLimits: { 0: 1, 1: 3 } });
+            assertEqual(backend.clients[0].metrics.episodeCount, 1);
+            assertEqual(backend.clients[1].metrics.episodeCount, 3);
+        });
+    },
+
+    'createWorkerBackend: federation pushes the global model into every worker': async () => {
+        await withBackend({ numClients: 4, numWorkers: 2, seed: 3 }, async (backend) => {
+            await backend.step({ ticks: 40 });
+            const { globalModel, round } = await backend.federate(createFederatedManager());
+            assertEqual(round, 1);
+            assert(Object.keys(globalModel).length > 0, 'Global model should not be empty');
+
+            await backend.pullModels();
+            backend.clients.forEach(client => {
+                assertEqual(JSON.stringify(client.agent.getModel()), JSON.stringify(globalModel));
+            });
+        });
+    },
+
+    'createWorkerBackend: mirrors offer setProximalTerm only for agents that have it': async () => {
+        await withBackend({ numClients: 1, seed: 6 }, async (backend) => {
+            await backend.ready();
+            assertEqual(typeof backend.clients[0].agent.setProximalTerm, 'function');
+        });
+        await withBackend({ numClients: 1, seed: 6, options: { agentType: 'reinforce' } }, async (backend) => {
+            await backend.ready();
+            assertEqual(backend.clients[0].agent.setProximalTerm, undefined,
+                'FedProx should see that policy-gradient workers ignore the proximal term');
+        });
+    },
+
+    'createWorkerBackend: forwards agent calls to the workers': async () => {
+        await withBackend({ numClients: 2, seed: 4 }, async (backend) => {
+            await backend.step({ ticks: 10 });
+            await backend.pullModels();
+            const before = backend.clients.map(c => c.agent.getModel());
+
+            // Frozen agents stop learning (newly seen states only get zero entries)
+            await backend.callAgents('setInferenceMode', [true]);
+            await backend.step({ ticks: 10 });
+            await backend.pullModels();
+            backend.clients.forEach((client, i) => {
+                const after = client.agent.getModel();
+                Object.keys(before[i]).forEach(state => {
+                    assertEqual(JSON.stringify(after[state]), JSON.stringify(before[i][state]));
+                });
+            });
+        });
+    },
+
+    // ========== Headless Runner Tests ==========
+
+    'workers execution: same seed, same run as in-process': async () => {
+        const config = { ...corridor, numClients: 3, seed: 5 };
+        const local = await runHeadless(config, { episodes: 8 });
+        const workers = await runHeadless({
+            ...config,
+            execution: { backend: 'workers', module: MODULE, numWorkers: 2 }
+        }, { episodes: 8 });
+
+        assertEqual(JSON.stringify(workers.globalModel), JSON.stringify(local.globalModel));
+        assertEqual(workers.metrics.totalSteps, local.metrics.totalSteps);
+        assertEqual(workers.metrics.totalEpisodes, 24);
+    },
+
+    'workers execution: hooks fire on mirror clients': async () => {
+        let initialized = 0;
+        const ended = new Set();
+        const rounds = [];
+        const runner = createHeadlessRunner({
+            ...corridor,
+            numClients: 3,
+            seed: 6,
+            autoFederate: true,
+            onClientInit: () => { initialized++; },
+            onEpisodeEnd: (client) => { ended.add(client); },
+            onFederation: (globalModel, round) => { rounds.push(round); },
+            execution: { backend: 'workers', module: MODULE }
+        });
+        try {
+            const { metrics } = await runner.run({ rounds: 2 });
+            assertEqual(initialized, 3);
+            assertEqual(rounds.join(','), '1,2');
+            assertEqual(metrics.round, 2);
+            ended.forEach(client => assert(runner.getClients().includes(client), 'Hooks should get the mirrors'));
+        } finally {
+            runner.close();
+        }
+    }
+};
+
+runTests('WORKER-BACKEND.JS', tests);